@@ -0,0 +1,68 @@
+// answer-usage.js
+// Token / cost badge under chat answers and summaries (loaded before content.js). The proxy
+// reports every answer's `usage` { promptTokens, outputTokens, totalTokens, cost, currency }, the
+// `model` that answered after how many `attempts` (`fallback: true` for its backup model) and,
+// while a soft budget is nearly used up or exceeded, `budget` { period, spent, limit, level }
+// (see lib/usage.js and lib/resilience.js on the server).
+
+function formatUsageCost(cost, currency) {
+  if (typeof cost !== 'number') return '';
+  // single answers often cost fractions of a cent: show two significant digits there
+  const digits = cost >= 0.01 || cost === 0 ? { minimumFractionDigits: 2, maximumFractionDigits: 2 } : { maximumSignificantDigits: 2 };
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency, ...digits }).format(cost);
+  } catch (e) {
+    // not an ISO currency code
+    return `${cost.toPrecision(2)} ${currency}`;
+  }
+}
+
+function describeBudget(budget) {
+  const period = budget.period === 'week' ? 'Weekly' : 'Daily';
+  const spent = `${formatUsageCost(budget.spent, budget.currency)} of ${formatUsageCost(budget.limit, budget.currency)}`;
+  return budget.level === 'exceeded'
+    ? `${period} budget exceeded (${spent})`
+    : `${period} budget ${Math.round(budget.spent / budget.limit * 100)}% used (${spent})`;
+}
+
+// Append the badge (and budget warning) for a `done` response to `el`; nothing for responses
+// without usage (older proxies)
+function appendUsageBadge(el, data) {
+  const usage = data && data.usage;
+  if (!el || !usage) return null;
+  const row = document.createElement('span');
+  row.className = 'gai-usage';
+  const badge = document.createElement('span');
+  badge.className = 'gai-usage-badge';
+  if (data.cached) {
+    badge.textContent = 'cached · no tokens';
+    badge.title = 'Answered from the proxy\'s cache';
+  } else {
+    const tokens = `${usage.estimated ? '~' : ''}${usage.totalTokens.toLocaleString()} tokens`;
+    const cost = formatUsageCost(usage.cost, usage.currency);
+    badge.textContent = cost ? `${tokens} · ${cost}` : tokens;
+    badge.title = `${usage.promptTokens.toLocaleString()} prompt + ${usage.outputTokens.toLocaleString()} output tokens`
+      + (usage.estimated ? ' (estimated, the model did not report them)' : '')
+      + (cost ? '' : '. Set USAGE_RATES on the proxy to see costs.');
+    if (data.model) badge.title += `\nAnswered by ${data.model}${data.attempts > 1 ? ` after ${data.attempts} attempts` : ''}`;
+  }
+  row.appendChild(badge);
+
+  if (data.fallback) {
+    const backup = document.createElement('span');
+    backup.className = 'gai-usage-badge gai-usage-fallback';
+    backup.textContent = `backup model: ${data.model}`;
+    backup.title = 'The main model was busy or failing, so the proxy\'s fallback model answered';
+    row.appendChild(backup);
+  }
+
+  if (data.budget) {
+    const warning = document.createElement('span');
+    warning.className = `gai-usage-badge gai-budget-${data.budget.level === 'exceeded' ? 'exceeded' : 'warning'}`;
+    warning.textContent = describeBudget(data.budget);
+    warning.title = 'Soft budget set on the proxy; requests are not blocked';
+    row.appendChild(warning);
+  }
+  el.appendChild(row);
+  return row;
+}
@@ -3,31 +3,77 @@
 //..
 // Original file used as base for edits. See original for older behavior. :contentReference[oaicite:1]{index=1}
 
+// DEFAULT_CONTEXT_ACTIONS, loadContextActions() ... (shared with the options page);
+// loadSiteAccess() ... (site rules), createRedactor() ... (redaction) and loadModelSettings() ...
+// (model choice per feature), shared with the content scripts, popup and options page
+importScripts('context-actions.js', 'history-store.js', 'site-rules.js', 'redaction.js', 'model-settings.js');
+
 // Map to track active fetch AbortControllers per tabId
 // key: tabId (number or undefined for non-tab callers), value: Set<AbortController>
 const activeFetchControllers = new Map();
 
-// Create the context menu on install
+// Rebuild the context menu from the saved actions (chrome.storage.sync.contextActions) plus
+// "Translate this page". Rebuilds are chained so two quick settings changes can't interleave.
+let menuRebuild = Promise.resolve();
+function rebuildContextMenus() {
+  menuRebuild = menuRebuild.then(async () => {
+    const actions = await loadContextActions();
+    await chrome.contextMenus.removeAll();
+    const ignoreError = () => void chrome.runtime.lastError;
+    actions.forEach(a => {
+      chrome.contextMenus.create({ id: CONTEXT_ACTION_MENU_PREFIX + a.id, title: a.title, contexts: ['selection'] }, ignoreError);
+    });
+    chrome.contextMenus.create({ id: 'gemini_translate_page', title: 'Translate this page', contexts: ['page'] }, ignoreError);
+  }).catch(err => console.warn('Failed to rebuild context menus:', err));
+  return menuRebuild;
+}
+
+// Create the context menu on install / update
 chrome.runtime.onInstalled.addListener(() => {
-  chrome.contextMenus.create({
-    id: 'gemini_translate',
-    title: "Translate '%s' with Gemini",
-    contexts: ['selection']
-  });
+  rebuildContextMenus();
 
   chrome.storage.sync.set({ themeColor: '#0B61FF', pinned: false });
 });
 
-// When the context menu item is clicked, tell the content script to open the prompt box
-chrome.contextMenus.onClicked.addListener((info, tab) => {
-  if (info.menuItemId === 'gemini_translate' && info.selectionText) {
-    chrome.tabs.sendMessage(tab.id, { action: 'showPromptForSelection', text: info.selectionText })
+// Actions edited on the options page -> new menu
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && changes.contextActions) rebuildContextMenus();
+});
+
+// Context menu clicks: run the chosen action on the selection (the content script shows the answer
+// in the prompt box), or translate the whole page. Nothing is sent to sites the rules turn Browzie off on.
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (!tab || (await loadSiteAccess(tab.url)) === 'disabled') return;
+  const menuId = String(info.menuItemId);
+  if (menuId.startsWith(CONTEXT_ACTION_MENU_PREFIX) && info.selectionText) {
+    const id = menuId.slice(CONTEXT_ACTION_MENU_PREFIX.length);
+    loadContextActions().then(actions => {
+      const contextAction = actions.find(a => a.id === id);
+      if (!contextAction) return;
+      return chrome.tabs.sendMessage(tab.id, { action: 'runContextAction', contextAction, text: info.selectionText });
+    }).catch(err => {
+      console.warn('sendMessage to content script failed:', err);
+    });
+  } else if (info.menuItemId === 'gemini_translate_page') {
+    chrome.tabs.sendMessage(tab.id, { action: 'translatePage' })
       .catch(err => {
         console.warn('sendMessage to content script failed:', err);
       });
   }
 });
 
+// Keyboard shortcuts (manifest.json "commands", rebound on chrome://extensions/shortcuts): the content
+// script of the active tab carries them out, see BROWSER_COMMANDS in content.js
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  try {
+    const target = tab || (await chrome.tabs.query({ active: true, lastFocusedWindow: true }))[0];
+    if (target && (await loadSiteAccess(target.url)) !== 'disabled') await chrome.tabs.sendMessage(target.id, { action: 'runCommand', command });
+  } catch (err) {
+    // pages without the content script (chrome://, the Web Store) can't run commands
+    console.warn(`Command "${command}" could not run in this tab:`, err.message || err);
+  }
+});
+
 // Helper: add an AbortController to the set for a tab
 function addControllerForTab(tabId, controller) {
   const key = (typeof tabId !== 'undefined') ? tabId : 'no-tab';
@@ -86,6 +132,275 @@ function notifyTab(tabId, message) {
   }
 }
 
+// Proxy base URL from the options page (chrome.storage.sync.proxyBaseUrl), without trailing slash
+const DEFAULT_PROXY_BASE_URL = 'http://localhost:3000';
+
+async function getProxyBaseUrl() {
+  const { proxyBaseUrl } = await chrome.storage.sync.get('proxyBaseUrl');
+  return (proxyBaseUrl || DEFAULT_PROXY_BASE_URL).replace(/\/+$/, '');
+}
+
+// Headers for every proxy request; adds the access token saved in chrome.storage (proxyToken) if any
+async function buildProxyHeaders(extra = {}) {
+  const { proxyToken } = await chrome.storage.sync.get('proxyToken');
+  const headers = { 'Content-Type': 'application/json', ...extra };
+  if (proxyToken) headers['Authorization'] = `Bearer ${proxyToken}`;
+  return headers;
+}
+
+// Turn a non-2xx proxy response into a message users can act on (auth, quota, rate limit),
+// falling back to the raw status + body for anything else.
+async function describeServerError(res) {
+  let bodyText = '';
+  try { bodyText = await res.text(); } catch (e) { bodyText = `<failed to read body: ${e.message}>`; }
+  let body = null;
+  try { body = JSON.parse(bodyText); } catch (e) { /* not JSON */ }
+
+  switch (body?.code) {
+    case 'auth_required':
+      return 'The Browzie proxy requires an access token. Add it in the extension options.';
+    case 'invalid_token':
+      return 'The access token was rejected by the Browzie proxy. Check it in the extension options.';
+    case 'origin_not_allowed':
+      return 'This extension is not on the proxy\'s allowed origins list (ALLOWED_ORIGINS).';
+    case 'quota_exceeded': {
+      const resetsAt = body.resetsAt ? new Date(body.resetsAt).toLocaleString() : 'midnight UTC';
+      return `Daily quota exceeded, resets at ${resetsAt}.`;
+    }
+    case 'rate_limited':
+      return `Too many requests, please wait ${body.retryAfter || res.headers.get('Retry-After') || 'a few'} seconds and try again.`;
+    // the proxy already retried (and tried its fallback model); its message is meant for users
+    case 'upstream_busy':
+    case 'upstream_unavailable':
+    case 'circuit_open':
+      return body.error;
+    case 'invalid_model_settings':
+      return `${body.error} Change the model settings in the panel or on the options page.`;
+    // the Extract panel shows these next to its field editor
+    case 'invalid_schema':
+    case 'extract_failed':
+      return body.error;
+    default:
+      return `Server error ${res.status}: ${body?.error || bodyText}`;
+  }
+}
+
+// Package the metadata sent from the content script for /api/generate.
+// Include pageContext so the proxy can use it for prompt construction.
+function buildGeneratePayload(msg) {
+  return {
+    prompt: msg.prompt,
+    selectedText: msg.selectedText,
+    mode: msg.mode || 'general',
+    task: msg.task || null,
+    targetLanguage: msg.targetLanguage || null,
+    pageContext: msg.pageContext || null,
+    history: Array.isArray(msg.history) ? msg.history : [],
+    citations: !!msg.citations,
+    cache: msg.cache || undefined
+  };
+}
+
+// Multi-tab questions: tabs the chat can offer as extra sources, and their page context read with
+// chrome.scripting. Tabs that run our content script answer with its getPageContext(); tabs opened
+// before the extension was installed or reloaded get a plain-text fallback. Pages that can't be
+// scripted (chrome://, the Web Store, sites without host access) or that the site rules turn Browzie
+// off on are reported back as skipped; the picker shows the latter as unavailable.
+const MAX_SOURCE_TABS = 8; // the proxy accepts at most 8 sources, the asking tab included
+
+async function listSourceTabs(senderTab) {
+  const [tabs, siteSettings] = await Promise.all([chrome.tabs.query({}), loadSiteSettings()]);
+  return tabs
+    .filter(tab => /^https?:/.test(tab.url || ''))
+    .map(tab => ({
+      id: tab.id,
+      title: tab.title || tab.url,
+      url: tab.url,
+      favIconUrl: tab.favIconUrl || '',
+      blocked: siteAccessFor(tab.url, siteSettings) === 'disabled',
+      current: tab.id === senderTab?.id,
+      sameWindow: tab.windowId === senderTab?.windowId
+    }))
+    // the asking tab first, then its window, then the other windows
+    .sort((a, b) => (b.current - a.current) || (b.sameWindow - a.sameWindow));
+}
+
+async function readTabContext(tabId) {
+  const [injection] = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: () => {
+      if (typeof getPageContext === 'function') return getPageContext();
+      const text = ((document.body && document.body.innerText) || '').replace(/\n{3,}/g, '\n\n').trim();
+      return {
+        title: document.title,
+        url: location.href,
+        mainTextSnippet: text.slice(0, 25000),
+        wordCount: text.split(/\s+/).filter(Boolean).length,
+        extractionStrategy: 'innerText'
+      };
+    }
+  });
+  return injection && injection.result;
+}
+
+// payload.sources = [the asking tab's pageContext, ...the picked tabs]. The asking tab's context
+// was redacted by its content script; the other tabs are redacted here with the same settings and
+// their own placeholders ([EMAIL T1]), so the content script's restore() can't mistake them for its own.
+// Resolves to the titles of picked tabs that could not be read (closed, not scriptable).
+async function addTabSources(payload, msg, senderTabId) {
+  const ids = Array.isArray(msg.sourceTabIds) ? msg.sourceTabIds.filter(id => id !== senderTabId) : [];
+  if (!ids.length) return [];
+
+  const [siteSettings, redactionSettings] = await Promise.all([loadSiteSettings(), loadRedactionSettings()]);
+  const redactor = createRedactor(redactionSettings, { numberPrefix: 'T' });
+  const results = await Promise.all(ids.slice(0, MAX_SOURCE_TABS - 1).map(async (id) => {
+    let title = `Tab ${id}`;
+    try {
+      const tab = await chrome.tabs.get(id);
+      title = tab.title || title;
+      if (siteAccessFor(tab.url, siteSettings) === 'disabled') return { skipped: `${title} (turned off by site rules)` };
+      const context = await readTabContext(id);
+      return context ? { context: redactPageContext(context, redactor) } : { skipped: title };
+    } catch (e) {
+      console.warn(`Background: could not read tab ${id}:`, e.message || e);
+      return { skipped: title };
+    }
+  }));
+
+  payload.sources = [payload.pageContext, ...results.map(r => r.context)].filter(Boolean);
+  return results.filter(r => r.skipped).map(r => r.skipped);
+}
+
+// Model and generation settings the user picked for the asking feature (model-settings.js):
+// msg.feature is 'chat', 'summary', 'actions' or 'extract'
+async function addModelSettings(payload, feature) {
+  if (!MODEL_FEATURES.some(f => f.id === feature)) return;
+  const settings = await loadModelSettings();
+  Object.assign(payload, modelRequestFields(settings[feature]));
+}
+
+// Helper: read an SSE response body and call onEvent({ event, data }) for every complete event.
+async function readSseEvents(body, onEvent) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+
+  const flush = (raw) => {
+    let event = 'message';
+    const dataLines = [];
+    raw.split('\n').forEach(line => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) dataLines.push(line.slice(5).replace(/^ /, ''));
+    });
+    if (dataLines.length) onEvent({ event, data: dataLines.join('\n') });
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffered += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+    let sep;
+    while ((sep = buffered.indexOf('\n\n')) !== -1) {
+      flush(buffered.slice(0, sep));
+      buffered = buffered.slice(sep + 2);
+    }
+  }
+  if (buffered.trim()) flush(buffered);
+}
+
+// Body for /api/summarize (page context + requested length; cache: 'bypass' forces a fresh summary)
+function buildSummarizePayload(msg) {
+  return {
+    pageContext: msg.pageContext || null,
+    length: msg.length || 'medium',
+    citations: !!msg.citations,
+    cache: msg.cache || undefined
+  };
+}
+
+// Actions that can be streamed over a 'gemini_stream' port
+const STREAM_ROUTES = {
+  query_gemini: { path: '/api/generate', kind: 'query', feature: 'chat', buildPayload: buildGeneratePayload },
+  summarize_page: { path: '/api/summarize', kind: 'summary', feature: 'summary', buildPayload: buildSummarizePayload }
+};
+
+// Streaming path: content scripts open a 'gemini_stream' port and post one query_gemini or summarize_page message.
+// We relay { type: 'chunk', text } for every delta and { type: 'progress', ... } for long-document summaries,
+// then { type: 'done', text, data } or { type: 'error', error }.
+// Disconnecting the port (UI closed) aborts the upstream request.
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'gemini_stream') return;
+
+  port.onMessage.addListener(async (msg) => {
+    const route = STREAM_ROUTES[msg.action];
+    if (!route) return;
+
+    const tabId = port.sender?.tab?.id;
+    const controller = new AbortController();
+    addControllerForTab(tabId, controller);
+
+    let portOpen = true;
+    port.onDisconnect.addListener(() => {
+      portOpen = false;
+      controller.abort();
+    });
+    const post = (message) => {
+      if (!portOpen) return;
+      try { port.postMessage(message); } catch (e) { portOpen = false; }
+    };
+
+    notifyTab(tabId, { action: 'generation_started', kind: route.kind, stream: true });
+
+    try {
+      const payload = { ...route.buildPayload(msg), stream: true };
+      await addModelSettings(payload, msg.feature || route.feature);
+      const skippedTabs = await addTabSources(payload, msg, tabId);
+      const res = await fetch(`${await getProxyBaseUrl()}${route.path}`, {
+        method: 'POST',
+        headers: await buildProxyHeaders({ 'Accept': 'text/event-stream' }),
+        body: JSON.stringify(payload),
+        signal: controller.signal
+      });
+
+      if (!res.ok) {
+        throw new Error(await describeServerError(res));
+      }
+
+      let fullText = '';
+      let data = null;
+      let streamError = null;
+      await readSseEvents(res.body, ({ event, data: raw }) => {
+        let parsed;
+        try { parsed = JSON.parse(raw); } catch (e) { return; }
+        if (event === 'chunk') {
+          fullText += parsed.text || '';
+          post({ type: 'chunk', text: parsed.text || '' });
+        } else if (event === 'progress') {
+          post({ type: 'progress', ...parsed });
+        } else if (event === 'done') {
+          data = parsed;
+          fullText = parsed.text || fullText;
+        } else if (event === 'error') {
+          streamError = parsed.error || 'stream error';
+        }
+      });
+
+      removeControllerForTab(tabId, controller);
+      if (streamError) throw new Error(streamError);
+
+      data = { ...(data || {}), ok: true, text: fullText, ...(skippedTabs.length ? { skippedTabs } : {}) };
+      notifyTab(tabId, { action: 'generation_finished', ok: true, text: fullText, data, kind: route.kind, stream: true });
+      post({ type: 'done', text: fullText, data });
+    } catch (err) {
+      removeControllerForTab(tabId, controller);
+      const isAbort = err && err.name === 'AbortError';
+      const error = isAbort ? 'Request aborted (tab closed or navigation occurred).' : (err && err.message) || String(err);
+      notifyTab(tabId, { action: 'generation_finished', ok: false, error, kind: route.kind, stream: true });
+      post({ type: 'error', error });
+    }
+  });
+});
+
 // Listen for messages from content scripts or popup
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 
@@ -123,10 +438,8 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       addControllerForTab(tabId, controller);
 
       try {
-        const payload = {
-          pageContext: msg.pageContext || null,
-          length: msg.length || 'medium'
-        };
+        const payload = buildSummarizePayload(msg);
+        await addModelSettings(payload, msg.feature || 'summary');
 
         // notify content script to show "thinking" skeleton
         notifyTab(tabId, { action: 'generation_started', kind: 'summary' });
@@ -136,9 +449,9 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           console.log('Background: summarize_page for', payload.pageContext?.url || '(no-url)', 'length=', payload.length);
         } catch (e) { /* ignore */ }
 
-        const res = await fetch('http://localhost:3000/api/summarize', {
+        const res = await fetch(`${await getProxyBaseUrl()}/api/summarize`, {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: await buildProxyHeaders(),
           body: JSON.stringify(payload),
           signal: controller.signal
         });
@@ -146,11 +459,10 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         removeControllerForTab(tabId, controller);
 
         if (!res.ok) {
-          let bodyText = '<unable to read>';
-          try { bodyText = await res.text(); } catch (e) {}
+          const error = await describeServerError(res);
           // notify finish with error
-          notifyTab(tabId, { action: 'generation_finished', ok: false, error: `Server error ${res.status}: ${bodyText}`, kind: 'summary' });
-          sendResponse({ ok: false, error: `Server error ${res.status}: ${bodyText}` });
+          notifyTab(tabId, { action: 'generation_finished', ok: false, error, kind: 'summary' });
+          sendResponse({ ok: false, error });
           return;
         }
 
@@ -169,7 +481,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     return true; // async
   }
 
-  // 2) LLM request path (existing)
+  // 2) LLM request path (non-streaming fallback; see the 'gemini_stream' port above for streaming)
   if (msg.action === 'query_gemini') {
     (async () => {
       const tabId = sender?.tab?.id; // may be undefined if message came from popup or extension UI
@@ -177,16 +489,9 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       addControllerForTab(tabId, controller);
 
       try {
-        // Package the metadata you sent from the content script.
-        // Include pageContext so the proxy can use it for prompt construction.
-        const payload = {
-          prompt: msg.prompt,
-          selectedText: msg.selectedText,
-          mode: msg.mode || 'general',
-          task: msg.task || null,
-          targetLanguage: msg.targetLanguage || null,
-          pageContext: msg.pageContext || null
-        };
+        const payload = buildGeneratePayload(msg);
+        await addModelSettings(payload, msg.feature || 'chat');
+        const skippedTabs = await addTabSources(payload, msg, tabId);
 
         // Notify content script to show "thinking" skeleton / loading state
         notifyTab(tabId, { action: 'generation_started', kind: 'query' });
@@ -202,10 +507,10 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           console.warn('Background: error logging pageContext', e);
         }
 
-        // Adjust this URL to your actual local proxy or production endpoint
-        const res = await fetch('http://localhost:3000/api/generate', {
+        // Proxy URL is configurable on the options page
+        const res = await fetch(`${await getProxyBaseUrl()}/api/generate`, {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: await buildProxyHeaders(),
           body: JSON.stringify(payload),
           signal: controller.signal
         });
@@ -214,14 +519,14 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         removeControllerForTab(tabId, controller);
 
         if (!res.ok) {
-          let text;
-          try { text = await res.text(); } catch (e) { text = `<failed to read body: ${e.message}>`; }
-          notifyTab(tabId, { action: 'generation_finished', ok: false, error: `Server error ${res.status}: ${text}`, kind: 'query' });
-          sendResponse({ ok: false, error: `Server error ${res.status}: ${text}` });
+          const error = await describeServerError(res);
+          notifyTab(tabId, { action: 'generation_finished', ok: false, error, kind: 'query' });
+          sendResponse({ ok: false, error });
           return;
         }
 
         const data = await res.json();
+        if (skippedTabs.length) data.skippedTabs = skippedTabs;
 
         // Forward the raw data to the content script and also notify finished
         notifyTab(tabId, { action: 'generation_finished', ok: true, data, kind: 'query' });
@@ -238,6 +543,203 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     return true;
   }
 
+  // 2b) Page translation: one batch of text segments -> /api/translate ({ ok, segments, failed })
+  if (msg.action === 'translate_segments') {
+    (async () => {
+      const tabId = sender?.tab?.id;
+      const controller = new AbortController();
+      addControllerForTab(tabId, controller);
+
+      try {
+        const res = await fetch(`${await getProxyBaseUrl()}/api/translate`, {
+          method: 'POST',
+          headers: await buildProxyHeaders(),
+          body: JSON.stringify({
+            segments: msg.segments,
+            targetLanguage: msg.targetLanguage,
+            sourceLanguage: msg.sourceLanguage || undefined,
+            pageContext: msg.pageContext || null,
+            cache: msg.cache || undefined
+          }),
+          signal: controller.signal
+        });
+
+        removeControllerForTab(tabId, controller);
+
+        if (!res.ok) {
+          sendResponse({ ok: false, error: await describeServerError(res) });
+          return;
+        }
+        const data = await res.json();
+        sendResponse({ ok: !!data?.ok, segments: data?.segments, failed: data?.failed || 0, cached: !!data?.cached });
+      } catch (err) {
+        removeControllerForTab(tabId, controller);
+        const isAbort = err && err.name === 'AbortError';
+        sendResponse({ ok: false, error: isAbort ? 'Request aborted' : (err && err.message) || String(err) });
+      }
+    })();
+
+    return true; // async
+  }
+
+  // 2c) Saved chats and summaries (history-store.js); all writes go through here
+  if (msg.action === 'history_append_chat') {
+    appendChatTurns({ threadId: msg.threadId, url: msg.url || sender?.tab?.url, title: msg.title, turns: msg.turns })
+      .then(threadId => sendResponse({ ok: true, threadId }))
+      .catch(err => sendResponse({ ok: false, error: (err && err.message) || String(err) }));
+    return true; // async
+  }
+
+  if (msg.action === 'history_save_summary') {
+    saveSummaryToHistory({ url: msg.url || sender?.tab?.url, title: msg.title, text: msg.text, length: msg.length })
+      .then(id => sendResponse({ ok: true, id }))
+      .catch(err => sendResponse({ ok: false, error: (err && err.message) || String(err) }));
+    return true; // async
+  }
+
+  if (msg.action === 'history_delete' || msg.action === 'history_clear') {
+    const work = msg.action === 'history_clear' ? clearHistory() : deleteHistoryEntries(msg.ids || []);
+    work
+      .then(() => sendResponse({ ok: true }))
+      .catch(err => sendResponse({ ok: false, error: (err && err.message) || String(err) }));
+    return true; // async
+  }
+
+  // 2d) Multi-tab chat: the open tabs the user can add as sources
+  if (msg.action === 'list_tabs') {
+    listSourceTabs(sender?.tab)
+      .then(tabs => sendResponse({ ok: true, tabs }))
+      .catch(err => sendResponse({ ok: false, error: (err && err.message) || String(err) }));
+    return true; // async
+  }
+
+  // 2e) Command palette: current shortcut of every manifest command, and the proxy's task templates
+  if (msg.action === 'list_commands') {
+    chrome.commands.getAll()
+      .then(commands => sendResponse({ ok: true, commands: commands.map(c => ({ name: c.name, description: c.description, shortcut: c.shortcut || '' })) }))
+      .catch(err => sendResponse({ ok: false, error: (err && err.message) || String(err) }));
+    return true; // async
+  }
+
+  if (msg.action === 'list_templates') {
+    (async () => {
+      try {
+        const res = await fetch(`${await getProxyBaseUrl()}/api/templates`, { headers: await buildProxyHeaders(), cache: 'no-store' });
+        if (!res.ok) throw new Error(await describeServerError(res));
+        const body = await res.json();
+        sendResponse({ ok: true, templates: Array.isArray(body?.templates) ? body.templates : [] });
+      } catch (err) {
+        sendResponse({ ok: false, error: (err && err.message) || String(err) });
+      }
+    })();
+    return true; // async
+  }
+
+  // 2f) Model pickers: the models and generation limits the proxy accepts (GET /api/models)
+  if (msg.action === 'list_models') {
+    (async () => {
+      try {
+        const res = await fetch(`${await getProxyBaseUrl()}/api/models`, { headers: await buildProxyHeaders(), cache: 'no-store' });
+        if (!res.ok) throw new Error(await describeServerError(res));
+        const body = await res.json();
+        sendResponse({ ok: true, defaultModel: body.defaultModel, models: Array.isArray(body.models) ? body.models : [], temperature: body.temperature });
+      } catch (err) {
+        sendResponse({ ok: false, error: (err && err.message) || String(err) });
+      }
+    })();
+    return true; // async
+  }
+
+  // 2g) Extract panel (data-extract.js): rows of the page's items for a schema (POST /api/extract)
+  // and the proxy's preset schemas (GET /api/extract/schemas)
+  if (msg.action === 'extract_data') {
+    (async () => {
+      const tabId = sender?.tab?.id;
+      const controller = new AbortController();
+      addControllerForTab(tabId, controller);
+      try {
+        const payload = { pageContext: msg.pageContext || null, schema: msg.schema || null, cache: msg.cache || undefined };
+        await addModelSettings(payload, 'extract');
+        const res = await fetch(`${await getProxyBaseUrl()}/api/extract`, {
+          method: 'POST',
+          headers: await buildProxyHeaders(),
+          body: JSON.stringify(payload),
+          signal: controller.signal
+        });
+        removeControllerForTab(tabId, controller);
+        if (!res.ok) {
+          sendResponse({ ok: false, error: await describeServerError(res) });
+          return;
+        }
+        sendResponse({ ok: true, data: await res.json() });
+      } catch (err) {
+        removeControllerForTab(tabId, controller);
+        const isAbort = err && err.name === 'AbortError';
+        sendResponse({ ok: false, error: isAbort ? 'Request aborted (tab closed or navigation occurred).' : (err && err.message) || String(err) });
+      }
+    })();
+    return true; // async
+  }
+
+  if (msg.action === 'list_extract_schemas') {
+    (async () => {
+      try {
+        const res = await fetch(`${await getProxyBaseUrl()}/api/extract/schemas`, { headers: await buildProxyHeaders(), cache: 'no-store' });
+        if (!res.ok) throw new Error(await describeServerError(res));
+        const body = await res.json();
+        sendResponse({ ok: true, presets: Array.isArray(body.presets) ? body.presets : [], fieldTypes: body.fieldTypes, maxFields: body.maxFields });
+      } catch (err) {
+        sendResponse({ ok: false, error: (err && err.message) || String(err) });
+      }
+    })();
+    return true; // async
+  }
+
+  // 2h) styles.css for the content scripts' shadow root (ui-root.js). Read here because it is not
+  // web-accessible: pages could probe for it and learn the extension is installed.
+  if (msg.action === 'ui_stylesheet') {
+    fetch(chrome.runtime.getURL('styles.css'))
+      .then(res => res.text())
+      .then(css => sendResponse({ ok: true, css }))
+      .catch(err => sendResponse({ ok: false, error: (err && err.message) || String(err) }));
+    return true; // async
+  }
+
+  // 2i) PDF export fonts (pdf-font.js), base64 encoded: sendMessage only carries JSON. Read here
+  // for the same reason as styles.css.
+  if (msg.action === 'pdf_font') {
+    if (!/^fonts\/[\w-]+\.ttf$/.test(msg.file || '')) {
+      sendResponse({ ok: false, error: 'Unknown font file' });
+      return;
+    }
+    fetch(chrome.runtime.getURL(msg.file))
+      .then(res => {
+        if (!res.ok) throw new Error(`${msg.file}: ${res.status}`);
+        return res.arrayBuffer();
+      })
+      .then(buffer => {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        sendResponse({ ok: true, data: btoa(binary) });
+      })
+      .catch(err => sendResponse({ ok: false, error: (err && err.message) || String(err) }));
+    return true; // async
+  }
+
+  if (msg.action === 'open_options') {
+    chrome.tabs.create({ url: chrome.runtime.getURL('options.html') + (msg.section ? `#${encodeURIComponent(msg.section)}` : '') });
+    sendResponse({ ok: true });
+    return;
+  }
+
+  if (msg.action === 'open_history') {
+    const url = chrome.runtime.getURL('history.html') + (msg.query ? `?q=${encodeURIComponent(msg.query)}` : '');
+    chrome.tabs.create({ url });
+    sendResponse({ ok: true });
+    return;
+  }
+
   // 3) Other messages: add handling here if needed
   if (msg.action === 'PING') {
     sendResponse({ ok: true, time: Date.now() });
@@ -0,0 +1,227 @@
+// === command-palette.js ===
+// In-page command palette (loaded before content.js, after shortcuts.js). Opened with the palette
+// hotkey (Ctrl/Cmd+K by default, rebindable on the options page) or the "Open command palette"
+// browser command. Fuzzy-searches every action content.js hands it (see buildPaletteCommands):
+// built-in actions, the saved context-menu actions and the proxy's prompt templates.
+//
+// A command is { id, title, section, hint, shortcut, disabled, run }; `shortcut` is shown as typed
+// by the user's browser (manifest commands) or as formatted by formatShortcut().
+
+const PALETTE_MAX_RESULTS = 50;
+
+// Subsequence match of `query` in `text`. Returns { score, positions } or null; consecutive
+// characters and matches at the start of a word score higher, long texts slightly lower.
+function fuzzyMatch(query, text) {
+  const q = query.toLowerCase().replace(/\s+/g, '');
+  const t = text.toLowerCase();
+  if (!q) return { score: 0, positions: [] };
+
+  const positions = [];
+  let score = 0;
+  let from = 0;
+  for (const ch of q) {
+    const at = t.indexOf(ch, from);
+    if (at === -1) return null;
+    const wordStart = at === 0 || /[\s\-_/:(]/.test(t[at - 1]);
+    const consecutive = positions.length && positions[positions.length - 1] === at - 1;
+    score += 1 + (wordStart ? 6 : 0) + (consecutive ? 4 : 0) - Math.min(at - from, 5) * 0.2;
+    positions.push(at);
+    from = at + 1;
+  }
+  return { score: score - t.length * 0.01, positions };
+}
+
+// Commands matching `query`, best first (all of them in their original order when it's empty)
+function filterPaletteCommands(commands, query) {
+  if (!query.trim()) return commands.map(command => ({ command, positions: [] }));
+  return commands
+    .map(command => {
+      const title = fuzzyMatch(query, command.title);
+      // with several words the section name counts too ("task crit"), ranked below title hits
+      const section = /\s/.test(query.trim()) && command.section && fuzzyMatch(query, `${command.section} ${command.title}`);
+      const best = title || (section && { score: section.score - 3, positions: [] });
+      return best && { command, positions: best.positions, score: best.score };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, PALETTE_MAX_RESULTS);
+}
+
+function appendHighlighted(el, text, positions) {
+  const marked = new Set(positions);
+  let run = '';
+  let runMarked = false;
+  const flush = () => {
+    if (!run) return;
+    if (runMarked) {
+      const mark = document.createElement('mark');
+      mark.textContent = run;
+      el.appendChild(mark);
+    } else {
+      el.appendChild(document.createTextNode(run));
+    }
+    run = '';
+  };
+  text.split('').forEach((ch, i) => {
+    if (marked.has(i) !== runMarked) {
+      flush();
+      runMarked = marked.has(i);
+    }
+    run += ch;
+  });
+  flush();
+}
+
+function closeCommandPalette() {
+  const existing = getUiElement('gai-command-palette');
+  if (existing) existing.remove();
+  removeOverlay('gai-palette-overlay');
+}
+
+function isCommandPaletteOpen() {
+  return !!getUiElement('gai-command-palette');
+}
+
+// `commands` may be a promise: the palette opens right away and fills in once it resolves
+function openCommandPalette(commands) {
+  closeCommandPalette();
+  // focusing the palette input clears the page selection; it is put back when the palette closes
+  const previousFocus = uiActiveElement();
+  const selection = window.getSelection && window.getSelection();
+  const previousRange = selection && selection.rangeCount ? selection.getRangeAt(0).cloneRange() : null;
+  createOverlay('gai-palette-overlay', () => close());
+
+  const palette = document.createElement('div');
+  palette.id = 'gai-command-palette';
+  palette.setAttribute('role', 'dialog');
+  palette.setAttribute('aria-label', 'Browzie commands');
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'gai-palette-input';
+  input.placeholder = 'Type a command…';
+  input.spellcheck = false;
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-expanded', 'true');
+  input.setAttribute('aria-controls', 'gai-palette-list');
+
+  const list = document.createElement('div');
+  list.id = 'gai-palette-list';
+  list.className = 'gai-palette-list';
+  list.setAttribute('role', 'listbox');
+
+  palette.appendChild(input);
+  palette.appendChild(list);
+  mountUi(palette);
+  input.focus();
+
+  let all = [];
+  let shown = [];
+  let active = 0;
+
+  const close = () => {
+    closeCommandPalette();
+    if (previousFocus && previousFocus.isConnected && typeof previousFocus.focus === 'function') previousFocus.focus();
+    if (previousRange && !previousRange.collapsed) {
+      selection.removeAllRanges();
+      selection.addRange(previousRange);
+    }
+  };
+
+  const run = (command) => {
+    if (!command || command.disabled) return;
+    close();
+    try {
+      Promise.resolve(command.run()).catch(err => console.error(`Command "${command.id}" failed`, err));
+    } catch (err) {
+      console.error(`Command "${command.id}" failed`, err);
+    }
+  };
+
+  function setActive(index) {
+    const rows = list.querySelectorAll('.gai-palette-item');
+    if (!rows.length) return;
+    active = (index + rows.length) % rows.length;
+    rows.forEach((row, i) => row.setAttribute('aria-selected', String(i === active)));
+    input.setAttribute('aria-activedescendant', rows[active].id);
+    rows[active].scrollIntoView({ block: 'nearest' });
+  }
+
+  function render() {
+    shown = filterPaletteCommands(all, input.value);
+    list.replaceChildren();
+    if (!shown.length) {
+      const empty = document.createElement('div');
+      empty.className = 'gai-palette-empty';
+      empty.textContent = all.length ? 'No matching commands' : 'Loading…';
+      list.appendChild(empty);
+      return;
+    }
+    let section = null;
+    shown.forEach(({ command, positions }, i) => {
+      // section headings only make sense in the unfiltered (grouped) list
+      if (!input.value.trim() && command.section && command.section !== section) {
+        section = command.section;
+        const head = document.createElement('div');
+        head.className = 'gai-palette-section';
+        head.textContent = section;
+        list.appendChild(head);
+      }
+      const row = document.createElement('div');
+      row.id = `gai-palette-item-${i}`;
+      row.className = 'gai-palette-item';
+      row.setAttribute('role', 'option');
+      if (command.disabled) row.setAttribute('aria-disabled', 'true');
+      const title = document.createElement('span');
+      title.className = 'gai-palette-title';
+      appendHighlighted(title, command.title, positions);
+      row.appendChild(title);
+      if (command.hint) {
+        const hint = document.createElement('span');
+        hint.className = 'gai-palette-hint';
+        hint.textContent = command.hint;
+        row.appendChild(hint);
+      }
+      if (command.shortcut) {
+        const kbd = document.createElement('kbd');
+        kbd.className = 'gai-palette-shortcut';
+        kbd.textContent = command.shortcut;
+        row.appendChild(kbd);
+      }
+      row.addEventListener('mousemove', () => { if (active !== i) setActive(i); });
+      row.addEventListener('click', () => run(command));
+      list.appendChild(row);
+    });
+    setActive(0);
+  }
+
+  input.addEventListener('input', render);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || (e.key === 'n' && e.ctrlKey)) {
+      e.preventDefault();
+      setActive(active + 1);
+    } else if (e.key === 'ArrowUp' || (e.key === 'p' && e.ctrlKey)) {
+      e.preventDefault();
+      setActive(active - 1);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (shown[active]) run(shown[active].command);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      close();
+    }
+    // keep the page's own shortcuts out of the palette while typing
+    e.stopPropagation();
+  });
+
+  render();
+  Promise.resolve(commands).then(loaded => {
+    if (!palette.isConnected) return;
+    all = loaded || [];
+    render();
+  }).catch(err => {
+    console.error('Could not load commands', err);
+    list.textContent = 'Could not load commands.';
+  });
+  return palette;
+}
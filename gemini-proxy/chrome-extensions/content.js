@@ -20,6 +20,7 @@ function getHeadings(limit = 10) {
   return heads;
 }
 
+// Fallback extractor: every visible text node of 30+ characters, in DOM order.
 function extractMainText(maxChars = 60000) {
   function isVisible(el) {
     if (!el) return false;
@@ -57,6 +58,40 @@ function extractMainText(maxChars = 60000) {
   return buffer;
 }
 
+// Main content with the strategy that produced it: the content-scoring extractor from
+// readability.js first, then the plain text walker above.
+function extractMainContent(maxChars = 60000) {
+  try {
+    const readable = extractReadableText(maxChars);
+    if (readable) return { text: readable.text, strategy: 'readability', element: readable.element };
+  } catch (e) {
+    console.warn('Readability extraction failed, falling back to text walker', e);
+  }
+  return { text: extractMainText(maxChars), strategy: 'text-walker', element: null };
+}
+
+// Structured Markdown of the main content (tables, lists, code, image alt text) via page-markdown.js.
+// Returns '' when serialization fails so callers can rely on the flat text instead.
+function extractMainMarkdown(root, maxChars = 60000) {
+  try {
+    return serializeToMarkdown(root || document.body, maxChars);
+  } catch (e) {
+    console.warn('Markdown serialization failed', e);
+    return '';
+  }
+}
+
+// Long-document text for map-reduce summaries: Markdown (or plain blocks) separated by blank lines,
+// with headings marked as `#`..`######` so the server can split on section boundaries.
+function extractFullText(maxChars = 480000) {
+  let root = null;
+  try { root = findMainContentElement(); } catch (e) { root = null; }
+  let text = extractMainMarkdown(root, maxChars);
+  if (text.length < 300) text = collectBlockText(root || document.body, maxChars);
+  if (text.length < 300) text = (document.body.innerText || '').trim().slice(0, maxChars);
+  return text;
+}
+
 function getTopLinks(limit = 8) {
   const links = [];
   const seen = new Set();
@@ -70,22 +105,42 @@ function getTopLinks(limit = 8) {
   return links;
 }
 
-function getPageContext() {
+const MAIN_TEXT_CHARS = 25000; // page text budget for mainTextSnippet
+
+// options.includeFullText: also attach `fullText` when the page is longer than the snippet,
+// so the server can summarize the whole document in chunks.
+// options.passages: numbered passages from collectPagePassages() for citation mode.
+function getPageContext(options = {}) {
+  // the site rules are checked before anything on the page is read (see the site rules section below)
+  if (!pageAccessAllowed()) throw new Error('Browzie is turned off on this site.');
   const selectedText = (window.getSelection && window.getSelection().toString()) || '';
   const title = (document.title || '').trim();
   const url = location.href;
   const metaDescription = getMetaContent('description') || getMetaContent('og:description') || '';
   const publishedDate = getMetaContent('article:published_time') || getMetaContent('og:updated_time') || '';
   const headings = getHeadings(8);
-  const mainTextSnippet = extractMainText(25000);
+  const { text: mainTextSnippet, strategy: extractionStrategy, element: mainElement } = extractMainContent(MAIN_TEXT_CHARS);
+  const mainContentMarkdown = extractMainMarkdown(mainElement, MAIN_TEXT_CHARS);
   const topLinks = getTopLinks(6);
   const words = mainTextSnippet ? mainTextSnippet.split(/\s+/).length : 0;
 
-  return {
+  const context = {
     title, url, metaDescription, publishedDate,
     headings, topLinks, wordCount: words,
-    mainTextSnippet, selectedText
+    mainTextSnippet, mainContentMarkdown, selectedText, extractionStrategy
   };
+
+  if (options.passages && options.passages.length) context.passages = passagesPayload(options.passages);
+
+  if (options.includeFullText) {
+    const fullText = extractFullText();
+    if (fullText.length > MAIN_TEXT_CHARS) {
+      context.fullText = fullText;
+      context.wordCount = fullText.split(/\s+/).length;
+    }
+  }
+
+  return context;
 }
 
 // ---------- Utility: produce suggestions for a selected word ----------
@@ -196,7 +251,7 @@ function renderSuggestions(container, suggestions, inputElement, sendCallback) {
 
 // ---------- Prompt box (draggable + responsive + animated) ----------
 function removeExistingBox() {
-  const ex = document.getElementById('gai-ai-prompt-box');
+  const ex = getUiElement('gai-ai-prompt-box');
   if (ex) ex.remove();
   removeOverlay('gai-prompt-overlay');
 }
@@ -213,7 +268,64 @@ function createPromptBoxFromSelectionRect(selRect, selectedText) {
   left = Math.max(8, Math.min(left, vw - 488));
   top = Math.max(8, Math.min(top, vh - 120));
 
-  createPromptBox(left, top, selectedText);
+  return createPromptBox(left, top, selectedText);
+}
+
+// Open the prompt box next to the current selection (top-left corner if there is none)
+function openPromptBoxForSelection(selectedText) {
+  let rect = null;
+  try {
+    const range = window.getSelection && window.getSelection().rangeCount ? window.getSelection().getRangeAt(0) : null;
+    if (range) rect = range.getBoundingClientRect();
+  } catch (e) { rect = null; }
+  if (!rect) return createPromptBox(100, 100, selectedText);
+  return createPromptBoxFromSelectionRect(rect, selectedText);
+}
+
+// Stream a query_gemini answer into a prompt box result area (rendered as sanitized Markdown)
+function streamIntoPromptResult(result, message, pendingText = 'Sending…') {
+  result.style.display = 'block';
+  setPlainText(result, pendingText);
+
+  let streamed = '';
+  streamGeminiQuery(message, {
+    onProgress: (p) => {
+      const note = describeRetryProgress(p);
+      if (note && !streamed) setPlainText(result, note);
+    },
+    onChunk: (delta) => {
+      streamed += delta;
+      scheduleMarkdownRender(result, streamed);
+      result.scrollTop = result.scrollHeight;
+    },
+    onDone: (text) => {
+      renderMarkdownInto(result, text || streamed);
+      appendCopyAction(result);
+    },
+    onError: (error) => { setPlainText(result, 'Error: ' + (error || 'unknown error')); }
+  });
+}
+
+// Run a context-menu action (see context-actions.js) on the selection right away;
+// the answer shows up in the prompt box, which stays open for follow-up questions.
+async function runContextAction(contextAction, selectedText) {
+  const selected = selectedText || (window.getSelection && window.getSelection().toString()) || '';
+  const box = openPromptBoxForSelection(selected);
+  const result = box.querySelector('#gai-result');
+
+  let targetLanguage = contextAction.targetLanguage || undefined;
+  if (targetLanguage === 'auto') {
+    const { translateTargetLanguage } = await chrome.storage.sync.get({ translateTargetLanguage: '' });
+    targetLanguage = translateTargetLanguage || browserLanguageName();
+  }
+  // the generic template only sees the request, so the selection goes into the prompt itself
+  const task = contextAction.task || 'general';
+  const instruction = contextAction.prompt || contextAction.title;
+  const prompt = task === 'general' ? `${instruction}\n\n"${selected}"` : instruction;
+
+  streamIntoPromptResult(result, {
+    action: 'query_gemini', feature: 'actions', task, prompt, selectedText: selected, targetLanguage, pageContext: getPageContext()
+  }, `${contextAction.title}…`);
 }
 
 function createPromptBox(x, y, selectedText) {
@@ -344,7 +456,7 @@ function createPromptBox(x, y, selectedText) {
   body.appendChild(inputRow);
   body.appendChild(result);
   box.appendChild(body);
-  document.body.appendChild(box);
+  mountUi(box);
 
   // Populate suggestions based on selectedText
   try {
@@ -410,22 +522,12 @@ function createPromptBox(x, y, selectedText) {
     }
 
     const pageContext = getPageContext();
-    result.style.display = 'block';
-    result.innerText = 'Sending…';
-
-    chrome.runtime.sendMessage({ action: 'query_gemini', prompt, selectedText: selected, pageContext }, (resp) => {
-      if (!resp) {
-        result.innerText = 'No response (messaging error)';
-        return;
-      }
-      if (!resp.ok) {
-        result.innerText = 'Error: ' + (resp.error || 'unknown error');
-        return;
-      }
-      const text = resp.data?.data?.text || resp.data?.text || (typeof resp.data === 'string' ? resp.data : JSON.stringify(resp.data));
-      result.innerText = text;
-    });
+    // "translate to X" with a selection uses the proxy's translate template
+    const translateTask = tl && selected ? { task: 'translate', targetLanguage: tl } : {};
+    streamIntoPromptResult(result, { action: 'query_gemini', feature: 'chat', prompt, selectedText: selected, pageContext, ...translateTask });
   });
+
+  return box;
 }
 
 // draggable utility
@@ -499,8 +601,11 @@ function makeElementDraggable(el, handle) {
 // ---------- Floating widget + improved inner icons (left of main) ----------
 const DEFAULT_THEME = '#2dd4bf';
 
+let leftIconsDismissBound = false;
+const leftIconsDismissRoots = new WeakSet(); // UI roots that already close the icons on a click
+
 function ensureFloatingWidget() {
-  if (document.getElementById('gai-floating-widget')) return;
+  if (getUiElement('gai-floating-widget')) return;
 
   const mainBtn = document.createElement('div');
   mainBtn.id = 'gai-floating-widget';
@@ -601,30 +706,43 @@ function ensureFloatingWidget() {
     onClick: () => { toggleSummaryPanel(); hideLeftIcons(); }
   });
 
+  const translateIcon = makeIcon({
+    id: 'gai-icon-translate',
+    titleText: 'Translate page',
+    bg: 'linear-gradient(180deg,#2a1f45,#372a5c)',
+    svgInner: `<svg width="24" height="24" viewBox="0 0 24 24" aria-hidden="true">
+      <path d="M4 5h9M8.5 3v2M6 5c.8 3 2.8 5.5 5.5 7M11 5c-.8 3.2-3 6-6.5 7.5M13 20l4-9 4 9M14.5 17h5" stroke="#a6fff0" stroke-width="1.6" stroke-linecap="round" stroke-linejoin="round" fill="none"/>
+    </svg>`,
+    onClick: () => { togglePageTranslation(); hideLeftIcons(); }
+  });
+
+  const extractIcon = makeIcon({
+    id: 'gai-icon-extract',
+    titleText: 'Extract data',
+    bg: 'linear-gradient(180deg,#3a2a05,#463307)',
+    svgInner: `<svg width="24" height="24" viewBox="0 0 24 24" aria-hidden="true">
+      <path d="M4 5h16v14H4zM4 10h16M4 14.5h16M10 5v14" stroke="#a6fff0" stroke-width="1.6" stroke-linejoin="round" fill="none"/>
+    </svg>`,
+    onClick: () => { toggleExtractPanel(); hideLeftIcons(); }
+  });
+
   leftIcons.appendChild(chatIcon);
   leftIcons.appendChild(summaryIcon);
+  leftIcons.appendChild(translateIcon);
+  leftIcons.appendChild(extractIcon);
 
-  document.body.appendChild(leftIcons);
-  document.body.appendChild(mainBtn);
+  mountUi(leftIcons);
+  mountUi(mainBtn);
 
   // overlay for left icons for nicer UX & to catch outside clicks
   function showLeftIcons() {
-    const li = document.getElementById('gai-floating-left-icons');
+    const li = getUiElement('gai-floating-left-icons');
     if (!li) return;
     createOverlay('gai-lefticons-overlay', () => { hideLeftIcons(); });
     li.style.display = 'flex';
     li.classList.remove('gai-lefticons-hide');
     li.classList.add('gai-lefticons-show');
   }
-  function hideLeftIcons() {
-    const li = document.getElementById('gai-floating-left-icons');
-    if (!li) return;
-    li.classList.remove('gai-lefticons-show');
-    li.classList.add('gai-lefticons-hide');
-    // allow animation to finish then hide
-    setTimeout(() => { li.style.display = 'none'; }, 220);
-    removeOverlay('gai-lefticons-overlay');
-  }
 
   mainBtn.addEventListener('click', (e) => {
     e.stopPropagation();
@@ -633,23 +751,42 @@ function ensureFloatingWidget() {
     else showLeftIcons();
   });
 
-  // close on global click or Esc
-  document.addEventListener('click', (ev) => {
-    const target = ev.target;
-    if (!target) return;
-    if (target === mainBtn || mainBtn.contains(target) || leftIcons.contains(target)) return;
-    hideLeftIcons();
-  });
+  // close on global click or Esc. The document listeners are added once per page; the widget and
+  // the UI root are rebuilt when site rules change, so everything is looked up per click. The
+  // shadow root is closed and the document only sees clicks in it as clicks on the host: those are
+  // checked by a listener on the root, which sees the full path.
+  if (!leftIconsDismissBound) {
+    leftIconsDismissBound = true;
+    document.addEventListener('click', (ev) => {
+      if (!(ev.target instanceof Element && ev.target.id === UI_HOST_ID)) hideLeftIcons();
+    });
+    window.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') hideLeftIcons();
+    });
+  }
+  const uiRoot = getUiRoot();
+  if (!leftIconsDismissRoots.has(uiRoot)) {
+    leftIconsDismissRoots.add(uiRoot);
+    uiRoot.addEventListener('click', (ev) => {
+      const inWidget = ev.composedPath().some(node => node.id === 'gai-floating-widget' || node.id === 'gai-floating-left-icons');
+      if (!inWidget) hideLeftIcons();
+    });
+  }
+}
 
-  // close on Esc
-  window.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape') hideLeftIcons();
-  });
+function hideLeftIcons() {
+  const li = getUiElement('gai-floating-left-icons');
+  if (!li) return;
+  li.classList.remove('gai-lefticons-show');
+  li.classList.add('gai-lefticons-hide');
+  // allow animation to finish then hide
+  setTimeout(() => { li.style.display = 'none'; }, 220);
+  removeOverlay('gai-lefticons-overlay');
 }
 
 // ---------- Chat & Summary UI (unchanged behavior, nicer design touches) ----------
 function toggleRightChatBox() {
-  const existing = document.getElementById('gai-right-chat');
+  const existing = getUiElement('gai-right-chat');
   if (existing) {
     existing.remove();
     return;
@@ -657,8 +794,40 @@ function toggleRightChatBox() {
   openRightChatBox();
 }
 
+// ---------- Citation mode toggle (chat header and summary panel; setting: storage.sync.citationMode) ----------
+function createCitationToggle(style) {
+  const btn = document.createElement('button');
+  btn.className = 'gai-cite-toggle';
+  btn.textContent = 'Cite';
+  btn.title = 'Citation mode: answers cite numbered passages of this page';
+  Object.assign(btn.style, style);
+  const show = (on) => {
+    btn.setAttribute('aria-pressed', String(!!on));
+    btn.style.color = on ? '#a6fff0' : '#9aa1a6';
+    btn.style.background = on ? 'rgba(45,212,191,0.15)' : 'transparent';
+  };
+  show(false);
+  chrome.storage.sync.get({ citationMode: false }, ({ citationMode }) => show(citationMode));
+  btn.addEventListener('click', () => {
+    const on = !isCitationModeOn(btn);
+    show(on);
+    chrome.storage.sync.set({ citationMode: on });
+  });
+  // keep every open toggle in step with the setting
+  const onChanged = (changes, area) => {
+    if (!btn.isConnected) return chrome.storage.onChanged.removeListener(onChanged);
+    if (area === 'sync' && changes.citationMode) show(changes.citationMode.newValue);
+  };
+  chrome.storage.onChanged.addListener(onChanged);
+  return btn;
+}
+
+function isCitationModeOn(toggle) {
+  return toggle.getAttribute('aria-pressed') === 'true';
+}
+
 function openRightChatBox() {
-  const prev = document.getElementById('gai-right-chat');
+  const prev = getUiElement('gai-right-chat');
   if (prev) prev.remove();
 
   const cont = document.createElement('div');
@@ -698,10 +867,66 @@ function openRightChatBox() {
   const closeBtn = document.createElement('button');
   closeBtn.innerText = '✕';
   Object.assign(closeBtn.style, { background: 'transparent', border: 'none', color: '#e6eef2', cursor: 'pointer' });
+  const headerLinkStyle = { background: 'transparent', border: 'none', color: '#9aa1a6', cursor: 'pointer', fontSize: '12px', padding: '2px 6px' };
+  const newChatBtn = document.createElement('button');
+  newChatBtn.id = 'gai-chat-new';
+  newChatBtn.textContent = 'New chat';
+  newChatBtn.title = 'Start a new conversation (the current one stays in History)';
+  Object.assign(newChatBtn.style, headerLinkStyle);
+  const historyBtn = document.createElement('button');
+  historyBtn.id = 'gai-chat-history';
+  historyBtn.textContent = 'History';
+  historyBtn.title = 'Saved chats and summaries';
+  Object.assign(historyBtn.style, headerLinkStyle);
+  const tabsBtn = document.createElement('button');
+  tabsBtn.id = 'gai-chat-tabs';
+  tabsBtn.textContent = 'Tabs';
+  tabsBtn.title = 'Ask across several open tabs';
+  tabsBtn.setAttribute('aria-expanded', 'false');
+  Object.assign(tabsBtn.style, headerLinkStyle);
+  const modelBtn = document.createElement('button');
+  modelBtn.id = 'gai-chat-model';
+  modelBtn.textContent = 'Model';
+  modelBtn.setAttribute('aria-expanded', 'false');
+  Object.assign(modelBtn.style, headerLinkStyle);
+  const citeBtn = createCitationToggle(headerLinkStyle);
+  const headerActions = document.createElement('div');
+  Object.assign(headerActions.style, { display: 'flex', alignItems: 'center', gap: '4px' });
+  headerActions.appendChild(tabsBtn);
+  headerActions.appendChild(modelBtn);
+  headerActions.appendChild(citeBtn);
+  headerActions.appendChild(newChatBtn);
+  headerActions.appendChild(historyBtn);
+  headerActions.appendChild(closeBtn);
   header.appendChild(title);
-  header.appendChild(closeBtn);
+  header.appendChild(headerActions);
   cont.appendChild(header);
 
+  // multi-tab mode: the picked tabs are read by background.js and answered from together
+  const defaultPlaceholder = "Ask or type 'Summarize' or 'Translate to French'...";
+  const tabPicker = createTabPicker({
+    onChange: (count) => {
+      tabsBtn.textContent = count ? `Tabs (${count + 1})` : 'Tabs';
+      tabsBtn.style.color = count ? '#a6fff0' : '#9aa1a6';
+      input.placeholder = count ? `Ask across ${count + 1} tabs…` : defaultPlaceholder;
+    },
+    onCompare: () => {
+      tabPicker.close();
+      tabsBtn.setAttribute('aria-expanded', 'false');
+      const focus = input.value.trim();
+      input.value = '';
+      ask(focus ? `Compare these pages: ${focus}` : 'Compare these pages', { task: 'compare', prompt: focus || 'Compare these pages.' });
+    }
+  });
+  cont.appendChild(tabPicker.element);
+
+  // model and generation settings for chat (and the prompt box), saved as the 'chat' feature
+  const modelPicker = createModelPicker({
+    feature: 'chat',
+    onChange: (settings, catalog) => showModelChoice(modelBtn, settings, catalog)
+  });
+  cont.appendChild(modelPicker.element);
+
   const chatArea = document.createElement('div');
   chatArea.id = 'gai-right-chat-area';
   Object.assign(chatArea.style, {
@@ -730,7 +955,7 @@ function openRightChatBox() {
   const input = document.createElement('input');
   input.type = 'text';
   input.id = 'gai-right-input';
-  input.placeholder = "Ask or type 'Summarize' or 'Translate to French'...";
+  input.placeholder = defaultPlaceholder;
   Object.assign(input.style, {
     flex: '1', padding: '10px', borderRadius: '8px', border: '1px solid rgba(255,255,255,0.04)',
     background: '#0b0d0f', color: '#e6eef2', fontSize: '13px', boxSizing: 'border-box'
@@ -761,39 +986,127 @@ function openRightChatBox() {
 
   closeBtn.addEventListener('click', () => cont.remove());
 
+  // Conversation so far, sent with every request so follow-ups keep their context.
+  // Turns are only recorded once the model has answered: [{ role: 'user'|'model', text }]
+  const history = [];
+  // Saved thread for this page (history-store.js); null until the first answer is saved
+  let threadId = null;
+
+  // Reopening chat on a page picks up the last conversation held there
+  findLatestChat(location.href).then(entry => {
+    if (!entry || !entry.messages.length || history.length || threadId || !cont.isConnected) return;
+    threadId = entry.id;
+    const notice = document.createElement('div');
+    notice.className = 'gai-chat-restored';
+    notice.textContent = `Conversation from ${new Date(entry.updatedAt).toLocaleString()}`;
+    Object.assign(notice.style, { alignSelf: 'center', color: '#9aa1a6', fontSize: '11px' });
+    chatArea.appendChild(notice);
+    let passages = null; // collected once, only if a restored answer has citations
+    entry.messages.forEach(m => {
+      const bubble = appendRightMessage(m.role === 'user' ? m.text : '', m.role === 'user');
+      if (m.role !== 'user') {
+        renderMarkdownInto(bubble, m.text);
+        if (hasCitationMarkers(m.text)) linkCitations(bubble, passages || (passages = collectPagePassages()));
+        appendCopyAction(bubble);
+      }
+      history.push({ role: m.role, text: m.text });
+    });
+    scrollChatToBottom();
+  }).catch(err => console.warn('Could not restore chat history', err));
+
+  // Saves run one at a time so a new thread gets its id before the next answer is appended to it
+  let pendingSave = Promise.resolve();
+  let conversation = 0; // bumped by "New chat" so a late reply can't reattach the old thread
+  function saveTurns(turns) {
+    const current = conversation;
+    pendingSave = pendingSave.then(() => new Promise(resolve => {
+      if (current !== conversation) return resolve();
+      chrome.runtime.sendMessage({ action: 'history_append_chat', threadId, url: location.href, title: document.title, turns }, (resp) => {
+        if (!chrome.runtime.lastError && resp && resp.ok && current === conversation) threadId = resp.threadId;
+        resolve();
+      });
+    }));
+  }
+
+  newChatBtn.addEventListener('click', () => {
+    conversation++;
+    history.length = 0;
+    threadId = null;
+    chatArea.replaceChildren();
+    input.focus();
+  });
+  historyBtn.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'open_history', query: location.hostname });
+  });
+  // one picker open at a time
+  tabsBtn.addEventListener('click', () => {
+    modelPicker.close();
+    modelBtn.setAttribute('aria-expanded', 'false');
+    tabsBtn.setAttribute('aria-expanded', String(tabPicker.toggle()));
+  });
+  modelBtn.addEventListener('click', () => {
+    tabPicker.close();
+    tabsBtn.setAttribute('aria-expanded', 'false');
+    modelBtn.setAttribute('aria-expanded', String(modelPicker.toggle()));
+  });
+
   sendBtn.addEventListener('click', () => {
     const txt = input.value.trim();
     if (!txt) return;
-    appendRightMessage(txt, true);
     input.value = '';
-    appendRightMessage('…thinking', false);
+    ask(txt);
+  });
+
+  // options.task / options.prompt: run a specific task ("Compare these pages") instead of the typed question
+  function ask(txt, options = {}) {
+    appendRightMessage(txt, true);
+    const placeholder = appendRightMessage('…thinking', false);
     const selected = (window.getSelection && window.getSelection().toString()) || '';
-    const pageContext = getPageContext();
-    const tl = parseTargetLanguage(txt);
-    let prompt = txt;
-    if (!txt) prompt = selected ? `Explain: "${selected}"` : 'Explain the highlighted text.';
+    const tl = options.task ? null : parseTargetLanguage(txt);
+    let prompt = options.prompt || txt;
+    if (!prompt) prompt = selected ? `Explain: "${selected}"` : 'Explain the highlighted text.';
     else if (tl && selected) prompt = `Translate the following text to ${tl}:\n\n"${selected}"`;
     else if (tl && !selected) prompt = `Translate to ${tl}:`;
 
-    chrome.runtime.sendMessage({ action: 'query_gemini', prompt, selectedText: selected, pageContext }, (resp) => {
-      const area = document.getElementById('gai-right-chat-area');
-      const children = area ? Array.from(area.children) : [];
-      if (children.length) {
-        const last = children[children.length - 1];
-        if (last && last.dataset && last.dataset.role === 'bot-placeholder') last.remove();
-      }
-      if (!resp) {
-        appendRightMessage('No response (messaging error)', false);
-        return;
+    // the placeholder bubble turns into the answer bubble once the first chunk arrives
+    const bubble = placeholder;
+    let streamed = '';
+    const priorTurns = history.slice();
+    const taskOptions = options.task ? { task: options.task } : (tl && selected ? { task: 'translate', targetLanguage: tl } : {});
+    const sourceTabIds = taskOptions.task === 'translate' ? [] : tabPicker.pickedTabIds();
+    // citation mode (single page only): the page goes out as numbered passages the answer can point back to
+    const passages = isCitationModeOn(citeBtn) && !taskOptions.task && !sourceTabIds.length ? collectPagePassages() : null;
+    const pageContext = getPageContext({ passages });
+    const citations = !!(passages && passages.length);
+    streamGeminiQuery({ action: 'query_gemini', feature: 'chat', prompt, selectedText: selected, pageContext, history: priorTurns, citations, sourceTabIds, ...taskOptions }, {
+      onProgress: (p) => {
+        const note = describeRetryProgress(p);
+        if (note && !streamed) setPlainText(bubble, note);
+      },
+      onChunk: (delta) => {
+        streamed += delta;
+        delete bubble.dataset.role;
+        scheduleMarkdownRender(bubble, streamed);
+        scrollChatToBottom();
+      },
+      onDone: (text, data) => {
+        delete bubble.dataset.role;
+        renderMarkdownInto(bubble, text || streamed);
+        if (data && data.citations) applyCitations(bubble, passages);
+        appendTabSourcesNote(bubble, data);
+        appendCopyAction(bubble);
+        appendUsageBadge(bubble, data);
+        scrollChatToBottom();
+        history.push({ role: 'user', text: prompt }, { role: 'model', text: text || streamed });
+        saveTurns([{ role: 'user', text: txt }, { role: 'model', text: text || streamed }]);
+      },
+      onError: (error) => {
+        delete bubble.dataset.role;
+        setPlainText(bubble, 'Error: ' + (error || 'unknown'));
+        scrollChatToBottom();
       }
-      if (!resp.ok) {
-        appendRightMessage('Error: ' + (resp.error || 'unknown'), false);
-        return;
-      }
-      const text = resp.data?.text || resp.data?.data?.text || JSON.stringify(resp.data);
-      appendRightMessage(text, false);
     });
-  });
+  }
 
   input.addEventListener('keydown', (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
@@ -803,7 +1116,7 @@ function openRightChatBox() {
   });
 
   function appendRightMessage(text, isUser) {
-    const area = document.getElementById('gai-right-chat-area');
+    const area = getUiElement('gai-right-chat-area');
     if (!area) return;
     const m = document.createElement('div');
     m.className = 'gai-msg ' + (isUser ? 'user' : 'bot');
@@ -822,14 +1135,20 @@ function openRightChatBox() {
     m.textContent = text;
     area.appendChild(m);
     area.scrollTop = area.scrollHeight;
+    return m;
   }
 
-  document.body.appendChild(cont);
+  function scrollChatToBottom() {
+    const area = getUiElement('gai-right-chat-area');
+    if (area) area.scrollTop = area.scrollHeight;
+  }
+
+  mountUi(cont);
 }
 
 // ---------- Summary panel (behavior preserved; improved styling) ----------
 function toggleSummaryPanel() {
-  const existing = document.getElementById('gai-summary-panel');
+  const existing = getUiElement('gai-summary-panel');
   if (existing) {
     existing.remove();
     return;
@@ -837,8 +1156,9 @@ function toggleSummaryPanel() {
   openSummaryPanel();
 }
 
-function openSummaryPanel() {
-  const prev = document.getElementById('gai-summary-panel');
+// options.autoRun: start summarizing right away (keyboard shortcut / command palette)
+function openSummaryPanel({ autoRun = false } = {}) {
+  const prev = getUiElement('gai-summary-panel');
   if (prev) prev.remove();
 
   const panel = document.createElement('div');
@@ -874,89 +1194,237 @@ function openSummaryPanel() {
     const o = document.createElement('option'); o.value = ['short','medium','long'][i]; o.text = t; lengthSelect.appendChild(o);
   });
   Object.assign(lengthSelect.style, { flex: '1', padding: '8px', borderRadius: '8px', background: '#0b0d0f', color: '#e6eef2', border: '1px solid rgba(255,255,255,0.04)' });
+  lengthSelect.value = 'medium';
+  // preselect the default length chosen on the options page
+  chrome.storage.sync.get({ defaultSummaryLength: 'medium' }, ({ defaultSummaryLength }) => {
+    lengthSelect.value = defaultSummaryLength;
+    if (autoRun && panel.isConnected) runSummary();
+  });
   const genBtn = document.createElement('button');
   genBtn.id = 'gai-generate-summary';
   genBtn.textContent = 'Generate';
   Object.assign(genBtn.style, { padding: '8px 10px', borderRadius: '8px', border: '0', cursor: 'pointer', background: 'linear-gradient(90deg,#2dd4bf,#22c1c3)', color: '#041014', fontWeight: '600' });
+  const citeToggle = createCitationToggle({ padding: '8px 10px', borderRadius: '8px', border: '1px solid rgba(255,255,255,0.08)', background: 'transparent', cursor: 'pointer', fontSize: '12px' });
+  const modelToggle = document.createElement('button');
+  modelToggle.id = 'gai-summary-model';
+  modelToggle.textContent = 'Model';
+  modelToggle.setAttribute('aria-expanded', 'false');
+  Object.assign(modelToggle.style, { padding: '8px 10px', borderRadius: '8px', border: '1px solid rgba(255,255,255,0.08)', background: 'transparent', color: '#9aa1a6', cursor: 'pointer', fontSize: '12px', maxWidth: '96px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' });
   opts.appendChild(lengthSelect);
+  opts.appendChild(modelToggle);
+  opts.appendChild(citeToggle);
   opts.appendChild(genBtn);
   panel.appendChild(opts);
 
+  const modelPicker = createModelPicker({
+    feature: 'summary',
+    onChange: (settings, catalog) => showModelChoice(modelToggle, settings, catalog)
+  });
+  modelToggle.addEventListener('click', () => {
+    modelToggle.setAttribute('aria-expanded', String(modelPicker.toggle()));
+  });
+  panel.appendChild(modelPicker.element);
+
   const resArea = document.createElement('div');
   resArea.id = 'gai-summary-result';
   Object.assign(resArea.style, { flex: '1', overflow: 'auto', background: '#071015', border: '1px solid rgba(255,255,255,0.03)', borderRadius: '8px', padding: '10px', whiteSpace: 'pre-wrap', lineHeight: '1.4' });
   panel.appendChild(resArea);
 
+  // cache status + regenerate (bypasses the proxy's response cache)
+  const statusRow = document.createElement('div');
+  statusRow.id = 'gai-summary-status';
+  Object.assign(statusRow.style, { display: 'none', justifyContent: 'space-between', alignItems: 'center', marginTop: '6px', fontSize: '12px', color: '#9aa1a6' });
+  const statusText = document.createElement('span');
+  const regenBtn = document.createElement('button');
+  regenBtn.id = 'gai-regenerate-summary';
+  regenBtn.textContent = 'Regenerate';
+  regenBtn.title = 'Ignore the cached summary and ask the model again';
+  Object.assign(regenBtn.style, { padding: '4px 8px', borderRadius: '6px', border: '1px solid rgba(255,255,255,0.08)', cursor: 'pointer', background: 'transparent', color: '#a6fff0', fontSize: '12px' });
+  statusRow.appendChild(statusText);
+  statusRow.appendChild(regenBtn);
+  panel.appendChild(statusRow);
+
   const actRow = document.createElement('div');
   Object.assign(actRow.style, { display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '8px' });
   const formatSelect = document.createElement('select');
   formatSelect.id = 'gai-summary-format';
-  ['txt','pdf'].forEach(ext => { const o = document.createElement('option'); o.value = ext; o.text = ext.toUpperCase(); formatSelect.appendChild(o); });
+  SUMMARY_EXPORT_FORMATS.forEach(f => { const o = document.createElement('option'); o.value = f.id; o.text = f.label; formatSelect.appendChild(o); });
   Object.assign(formatSelect.style, { padding: '6px', borderRadius: '8px', background: '#0b0d0f', color: '#e6eef2', border: '1px solid rgba(255,255,255,0.04)' });
+  const copyBtn = document.createElement('button');
+  copyBtn.id = 'gai-copy-summary';
+  copyBtn.textContent = 'Copy';
+  Object.assign(copyBtn.style, { padding: '8px 10px', borderRadius: '8px', border: '1px solid rgba(255,255,255,0.08)', cursor: 'pointer', background: 'transparent', color: '#a6fff0', fontWeight: '600', marginLeft: 'auto', marginRight: '8px' });
   const dlBtn = document.createElement('button');
   dlBtn.textContent = 'Download';
   Object.assign(dlBtn.style, { padding: '8px 10px', borderRadius: '8px', border: '0', cursor: 'pointer', background: DEFAULT_THEME, color: '#041014', fontWeight: '600' });
-  actRow.appendChild(formatSelect); actRow.appendChild(dlBtn);
+  actRow.appendChild(formatSelect); actRow.appendChild(copyBtn); actRow.appendChild(dlBtn);
+
+  // Copy uses the plain-text form of the rendered summary; Download exports its markdown source
+  const summaryPlainText = () => {
+    const source = getMarkdownSource(resArea);
+    return source !== null ? markdownToPlainText(source) : '';
+  };
   panel.appendChild(actRow);
 
-  genBtn.addEventListener('click', () => {
-    resArea.textContent = 'Generating summary…';
+  // length and time of the summary on screen, for the export metadata
+  let summaryInfo = null;
+
+  function runSummary({ bypassCache = false } = {}) {
+    setPlainText(resArea, bypassCache ? 'Regenerating summary…' : 'Generating summary…');
     genBtn.disabled = true;
-    const length = document.getElementById('gai-summary-length').value;
-    const pageContext = getPageContext();
-    chrome.runtime.sendMessage({ action: 'summarize_page', pageContext, length }, (resp) => {
-      genBtn.disabled = false;
-      if (!resp) { resArea.textContent = 'No response (messaging error)'; return; }
-      if (!resp.ok) { resArea.textContent = `Error: ${resp.error || 'unknown'}`; return; }
-      const text = resp.text || resp.data?.text || JSON.stringify(resp.data);
-      resArea.textContent = text;
+    regenBtn.disabled = true;
+    statusRow.style.display = 'none';
+    const length = getUiElement('gai-summary-length').value;
+    // with citations the passages stand in for the full text, however long the page is
+    const passages = isCitationModeOn(citeToggle) ? collectPagePassages(MAX_SUMMARY_PASSAGE_CHARS) : null;
+    const citations = !!(passages && passages.length);
+    const pageContext = getPageContext({ includeFullText: !citations, passages });
+    const showStatus = (data) => {
+      regenBtn.disabled = false;
+      statusText.textContent = data && data.cached ? 'Cached result' : 'Fresh result';
+      appendUsageBadge(statusText, data);
+      statusRow.style.display = 'flex';
+    };
+    let streamed = '';
+    streamGeminiQuery({ action: 'summarize_page', feature: 'summary', pageContext, length, citations, cache: bypassCache ? 'bypass' : undefined }, {
+      // long pages are summarized chunk by chunk on the server
+      onProgress: (p) => {
+        const note = describeRetryProgress(p);
+        if (p.stage === 'map') setPlainText(resArea, `Summarizing chunk ${p.chunk} of ${p.total}…`);
+        else if (p.stage === 'reduce') setPlainText(resArea, 'Merging partial summaries…');
+        else if (note && !streamed) setPlainText(resArea, note);
+      },
+      onChunk: (delta) => {
+        streamed += delta;
+        scheduleMarkdownRender(resArea, streamed);
+      },
+      onDone: (text, data) => {
+        genBtn.disabled = false;
+        renderMarkdownInto(resArea, text || streamed);
+        if (data && data.citations) applyCitations(resArea, passages);
+        showStatus(data);
+        summaryInfo = { length, lengthLabel: lengthSelect.selectedOptions[0]?.text || length, generatedAt: new Date() };
+        if (text || streamed) {
+          chrome.runtime.sendMessage({ action: 'history_save_summary', url: location.href, title: document.title, text: text || streamed, length });
+        }
+      },
+      onError: (error) => {
+        genBtn.disabled = false;
+        regenBtn.disabled = false;
+        setPlainText(resArea, `Error: ${error || 'unknown'}`);
+      }
+    });
+  }
+
+  genBtn.addEventListener('click', () => runSummary());
+  regenBtn.addEventListener('click', () => runSummary({ bypassCache: true }));
+
+  copyBtn.addEventListener('click', () => {
+    const text = summaryPlainText();
+    if (!text.trim()) { alert('No summary to copy — generate first.'); return; }
+    copyToClipboard(text).then(() => {
+      copyBtn.textContent = 'Copied';
+      setTimeout(() => { copyBtn.textContent = 'Copy'; }, 1200);
     });
   });
 
   dlBtn.addEventListener('click', async () => {
-    const text = (document.getElementById('gai-summary-result') || { textContent: '' }).textContent || '';
-    if (!text.trim()) { alert('No summary to download — generate first.'); return; }
-    const fmt = document.getElementById('gai-summary-format').value || 'txt';
-    const titleSafe = (document.title || 'page-summary').replace(/[^\w\- ]+/g, '').slice(0, 60);
-    const filename = `${titleSafe}.${fmt}`;
-    if (fmt === 'txt') {
-      const blob = new Blob([text], { type: 'text/plain;charset=utf-8' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url; a.download = filename; document.body.appendChild(a); a.click(); a.remove();
-      setTimeout(() => URL.revokeObjectURL(url), 1000);
-    } else if (fmt === 'pdf') {
-      const scriptId = 'jspdf-lib';
-      if (!window.jspdf && !document.getElementById(scriptId)) {
-        const s = document.createElement('script');
-        s.src = 'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js';
-        s.id = scriptId;
-        s.onload = () => generatePDF(text, filename);
-        s.onerror = () => alert('Failed to load PDF library. Try again.');
-        document.head.appendChild(s);
-      } else if (window.jspdf) generatePDF(text, filename);
-      else setTimeout(() => { if (window.jspdf) generatePDF(text, filename); else alert('PDF library still loading — try again.'); }, 1000);
+    const markdown = getMarkdownSource(resArea);
+    if (!markdown || !summaryInfo) { alert('No summary to download — generate first.'); return; }
+    const format = formatSelect.value || 'pdf';
+    const meta = buildSummaryExportMeta({ markdown, title: document.title, url: location.href, ...summaryInfo });
+    dlBtn.disabled = true;
+    try {
+      downloadBlob(await exportSummary(format, markdown, meta), summaryExportFilename(document.title, format));
+    } catch (err) {
+      console.error('Summary export failed', err);
+      alert(`Failed to export the summary: ${err.message || err}`);
+    } finally {
+      dlBtn.disabled = false;
     }
   });
 
-  function generatePDF(content, fileName) {
-    try {
-      const { jsPDF } = window.jspdf;
-      const doc = new jsPDF({ orientation: 'p', unit: 'pt', format: 'a4' });
-      const margin = 40;
-      const pageWidth = doc.internal.pageSize.getWidth() - margin * 2;
-      const lineHeight = 14;
-      const lines = doc.splitTextToSize(content, pageWidth);
-      let y = margin;
-      lines.forEach(line => {
-        if (y > doc.internal.pageSize.getHeight() - margin) { doc.addPage(); y = margin; }
-        doc.text(line, margin, y); y += lineHeight;
-      });
-      doc.save(fileName);
-    } catch (err) { console.error('PDF generation failed', err); alert('Failed to generate PDF.'); }
+  mountUi(panel);
+}
+
+// ---------- Page translation (see page-translate.js) ----------
+// Toggle for the "Translate page" action: translate -> show original -> show translation ...
+async function togglePageTranslation() {
+  if (pageTranslation.state === 'running') return showTranslationBar();
+  if (pageTranslation.state === 'translated') {
+    restorePageTranslation();
+    return showTranslationBar();
+  }
+  if (pageTranslation.state === 'original') {
+    showTranslatedText();
+    return showTranslationBar();
+  }
+  const { translateTargetLanguage } = await chrome.storage.sync.get({ translateTargetLanguage: '' });
+  runPageTranslation(translateTargetLanguage || browserLanguageName());
+}
+
+async function runPageTranslation(targetLanguage) {
+  showTranslationBar(`Translating to ${targetLanguage}…`);
+  const result = await translatePage(targetLanguage, {
+    onProgress: ({ done, total }) => {
+      if (total) showTranslationBar(`Translating to ${targetLanguage}… ${done}/${total}`);
+    }
+  });
+  if (result.cancelled) return;
+  if (!result.ok) {
+    showTranslationBar(`Translation stopped: ${result.error}`);
+    return;
   }
+  const skipped = result.failed ? ` (${result.failed} fragment(s) left untranslated)` : '';
+  showTranslationBar(result.translated ? `Translated to ${targetLanguage}${skipped}` : 'Nothing to translate on this page.');
+}
 
-  document.body.appendChild(panel);
+// Small bar at the top of the page with the translation status and the original/translation toggle
+function showTranslationBar(message) {
+  let bar = getUiElement('gai-translate-bar');
+  if (!bar) {
+    bar = document.createElement('div');
+    bar.id = 'gai-translate-bar';
+    bar.setAttribute('role', 'status');
+    Object.assign(bar.style, {
+      position: 'fixed', top: '12px', left: '50%', transform: 'translateX(-50%)', zIndex: 2147483647,
+      display: 'flex', alignItems: 'center', gap: '10px', padding: '8px 12px', borderRadius: '10px',
+      background: '#0f1113', color: '#e6eef2', boxShadow: '0 10px 30px rgba(0,0,0,0.35)',
+      fontFamily: 'Inter, Arial, sans-serif', fontSize: '13px'
+    });
+    const text = document.createElement('span');
+    text.id = 'gai-translate-status';
+    const toggle = document.createElement('button');
+    toggle.id = 'gai-translate-toggle';
+    Object.assign(toggle.style, { padding: '4px 10px', borderRadius: '6px', border: '1px solid rgba(255,255,255,0.08)', cursor: 'pointer', background: 'transparent', color: '#a6fff0', fontSize: '12px' });
+    toggle.addEventListener('click', () => {
+      if (pageTranslation.state === 'running') {
+        restorePageTranslation();
+        showTranslationBar('Translation stopped.');
+      } else {
+        togglePageTranslation();
+      }
+    });
+    const close = document.createElement('button');
+    close.innerText = '✕';
+    close.title = 'Hide (the page keeps its current text)';
+    Object.assign(close.style, { background: 'transparent', border: 'none', color: '#e6eef2', cursor: 'pointer' });
+    close.addEventListener('click', () => bar.remove());
+    bar.appendChild(text);
+    bar.appendChild(toggle);
+    bar.appendChild(close);
+    mountUi(bar);
+  }
+
+  const state = pageTranslation.state;
+  if (message) bar.dataset.message = message;
+  else if (state === 'original') bar.dataset.message = 'Showing the original page.';
+  else if (state === 'translated') bar.dataset.message = `Translated to ${pageTranslation.targetLanguage}`;
+  getUiElement('gai-translate-status').textContent = bar.dataset.message || '';
+
+  const toggle = getUiElement('gai-translate-toggle');
+  toggle.textContent = state === 'running' ? 'Stop' : state === 'original' ? 'Show translation' : 'Show original';
+  toggle.style.display = state === 'idle' ? 'none' : '';
 }
 
 // ---------- Utilities ----------
@@ -966,12 +1434,87 @@ function parseTargetLanguage(s) {
   return m && m[1] ? m[1].trim() : null;
 }
 
-function sendQueryAndShow({ mode, task, prompt, selectedText, targetLanguage, pageContext }) {
-  chrome.runtime.sendMessage({ action: 'query_gemini', mode, task, prompt, selectedText, targetLanguage, pageContext }, (resp) => {
-    console.log('query_gemini result', resp);
+// Streams a query_gemini or summarize_page request through the background 'gemini_stream' port.
+// handlers: { onChunk(delta), onProgress(progress), onDone(fullText, data), onError(message) }.
+// The request is redacted (and previewed, when that is turned on) first, see send-preview.js; the
+// handlers get the answer with the placeholders already swapped back, so it is shown and saved as is.
+// If the stream breaks before any text arrived, retries once via the non-streaming sendMessage path.
+function streamGeminiQuery(message, handlers) {
+  prepareOutgoingRequest(message).then((prepared) => {
+    if (!prepared) {
+      if (handlers.onError) handlers.onError('Cancelled, nothing was sent.');
+      return;
+    }
+    const { request, redactor } = prepared;
+    const restoreChunk = createRestoringStream(redactor);
+    streamPreparedQuery(request, {
+      ...handlers,
+      onChunk: handlers.onChunk && ((delta) => handlers.onChunk(restoreChunk(delta))),
+      onDone: handlers.onDone && ((text, data) => handlers.onDone(redactor.restore(text), data))
+    });
+  }).catch((err) => {
+    if (handlers.onError) handlers.onError((err && err.message) || String(err));
   });
 }
 
+// Status line for the `progress` events the proxy sends while it retries a busy model (stage
+// 'retry') or switches to its fallback model (stage 'fallback'); null for other progress events
+function describeRetryProgress(p) {
+  if (p.stage === 'retry') return `Service busy, retrying… (attempt ${p.attempt})`;
+  if (p.stage === 'fallback') return `Service busy, trying the backup model${p.model ? ` (${p.model})` : ''}…`;
+  return null;
+}
+
+function streamPreparedQuery(message, { onChunk, onProgress, onDone, onError }) {
+  let received = false;
+  let settled = false;
+
+  const finish = (fn, ...args) => {
+    if (settled) return;
+    settled = true;
+    try { port.disconnect(); } catch (e) { /* already gone */ }
+    if (typeof fn === 'function') fn(...args);
+  };
+
+  const fallback = (reason) => {
+    if (settled) return;
+    if (received) { finish(onError, reason); return; }
+    settled = true;
+    try { port.disconnect(); } catch (e) { /* already gone */ }
+    chrome.runtime.sendMessage(message, (resp) => {
+      if (!resp) { if (onError) onError('No response (messaging error)'); return; }
+      if (!resp.ok) { if (onError) onError(resp.error || 'unknown error'); return; }
+      const text = resp.data?.text || resp.data?.data?.text || (typeof resp.data === 'string' ? resp.data : JSON.stringify(resp.data));
+      if (onDone) onDone(text, resp.data);
+    });
+  };
+
+  let port;
+  try {
+    port = chrome.runtime.connect({ name: 'gemini_stream' });
+  } catch (e) {
+    fallback(e.message);
+    return;
+  }
+
+  port.onMessage.addListener((m) => {
+    if (m.type === 'chunk') {
+      received = true;
+      if (onChunk) onChunk(m.text || '');
+    } else if (m.type === 'progress') {
+      received = true;
+      if (onProgress) onProgress(m);
+    } else if (m.type === 'done') {
+      finish(onDone, m.text, m.data);
+    } else if (m.type === 'error') {
+      // server-side errors (bad status, missing key) are real answers, not transport failures
+      finish(onError, m.error);
+    }
+  });
+  port.onDisconnect.addListener(() => fallback('Stream disconnected'));
+  port.postMessage(message);
+}
+
 function escapeHtml(s) {
   return (s || '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
 }
@@ -986,10 +1529,10 @@ function createOverlay(id, onClick) {
   ov.addEventListener('click', (e) => {
     if (onClick) onClick(e);
   });
-  document.body.appendChild(ov);
+  mountUi(ov);
 }
 function removeOverlay(id) {
-  const el = document.getElementById(id);
+  const el = getUiElement(id);
   if (el) el.remove();
 }
 
@@ -997,28 +1540,190 @@ window.addEventListener('beforeunload', () => {
   chrome.runtime.sendMessage({ type: 'CLOSE_EXTENSION' });
 });
 
-chrome.runtime.onMessage.addListener((msg) => {
-  if (msg.action === 'showPromptForSelection') {
-    const sel = msg.text || (window.getSelection && window.getSelection().toString()) || '';
-    let rect = null;
+// ---------- Keyboard shortcuts and command palette (see shortcuts.js, command-palette.js) ----------
+function currentSelectionText() {
+  return (window.getSelection && window.getSelection().toString()) || '';
+}
+
+// Open the chat, or focus its input when it is already open
+function openChat() {
+  if (!getUiElement('gai-right-chat')) openRightChatBox();
+  const input = getUiElement('gai-right-input');
+  if (input) input.focus();
+}
+
+// Run one of the saved context-menu actions (or its default) on the selection;
+// without a selection the prompt box opens so the user can type instead
+async function runSelectionAction(id, selectedText = currentSelectionText()) {
+  if (!selectedText.trim()) return openPromptBoxForSelection('');
+  const actions = await loadContextActions();
+  const contextAction = actions.find(a => a.id === id) || DEFAULT_CONTEXT_ACTIONS.find(a => a.id === id);
+  return runContextAction(contextAction, selectedText);
+}
+
+function toggleCommandPalette() {
+  if (isCommandPaletteOpen()) return closeCommandPalette();
+  openCommandPalette(buildPaletteCommands(currentSelectionText()));
+}
+
+// Browser-level commands from manifest.json (bound on chrome://extensions/shortcuts)
+const BROWSER_COMMANDS = {
+  'open-chat': () => openChat(),
+  'summarize-page': () => openSummaryPanel({ autoRun: true }),
+  'explain-selection': () => runSelectionAction('explain'),
+  'translate-selection': () => runSelectionAction('translate'),
+  'open-palette': () => toggleCommandPalette()
+};
+
+function requestFromBackground(message) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage(message, (resp) => {
+      const err = chrome.runtime.lastError;
+      resolve(!err && resp && resp.ok ? resp : null);
+    });
+  });
+}
+
+// Everything the palette offers: built-in actions (with their browser shortcuts), the saved
+// context-menu actions and the proxy's prompt templates. `selected` is captured when the palette
+// opens, because focusing its input clears the page selection.
+async function buildPaletteCommands(selected) {
+  const [commandsResp, templatesResp, contextActions] = await Promise.all([
+    requestFromBackground({ action: 'list_commands' }),
+    requestFromBackground({ action: 'list_templates' }),
+    loadContextActions()
+  ]);
+  const shortcuts = {};
+  (commandsResp ? commandsResp.commands : []).forEach(c => { shortcuts[c.name] = c.shortcut; });
+
+  const hasSelection = !!selected.trim();
+  const selectionHint = hasSelection ? `“${selected.trim().slice(0, 40)}${selected.trim().length > 40 ? '…' : ''}”` : '';
+  const needsSelection = hasSelection ? selectionHint : 'select text first';
+  const translated = pageTranslation.state === 'translated';
+
+  const commands = [
+    { id: 'open-chat', title: 'Open chat', run: () => openChat() },
+    { id: 'summarize-page', title: 'Summarize this page', run: () => openSummaryPanel({ autoRun: true }) },
+    { id: 'explain-selection', title: 'Explain selection', hint: selectionHint || 'opens the prompt box', run: () => runSelectionAction('explain', selected) },
+    { id: 'translate-selection', title: 'Translate selection', hint: selectionHint || 'opens the prompt box', run: () => runSelectionAction('translate', selected) },
+    { id: 'ask-selection', title: 'Ask about the selection', hint: selectionHint, run: () => openPromptBoxForSelection(selected) },
+    { id: 'translate-page', title: translated ? 'Show original page' : 'Translate this page', run: () => togglePageTranslation() },
+    { id: 'extract-data', title: 'Extract data from this page', run: () => openExtractPanel() },
+    { id: 'open-history', title: 'Open history', run: () => chrome.runtime.sendMessage({ action: 'open_history', query: location.hostname }) },
+    { id: 'open-settings', title: 'Open settings', run: () => chrome.runtime.sendMessage({ action: 'open_options' }) },
+    { id: 'edit-shortcuts', title: 'Change keyboard shortcuts', run: () => chrome.runtime.sendMessage({ action: 'open_options', section: 'shortcuts' }) }
+  ].map(c => ({ ...c, section: 'Browzie', shortcut: shortcuts[c.id] || '' }));
+
+  contextActions.forEach(a => commands.push({
+    id: `action:${a.id}`,
+    section: 'Context menu actions',
+    title: a.title,
+    hint: needsSelection,
+    disabled: !hasSelection,
+    run: () => runContextAction(a, selected)
+  }));
+
+  (templatesResp ? templatesResp.templates : []).filter(t => !t.hidden).forEach(t => {
+    const variables = t.variables || {};
+    const selectionOnly = !!(variables.text && variables.text.required);
+    commands.push({
+      id: `task:${t.id}`,
+      section: 'Tasks',
+      title: t.label,
+      hint: selectionOnly ? needsSelection : (hasSelection ? selectionHint : 'whole page'),
+      disabled: selectionOnly && !hasSelection,
+      run: () => runContextAction({
+        title: t.label, task: t.id, prompt: t.description || t.label, targetLanguage: variables.targetLanguage ? 'auto' : ''
+      }, selected)
+    });
+  });
+  return commands;
+}
+
+// ---------- Site rules (see site-rules.js) ----------
+// Read at startup and again whenever they change; until they are known nothing reads the page or
+// shows UI. The current URL is checked on every use, so path rules still apply after in-page navigation.
+let siteSettings = null;
+const siteSettingsReady = loadSiteSettings()
+  .then(settings => { siteSettings = settings; })
+  .catch(err => console.warn('Could not read the site rules, Browzie stays off on this page', err));
+
+function currentSiteAccess() {
+  return siteSettings ? siteAccessFor(location.href, siteSettings) : 'disabled';
+}
+
+function pageAccessAllowed() {
+  return currentSiteAccess() !== 'disabled';
+}
+
+// Bring the UI in line with the rules: the floating widget only where it is enabled, nothing at
+// all (and no translated text or running request left behind) where Browzie is off
+function applySiteAccess() {
+  const access = currentSiteAccess();
+  if (access === 'disabled') {
+    if (pageTranslation.state !== 'idle') restorePageTranslation({ forget: true });
+    if (document.getElementById(UI_HOST_ID)) {
+      chrome.runtime.sendMessage({ action: 'abort_requests' });
+      removeUiRoot();
+    }
+  } else if (access === 'no-widget') {
+    ['gai-floating-widget', 'gai-floating-left-icons'].forEach(id => {
+      const el = getUiElement(id);
+      if (el) el.remove();
+    });
+  } else {
     try {
-      const range = window.getSelection && window.getSelection().rangeCount ? window.getSelection().getRangeAt(0) : null;
-      if (range) rect = range.getBoundingClientRect();
-    } catch (e) { rect = null; }
-    if (!rect) {
-      createPromptBox(100, 100, sel);
-      return;
+      ensureFloatingWidget();
+    } catch (e) {
+      console.error('Failed to init widget', e);
     }
-    createPromptBoxFromSelectionRect(rect, sel);
   }
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'sync' || (!changes.siteRules && !changes.siteAccessMode)) return;
+  loadSiteSettings()
+    .then(settings => {
+      siteSettings = settings;
+      applySiteAccess();
+    })
+    .catch(err => console.warn('Could not read the site rules', err));
 });
 
-function initFloatingWidgetFeature() {
-  try {
-    ensureFloatingWidget();
-  } catch (e) {
-    console.error('Failed to init widget', e);
+// Palette hotkey (Ctrl/Cmd+K unless changed on the options page; empty = off). Listens in the
+// capture phase so the page's own Ctrl/Cmd+K handler doesn't get it first.
+let paletteShortcut = normalizeShortcut(DEFAULT_PALETTE_SHORTCUT);
+loadPaletteShortcut().then(shortcut => { paletteShortcut = shortcut; }).catch(() => {});
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'sync' || !changes.paletteShortcut) return;
+  const value = changes.paletteShortcut.newValue;
+  paletteShortcut = normalizeShortcut(value === undefined ? DEFAULT_PALETTE_SHORTCUT : value);
+});
+window.addEventListener('keydown', (e) => {
+  if (e.repeat || !matchesShortcut(e, paletteShortcut) || !pageAccessAllowed()) return;
+  e.preventDefault();
+  e.stopPropagation();
+  toggleCommandPalette();
+}, true);
+
+// Context menu, browser shortcuts and "Translate this page"; ignored on sites where Browzie is off
+chrome.runtime.onMessage.addListener((msg) => {
+  siteSettingsReady.then(() => {
+    if (pageAccessAllowed()) handleRuntimeMessage(msg);
+  });
+});
+
+function handleRuntimeMessage(msg) {
+  if (msg.action === 'runCommand' && BROWSER_COMMANDS[msg.command]) {
+    BROWSER_COMMANDS[msg.command]();
+  } else if (msg.action === 'showPromptForSelection') {
+    const sel = msg.text || (window.getSelection && window.getSelection().toString()) || '';
+    openPromptBoxForSelection(sel);
+  } else if (msg.action === 'runContextAction' && msg.contextAction) {
+    runContextAction(msg.contextAction, msg.text);
+  } else if (msg.action === 'translatePage') {
+    togglePageTranslation();
   }
 }
 
-setTimeout(initFloatingWidgetFeature, 250);
+setTimeout(() => siteSettingsReady.then(applySiteAccess), 250);
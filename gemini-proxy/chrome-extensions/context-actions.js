@@ -0,0 +1,47 @@
+// context-actions.js
+// Context-menu actions, shared by background.js (builds the menu, via importScripts) and
+// options.js (editor). Stored in chrome.storage.sync.contextActions as
+//   [{ id, title, task, prompt, targetLanguage }]
+// `task` is a proxy prompt template (GET /api/templates); `prompt` is the instruction sent as the
+// user request. targetLanguage 'auto' means the "Translate pages to" setting (or the browser language).
+
+const DEFAULT_CONTEXT_ACTIONS = [
+  { id: 'explain', title: 'Explain', task: 'explain', prompt: 'Explain this in plain language.', targetLanguage: '' },
+  { id: 'summarize-selection', title: 'Summarize selection', task: 'general', prompt: 'Summarize the selected text in 3-5 short bullet points.', targetLanguage: '' },
+  { id: 'define', title: 'Define', task: 'define', prompt: 'Define this term as it is used on the page.', targetLanguage: '' },
+  { id: 'simplify', title: 'Rewrite simpler', task: 'simplify', prompt: 'Rewrite this in simpler words.', targetLanguage: '' },
+  { id: 'translate', title: 'Translate to my language', task: 'translate', prompt: 'Translate this.', targetLanguage: 'auto' }
+];
+
+const MAX_CONTEXT_ACTIONS = 20;
+const CONTEXT_ACTION_MENU_PREFIX = 'action:';
+
+function cloneDefaultContextActions() {
+  return DEFAULT_CONTEXT_ACTIONS.map(a => ({ ...a }));
+}
+
+// Drop malformed entries and make ids unique (storage can hold anything an old version wrote)
+function sanitizeContextActions(list) {
+  if (!Array.isArray(list)) return cloneDefaultContextActions();
+  const seen = new Set();
+  return list
+    .filter(a => a && typeof a.title === 'string' && a.title.trim())
+    .slice(0, MAX_CONTEXT_ACTIONS)
+    .map(a => {
+      let id = String(a.id || a.title).toLowerCase().replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'action';
+      while (seen.has(id)) id += '-1';
+      seen.add(id);
+      return {
+        id,
+        title: a.title.trim(),
+        task: a.task || 'general',
+        prompt: String(a.prompt || '').trim(),
+        targetLanguage: String(a.targetLanguage || '').trim()
+      };
+    });
+}
+
+async function loadContextActions() {
+  const { contextActions } = await chrome.storage.sync.get('contextActions');
+  return contextActions === undefined ? cloneDefaultContextActions() : sanitizeContextActions(contextActions);
+}
@@ -0,0 +1,520 @@
+// === data-extract.js ===
+// Extract tool (loaded before content.js): turns the items on a page (products, contacts, events,
+// table rows or the user's own fields) into an editable table with CSV / JSON export. The proxy
+// asks the model for rows of the schema with a response schema and checks them (POST /api/extract,
+// see lib/extract.js); its presets come from GET /api/extract/schemas. Storage:
+//   chrome.storage.sync.extractSchemas: [{ id, name, fields, instructions }] schemas the user saved
+//   chrome.storage.local.extractSiteSchemas: { <site key>: { schema, usedAt } } the last schema used
+//     on a site, so similar pages (same host and section, see extractSiteKey) start with it
+// The page context is redacted like every other request, and the placeholders in the extracted
+// values are swapped back in the browser, so the table shows the real emails and numbers.
+
+const MAX_SAVED_EXTRACT_SCHEMAS = 20;
+const MAX_REMEMBERED_EXTRACT_SITES = 200;
+const EXTRACT_TYPE_LABELS = { string: 'Text', number: 'Number', integer: 'Whole number', boolean: 'Yes / no', date: 'Date', url: 'Link' };
+
+// "shop.example.com/products" for https://shop.example.com/products/123?page=2; path segments that
+// look like ids are left out, so all pages of one section share a key
+function extractSiteKey(url) {
+  try {
+    const u = new URL(url);
+    const first = u.pathname.split('/').filter(Boolean)[0] || '';
+    const section = first && !/\d{3,}|^[0-9a-f-]{16,}$/i.test(first) && !/\.\w+$/.test(first) ? `/${first}` : '';
+    return `${u.hostname}${section}`;
+  } catch (e) {
+    return '';
+  }
+}
+
+async function loadExtractSchemas() {
+  const { extractSchemas } = await chrome.storage.sync.get({ extractSchemas: [] });
+  return Array.isArray(extractSchemas) ? extractSchemas : [];
+}
+
+async function saveExtractSchema({ name, fields, instructions }) {
+  const schemas = (await loadExtractSchemas()).filter(s => s.name !== name);
+  const saved = { id: `schema-${Date.now().toString(36)}`, name, fields, instructions };
+  await chrome.storage.sync.set({ extractSchemas: [...schemas, saved].slice(-MAX_SAVED_EXTRACT_SCHEMAS) });
+  return saved;
+}
+
+async function deleteExtractSchema(id) {
+  const schemas = await loadExtractSchemas();
+  await chrome.storage.sync.set({ extractSchemas: schemas.filter(s => s.id !== id) });
+}
+
+// The schema last used on this section of the site, else anywhere on the host
+async function siteExtractSchema(url) {
+  const key = extractSiteKey(url);
+  if (!key) return null;
+  const { extractSiteSchemas = {} } = await chrome.storage.local.get('extractSiteSchemas');
+  const host = key.split('/')[0];
+  const entry = extractSiteSchemas[key] || extractSiteSchemas[host];
+  return entry ? entry.schema : null;
+}
+
+async function rememberSiteExtractSchema(url, schema) {
+  const key = extractSiteKey(url);
+  if (!key) return;
+  const { extractSiteSchemas = {} } = await chrome.storage.local.get('extractSiteSchemas');
+  const usedAt = Date.now();
+  extractSiteSchemas[key] = { schema, usedAt };
+  extractSiteSchemas[key.split('/')[0]] = { schema, usedAt };
+  // forget the sites used longest ago
+  const kept = Object.entries(extractSiteSchemas).sort((a, b) => b[1].usedAt - a[1].usedAt).slice(0, MAX_REMEMBERED_EXTRACT_SITES);
+  await chrome.storage.local.set({ extractSiteSchemas: Object.fromEntries(kept) });
+}
+
+function requestExtractPresets() {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ action: 'list_extract_schemas' }, (resp) => {
+      const err = chrome.runtime.lastError;
+      resolve(!err && resp && resp.ok ? resp : null);
+    });
+  });
+}
+
+function requestExtraction(message) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage(message, (resp) => {
+      const err = chrome.runtime.lastError;
+      if (err || !resp) resolve({ ok: false, error: (err && err.message) || 'No response (messaging error)' });
+      else resolve(resp);
+    });
+  });
+}
+
+// ---------- CSV / JSON export ----------
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function extractRowsToCsv(fields, rows) {
+  const lines = [fields.map(f => csvCell(f.name)).join(',')];
+  rows.forEach(row => lines.push(fields.map(f => csvCell(row[f.name])).join(',')));
+  return lines.join('\r\n');
+}
+
+function extractRowsToJson(fields, rows) {
+  return JSON.stringify(rows.map(row => Object.fromEntries(fields.map(f => [f.name, row[f.name] === undefined ? null : row[f.name]]))), null, 2);
+}
+
+// A table cell edited by hand, back to the field's type ('' -> null; text that isn't a valid
+// number or yes/no stays text so nothing typed is lost)
+function parseExtractCell(text, type) {
+  const value = text.trim();
+  if (!value) return null;
+  if (type === 'number' || type === 'integer') {
+    const n = Number(value.replace(/,/g, ''));
+    return Number.isFinite(n) ? (type === 'integer' ? Math.round(n) : n) : value;
+  }
+  if (type === 'boolean') {
+    if (/^(true|yes)$/i.test(value)) return true;
+    if (/^(false|no)$/i.test(value)) return false;
+  }
+  return value;
+}
+
+function formatExtractCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  return String(value);
+}
+
+// ---------- Panel ----------
+function toggleExtractPanel() {
+  const existing = getUiElement('gai-extract-panel');
+  if (existing) {
+    existing.remove();
+    return;
+  }
+  openExtractPanel();
+}
+
+function openExtractPanel() {
+  const prev = getUiElement('gai-extract-panel');
+  if (prev) prev.remove();
+
+  const el = (tag, className, text) => {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  };
+  const button = (text, title, className = 'gai-extract-btn') => {
+    const btn = el('button', className, text);
+    btn.type = 'button';
+    if (title) btn.title = title;
+    return btn;
+  };
+
+  const panel = el('div');
+  panel.id = 'gai-extract-panel';
+  panel.setAttribute('role', 'region');
+  panel.setAttribute('aria-label', 'Extract data');
+
+  // header: title, model picker toggle, close
+  const header = el('div', 'gai-extract-header');
+  const title = el('div', 'gai-extract-title', 'Extract data');
+  const modelBtn = button('Model', null, 'gai-extract-link');
+  modelBtn.setAttribute('aria-expanded', 'false');
+  const closeBtn = button('✕', 'Close', 'gai-extract-link');
+  const headerActions = el('div', 'gai-extract-header-actions');
+  headerActions.appendChild(modelBtn);
+  headerActions.appendChild(closeBtn);
+  header.appendChild(title);
+  header.appendChild(headerActions);
+  panel.appendChild(header);
+
+  const modelPicker = createModelPicker({
+    feature: 'extract',
+    onChange: (settings, catalog) => showModelChoice(modelBtn, settings, catalog)
+  });
+  modelBtn.addEventListener('click', () => modelBtn.setAttribute('aria-expanded', String(modelPicker.toggle())));
+  panel.appendChild(modelPicker.element);
+
+  // schema choice + run
+  const schemaRow = el('div', 'gai-extract-row');
+  const schemaSelect = el('select', 'gai-extract-schema');
+  schemaSelect.setAttribute('aria-label', 'Schema');
+  const runBtn = button('Extract', 'Extract the items on this page', 'gai-extract-run');
+  schemaRow.appendChild(schemaSelect);
+  schemaRow.appendChild(runBtn);
+  panel.appendChild(schemaRow);
+  const schemaNote = el('div', 'gai-extract-note');
+  panel.appendChild(schemaNote);
+
+  // field editor
+  const fieldsBox = el('details', 'gai-extract-fields');
+  const fieldsSummary = el('summary', '', 'Fields');
+  const fieldList = el('div', 'gai-extract-field-list');
+  const fieldActions = el('div', 'gai-extract-row');
+  const addFieldBtn = button('Add field');
+  const instructionsInput = el('input', 'gai-extract-instructions');
+  instructionsInput.placeholder = 'Extra instructions (optional), e.g. only items on sale';
+  instructionsInput.setAttribute('aria-label', 'Extra instructions');
+  fieldActions.appendChild(addFieldBtn);
+  const saveRow = el('div', 'gai-extract-row');
+  const nameInput = el('input', 'gai-extract-name');
+  nameInput.placeholder = 'Schema name';
+  nameInput.setAttribute('aria-label', 'Schema name');
+  const saveSchemaBtn = button('Save schema', 'Keep these fields in the schema list');
+  const deleteSchemaBtn = button('Delete', 'Remove this saved schema');
+  saveRow.appendChild(nameInput);
+  saveRow.appendChild(saveSchemaBtn);
+  saveRow.appendChild(deleteSchemaBtn);
+  fieldsBox.appendChild(fieldsSummary);
+  fieldsBox.appendChild(fieldList);
+  fieldsBox.appendChild(fieldActions);
+  fieldsBox.appendChild(instructionsInput);
+  fieldsBox.appendChild(saveRow);
+  panel.appendChild(fieldsBox);
+
+  // status + results
+  const statusRow = el('div', 'gai-extract-status');
+  statusRow.hidden = true;
+  const statusText = el('span');
+  const rerunBtn = button('Run again', 'Ignore the cached result and ask the model again');
+  statusRow.appendChild(statusText);
+  statusRow.appendChild(rerunBtn);
+  panel.appendChild(statusRow);
+  const result = el('div', 'gai-extract-result');
+  panel.appendChild(result);
+
+  const footer = el('div', 'gai-extract-row gai-extract-footer');
+  footer.hidden = true;
+  const addRowBtn = button('Add row');
+  const copyBtn = button('Copy CSV', 'Copy the table as CSV (pastes into spreadsheets)');
+  const csvBtn = button('CSV', 'Download as CSV', 'gai-extract-run');
+  const jsonBtn = button('JSON', 'Download as JSON', 'gai-extract-run');
+  footer.appendChild(addRowBtn);
+  footer.appendChild(copyBtn);
+  footer.appendChild(csvBtn);
+  footer.appendChild(jsonBtn);
+  panel.appendChild(footer);
+
+  mountUi(panel);
+  closeBtn.addEventListener('click', () => panel.remove());
+
+  // ---- state ----
+  let presets = [];
+  let saved = [];
+  let fieldTypes = Object.keys(EXTRACT_TYPE_LABELS);
+  let maxFields = 20;
+  // the schema being edited: `source` says where it came from ('preset:<id>' | 'saved:<id>' | 'custom')
+  let schema = { source: 'custom', fields: [{ name: 'name', type: 'string', description: '' }], instructions: '' };
+  let table = null; // { fields, rows } on screen
+
+  const sourceOf = (value) => {
+    const [kind, id] = value.split(':');
+    if (kind === 'preset') return presets.find(p => p.id === id);
+    if (kind === 'saved') return saved.find(s => s.id === id);
+    return null;
+  };
+  const copyFields = (fields) => fields.map(f => ({ name: f.name, type: f.type || 'string', description: f.description || '' }));
+
+  function renderSchemaOptions() {
+    schemaSelect.replaceChildren();
+    const group = (label, items, prefix) => {
+      if (!items.length) return;
+      const g = el('optgroup');
+      g.label = label;
+      items.forEach(item => {
+        const o = el('option', '', item.label || item.name);
+        o.value = `${prefix}:${item.id}`;
+        g.appendChild(o);
+      });
+      schemaSelect.appendChild(g);
+    };
+    group('Presets', presets, 'preset');
+    group('Saved', saved, 'saved');
+    const custom = el('option', '', schema.source === 'custom' && schema.basedOn ? `Custom (from ${schema.basedOn})` : 'Custom fields');
+    custom.value = 'custom';
+    schemaSelect.appendChild(custom);
+    schemaSelect.value = schema.source;
+    deleteSchemaBtn.hidden = !schema.source.startsWith('saved:');
+  }
+
+  function renderFields() {
+    fieldList.replaceChildren();
+    schema.fields.forEach((field, index) => {
+      const row = el('div', 'gai-extract-field');
+      const name = el('input');
+      name.value = field.name;
+      name.placeholder = 'Field name';
+      name.setAttribute('aria-label', 'Field name');
+      const type = el('select');
+      type.setAttribute('aria-label', 'Type');
+      fieldTypes.forEach(t => {
+        const o = el('option', '', EXTRACT_TYPE_LABELS[t] || t);
+        o.value = t;
+        type.appendChild(o);
+      });
+      type.value = field.type;
+      const description = el('input');
+      description.value = field.description;
+      description.placeholder = 'What to put here (optional)';
+      description.setAttribute('aria-label', 'Description');
+      const remove = button('✕', 'Remove field');
+      remove.disabled = schema.fields.length === 1;
+
+      name.addEventListener('input', () => { field.name = name.value; edited(); });
+      type.addEventListener('change', () => { field.type = type.value; edited(); });
+      description.addEventListener('input', () => { field.description = description.value; edited(); });
+      remove.addEventListener('click', () => {
+        schema.fields.splice(index, 1);
+        edited();
+        renderFields();
+      });
+      row.appendChild(name);
+      row.appendChild(type);
+      row.appendChild(description);
+      row.appendChild(remove);
+      fieldList.appendChild(row);
+    });
+    fieldsSummary.textContent = `Fields (${schema.fields.length})`;
+    addFieldBtn.disabled = schema.fields.length >= maxFields;
+    instructionsInput.value = schema.instructions || '';
+  }
+
+  // editing a preset or saved schema turns it into custom fields "based on" it
+  function edited() {
+    if (schema.source !== 'custom') {
+      const from = sourceOf(schema.source);
+      schema = { ...schema, source: 'custom', basedOn: from ? (from.label || from.name) : null };
+      renderSchemaOptions();
+    }
+    fieldsSummary.textContent = `Fields (${schema.fields.length})`;
+  }
+
+  function useSchema(value) {
+    const from = sourceOf(value);
+    if (!from) return;
+    schema = { source: value, fields: copyFields(from.fields), instructions: from.instructions || '' };
+    nameInput.value = value.startsWith('saved:') ? from.name : '';
+    renderSchemaOptions();
+    renderFields();
+  }
+
+  schemaSelect.addEventListener('change', () => {
+    if (schemaSelect.value === 'custom') {
+      schema = { ...schema, source: 'custom' };
+      fieldsBox.open = true;
+      renderSchemaOptions();
+      return;
+    }
+    useSchema(schemaSelect.value);
+  });
+  addFieldBtn.addEventListener('click', () => {
+    schema.fields.push({ name: '', type: 'string', description: '' });
+    edited();
+    renderFields();
+    const inputs = fieldList.querySelectorAll('.gai-extract-field input:first-child');
+    inputs[inputs.length - 1].focus();
+  });
+  instructionsInput.addEventListener('input', () => { schema.instructions = instructionsInput.value; edited(); });
+  saveSchemaBtn.addEventListener('click', async () => {
+    const name = nameInput.value.trim();
+    if (!name) {
+      nameInput.focus();
+      return;
+    }
+    const item = await saveExtractSchema({ name, fields: copyFields(schema.fields), instructions: schema.instructions || '' });
+    saved = await loadExtractSchemas();
+    schema = { ...schema, source: `saved:${item.id}` };
+    renderSchemaOptions();
+    schemaNote.textContent = `Saved as "${name}".`;
+  });
+  deleteSchemaBtn.addEventListener('click', async () => {
+    const id = schema.source.split(':')[1];
+    await deleteExtractSchema(id);
+    saved = await loadExtractSchemas();
+    schema = { ...schema, source: 'custom', basedOn: null };
+    nameInput.value = '';
+    renderSchemaOptions();
+  });
+
+  // ---- results table ----
+  function renderTable() {
+    result.replaceChildren();
+    footer.hidden = !table;
+    if (!table) return;
+    if (!table.rows.length) {
+      result.appendChild(el('div', 'gai-extract-empty', 'No matching items found on this page.'));
+    }
+    const t = el('table', 'gai-extract-table');
+    const head = el('tr');
+    table.fields.forEach(f => {
+      const th = el('th', '', f.name);
+      th.title = [EXTRACT_TYPE_LABELS[f.type] || f.type, f.description].filter(Boolean).join(' · ');
+      head.appendChild(th);
+    });
+    head.appendChild(el('th'));
+    const thead = el('thead');
+    thead.appendChild(head);
+    t.appendChild(thead);
+    const tbody = el('tbody');
+    table.rows.forEach((row, index) => {
+      const tr = el('tr');
+      table.fields.forEach(f => {
+        const td = el('td', '', formatExtractCell(row[f.name]));
+        td.contentEditable = 'plaintext-only';
+        td.spellcheck = false;
+        td.addEventListener('input', () => { row[f.name] = parseExtractCell(td.textContent, f.type); });
+        tr.appendChild(td);
+      });
+      const actions = el('td', 'gai-extract-row-actions');
+      const remove = button('✕', 'Delete row', 'gai-extract-link');
+      remove.addEventListener('click', () => {
+        table.rows.splice(index, 1);
+        renderTable();
+      });
+      actions.appendChild(remove);
+      tr.appendChild(actions);
+      tbody.appendChild(tr);
+    });
+    t.appendChild(tbody);
+    if (table.rows.length) result.appendChild(t);
+  }
+
+  addRowBtn.addEventListener('click', () => {
+    table.rows.push(Object.fromEntries(table.fields.map(f => [f.name, null])));
+    renderTable();
+    const rows = result.querySelectorAll('tbody tr');
+    if (rows.length) rows[rows.length - 1].querySelector('td').focus();
+  });
+  copyBtn.addEventListener('click', () => {
+    copyToClipboard(extractRowsToCsv(table.fields, table.rows))
+      .then(() => { copyBtn.textContent = 'Copied'; setTimeout(() => { copyBtn.textContent = 'Copy CSV'; }, 1200); })
+      .catch(() => { copyBtn.textContent = 'Copy failed'; });
+  });
+  const download = (format) => {
+    const text = format === 'csv' ? extractRowsToCsv(table.fields, table.rows) : extractRowsToJson(table.fields, table.rows);
+    // the BOM makes spreadsheet apps read the CSV as UTF-8
+    const mime = format === 'csv' ? 'text/csv;charset=utf-8' : 'application/json';
+    downloadBlob(new Blob([format === 'csv' ? '\uFEFF' + text : text], { type: mime }), summaryExportFilename(`${document.title || 'page'} data`, format));
+  };
+  csvBtn.addEventListener('click', () => download('csv'));
+  jsonBtn.addEventListener('click', () => download('json'));
+
+  // ---- run ----
+  async function runExtraction({ bypassCache = false } = {}) {
+    const fields = copyFields(schema.fields).map(f => ({ ...f, name: f.name.trim() })).filter(f => f.name);
+    if (!fields.length) {
+      fieldsBox.open = true;
+      schemaNote.textContent = 'Add at least one field with a name.';
+      return;
+    }
+    runBtn.disabled = true;
+    rerunBtn.disabled = true;
+    statusRow.hidden = true;
+    setPlainText(result, 'Extracting…');
+    footer.hidden = true;
+
+    const fail = (error) => {
+      runBtn.disabled = false;
+      rerunBtn.disabled = false;
+      setPlainText(result, `Error: ${error || 'unknown error'}`);
+    };
+
+    try {
+      const redactor = createRedactor(await loadRedactionSettings());
+      const preset = schema.source.startsWith('preset:') ? schema.source.split(':')[1] : undefined;
+      let message = {
+        action: 'extract_data',
+        pageContext: redactPageContext(getPageContext({ includeFullText: true }), redactor),
+        schema: { preset, fields, instructions: (schema.instructions || '').trim() || undefined },
+        cache: bypassCache ? 'bypass' : undefined
+      };
+      const { previewBeforeSend } = await chrome.storage.sync.get({ previewBeforeSend: false });
+      if (previewBeforeSend) message = await openSendPreview(message, describeRedactions(redactor.counts()));
+      if (!message) return fail('Cancelled, nothing was sent.');
+
+      const resp = await requestExtraction(message);
+      if (!resp.ok) return fail(resp.error);
+      const data = resp.data;
+      // placeholders such as [EMAIL 1] go back to the values on the page
+      const rows = data.rows.map(row => Object.fromEntries(Object.entries(row).map(([k, v]) => [k, typeof v === 'string' ? redactor.restore(v) : v])));
+      table = { fields: data.fields, rows };
+      renderTable();
+      runBtn.disabled = false;
+      rerunBtn.disabled = false;
+      statusText.textContent = `${rows.length} item${rows.length === 1 ? '' : 's'}`;
+      appendUsageBadge(statusText, data);
+      statusRow.hidden = false;
+      rememberSiteExtractSchema(location.href, { source: schema.source, basedOn: schema.basedOn || null, fields, instructions: schema.instructions || '' })
+        .catch(err => console.warn('Could not remember the extraction schema', err));
+    } catch (err) {
+      fail((err && err.message) || String(err));
+    }
+  }
+
+  runBtn.addEventListener('click', () => runExtraction());
+  rerunBtn.addEventListener('click', () => runExtraction({ bypassCache: true }));
+
+  // ---- load presets, saved schemas and the schema last used on this site ----
+  schemaNote.textContent = 'Loading schemas…';
+  Promise.all([requestExtractPresets(), loadExtractSchemas(), siteExtractSchema(location.href)]).then(([catalog, savedSchemas, remembered]) => {
+    if (!panel.isConnected) return;
+    presets = catalog ? catalog.presets : [];
+    if (catalog && Array.isArray(catalog.fieldTypes)) fieldTypes = catalog.fieldTypes;
+    if (catalog && catalog.maxFields) maxFields = catalog.maxFields;
+    saved = savedSchemas;
+    schemaNote.textContent = catalog ? '' : 'Could not load the proxy\'s preset schemas; custom fields still work.';
+
+    const stillThere = remembered && (remembered.source === 'custom' || sourceOf(remembered.source));
+    if (stillThere) {
+      schema = { source: remembered.source, basedOn: remembered.basedOn, fields: copyFields(remembered.fields), instructions: remembered.instructions || '' };
+      if (remembered.source.startsWith('saved:')) nameInput.value = sourceOf(remembered.source).name;
+      schemaNote.textContent = `Using the fields of your last extraction on ${extractSiteKey(location.href).split('/')[0]}.`;
+    } else if (presets.length) {
+      schema = { source: `preset:${presets[0].id}`, fields: copyFields(presets[0].fields), instructions: presets[0].instructions || '' };
+    }
+    renderSchemaOptions();
+    renderFields();
+  });
+  renderSchemaOptions();
+  renderFields();
+}
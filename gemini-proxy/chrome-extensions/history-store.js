@@ -0,0 +1,179 @@
+// history-store.js
+// Saved chats and summaries in chrome.storage.local, shared by content.js (restores the chat for the
+// current page), history.js (history browser) and background.js (via importScripts). Only
+// background.js writes, so tabs saving at the same time cannot overwrite each other's index.
+//
+// Layout:
+//   historyIndex   [{ id, kind, url, site, title, createdAt, updatedAt, bytes }]
+//   hist:<id>      { id, kind: 'chat'|'summary', url, site, title, createdAt, updatedAt,
+//                    messages: [{ role: 'user'|'model', text, at }]   (chat)
+//                    summary: { text, length }                      (summary) }
+// url is the page URL without its #fragment; ids start with the kind and the creation time.
+// When everything together grows past HISTORY_BUDGET_BYTES the least recently updated entries go.
+
+const HISTORY_INDEX_KEY = 'historyIndex';
+const HISTORY_ENTRY_PREFIX = 'hist:';
+const HISTORY_BUDGET_BYTES = 4 * 1024 * 1024; // storage.local allows 10 MB without unlimitedStorage
+const HISTORY_MAX_ENTRY_BYTES = 512 * 1024; // one long chat drops its oldest turns past this
+
+function normalizeHistoryUrl(url) {
+  try {
+    const u = new URL(url);
+    u.hash = '';
+    return u.href;
+  } catch (e) {
+    return String(url || '');
+  }
+}
+
+function historySite(url) {
+  try {
+    return new URL(url).hostname || 'other';
+  } catch (e) {
+    return 'other';
+  }
+}
+
+function historyEntryBytes(entry) {
+  return new TextEncoder().encode(JSON.stringify(entry)).length;
+}
+
+function newHistoryId(kind) {
+  return `${kind}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// ---------- reads (any extension context) ----------
+
+async function readHistoryIndex() {
+  const { [HISTORY_INDEX_KEY]: index } = await chrome.storage.local.get(HISTORY_INDEX_KEY);
+  return Array.isArray(index) ? index : [];
+}
+
+async function readHistoryEntry(id) {
+  const key = HISTORY_ENTRY_PREFIX + id;
+  const data = await chrome.storage.local.get(key);
+  return data[key] || null;
+}
+
+// Every entry, newest first
+async function readAllHistoryEntries() {
+  const index = await readHistoryIndex();
+  if (!index.length) return [];
+  const data = await chrome.storage.local.get(index.map(e => HISTORY_ENTRY_PREFIX + e.id));
+  return index
+    .map(e => data[HISTORY_ENTRY_PREFIX + e.id])
+    .filter(Boolean)
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+// Most recently updated chat for this page, or null
+async function findLatestChat(url) {
+  const pageUrl = normalizeHistoryUrl(url);
+  const latest = (await readHistoryIndex())
+    .filter(e => e.kind === 'chat' && e.url === pageUrl)
+    .sort((a, b) => b.updatedAt - a.updatedAt)[0];
+  return latest ? readHistoryEntry(latest.id) : null;
+}
+
+// ---------- writes (background.js only) ----------
+
+let historyWrites = Promise.resolve();
+
+// Run writes one after another so each one sees the index the previous one saved
+function queueHistoryWrite(fn) {
+  const run = historyWrites.then(fn);
+  historyWrites = run.catch(() => {});
+  return run;
+}
+
+function trimHistoryEntry(entry) {
+  let bytes = historyEntryBytes(entry);
+  if (entry.kind === 'chat') {
+    // drop whole turns (question + answer) from the start
+    while (bytes > HISTORY_MAX_ENTRY_BYTES && entry.messages.length > 2) {
+      entry.messages.splice(0, 2);
+      bytes = historyEntryBytes(entry);
+    }
+  }
+  if (bytes > HISTORY_MAX_ENTRY_BYTES && entry.kind === 'summary') {
+    entry.summary.text = entry.summary.text.slice(0, Math.floor(HISTORY_MAX_ENTRY_BYTES / 4));
+    bytes = historyEntryBytes(entry);
+  }
+  return bytes;
+}
+
+// Save one entry and evict the oldest others until the whole history fits the budget
+async function putHistoryEntry(entry) {
+  entry.updatedAt = Date.now();
+  const bytes = trimHistoryEntry(entry);
+  const { id, kind, url, site, title, createdAt, updatedAt } = entry;
+
+  const index = (await readHistoryIndex())
+    .filter(e => e.id !== id)
+    .concat({ id, kind, url, site, title, createdAt, updatedAt, bytes })
+    .sort((a, b) => a.updatedAt - b.updatedAt);
+  let total = index.reduce((n, e) => n + (e.bytes || 0), 0);
+  const evicted = [];
+  while (total > HISTORY_BUDGET_BYTES && index.length > 1) {
+    const oldest = index.shift();
+    total -= oldest.bytes || 0;
+    evicted.push(HISTORY_ENTRY_PREFIX + oldest.id);
+  }
+
+  await chrome.storage.local.set({ [HISTORY_ENTRY_PREFIX + id]: entry, [HISTORY_INDEX_KEY]: index });
+  if (evicted.length) await chrome.storage.local.remove(evicted);
+  return entry;
+}
+
+// Append turns to a chat thread (a new one when threadId is missing or was deleted). Resolves to the thread id.
+function appendChatTurns({ threadId, url, title, turns }) {
+  return queueHistoryWrite(async () => {
+    const now = Date.now();
+    let entry = threadId ? await readHistoryEntry(threadId) : null;
+    if (!entry || entry.kind !== 'chat') {
+      const pageUrl = normalizeHistoryUrl(url);
+      entry = { id: newHistoryId('chat'), kind: 'chat', url: pageUrl, site: historySite(pageUrl), title: title || pageUrl, createdAt: now, messages: [] };
+    }
+    if (title) entry.title = title;
+    (turns || []).forEach(t => {
+      if (t && t.text) entry.messages.push({ role: t.role === 'user' ? 'user' : 'model', text: String(t.text), at: now });
+    });
+    await putHistoryEntry(entry);
+    return entry.id;
+  });
+}
+
+// Save a page summary. Getting the same text again (e.g. a cached result) only refreshes the saved one.
+function saveSummaryToHistory({ url, title, text, length }) {
+  return queueHistoryWrite(async () => {
+    const pageUrl = normalizeHistoryUrl(url);
+    const summary = { text: String(text || ''), length: length || '' };
+    const latest = (await readHistoryIndex())
+      .filter(e => e.kind === 'summary' && e.url === pageUrl)
+      .sort((a, b) => b.updatedAt - a.updatedAt)[0];
+    const previous = latest ? await readHistoryEntry(latest.id) : null;
+    const entry = previous && previous.summary.text === summary.text
+      ? { ...previous, title: title || previous.title, summary }
+      : { id: newHistoryId('summary'), kind: 'summary', url: pageUrl, site: historySite(pageUrl), title: title || pageUrl, createdAt: Date.now(), summary };
+    await putHistoryEntry(entry);
+    return entry.id;
+  });
+}
+
+function deleteHistoryEntries(ids) {
+  return queueHistoryWrite(async () => {
+    const drop = new Set(ids);
+    const index = (await readHistoryIndex()).filter(e => !drop.has(e.id));
+    await chrome.storage.local.set({ [HISTORY_INDEX_KEY]: index });
+    await chrome.storage.local.remove([...drop].map(id => HISTORY_ENTRY_PREFIX + id));
+  });
+}
+
+function clearHistory() {
+  return queueHistoryWrite(async () => {
+    // also sweeps entries an interrupted write left out of the index
+    const all = await chrome.storage.local.get(null);
+    const keys = Object.keys(all).filter(k => k === HISTORY_INDEX_KEY || k.startsWith(HISTORY_ENTRY_PREFIX));
+    if (keys.length) await chrome.storage.local.remove(keys);
+  });
+}
@@ -0,0 +1,200 @@
+// history.js
+// History browser (history.html): saved chats and summaries (history-store.js) grouped by site,
+// with full-text search, per-entry and per-site delete, and "Clear all". Deletes go through
+// background.js, which owns all history writes; the list reloads whenever storage changes.
+
+const $ = (id) => document.getElementById(id);
+
+let entries = [];
+const expanded = new Set(); // ids of entries showing their full thread
+const searchTextCache = new WeakMap();
+
+function sendHistoryMessage(message) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage(message, (resp) => {
+      const err = chrome.runtime.lastError;
+      resolve(err ? { ok: false, error: err.message } : (resp || { ok: false, error: 'No response' }));
+    });
+  });
+}
+
+// Lower-cased text an entry is searched by: title, address and every message or the summary
+function searchText(entry) {
+  if (!searchTextCache.has(entry)) {
+    const body = entry.kind === 'chat' ? entry.messages.map(m => m.text).join('\n') : entry.summary.text;
+    searchTextCache.set(entry, `${entry.title}\n${entry.url}\n${body}`.toLowerCase());
+  }
+  return searchTextCache.get(entry);
+}
+
+function searchTerms() {
+  return $('history-search').value.toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+// Short plain-text preview; with a search, centered on the first match
+function snippet(entry, terms) {
+  const texts = entry.kind === 'chat' ? entry.messages.map(m => m.text) : [entry.summary.text];
+  let text = texts[texts.length - 1] || '';
+  let at = 0;
+  if (terms.length) {
+    const hit = texts.find(t => t.toLowerCase().includes(terms[0]));
+    if (hit) {
+      text = hit;
+      at = Math.max(0, hit.toLowerCase().indexOf(terms[0]) - 60);
+    }
+  }
+  const plain = markdownToPlainText(text.slice(at, at + 400)).replace(/\s+/g, ' ').trim();
+  return (at ? '…' : '') + (plain.length > 200 ? `${plain.slice(0, 200)}…` : plain);
+}
+
+function makeButton(text, className, onClick) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = className;
+  btn.textContent = text;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+function renderThread(entry) {
+  const thread = document.createElement('div');
+  thread.className = 'gai-thread';
+  const turns = entry.kind === 'chat' ? entry.messages : [{ role: 'model', text: entry.summary.text }];
+  turns.forEach(m => {
+    const turn = document.createElement('div');
+    turn.className = `gai-turn ${m.role}`;
+    const role = document.createElement('span');
+    role.className = 'gai-turn-role';
+    role.textContent = m.role === 'user' ? 'You' : (entry.kind === 'chat' ? 'Gemini' : 'Summary');
+    const body = document.createElement('div');
+    if (m.role === 'user') setPlainText(body, m.text);
+    else renderMarkdownInto(body, m.text);
+    turn.appendChild(role);
+    turn.appendChild(body);
+    thread.appendChild(turn);
+  });
+  return thread;
+}
+
+function deleteEntries(ids) {
+  ids.forEach(id => expanded.delete(id));
+  return sendHistoryMessage({ action: 'history_delete', ids }).then(resp => {
+    if (!resp.ok) alert(`Could not delete: ${resp.error}`);
+  });
+}
+
+function renderEntry(entry, terms) {
+  const el = document.createElement('div');
+  el.className = 'gai-entry';
+
+  const head = document.createElement('div');
+  head.className = 'gai-entry-head';
+  const kind = document.createElement('span');
+  kind.className = 'gai-kind';
+  kind.textContent = entry.kind === 'chat' ? 'Chat' : 'Summary';
+  const title = document.createElement('a');
+  title.className = 'gai-entry-title';
+  title.href = entry.url;
+  title.target = '_blank';
+  title.rel = 'noopener noreferrer';
+  title.textContent = entry.title || entry.url;
+  head.appendChild(kind);
+  head.appendChild(title);
+
+  const meta = document.createElement('div');
+  meta.className = 'gai-meta';
+  const detail = entry.kind === 'chat'
+    ? `${Math.ceil(entry.messages.length / 2)} question(s)`
+    : `${entry.summary.length || 'summary'}`;
+  meta.textContent = `${new Date(entry.updatedAt).toLocaleString()} · ${detail} · ${entry.url}`;
+
+  el.appendChild(head);
+  el.appendChild(meta);
+
+  const isOpen = expanded.has(entry.id);
+  if (isOpen) {
+    el.appendChild(renderThread(entry));
+  } else {
+    const preview = document.createElement('div');
+    preview.className = 'gai-snippet';
+    preview.textContent = snippet(entry, terms);
+    el.appendChild(preview);
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'gai-entry-actions';
+  actions.appendChild(makeButton(isOpen ? 'Hide' : 'Show', 'gai-secondary gai-small', () => {
+    if (isOpen) expanded.delete(entry.id);
+    else expanded.add(entry.id);
+    render();
+  }));
+  actions.appendChild(makeButton('Delete', 'gai-danger gai-small', () => deleteEntries([entry.id])));
+  el.appendChild(actions);
+  return el;
+}
+
+function render() {
+  const list = $('history-list');
+  const terms = searchTerms();
+  const shown = entries.filter(entry => terms.every(t => searchText(entry).includes(t)));
+
+  // group by site; sites with the most recent activity first (entries are already newest first)
+  const sites = new Map();
+  shown.forEach(entry => {
+    if (!sites.has(entry.site)) sites.set(entry.site, []);
+    sites.get(entry.site).push(entry);
+  });
+
+  list.replaceChildren();
+  $('history-summary').textContent = entries.length
+    ? `${shown.length} of ${entries.length} saved item(s) from ${sites.size} site(s)`
+    : '';
+  $('clear-history').disabled = !entries.length;
+
+  if (!shown.length) {
+    const empty = document.createElement('div');
+    empty.className = 'gai-empty';
+    empty.textContent = entries.length ? 'Nothing matches your search.' : 'No saved chats or summaries yet.';
+    list.appendChild(empty);
+    return;
+  }
+
+  sites.forEach((siteEntries, site) => {
+    const section = document.createElement('section');
+    section.className = 'gai-site';
+    const head = document.createElement('div');
+    head.className = 'gai-site-head';
+    const name = document.createElement('h2');
+    name.textContent = `${site} (${siteEntries.length})`;
+    head.appendChild(name);
+    head.appendChild(makeButton(terms.length ? 'Delete matches' : 'Delete site', 'gai-danger gai-small', () => {
+      if (confirm(`Delete ${siteEntries.length} saved item(s) from ${site}?`)) deleteEntries(siteEntries.map(e => e.id));
+    }));
+    section.appendChild(head);
+    siteEntries.forEach(entry => section.appendChild(renderEntry(entry, terms)));
+    list.appendChild(section);
+  });
+}
+
+async function loadHistory() {
+  entries = await readAllHistoryEntries();
+  render();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const query = new URLSearchParams(location.search).get('q');
+  if (query) $('history-search').value = query;
+
+  $('history-search').addEventListener('input', render);
+  $('clear-history').addEventListener('click', async () => {
+    if (!confirm('Delete all saved chats and summaries?')) return;
+    expanded.clear();
+    const resp = await sendHistoryMessage({ action: 'history_clear' });
+    if (!resp.ok) alert(`Could not clear history: ${resp.error}`);
+  });
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[HISTORY_INDEX_KEY]) loadHistory();
+  });
+  loadHistory();
+});
@@ -0,0 +1,425 @@
+// === markdown-render.js ===
+// Safe Markdown rendering for model answers (loaded before content.js).
+// The renderer never parses HTML: it tokenizes Markdown itself and builds nodes with
+// createElement/textContent, so any markup in an answer (or in page text the model echoed)
+// shows up as literal text. sanitizeRenderedMarkdown() then re-checks the result against a
+// tag/attribute allowlist as a second line of defence.
+//
+// Supported: headings, paragraphs, bold/italic/strikethrough, inline code, links (http/https/mailto,
+// opened in a new tab without opener/referrer), bare URLs, nested lists, tables, blockquotes,
+// horizontal rules and fenced code blocks with a copy button.
+
+const MD_ALLOWED_TAGS = new Set(['DIV', 'SPAN', 'P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'STRONG', 'EM', 'DEL', 'CODE', 'PRE',
+  'A', 'UL', 'OL', 'LI', 'TABLE', 'THEAD', 'TBODY', 'TR', 'TH', 'TD', 'BLOCKQUOTE', 'HR', 'BR', 'BUTTON']);
+const MD_ALLOWED_ATTRS = {
+  '*': ['class'],
+  A: ['href', 'target', 'rel', 'referrerpolicy', 'title'],
+  OL: ['start'],
+  BUTTON: ['type', 'title', 'aria-label']
+};
+const MD_SAFE_PROTOCOLS = new Set(['http:', 'https:', 'mailto:']);
+
+// markdown source of every element rendered by renderMarkdownInto (for Copy / Download)
+const markdownSources = new WeakMap();
+// pending requestAnimationFrame id per element (see scheduleMarkdownRender)
+const pendingRenders = new WeakMap();
+
+function safeLinkUrl(href) {
+  try {
+    const url = new URL(href, location.href);
+    return MD_SAFE_PROTOCOLS.has(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function mdEl(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+// ---------- inline ----------
+// code span | [text](url) | **bold** | __bold__ | *em* | _em_ | ~~del~~ | bare URL
+const MD_INLINE_RE = /(`+)([\s\S]*?[^`])\1(?!`)|\[([^\]]+)\]\(\s*<?((?:[^()\s<>]|\([^()\s]*\))+)>?(?:\s+"[^"]*")?\s*\)|\*\*(?=\S)([\s\S]*?\S)\*\*|__(?=\S)([\s\S]*?\S)__(?!\w)|\*(?=[^\s*])([\s\S]*?[^\s*])\*|(?<!\w)_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)|~~(?=\S)([\s\S]*?\S)~~|(https?:\/\/[^\s<>"')\]]*[^\s<>"')\].,;:!?])/g;
+
+function appendInline(parent, text) {
+  const re = new RegExp(MD_INLINE_RE.source, 'g');
+  let last = 0;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    if (m.index > last) parent.appendChild(document.createTextNode(text.slice(last, m.index)));
+    last = re.lastIndex;
+
+    if (m[1]) {
+      parent.appendChild(mdEl('code', 'gai-md-code-inline', m[2].trim()));
+    } else if (m[3] !== undefined) {
+      const href = safeLinkUrl(m[4]);
+      if (href) {
+        const a = mdEl('a', 'gai-md-link');
+        a.href = href;
+        a.target = '_blank';
+        a.rel = 'noopener noreferrer nofollow';
+        a.referrerPolicy = 'no-referrer';
+        a.title = href;
+        appendInline(a, m[3]);
+        parent.appendChild(a);
+      } else {
+        appendInline(parent, m[3]);
+      }
+    } else if (m[5] !== undefined || m[6] !== undefined) {
+      const strong = mdEl('strong');
+      appendInline(strong, m[5] !== undefined ? m[5] : m[6]);
+      parent.appendChild(strong);
+    } else if (m[7] !== undefined || m[8] !== undefined) {
+      const em = mdEl('em');
+      appendInline(em, m[7] !== undefined ? m[7] : m[8]);
+      parent.appendChild(em);
+    } else if (m[9] !== undefined) {
+      const del = mdEl('del');
+      appendInline(del, m[9]);
+      parent.appendChild(del);
+    } else if (m[10]) {
+      const href = safeLinkUrl(m[10]);
+      if (!href) { parent.appendChild(document.createTextNode(m[10])); continue; }
+      const a = mdEl('a', 'gai-md-link', m[10]);
+      a.href = href;
+      a.target = '_blank';
+      a.rel = 'noopener noreferrer nofollow';
+      a.referrerPolicy = 'no-referrer';
+      parent.appendChild(a);
+    }
+  }
+  if (last < text.length) parent.appendChild(document.createTextNode(text.slice(last)));
+}
+
+// ---------- blocks ----------
+const MD_FENCE_RE = /^\s{0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const MD_HEADING_RE = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const MD_HR_RE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const MD_LIST_RE = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const MD_QUOTE_RE = /^\s{0,3}>\s?(.*)$/;
+const MD_TABLE_SEP_RE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+function isTableStart(line, next) {
+  return line.includes('|') && next !== undefined && next.includes('|') && MD_TABLE_SEP_RE.test(next);
+}
+
+function isBlockStart(line, next) {
+  return MD_FENCE_RE.test(line) || MD_HEADING_RE.test(line) || MD_HR_RE.test(line) ||
+    MD_LIST_RE.test(line) || MD_QUOTE_RE.test(line) || isTableStart(line, next);
+}
+
+function splitTableRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+  return row.split(/(?<!\\)\|/).map(c => c.trim().replace(/\\\|/g, '|'));
+}
+
+function copyToClipboard(text) {
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    return navigator.clipboard.writeText(text).catch(() => legacyCopy(text));
+  }
+  legacyCopy(text);
+  return Promise.resolve();
+}
+
+function legacyCopy(text) {
+  const ta = document.createElement('textarea');
+  ta.value = text;
+  ta.setAttribute('readonly', '');
+  Object.assign(ta.style, { position: 'fixed', top: '-1000px', opacity: '0' });
+  document.body.appendChild(ta);
+  ta.select();
+  try { document.execCommand('copy'); } catch (e) { /* ignore */ }
+  ta.remove();
+}
+
+// A small "Copy" button that copies getText() and briefly confirms
+function makeCopyButton(getText, label = 'Copy') {
+  const btn = mdEl('button', 'gai-md-copy-btn', label);
+  btn.type = 'button';
+  btn.title = 'Copy to clipboard';
+  btn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    copyToClipboard(getText()).then(() => {
+      btn.textContent = 'Copied';
+      setTimeout(() => { btn.textContent = label; }, 1200);
+    });
+  });
+  return btn;
+}
+
+function renderCodeBlock(code, lang) {
+  const wrap = mdEl('div', 'gai-md-codeblock');
+  const bar = mdEl('div', 'gai-md-codebar');
+  bar.appendChild(mdEl('span', 'gai-md-codelang', lang || 'code'));
+  bar.appendChild(makeCopyButton(() => code));
+  const pre = mdEl('pre', 'gai-md-pre');
+  pre.appendChild(mdEl('code', lang ? `gai-md-lang-${lang.replace(/[^\w-]/g, '')}` : '', code));
+  wrap.appendChild(bar);
+  wrap.appendChild(pre);
+  return wrap;
+}
+
+function renderTable(rows) {
+  const header = splitTableRow(rows[0]);
+  const aligns = splitTableRow(rows[1]).map(c => (/^:-+:$/.test(c) ? 'center' : /-+:$/.test(c) ? 'right' : ''));
+  const wrap = mdEl('div', 'gai-md-table-wrap');
+  const table = mdEl('table', 'gai-md-table');
+  const thead = mdEl('thead');
+  const tr = mdEl('tr');
+  header.forEach((cell, i) => {
+    const th = mdEl('th', aligns[i] ? `gai-md-align-${aligns[i]}` : '');
+    appendInline(th, cell);
+    tr.appendChild(th);
+  });
+  thead.appendChild(tr);
+  table.appendChild(thead);
+  const tbody = mdEl('tbody');
+  rows.slice(2).forEach(line => {
+    const cells = splitTableRow(line);
+    const row = mdEl('tr');
+    header.forEach((_, i) => {
+      const td = mdEl('td', aligns[i] ? `gai-md-align-${aligns[i]}` : '');
+      appendInline(td, cells[i] || '');
+      row.appendChild(td);
+    });
+    tbody.appendChild(row);
+  });
+  table.appendChild(tbody);
+  wrap.appendChild(table);
+  return wrap;
+}
+
+// Build nested lists from consecutive list lines (indentation decides nesting)
+function renderList(lines) {
+  // every node (root or list item) owns the lists nested directly under it
+  const root = { lists: [], current: null };
+  const stack = [{ indent: -1, node: root }];
+  let lastItem = null;
+
+  lines.forEach(line => {
+    const m = MD_LIST_RE.exec(line);
+    if (!m) {
+      // continuation of the previous item
+      if (lastItem) lastItem.text += ' ' + line.trim();
+      return;
+    }
+    const indent = m[1].replace(/\t/g, '    ').length;
+    const ordered = /\d/.test(m[2]);
+    while (stack.length > 1 && indent <= stack[stack.length - 1].indent) stack.pop();
+    const owner = stack[stack.length - 1].node;
+    if (!owner.current || owner.current.ordered !== ordered) {
+      owner.current = { ordered, start: ordered ? parseInt(m[2], 10) : 1, items: [] };
+      owner.lists.push(owner.current);
+    }
+    const item = { text: m[3], lists: [], current: null };
+    owner.current.items.push(item);
+    lastItem = item;
+    stack.push({ indent, node: item });
+  });
+
+  const build = (list) => {
+    const el = mdEl(list.ordered ? 'ol' : 'ul', 'gai-md-list');
+    if (list.ordered && list.start !== 1) el.setAttribute('start', String(list.start));
+    list.items.forEach(item => {
+      const li = mdEl('li');
+      const task = /^\[([ xX])\]\s+(.*)$/.exec(item.text);
+      appendInline(li, task ? `${task[1] === ' ' ? '☐' : '☑'} ${task[2]}` : item.text);
+      item.lists.forEach(sub => li.appendChild(build(sub)));
+      el.appendChild(li);
+    });
+    return el;
+  };
+
+  const frag = document.createDocumentFragment();
+  root.lists.forEach(list => frag.appendChild(build(list)));
+  return frag;
+}
+
+function renderBlocks(src, parent) {
+  const lines = src.replace(/\r\n?/g, '\n').split('\n');
+  let i = 0;
+  let para = [];
+  const flushPara = () => {
+    if (!para.length) return;
+    const p = mdEl('p');
+    para.forEach((l, idx) => {
+      if (idx) p.appendChild(/ {2,}$|\\$/.test(para[idx - 1]) ? mdEl('br') : document.createTextNode(' '));
+      appendInline(p, l.replace(/ {2,}$|\\$/, '').trim());
+    });
+    parent.appendChild(p);
+    para = [];
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    const fence = MD_FENCE_RE.exec(line);
+    if (fence) {
+      flushPara();
+      const marker = fence[1];
+      const body = [];
+      i++;
+      // an unterminated fence (answer still streaming) runs to the end
+      while (i < lines.length && !new RegExp(`^\\s{0,3}${marker[0]}{${marker.length},}\\s*$`).test(lines[i])) body.push(lines[i++]);
+      i++;
+      parent.appendChild(renderCodeBlock(body.join('\n'), fence[2]));
+      continue;
+    }
+
+    if (!line.trim()) { flushPara(); i++; continue; }
+
+    const heading = MD_HEADING_RE.exec(line);
+    if (heading) {
+      flushPara();
+      const h = mdEl(`h${heading[1].length}`, 'gai-md-heading');
+      appendInline(h, heading[2]);
+      parent.appendChild(h);
+      i++;
+      continue;
+    }
+
+    if (MD_HR_RE.test(line)) {
+      flushPara();
+      parent.appendChild(mdEl('hr', 'gai-md-hr'));
+      i++;
+      continue;
+    }
+
+    if (isTableStart(line, lines[i + 1])) {
+      flushPara();
+      const rows = [line, lines[i + 1]];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) rows.push(lines[i++]);
+      parent.appendChild(renderTable(rows));
+      continue;
+    }
+
+    if (MD_QUOTE_RE.test(line)) {
+      flushPara();
+      const quoted = [];
+      while (i < lines.length && MD_QUOTE_RE.test(lines[i])) quoted.push(MD_QUOTE_RE.exec(lines[i++])[1]);
+      const bq = mdEl('blockquote', 'gai-md-quote');
+      renderBlocks(quoted.join('\n'), bq);
+      parent.appendChild(bq);
+      continue;
+    }
+
+    if (MD_LIST_RE.test(line)) {
+      flushPara();
+      const listLines = [];
+      while (i < lines.length) {
+        const l = lines[i];
+        if (MD_LIST_RE.test(l) || (l.trim() && /^\s{2,}/.test(l) && !MD_FENCE_RE.test(l))) { listLines.push(l); i++; continue; }
+        // a single blank line between items keeps the list going
+        if (!l.trim() && i + 1 < lines.length && MD_LIST_RE.test(lines[i + 1])) { i++; continue; }
+        break;
+      }
+      parent.appendChild(renderList(listLines));
+      continue;
+    }
+
+    if (para.length && isBlockStart(line, lines[i + 1])) flushPara();
+    para.push(line);
+    i++;
+  }
+  flushPara();
+}
+
+// Defence in depth: drop anything outside the allowlist (tags, attributes, link protocols)
+function sanitizeRenderedMarkdown(root) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+  const toUnwrap = [];
+  while (walker.nextNode()) {
+    const el = walker.currentNode;
+    if (!MD_ALLOWED_TAGS.has(el.tagName)) { toUnwrap.push(el); continue; }
+    const allowed = new Set([...(MD_ALLOWED_ATTRS['*'] || []), ...(MD_ALLOWED_ATTRS[el.tagName] || [])]);
+    Array.from(el.attributes).forEach(attr => {
+      if (!allowed.has(attr.name)) el.removeAttribute(attr.name);
+    });
+    if (el.tagName === 'A') {
+      const href = safeLinkUrl(el.getAttribute('href') || '');
+      if (!href) el.removeAttribute('href');
+      el.setAttribute('target', '_blank');
+      el.setAttribute('rel', 'noopener noreferrer nofollow');
+    }
+  }
+  toUnwrap.forEach(el => el.replaceWith(document.createTextNode(el.textContent || '')));
+  return root;
+}
+
+// Render markdown as a sanitized DocumentFragment
+function renderMarkdown(markdown) {
+  const container = document.createElement('div');
+  renderBlocks(String(markdown || ''), container);
+  sanitizeRenderedMarkdown(container);
+  const frag = document.createDocumentFragment();
+  while (container.firstChild) frag.appendChild(container.firstChild);
+  return frag;
+}
+
+function cancelScheduledRender(el) {
+  if (!pendingRenders.has(el)) return;
+  cancelAnimationFrame(pendingRenders.get(el));
+  pendingRenders.delete(el);
+}
+
+// Replace el's content with rendered markdown and remember the source for Copy / Download
+function renderMarkdownInto(el, markdown) {
+  cancelScheduledRender(el);
+  markdownSources.set(el, String(markdown || ''));
+  el.classList.add('gai-md');
+  el.replaceChildren(renderMarkdown(markdown));
+}
+
+// Same as renderMarkdownInto, but coalesces rapid calls (streaming chunks) into one render per frame
+function scheduleMarkdownRender(el, markdown) {
+  markdownSources.set(el, String(markdown || ''));
+  if (pendingRenders.has(el)) return;
+  pendingRenders.set(el, requestAnimationFrame(() => {
+    pendingRenders.delete(el);
+    renderMarkdownInto(el, markdownSources.get(el));
+  }));
+}
+
+// Plain element text (status / error messages): clears markdown mode
+function setPlainText(el, text) {
+  cancelScheduledRender(el);
+  markdownSources.delete(el);
+  el.classList.remove('gai-md');
+  el.textContent = text;
+}
+
+function getMarkdownSource(el) {
+  return markdownSources.has(el) ? markdownSources.get(el) : null;
+}
+
+// Markdown -> readable plain text (markers removed, links as "text (url)", code kept verbatim)
+function markdownToPlainText(markdown) {
+  let inFence = false;
+  return String(markdown || '').replace(/\r\n?/g, '\n').split('\n').map(line => {
+    if (MD_FENCE_RE.test(line)) { inFence = !inFence; return null; }
+    if (inFence) return line;
+    if (line.includes('|') && MD_TABLE_SEP_RE.test(line)) return null;
+    return line
+      .replace(MD_HEADING_RE, '$2')
+      .replace(/^(\s*)[*+]\s+/, '$1- ')
+      .replace(/^\s{0,3}>\s?/, '')
+      .replace(/\[([^\]]+)\]\(\s*<?((?:[^()\s<>]|\([^()\s]*\))+)>?(?:\s+"[^"]*")?\s*\)/g, '$1 ($2)')
+      .replace(/(`+)([\s\S]*?[^`])\1/g, '$2')
+      .replace(/\*\*([\s\S]*?)\*\*|__([\s\S]*?)__/g, (_, a, b) => a !== undefined ? a : b)
+      .replace(/(?<![\w*])\*(?=\S)([^*]*?\S)\*(?!\w)|(?<!\w)_(?=\S)([^_]*?\S)_(?!\w)/g, (_, a, b) => a !== undefined ? a : b)
+      .replace(/~~([\s\S]*?)~~/g, '$1');
+  }).filter(l => l !== null).join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// "Copy" action under a rendered answer; copies the plain-text form, not the markup
+function appendCopyAction(el) {
+  const row = mdEl('div', 'gai-answer-actions');
+  row.appendChild(makeCopyButton(() => markdownToPlainText(getMarkdownSource(el) || el.textContent)));
+  el.appendChild(row);
+}
@@ -0,0 +1,197 @@
+// === model-picker.js ===
+// Compact model picker for the chat header, the summary panel and the extract panel (loaded before
+// content.js). It lists the proxy's models (background.js `list_models`, i.e. GET /api/models) and
+// edits one feature's settings from model-settings.js: model, temperature, max output tokens and
+// thinking budget. Changes are saved to chrome.storage.sync right away and background.js adds them
+// to the feature's next request; empty fields keep the proxy's defaults.
+
+function requestModelCatalog() {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ action: 'list_models' }, (resp) => {
+      const err = chrome.runtime.lastError;
+      resolve(!err && resp && resp.ok ? resp : null);
+    });
+  });
+}
+
+// Picker panel for `feature` ('chat' | 'summary' | 'actions' | 'extract'). onChange(settings, catalog) runs
+// once the saved settings are loaded and after every saved change.
+function createModelPicker({ feature, onChange }) {
+  let settings = sanitizeModelSettings(null);
+  let catalog = null; // GET /api/models body, read every time the picker opens
+
+  const panel = document.createElement('div');
+  panel.className = 'gai-model-picker';
+  panel.hidden = true;
+
+  const field = (labelText, control) => {
+    const label = document.createElement('label');
+    label.className = 'gai-model-field';
+    const name = document.createElement('span');
+    name.textContent = labelText;
+    label.appendChild(name);
+    label.appendChild(control);
+    return label;
+  };
+  const numberInput = (step) => {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.step = String(step);
+    input.placeholder = 'default';
+    return input;
+  };
+
+  const modelSelect = document.createElement('select');
+  const temperatureInput = numberInput(0.1);
+  const maxTokensInput = numberInput(256);
+  const thinkingInput = numberInput(256);
+  thinkingInput.title = '-1 lets the model decide, 0 turns thinking off where the model allows it';
+
+  const grid = document.createElement('div');
+  grid.className = 'gai-model-grid';
+  grid.appendChild(field('Model', modelSelect));
+  grid.appendChild(field('Temperature', temperatureInput));
+  grid.appendChild(field('Max output tokens', maxTokensInput));
+  grid.appendChild(field('Thinking budget', thinkingInput));
+
+  const note = document.createElement('div');
+  note.className = 'gai-model-note';
+  const actions = document.createElement('div');
+  actions.className = 'gai-model-actions';
+  const resetBtn = document.createElement('button');
+  resetBtn.type = 'button';
+  resetBtn.className = 'gai-model-reset';
+  resetBtn.textContent = 'Use proxy defaults';
+  actions.appendChild(note);
+  actions.appendChild(resetBtn);
+
+  panel.appendChild(grid);
+  panel.appendChild(actions);
+
+  const specFor = (id) => catalog && catalog.models.find(m => m.id === (id || catalog.defaultModel));
+
+  const showNote = (text, isError = false) => {
+    note.textContent = text;
+    note.classList.toggle('gai-model-error', isError);
+  };
+
+  // Limits of the selected model on the inputs; thinking is disabled for models without it
+  function syncLimits() {
+    const spec = specFor(modelSelect.value);
+    const range = (catalog && catalog.temperature) || { min: 0, max: 2 };
+    temperatureInput.min = String(range.min);
+    temperatureInput.max = String(range.max);
+    maxTokensInput.min = '1';
+    if (spec) maxTokensInput.max = String(spec.maxOutputTokens);
+    const thinking = spec && spec.thinking;
+    thinkingInput.disabled = !thinking;
+    if (thinking) {
+      thinkingInput.min = '-1';
+      thinkingInput.max = String(thinking.max);
+      thinkingInput.placeholder = 'default';
+    } else {
+      thinkingInput.value = '';
+      thinkingInput.placeholder = catalog ? 'n/a' : 'default';
+    }
+  }
+
+  function renderModels() {
+    modelSelect.replaceChildren();
+    const add = (value, text) => {
+      const o = document.createElement('option');
+      o.value = value;
+      o.textContent = text;
+      modelSelect.appendChild(o);
+    };
+    add('', catalog ? `Default (${catalog.defaultModel})` : 'Default');
+    (catalog ? catalog.models : []).forEach(m => { if (!m.default) add(m.id, m.id); });
+    // a saved model the proxy no longer lists stays visible, so the user sees why requests fail
+    if (settings.model && !specFor(settings.model)) add(settings.model, `${settings.model} (not offered)`);
+    modelSelect.value = catalog && settings.model === catalog.defaultModel ? '' : settings.model;
+  }
+
+  function render() {
+    renderModels();
+    const show = (input, value) => { input.value = value === null ? '' : String(value); };
+    show(temperatureInput, settings.temperature);
+    show(maxTokensInput, settings.maxOutputTokens);
+    show(thinkingInput, settings.thinkingBudget);
+    syncLimits();
+    const problem = modelSettingsProblem(settings, catalog);
+    if (problem) showNote(problem, true);
+    else showNote(catalog ? 'Saved for this browser.' : 'Could not load the proxy\'s models.', !catalog);
+  }
+
+  function readInputs() {
+    const number = (input) => (input.value.trim() === '' || input.disabled ? null : Number(input.value));
+    return sanitizeModelSettings({
+      model: modelSelect.value,
+      temperature: number(temperatureInput),
+      maxOutputTokens: number(maxTokensInput),
+      thinkingBudget: number(thinkingInput)
+    });
+  }
+
+  // Invalid values are shown, not saved: the last valid settings keep being used
+  async function save(next) {
+    const problem = modelSettingsProblem(next, catalog);
+    if (problem) {
+      showNote(problem, true);
+      return;
+    }
+    settings = await saveFeatureModelSettings(feature, next);
+    showNote('Saved for this browser.');
+    onChange(settings, catalog);
+  }
+
+  modelSelect.addEventListener('change', () => {
+    syncLimits();
+    const next = readInputs();
+    // keep the token limit within what the new model allows
+    const spec = specFor(next.model);
+    if (spec && next.maxOutputTokens !== null && next.maxOutputTokens > spec.maxOutputTokens) {
+      next.maxOutputTokens = spec.maxOutputTokens;
+      maxTokensInput.value = String(spec.maxOutputTokens);
+    }
+    save(next);
+  });
+  [temperatureInput, maxTokensInput, thinkingInput].forEach(input => {
+    input.addEventListener('change', () => save(readInputs()));
+  });
+  resetBtn.addEventListener('click', () => {
+    save(sanitizeModelSettings(null)).then(render);
+  });
+
+  loadModelSettings().then(all => {
+    settings = all[feature];
+    onChange(settings, catalog);
+  }).catch(err => console.warn('Could not load model settings', err));
+
+  async function refresh() {
+    showNote('Loading models…');
+    catalog = await requestModelCatalog();
+    settings = (await loadModelSettings())[feature];
+    render();
+    onChange(settings, catalog);
+  }
+
+  return {
+    element: panel,
+    isOpen: () => !panel.hidden,
+    toggle() {
+      panel.hidden = !panel.hidden;
+      if (!panel.hidden) refresh();
+      return !panel.hidden;
+    },
+    close() { panel.hidden = true; }
+  };
+}
+
+// Label of a picker's button: the chosen model, or "Model" while it is the proxy's default; the
+// button is highlighted while any setting differs from the defaults
+function showModelChoice(btn, settings, catalog) {
+  const custom = Object.keys(modelRequestFields(settings)).length > 0;
+  btn.textContent = settings.model || 'Model';
+  btn.title = `Model for this panel: ${describeModelSettings(settings, catalog ? catalog.defaultModel : '')}`;
+  btn.style.color = custom ? '#a6fff0' : '#9aa1a6';
+}
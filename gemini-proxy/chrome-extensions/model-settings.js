@@ -0,0 +1,87 @@
+// model-settings.js
+// Model and generation settings per feature, shared by the content scripts (the model pickers),
+// background.js (adds them to /api/generate, /api/summarize and /api/extract requests, via
+// importScripts) and the options page. Settings in chrome.storage.sync:
+//   modelSettings: { chat, summary, actions, extract } -> { model, temperature, maxOutputTokens, thinkingBudget }
+// An empty model ('') or a null number means "the proxy's default". The proxy only accepts the
+// models and ranges it lists on GET /api/models (see lib/models.js on the server).
+
+const MODEL_FEATURES = [
+  { id: 'chat', label: 'Chat and prompt box' },
+  { id: 'summary', label: 'Page summaries' },
+  { id: 'actions', label: 'Context-menu actions' },
+  { id: 'extract', label: 'Data extraction' }
+];
+const DEFAULT_MODEL_SETTINGS = { modelSettings: {} };
+
+function sanitizeModelSettings(value) {
+  const v = value && typeof value === 'object' ? value : {};
+  const number = (n, whole) => (typeof n === 'number' && Number.isFinite(n) && (!whole || Number.isInteger(n)) ? n : null);
+  return {
+    model: typeof v.model === 'string' ? v.model.trim() : '',
+    temperature: number(v.temperature),
+    maxOutputTokens: number(v.maxOutputTokens, true),
+    thinkingBudget: number(v.thinkingBudget, true)
+  };
+}
+
+// { chat, summary, actions, extract }, each with all four fields
+async function loadModelSettings() {
+  const { modelSettings } = await chrome.storage.sync.get(DEFAULT_MODEL_SETTINGS);
+  return Object.fromEntries(MODEL_FEATURES.map(f => [f.id, sanitizeModelSettings(modelSettings && modelSettings[f.id])]));
+}
+
+async function saveFeatureModelSettings(feature, settings) {
+  const all = await loadModelSettings();
+  all[feature] = sanitizeModelSettings(settings);
+  await chrome.storage.sync.set({ modelSettings: all });
+  return all[feature];
+}
+
+// Request body fields { model?, generation? }; nothing for settings left at the proxy's defaults
+function modelRequestFields(settings) {
+  const s = sanitizeModelSettings(settings);
+  const generation = {};
+  ['temperature', 'maxOutputTokens', 'thinkingBudget'].forEach(key => {
+    if (s[key] !== null) generation[key] = s[key];
+  });
+  return {
+    ...(s.model ? { model: s.model } : {}),
+    ...(Object.keys(generation).length ? { generation } : {})
+  };
+}
+
+// Short description for buttons and the options page, e.g. "gemini-2.5-flash · temp 0.3"
+function describeModelSettings(settings, defaultModel = '') {
+  const s = sanitizeModelSettings(settings);
+  const parts = [s.model || (defaultModel ? `${defaultModel} (default)` : 'Proxy default')];
+  if (s.temperature !== null) parts.push(`temp ${s.temperature}`);
+  if (s.maxOutputTokens !== null) parts.push(`max ${s.maxOutputTokens} tokens`);
+  if (s.thinkingBudget !== null) parts.push(s.thinkingBudget === -1 ? 'dynamic thinking' : s.thinkingBudget === 0 ? 'no thinking' : `thinking ${s.thinkingBudget}`);
+  return parts.join(' · ');
+}
+
+// Why `settings` would be rejected by the proxy, or null. `catalog` is GET /api/models' body.
+function modelSettingsProblem(settings, catalog) {
+  if (!catalog) return null;
+  const s = sanitizeModelSettings(settings);
+  const id = s.model || catalog.defaultModel;
+  const spec = (catalog.models || []).find(m => m.id === id);
+  if (!spec) return `${id} is not offered by this proxy.`;
+  const range = catalog.temperature || { min: 0, max: 2 };
+  if (s.temperature !== null && (s.temperature < range.min || s.temperature > range.max)) {
+    return `Temperature must be from ${range.min} to ${range.max}.`;
+  }
+  if (s.maxOutputTokens !== null && (s.maxOutputTokens < 1 || s.maxOutputTokens > spec.maxOutputTokens)) {
+    return `Max output tokens must be from 1 to ${spec.maxOutputTokens} for ${id}.`;
+  }
+  if (s.thinkingBudget !== null) {
+    const thinking = spec.thinking;
+    if (!thinking) return `${id} has no thinking budget.`;
+    const b = s.thinkingBudget;
+    if (!(b === -1 || (b === 0 && thinking.canDisable) || (b >= thinking.min && b <= thinking.max))) {
+      return `Thinking budget for ${id}: -1 (dynamic)${thinking.canDisable ? ', 0 (off)' : ''} or ${thinking.min}–${thinking.max}.`;
+    }
+  }
+  return null;
+}
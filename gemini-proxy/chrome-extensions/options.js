@@ -0,0 +1,486 @@
+// options.js
+// Settings page: proxy base URL, access token, default summary length, page translation language,
+// citation mode, the model per feature, the site rules, redaction and send preview, the
+// context-menu actions and the command palette hotkey (chrome.storage.sync),
+// the browser shortcuts (read-only here, rebound on chrome://extensions/shortcuts), runtime host permission for the proxy,
+// a "Test connection" check against /api/health and a link to the history page.
+
+const DEFAULT_SETTINGS = {
+  proxyBaseUrl: 'http://localhost:3000',
+  proxyToken: '',
+  defaultSummaryLength: 'medium',
+  translateTargetLanguage: '', // empty = the browser's language
+  citationMode: false,
+  previewBeforeSend: false,
+  paletteShortcut: DEFAULT_PALETTE_SHORTCUT // '' = off
+};
+
+const $ = (id) => document.getElementById(id);
+
+function setMessage(el, text, ok) {
+  el.textContent = text;
+  el.className = ok ? 'gai-ok' : 'gai-error';
+}
+
+function normalizeBaseUrl(value) {
+  const url = new URL((value || '').trim() || DEFAULT_SETTINGS.proxyBaseUrl);
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error('Server URL must start with http:// or https://');
+  return url.origin + url.pathname.replace(/\/+$/, '');
+}
+
+// Host permission pattern for the proxy (match patterns don't carry ports)
+function originPattern(baseUrl) {
+  const url = new URL(baseUrl);
+  return `${url.protocol}//${url.hostname}/*`;
+}
+
+// Must be the first async step of a click handler: Chrome only shows the prompt on a user gesture.
+// Resolves true immediately (no prompt) when the permission is already granted.
+function ensureHostPermission(baseUrl) {
+  return chrome.permissions.request({ origins: [originPattern(baseUrl)] });
+}
+
+// ---------- context-menu actions editor (list shape: see context-actions.js) ----------
+// tasks offered in the editor; replaced by the proxy's GET /api/templates list when reachable
+let availableTasks = [
+  { id: 'general', label: 'Ask about the selection' },
+  { id: 'explain', label: 'Explain' },
+  { id: 'translate', label: 'Translate' },
+  { id: 'define', label: 'Define' },
+  { id: 'simplify', label: 'Rewrite simpler' },
+  { id: 'critique', label: 'Critique' },
+  { id: 'extract-facts', label: 'Extract facts' }
+];
+let contextActions = [];
+
+async function loadAvailableTasks(baseUrl, token) {
+  try {
+    const res = await fetch(`${baseUrl}/api/templates`, { headers: token ? { Authorization: `Bearer ${token}` } : {}, cache: 'no-store' });
+    const body = await res.json();
+    if (!res.ok || !Array.isArray(body?.templates)) return;
+    const tasks = body.templates.filter(t => !t.hidden || t.id === 'general')
+      .map(t => ({ id: t.id, label: t.id === 'general' ? 'Ask about the selection' : t.label }));
+    if (tasks.length) availableTasks = tasks;
+    renderContextActions();
+  } catch (e) {
+    // proxy not reachable (or no host permission yet): keep the built-in list
+  }
+}
+
+function makeButton(text, title, onClick) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'gai-secondary';
+  btn.textContent = text;
+  btn.title = title;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+function moveContextAction(index, delta) {
+  const to = index + delta;
+  if (to < 0 || to >= contextActions.length) return;
+  const [item] = contextActions.splice(index, 1);
+  contextActions.splice(to, 0, item);
+  renderContextActions();
+}
+
+function renderContextActions() {
+  const list = $('context-actions');
+  list.replaceChildren();
+  contextActions.forEach((action, index) => {
+    const row = document.createElement('div');
+    row.className = 'gai-action';
+
+    const head = document.createElement('div');
+    head.className = 'gai-action-head';
+    const title = document.createElement('input');
+    title.value = action.title;
+    title.placeholder = 'Menu title';
+    title.setAttribute('aria-label', 'Menu title');
+    title.addEventListener('input', () => { action.title = title.value; });
+
+    const task = document.createElement('select');
+    task.setAttribute('aria-label', 'Task');
+    const tasks = availableTasks.some(t => t.id === action.task) ? availableTasks : [...availableTasks, { id: action.task, label: action.task }];
+    tasks.forEach(t => {
+      const o = document.createElement('option');
+      o.value = t.id;
+      o.textContent = t.label;
+      task.appendChild(o);
+    });
+    task.value = action.task;
+    task.addEventListener('change', () => { action.task = task.value; });
+
+    head.appendChild(title);
+    head.appendChild(task);
+    head.appendChild(makeButton('↑', 'Move up', () => moveContextAction(index, -1)));
+    head.appendChild(makeButton('↓', 'Move down', () => moveContextAction(index, 1)));
+    head.appendChild(makeButton('✕', 'Delete', () => { contextActions.splice(index, 1); renderContextActions(); }));
+
+    const prompt = document.createElement('textarea');
+    prompt.rows = 2;
+    prompt.value = action.prompt;
+    prompt.placeholder = 'Instruction sent with the selected text';
+    prompt.setAttribute('aria-label', 'Instruction');
+    prompt.addEventListener('input', () => { action.prompt = prompt.value; });
+
+    const language = document.createElement('input');
+    language.value = action.targetLanguage;
+    language.placeholder = 'Target language (translate task only, e.g. auto or Spanish)';
+    language.setAttribute('aria-label', 'Target language');
+    language.addEventListener('input', () => { action.targetLanguage = language.value; });
+
+    row.appendChild(head);
+    row.appendChild(prompt);
+    row.appendChild(language);
+    list.appendChild(row);
+  });
+  $('add-action').disabled = contextActions.length >= MAX_CONTEXT_ACTIONS;
+}
+
+function addContextAction() {
+  contextActions.push({ id: `custom-${Date.now().toString(36)}`, title: 'New action', task: 'general', prompt: '', targetLanguage: '' });
+  renderContextActions();
+}
+
+// ---------- model per feature (see model-settings.js) ----------
+let modelCatalog = null; // GET /api/models body, when the proxy is reachable
+let modelSettings = {};
+
+async function loadModelCatalog(baseUrl, token) {
+  try {
+    const res = await fetch(`${baseUrl}/api/models`, { headers: token ? { Authorization: `Bearer ${token}` } : {}, cache: 'no-store' });
+    const body = await res.json();
+    if (res.ok && Array.isArray(body?.models)) modelCatalog = body;
+  } catch (e) {
+    // proxy not reachable (or no host permission yet): only "Default" and the saved models
+  }
+  renderModelSettings();
+}
+
+function renderModelSettings() {
+  const list = $('model-settings');
+  list.replaceChildren();
+  MODEL_FEATURES.forEach(feature => {
+    const settings = modelSettings[feature.id];
+    const row = document.createElement('div');
+    row.className = 'gai-model-row';
+    row.dataset.feature = feature.id;
+
+    const name = document.createElement('div');
+    name.className = 'gai-model-feature';
+    name.textContent = feature.label;
+
+    const model = document.createElement('select');
+    model.dataset.field = 'model';
+    model.setAttribute('aria-label', `${feature.label}: model`);
+    const models = modelCatalog ? modelCatalog.models.filter(m => !m.default).map(m => m.id) : [];
+    if (settings.model && !models.includes(settings.model) && settings.model !== modelCatalog?.defaultModel) models.push(settings.model);
+    [['', modelCatalog ? `Default (${modelCatalog.defaultModel})` : 'Proxy default'], ...models.map(id => [id, id])].forEach(([value, text]) => {
+      const o = document.createElement('option');
+      o.value = value;
+      o.textContent = text;
+      model.appendChild(o);
+    });
+    model.value = settings.model === modelCatalog?.defaultModel ? '' : settings.model;
+    model.addEventListener('change', () => { settings.model = model.value; });
+
+    row.appendChild(name);
+    row.appendChild(model);
+    [['temperature', 'Temperature', 0.1], ['maxOutputTokens', 'Max output tokens', 256], ['thinkingBudget', 'Thinking budget', 256]].forEach(([field, label, step]) => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.step = String(step);
+      input.dataset.field = field;
+      input.placeholder = label;
+      input.title = `${label} (empty = proxy default)`;
+      input.setAttribute('aria-label', `${feature.label}: ${label}`);
+      input.value = settings[field] === null ? '' : String(settings[field]);
+      input.addEventListener('input', () => { settings[field] = input.value.trim() === '' ? null : Number(input.value); });
+      row.appendChild(input);
+    });
+    list.appendChild(row);
+  });
+  $('model-catalog-note').textContent = modelCatalog
+    ? `Models offered by the proxy (${modelCatalog.provider}): ${modelCatalog.models.map(m => m.id).join(', ')}.`
+    : 'Could not load the proxy\'s models; save the server URL and reload this page to pick one.';
+}
+
+// Throws on settings the proxy would reject (checked against its model list when it was reachable)
+function readModelSettings() {
+  return Object.fromEntries([...document.querySelectorAll('.gai-model-row')].map(row => {
+    const value = (field) => row.querySelector(`[data-field="${field}"]`).value.trim();
+    const number = (field) => (value(field) === '' ? null : Number(value(field)));
+    const settings = sanitizeModelSettings({
+      model: value('model'),
+      temperature: number('temperature'),
+      maxOutputTokens: number('maxOutputTokens'),
+      thinkingBudget: number('thinkingBudget')
+    });
+    const problem = modelSettingsProblem(settings, modelCatalog);
+    if (problem) throw new Error(`${MODEL_FEATURES.find(f => f.id === row.dataset.feature).label}: ${problem}`);
+    return [row.dataset.feature, settings];
+  }));
+}
+
+// ---------- site rules editor (shape and matching: see site-rules.js) ----------
+const SITE_RULE_OPTIONS = [
+  { value: 'block', label: 'Off' },
+  { value: 'hide-widget', label: 'Hide floating button' },
+  { value: 'allow', label: 'Allow' }
+];
+let siteRules = [];
+
+function renderSiteRules() {
+  const list = $('site-rules');
+  list.replaceChildren();
+  if (!siteRules.length) {
+    const empty = document.createElement('div');
+    empty.className = 'gai-hint';
+    empty.textContent = 'No rules yet.';
+    list.appendChild(empty);
+  }
+  siteRules.forEach((siteRule, index) => {
+    const row = document.createElement('div');
+    row.className = 'gai-site-rule';
+
+    const pattern = document.createElement('input');
+    pattern.value = siteRule.pattern;
+    pattern.placeholder = '*.example.com';
+    pattern.spellcheck = false;
+    pattern.setAttribute('aria-label', 'Site pattern');
+    pattern.addEventListener('input', () => { siteRule.pattern = pattern.value; });
+
+    const rule = document.createElement('select');
+    rule.setAttribute('aria-label', 'Rule');
+    SITE_RULE_OPTIONS.forEach(r => {
+      const o = document.createElement('option');
+      o.value = r.value;
+      o.textContent = r.label;
+      rule.appendChild(o);
+    });
+    rule.value = siteRule.rule;
+    rule.addEventListener('change', () => { siteRule.rule = rule.value; });
+
+    row.appendChild(pattern);
+    row.appendChild(rule);
+    row.appendChild(makeButton('✕', 'Delete', () => { siteRules.splice(index, 1); renderSiteRules(); }));
+    list.appendChild(row);
+  });
+  $('add-site-rule').disabled = siteRules.length >= MAX_SITE_RULES;
+}
+
+function addSiteRule() {
+  siteRules.push({ pattern: '', rule: $('site-access-mode').value === 'allowlist' ? 'allow' : 'block' });
+  renderSiteRules();
+  const inputs = $('site-rules').querySelectorAll('input');
+  inputs[inputs.length - 1].focus();
+}
+
+// ---------- redaction (see redaction.js) ----------
+function renderRedactionDetectors(enabled) {
+  const list = $('redaction-detectors');
+  list.replaceChildren();
+  REDACTION_DETECTORS.forEach(detector => {
+    const label = document.createElement('label');
+    label.className = 'gai-check gai-detector';
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.dataset.detector = detector.id;
+    box.checked = enabled[detector.id] !== false;
+    label.appendChild(box);
+    label.appendChild(document.createTextNode(detector.label));
+    list.appendChild(label);
+  });
+}
+
+// One pattern per line; throws on the first one that isn't a valid regular expression
+function readRedactionPatterns() {
+  const patterns = $('redaction-patterns').value.split('\n').map(p => p.trim()).filter(Boolean);
+  if (patterns.length > MAX_REDACTION_PATTERNS) throw new Error(`At most ${MAX_REDACTION_PATTERNS} custom patterns`);
+  const invalid = patterns.find(p => !parseRedactionPattern(p));
+  if (invalid) throw new Error(`"${invalid}" is not a valid regular expression`);
+  return patterns;
+}
+
+function readForm() {
+  return {
+    proxyBaseUrl: normalizeBaseUrl($('proxy-base-url').value),
+    proxyToken: $('proxy-token').value.trim(),
+    defaultSummaryLength: $('default-summary-length').value,
+    translateTargetLanguage: $('translate-target-language').value.trim(),
+    citationMode: $('citation-mode').checked,
+    previewBeforeSend: $('preview-before-send').checked,
+    redactionDetectors: Object.fromEntries([...document.querySelectorAll('[data-detector]')].map(box => [box.dataset.detector, box.checked])),
+    redactionPatterns: readRedactionPatterns(),
+    paletteShortcut: $('palette-shortcut').dataset.shortcut || '',
+    siteAccessMode: $('site-access-mode').value,
+    modelSettings: readModelSettings(),
+    siteRules: sanitizeSiteRules(siteRules),
+    contextActions: sanitizeContextActions(contextActions)
+  };
+}
+
+async function loadSettings() {
+  const settings = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+  $('proxy-base-url').value = settings.proxyBaseUrl;
+  $('proxy-token').value = settings.proxyToken;
+  $('default-summary-length').value = settings.defaultSummaryLength;
+  $('translate-target-language').value = settings.translateTargetLanguage;
+  $('citation-mode').checked = settings.citationMode;
+  $('preview-before-send').checked = settings.previewBeforeSend;
+  const redaction = await loadRedactionSettings();
+  renderRedactionDetectors(redaction.redactionDetectors);
+  $('redaction-patterns').value = redaction.redactionPatterns.join('\n');
+  showPaletteShortcut(normalizeShortcut(settings.paletteShortcut));
+  renderBrowserCommands();
+  const siteSettings = await loadSiteSettings();
+  $('site-access-mode').value = siteSettings.siteAccessMode;
+  siteRules = siteSettings.siteRules;
+  renderSiteRules();
+  contextActions = await loadContextActions();
+  renderContextActions();
+  modelSettings = await loadModelSettings();
+  renderModelSettings();
+  loadAvailableTasks(settings.proxyBaseUrl, settings.proxyToken);
+  loadModelCatalog(settings.proxyBaseUrl, settings.proxyToken);
+}
+
+async function saveSettings() {
+  const status = $('status');
+  try {
+    const settings = readForm();
+    const granted = await ensureHostPermission(settings.proxyBaseUrl);
+    await chrome.storage.sync.set(settings);
+    $('proxy-base-url').value = settings.proxyBaseUrl;
+    contextActions = settings.contextActions.map(a => ({ ...a }));
+    renderContextActions();
+    siteRules = settings.siteRules.map(r => ({ ...r }));
+    renderSiteRules();
+    modelSettings = settings.modelSettings;
+    if (!granted) {
+      setMessage(status, `Saved, but access to ${settings.proxyBaseUrl} was not granted — requests will fail until you allow it.`, false);
+      return;
+    }
+    setMessage(status, 'Saved.', true);
+  } catch (err) {
+    setMessage(status, `Not saved: ${err.message || err}`, false);
+  }
+}
+
+// ---------- Keyboard shortcuts ----------
+function showPaletteShortcut(shortcut) {
+  const field = $('palette-shortcut');
+  field.dataset.shortcut = shortcut || '';
+  field.value = formatShortcut(shortcut);
+}
+
+// The palette field records the next key combination pressed while it has focus
+function recordPaletteShortcut(e) {
+  if (e.key === 'Tab') return;
+  e.preventDefault();
+  if (e.key === 'Escape') return e.target.blur();
+  if ((e.key === 'Backspace' || e.key === 'Delete') && !e.ctrlKey && !e.metaKey && !e.altKey) {
+    showPaletteShortcut('');
+    return;
+  }
+  const shortcut = normalizeShortcut(shortcutFromEvent(e));
+  if (shortcut) showPaletteShortcut(shortcut);
+}
+
+async function renderBrowserCommands() {
+  const list = $('browser-commands');
+  list.replaceChildren();
+  (await chrome.commands.getAll()).forEach(command => {
+    const row = document.createElement('div');
+    row.className = 'gai-command';
+    const name = document.createElement('span');
+    name.textContent = command.description || command.name;
+    const keys = document.createElement(command.shortcut ? 'kbd' : 'span');
+    keys.textContent = command.shortcut || 'not set';
+    if (!command.shortcut) keys.className = 'gai-hint';
+    row.appendChild(name);
+    row.appendChild(keys);
+    list.appendChild(row);
+  });
+}
+
+function pingBackground() {
+  const started = performance.now();
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ action: 'PING' }, (resp) => {
+      const err = chrome.runtime.lastError;
+      resolve({ ok: !err && !!resp?.ok, ms: Math.round(performance.now() - started), error: err?.message });
+    });
+  });
+}
+
+async function testConnection() {
+  const out = $('connection-result');
+  const btn = $('test-connection');
+  btn.disabled = true;
+  out.className = '';
+  out.textContent = 'Testing…';
+
+  try {
+    const { proxyBaseUrl, proxyToken } = readForm();
+    const lines = [];
+    const granted = await ensureHostPermission(proxyBaseUrl);
+
+    const ping = await pingBackground();
+    lines.push(ping.ok ? `Extension background: OK (${ping.ms} ms)` : `Extension background: not responding (${ping.error || 'no reply'})`);
+
+    if (!granted) {
+      lines.push(`Server: permission to access ${proxyBaseUrl} was not granted.`);
+      setMessage(out, lines.join('\n'), false);
+      return;
+    }
+
+    const headers = proxyToken ? { Authorization: `Bearer ${proxyToken}` } : {};
+    const started = performance.now();
+    let res;
+    try {
+      res = await fetch(`${proxyBaseUrl}/api/health`, { headers, cache: 'no-store' });
+    } catch (err) {
+      lines.push(`Server: unreachable at ${proxyBaseUrl} (${err.message || err})`);
+      setMessage(out, lines.join('\n'), false);
+      return;
+    }
+    const ms = Math.round(performance.now() - started);
+    const body = await res.json().catch(() => null);
+
+    if (!res.ok || !body?.ok) {
+      lines.push(`Server: HTTP ${res.status} in ${ms} ms — ${body?.error || 'unexpected response'}`);
+      setMessage(out, lines.join('\n'), false);
+      return;
+    }
+
+    lines.push(`Server: OK in ${ms} ms — version ${body.version}`);
+    lines.push(`Model: ${body.provider} / ${body.model}${body.providerReady ? '' : ' (not configured on the server!)'}`);
+    lines.push(`Auth: ${body.authRequired ? `token accepted (${body.client})` : 'not required by this server'}`);
+    setMessage(out, lines.join('\n'), ping.ok && body.providerReady);
+  } catch (err) {
+    setMessage(out, `Test failed: ${err.message || err}`, false);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  loadSettings();
+  $('save').addEventListener('click', saveSettings);
+  $('test-connection').addEventListener('click', testConnection);
+  $('add-action').addEventListener('click', addContextAction);
+  $('add-site-rule').addEventListener('click', addSiteRule);
+  $('open-history').addEventListener('click', () => chrome.tabs.create({ url: chrome.runtime.getURL('history.html') }));
+  $('palette-shortcut').addEventListener('keydown', recordPaletteShortcut);
+  $('reset-palette-shortcut').addEventListener('click', () => showPaletteShortcut(DEFAULT_PALETTE_SHORTCUT));
+  $('edit-browser-shortcuts').addEventListener('click', () => chrome.tabs.create({ url: 'chrome://extensions/shortcuts' }));
+  // bindings changed on chrome://extensions/shortcuts show up when coming back to this tab
+  document.addEventListener('visibilitychange', () => { if (!document.hidden) renderBrowserCommands(); });
+  $('reset-actions').addEventListener('click', () => {
+    contextActions = cloneDefaultContextActions();
+    renderContextActions();
+  });
+});
@@ -0,0 +1,194 @@
+// === page-markdown.js ===
+// Serializes the page's main content as Markdown (loaded after readability.js, before content.js).
+// Keeps the structure that flat text loses: headings, nested lists, tables, fenced code,
+// blockquotes and image alt text / captions. Boilerplate is skipped with readability.js's rules.
+
+const MD_SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'CANVAS', 'IFRAME', 'BUTTON', 'SELECT', 'TEXTAREA', 'INPUT', 'OBJECT', 'VIDEO', 'AUDIO']);
+const MD_BLOCK_TAGS = new Set(['P', 'DIV', 'SECTION', 'ARTICLE', 'MAIN', 'HEADER', 'FIGURE', 'DL', 'DD', 'DT', 'ADDRESS', 'DETAILS', 'SUMMARY']);
+
+function mdEscapeInline(text) {
+  return text.replace(/([\\`*_[\]])/g, '\\$1');
+}
+
+function mdCollapse(text) {
+  return text.replace(/\s+/g, ' ');
+}
+
+// One inline node as Markdown (bold/italic/code kept, links reduced to their text)
+function mdInlineNode(node, ctx) {
+  if (node.nodeType === 3) return mdEscapeInline(mdCollapse(node.nodeValue));
+  if (node.nodeType !== 1 || !ctx.include(node)) return '';
+  switch (node.tagName) {
+    case 'BR': return ' ';
+    case 'IMG': return mdImage(node);
+    case 'CODE': case 'KBD': case 'SAMP': {
+      const code = mdCollapse(node.textContent || '').trim();
+      if (!code) return '';
+      return code.includes('`') ? `\`\` ${code} \`\`` : `\`${code}\``;
+    }
+    case 'STRONG': case 'B': {
+      const t = mdInline(node, ctx).trim();
+      return t ? `**${t}**` : '';
+    }
+    case 'EM': case 'I': {
+      const t = mdInline(node, ctx).trim();
+      return t ? `*${t}*` : '';
+    }
+    default: return mdInline(node, ctx);
+  }
+}
+
+// Inline content of el's children as a single Markdown line
+function mdInline(el, ctx) {
+  let out = '';
+  el.childNodes.forEach(node => { out += mdInlineNode(node, ctx); });
+  return out;
+}
+
+function mdImage(img) {
+  const alt = mdCollapse(img.getAttribute('alt') || '').trim();
+  if (!alt) return '';
+  const src = img.currentSrc || img.src || '';
+  return /^https?:/.test(src) && src.length < 200 ? `![${mdEscapeInline(alt)}](${src})` : `![${mdEscapeInline(alt)}]`;
+}
+
+function mdTableCell(cell, ctx) {
+  return mdInline(cell, ctx).replace(/\|/g, '\\|').trim() || ' ';
+}
+
+function mdTable(table, ctx) {
+  const rows = Array.from(table.rows || []).filter(r => ctx.include(r));
+  if (!rows.length) return '';
+  const grid = rows.map(r => {
+    const cells = [];
+    Array.from(r.cells).forEach(c => {
+      const text = mdTableCell(c, ctx);
+      cells.push(text);
+      for (let i = 1; i < (c.colSpan || 1); i++) cells.push(' ');
+    });
+    return cells;
+  });
+  const width = Math.max(...grid.map(r => r.length));
+  if (!width) return '';
+  grid.forEach(r => { while (r.length < width) r.push(' '); });
+
+  const line = cells => `| ${cells.join(' | ')} |`;
+  // first row becomes the header (Markdown tables need one) — usually the <th> row anyway
+  const out = [line(grid[0]), line(new Array(width).fill('---'))];
+  grid.slice(1).forEach(r => out.push(line(r)));
+  const caption = table.caption ? mdCollapse(table.caption.textContent || '').trim() : '';
+  return (caption ? `*${mdEscapeInline(caption)}*\n\n` : '') + out.join('\n');
+}
+
+function mdCodeBlock(pre) {
+  const codeEl = pre.querySelector('code') || pre;
+  const langMatch = /(?:^|\s)(?:language|lang)-([\w+#.-]+)/.exec(`${codeEl.className || ''} ${pre.className || ''}`);
+  const code = (codeEl.textContent || '').replace(/\n+$/, '');
+  const fence = code.includes('```') ? '~~~' : '```';
+  return `${fence}${langMatch ? langMatch[1] : ''}\n${code}\n${fence}`;
+}
+
+function mdList(list, ctx, depth) {
+  const ordered = list.tagName === 'OL';
+  let n = Number(list.getAttribute('start')) || 1;
+  const lines = [];
+  Array.from(list.children).forEach(li => {
+    if (li.tagName !== 'LI' || !ctx.include(li)) return;
+    const marker = ordered ? `${n++}.` : '-';
+    const indent = '  '.repeat(depth);
+    // split the item into its own inline text and any nested lists / blocks
+    const inlineParts = [];
+    const nested = [];
+    li.childNodes.forEach(child => {
+      if (child.nodeType === 1 && (child.tagName === 'UL' || child.tagName === 'OL')) {
+        if (ctx.include(child)) nested.push(mdList(child, ctx, depth + 1));
+      } else if (child.nodeType === 1 && (child.tagName === 'PRE' || child.tagName === 'TABLE')) {
+        if (ctx.include(child)) nested.push(mdBlocks(child, ctx).split('\n').map(l => `${'  '.repeat(depth + 1)}${l}`).join('\n'));
+      } else {
+        inlineParts.push(mdInlineNode(child, ctx));
+      }
+    });
+    lines.push(`${indent}${marker} ${inlineParts.join('').trim()}`);
+    nested.filter(Boolean).forEach(x => lines.push(x));
+  });
+  return lines.join('\n');
+}
+
+// Block-level serialization of el's children; returns Markdown blocks separated by blank lines.
+// ctx.used counts characters of leaf blocks so nested containers are not counted twice.
+function mdBlocks(el, ctx) {
+  const blocks = [];
+  let inline = '';
+  const push = (block) => {
+    if (!block) return;
+    blocks.push(block);
+    ctx.used += block.length + 2;
+  };
+  const flushInline = () => {
+    push(inline.trim());
+    inline = '';
+  };
+
+  const children = el.tagName === 'PRE' || el.tagName === 'TABLE' ? [el] : Array.from(el.childNodes);
+  for (const node of children) {
+    if (ctx.used > ctx.maxChars) break;
+    if (node.nodeType !== 1) { inline += mdInlineNode(node, ctx); continue; }
+    if (!ctx.include(node)) continue;
+
+    const tag = node.tagName;
+    const heading = /^H([1-6])$/.exec(tag);
+    if (heading) {
+      flushInline();
+      const t = mdInline(node, ctx).trim();
+      if (t) push(`${'#'.repeat(Number(heading[1]))} ${t}`);
+    } else if (tag === 'UL' || tag === 'OL') {
+      flushInline();
+      push(mdList(node, ctx, 0));
+    } else if (tag === 'TABLE') {
+      flushInline();
+      push(mdTable(node, ctx));
+    } else if (tag === 'PRE') {
+      flushInline();
+      push(mdCodeBlock(node));
+    } else if (tag === 'BLOCKQUOTE') {
+      flushInline();
+      const inner = mdBlocks(node, ctx);
+      if (inner) blocks.push(inner.split('\n').map(l => `> ${l}`).join('\n'));
+    } else if (tag === 'FIGCAPTION') {
+      flushInline();
+      const t = mdInline(node, ctx).trim();
+      if (t) push(`*${t}*`);
+    } else if (tag === 'HR') {
+      flushInline();
+      push('---');
+    } else if (MD_BLOCK_TAGS.has(tag) || node.querySelector('p, div, ul, ol, table, pre, h1, h2, h3, h4, h5, h6, blockquote, figure')) {
+      flushInline();
+      const inner = mdBlocks(node, ctx);
+      if (inner) blocks.push(inner);
+    } else {
+      inline += mdInlineNode(node, ctx);
+    }
+  }
+  flushInline();
+  return blocks.join('\n\n');
+}
+
+// Markdown for everything visible under root (up to maxChars).
+function serializeToMarkdown(root, maxChars = 60000) {
+  if (!root) return '';
+  const insideBoilerplate = makeBoilerplateChecker(root.parentElement);
+  const visibility = new Map();
+  const ctx = {
+    maxChars,
+    used: 0,
+    include: (el) => {
+      if (MD_SKIP_TAGS.has(el.tagName)) return false;
+      if (insideBoilerplate(el)) return false;
+      if (!visibility.has(el)) visibility.set(el, el.tagName === 'TR' || isElementVisible(el));
+      return visibility.get(el);
+    }
+  };
+
+  const md = mdBlocks(root, ctx).replace(/\n{3,}/g, '\n\n').trim();
+  return md.length > maxChars ? md.slice(0, maxChars) + '\n\n...[truncated]' : md;
+}
@@ -0,0 +1,149 @@
+// === page-passages.js ===
+// Citation mode (loaded before content.js). The main content is split into numbered passages
+// (P1, P2, ... in document order) that are sent instead of the page text; the proxy asks the model
+// to cite them as [P3] or [P2, P5] (see lib/citations.js). Citations in a finished answer become
+// chips that scroll to the passage on the live page and highlight it. An answer that cites no
+// passage of the page is flagged as ungrounded.
+
+const PASSAGE_SELECTOR = 'p, li, blockquote, pre, td, th, dd, dt, figcaption';
+const MIN_PASSAGE_CHARS = 25;
+const MAX_PASSAGE_CHARS = 1200; // longer blocks are clipped (the whole element is still highlighted)
+const MAX_PAGE_PASSAGES = 2000;
+const MAX_SUMMARY_PASSAGE_CHARS = 480000; // summaries cover the whole page (same budget as extractFullText)
+const CITATION_MARKER_RE = /\[(P\d{1,5}(?:\s*[,;]\s*P\d{1,5})*)\]/g;
+const PASSAGE_HIGHLIGHT_MS = 2500;
+
+// element -> timer that removes its highlight
+const passageHighlightTimers = new WeakMap();
+
+// [{ id, text, element }] for the main content, until maxChars of passage text is collected.
+// IDs only depend on the page, so collecting again (e.g. after a reload) gives the same numbering.
+function collectPagePassages(maxChars = MAIN_TEXT_CHARS) {
+  let root = null;
+  try { root = findMainContentElement(); } catch (e) { root = null; }
+  root = root || document.body;
+
+  const passages = [];
+  let size = 0;
+  for (const el of root.querySelectorAll(PASSAGE_SELECTOR)) {
+    if (passages.length >= MAX_PAGE_PASSAGES) break;
+    // the innermost block is the passage (li > p, td > p), and our own UI never is one
+    if (el.querySelector(PASSAGE_SELECTOR) || el.closest('[id^="gai-"], [class^="gai-"]')) continue;
+    if (typeof el.checkVisibility === 'function' && !el.checkVisibility()) continue;
+    let text = (el.textContent || '').replace(/\s+/g, ' ').trim();
+    if (text.length < MIN_PASSAGE_CHARS) continue;
+    if (text.length > MAX_PASSAGE_CHARS) text = `${text.slice(0, MAX_PASSAGE_CHARS)}…`;
+    if (size + text.length > maxChars) break;
+    passages.push({ id: `P${passages.length + 1}`, text, element: el });
+    size += text.length;
+  }
+  return passages;
+}
+
+// Passage element on the live page: the one we collected, or (if the page re-rendered it) the
+// block that now holds the same text
+function findPassageElement(passage) {
+  if (passage.element && passage.element.isConnected) return passage.element;
+  const current = collectPagePassages(Infinity);
+  const fresh = current.find(p => p.text === passage.text) || current.find(p => p.id === passage.id);
+  return fresh ? fresh.element : null;
+}
+
+function highlightPassage(passage) {
+  const el = findPassageElement(passage);
+  if (!el) return false;
+  el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  el.classList.add('gai-cite-highlight');
+  clearTimeout(passageHighlightTimers.get(el));
+  passageHighlightTimers.set(el, setTimeout(() => el.classList.remove('gai-cite-highlight'), PASSAGE_HIGHLIGHT_MS));
+  return true;
+}
+
+function makeCitationChip(id, passage) {
+  const chip = document.createElement('button');
+  chip.type = 'button';
+  chip.className = 'gai-cite-chip';
+  chip.textContent = id.slice(1);
+  if (!passage) {
+    chip.classList.add('gai-cite-missing');
+    chip.title = `${id} is not a passage of this page`;
+    chip.disabled = true;
+    return chip;
+  }
+  chip.title = `${id}: ${passage.text.length > 160 ? `${passage.text.slice(0, 160)}…` : passage.text}`;
+  chip.setAttribute('aria-label', `Show passage ${id} on the page`);
+  chip.addEventListener('click', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (!highlightPassage(passage)) {
+      chip.classList.add('gai-cite-missing');
+      chip.title = `${id} is no longer on the page`;
+    }
+  });
+  return chip;
+}
+
+// Replace [P3] / [P2, P5] markers inside a rendered answer with chips.
+// Returns { cited, unknown }: passage IDs found on the page and IDs that are not.
+function linkCitations(el, passages) {
+  const byId = new Map((passages || []).map(p => [p.id, p]));
+  const cited = new Set();
+  const unknown = new Set();
+
+  const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => (node.parentElement.closest('pre, code, .gai-answer-actions') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+  });
+  const nodes = [];
+  while (walker.nextNode()) {
+    if (/\[P\d/.test(walker.currentNode.nodeValue)) nodes.push(walker.currentNode);
+  }
+
+  nodes.forEach(node => {
+    const text = node.nodeValue;
+    const frag = document.createDocumentFragment();
+    let last = 0;
+    text.replace(CITATION_MARKER_RE, (marker, list, offset) => {
+      if (offset > last) frag.appendChild(document.createTextNode(text.slice(last, offset)));
+      const group = document.createElement('span');
+      group.className = 'gai-cite-group';
+      list.split(/\s*[,;]\s*/).forEach(id => {
+        const passage = byId.get(id);
+        (passage ? cited : unknown).add(id);
+        group.appendChild(makeCitationChip(id, passage));
+      });
+      frag.appendChild(group);
+      last = offset + marker.length;
+      return marker;
+    });
+    if (last < text.length) frag.appendChild(document.createTextNode(text.slice(last)));
+    node.parentNode.replaceChild(frag, node);
+  });
+  return { cited: [...cited], unknown: [...unknown] };
+}
+
+// Chips for a finished citation-mode answer, plus the "ungrounded" flag when nothing on the page is cited
+function applyCitations(el, passages) {
+  const result = linkCitations(el, passages);
+  el.querySelectorAll(':scope > .gai-ungrounded').forEach(n => n.remove());
+  if (!result.cited.length) {
+    const flag = document.createElement('div');
+    flag.className = 'gai-ungrounded';
+    flag.setAttribute('role', 'note');
+    flag.textContent = result.unknown.length
+      ? '⚠ Not grounded: the cited passages do not exist on this page.'
+      : '⚠ Not grounded: this answer cites no passage of the page.';
+    el.appendChild(flag);
+  }
+  return result;
+}
+
+// Chat turns and summaries carry only the markers; when one is shown again later its chips are
+// linked to the passages the page has now
+function hasCitationMarkers(text) {
+  return new RegExp(CITATION_MARKER_RE.source).test(String(text || ''));
+}
+
+// The same passages without DOM references, for pageContext.passages
+function passagesPayload(passages) {
+  return passages.map(({ id, text }) => ({ id, text }));
+}
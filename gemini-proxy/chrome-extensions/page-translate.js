@@ -0,0 +1,163 @@
+// === page-translate.js ===
+// Full-page, in-place translation (loaded before content.js). Visible text nodes are collected in
+// document order, sent in batches to /api/translate (through background.js) and only their
+// nodeValue is replaced, so links, event handlers and layout stay as they were. Originals are kept
+// per node, which makes "Show original" / "Show translation" a cheap swap. Segments are redacted
+// before they are sent (redaction.js) and the placeholders swapped back in the translations.
+
+// text inside these is never translated (code, form fields, our own UI, opted-out regions)
+const TRANSLATE_SKIP_SELECTOR = [
+  'script', 'style', 'noscript', 'template', 'code', 'pre', 'kbd', 'samp', 'var',
+  'textarea', 'input', 'select', 'option', 'svg', 'math', 'iframe', 'canvas',
+  '[contenteditable=""]', '[contenteditable="true"]', '[translate="no"]', '.notranslate',
+  '[id^="gai-"]', '[class^="gai-"]'
+].join(',');
+
+const TRANSLATE_BATCH_SEGMENTS = 80;
+const TRANSLATE_BATCH_CHARS = 5000;
+const TRANSLATE_MAX_NODES = 4000; // very long pages are translated up to this many text nodes
+
+// node -> { original, translated }; survives "Show original" so toggling back needs no requests
+let translatedNodes = new Map();
+const pageTranslation = { state: 'idle', targetLanguage: null, runId: 0 }; // state: idle | running | translated | original
+
+function isTranslatableTextNode(node) {
+  const text = node.nodeValue;
+  if (!text || text.trim().length < 2 || !/\p{L}/u.test(text)) return false;
+  const parent = node.parentElement;
+  if (!parent || parent.closest(TRANSLATE_SKIP_SELECTOR)) return false;
+  if (typeof parent.checkVisibility === 'function' && !parent.checkVisibility()) return false;
+  return true;
+}
+
+function collectTranslatableTextNodes(root = document.body, limit = TRANSLATE_MAX_NODES) {
+  const nodes = [];
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => (isTranslatableTextNode(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT)
+  });
+  while (walker.nextNode() && nodes.length < limit) nodes.push(walker.currentNode);
+  return nodes;
+}
+
+// Split nodes into request-sized batches (segment count and character budget)
+function batchTextNodes(nodes) {
+  const batches = [];
+  let current = [];
+  let size = 0;
+  nodes.forEach(node => {
+    const len = node.nodeValue.trim().length;
+    if (current.length && (current.length >= TRANSLATE_BATCH_SEGMENTS || size + len > TRANSLATE_BATCH_CHARS)) {
+      batches.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(node);
+    size += len;
+  });
+  if (current.length) batches.push(current);
+  return batches;
+}
+
+// Keep the node's own leading/trailing whitespace so words don't run together
+function withOriginalSpacing(original, translated) {
+  const lead = original.match(/^\s*/)[0];
+  const trail = original.match(/\s*$/)[0];
+  return lead + translated.trim() + trail;
+}
+
+function requestTranslation(segments, targetLanguage, redactor) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({
+      action: 'translate_segments',
+      segments: segments.map(redactor.text),
+      targetLanguage,
+      pageContext: { title: redactor.text(document.title), url: redactor.url(location.href) }
+    }, (resp) => {
+      const err = chrome.runtime.lastError;
+      if (err) resolve({ ok: false, error: err.message });
+      else if (resp && Array.isArray(resp.segments)) resolve({ ...resp, segments: resp.segments.map(redactor.restore) });
+      else resolve(resp || { ok: false, error: 'No response (messaging error)' });
+    });
+  });
+}
+
+// Translate the page in place. onProgress({ done, total }) is called after every batch.
+// Resolves to { ok, translated, failed, error? }; a later call (or restore) cancels a running one.
+async function translatePage(targetLanguage, { onProgress } = {}) {
+  const runId = ++pageTranslation.runId;
+  // re-translating into another language starts from the original text
+  if (pageTranslation.targetLanguage && pageTranslation.targetLanguage !== targetLanguage) restorePageTranslation({ forget: true });
+  else if (pageTranslation.state === 'original') showTranslatedText();
+
+  pageTranslation.state = 'running';
+  pageTranslation.targetLanguage = targetLanguage;
+
+  // one redactor for the whole page keeps placeholders consistent across batches
+  const redactor = createRedactor(await loadRedactionSettings());
+  if (runId !== pageTranslation.runId) return { ok: false, cancelled: true, translated: 0, failed: 0 };
+  const nodes = collectTranslatableTextNodes().filter(n => !translatedNodes.has(n));
+  const batches = batchTextNodes(nodes);
+  let translated = 0;
+  let failed = 0;
+  if (onProgress) onProgress({ done: 0, total: batches.length });
+
+  for (let b = 0; b < batches.length; b++) {
+    const batch = batches[b];
+    const sent = batch.map(node => node.nodeValue);
+    const resp = await requestTranslation(sent.map(t => t.trim()), targetLanguage, redactor);
+    if (runId !== pageTranslation.runId) return { ok: false, cancelled: true, translated, failed };
+    if (!resp.ok || !Array.isArray(resp.segments)) {
+      pageTranslation.state = translatedNodes.size ? 'translated' : 'idle';
+      return { ok: false, error: resp.error || 'Translation failed', translated, failed };
+    }
+
+    batch.forEach((node, i) => {
+      // skip nodes the page removed or rewrote while we were waiting
+      if (!node.isConnected || node.nodeValue !== sent[i]) return;
+      const translation = resp.segments[i];
+      if (typeof translation !== 'string' || !translation.trim()) return;
+      const value = withOriginalSpacing(sent[i], translation);
+      translatedNodes.set(node, { original: sent[i], translated: value });
+      node.nodeValue = value;
+      translated++;
+    });
+    failed += resp.failed || 0;
+    if (onProgress) onProgress({ done: b + 1, total: batches.length });
+  }
+
+  pageTranslation.state = 'translated';
+  return { ok: true, translated, failed };
+}
+
+// Put the original text back. With forget, the translations are dropped as well.
+function restorePageTranslation({ forget = false } = {}) {
+  pageTranslation.runId++; // cancels a running translatePage
+  translatedNodes.forEach((entry, node) => {
+    if (node.isConnected && node.nodeValue === entry.translated) node.nodeValue = entry.original;
+  });
+  if (forget) {
+    translatedNodes = new Map();
+    pageTranslation.targetLanguage = null;
+    pageTranslation.state = 'idle';
+  } else {
+    pageTranslation.state = translatedNodes.size ? 'original' : 'idle';
+  }
+}
+
+// Re-apply translations after restorePageTranslation()
+function showTranslatedText() {
+  translatedNodes.forEach((entry, node) => {
+    if (node.isConnected && node.nodeValue === entry.original) node.nodeValue = entry.translated;
+  });
+  pageTranslation.state = 'translated';
+}
+
+// Language name for the browser UI language, e.g. "English" (fallback target language)
+function browserLanguageName() {
+  const code = (navigator.language || 'en').split('-')[0];
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+  } catch (e) {
+    return code;
+  }
+}
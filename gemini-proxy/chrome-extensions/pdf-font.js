@@ -0,0 +1,263 @@
+// === pdf-font.js ===
+// TrueType fonts for the PDF export (loaded before summary-export.js). The DejaVu fonts shipped in
+// fonts/ (license in fonts/LICENSE) are subsets without hinting, about 190 KB each instead of
+// 700 KB: Latin with its extensions and IPA, Greek, Cyrillic, punctuation, currency, letterlike
+// symbols, arrows, math operators, box drawing and geometric shapes (made with harfbuzz's
+// hb-subset). They are not web-accessible; background.js reads them for an export, only when one
+// is made. They are parsed here, just enough for summary-export.js to measure text
+// with the font's own advance widths, write it as real PDF text (glyph ids, see pdfFontGlyphs) and
+// embed a subset that keeps only the outlines the document uses. No shaping: scripts that need it
+// (Arabic, Hebrew, Indic, Thai, ...) and characters the font lacks (CJK, emoji) are reported by
+// pdfFontCovers so the export can draw those lines as images instead.
+
+const PDF_FONT_FILES = {
+  sans: 'fonts/DejaVuSans.ttf',
+  bold: 'fonts/DejaVuSans-Bold.ttf',
+  mono: 'fonts/DejaVuSansMono.ttf'
+};
+
+// right-to-left and shaped scripts, joiners and emoji variation selectors
+const PDF_SHAPED_TEXT_RE = /[\u0590-\u08FF\u0900-\u0DFF\u0E00-\u0FFF\u1000-\u109F\u1780-\u18AF\uFB1D-\uFDFF\uFE00-\uFE0F\uFE70-\uFEFF\u200C\u200D]/;
+
+const pdfFontCache = new Map(); // key -> Promise<font>
+
+// Resolves to the parsed font for 'sans' | 'bold' | 'mono'; read once per page load
+function loadPdfFont(key) {
+  if (!pdfFontCache.has(key)) {
+    const file = PDF_FONT_FILES[key];
+    const promise = new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({ action: 'pdf_font', file }, (resp) => {
+        if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+        else if (!resp || !resp.ok) reject(new Error(`Could not load ${file}: ${resp?.error || 'no response'}`));
+        else resolve(Uint8Array.from(atob(resp.data), c => c.charCodeAt(0)).buffer);
+      });
+    }).then(buffer => parseTrueTypeFont(buffer));
+    // a failed load is tried again on the next export
+    promise.catch(() => pdfFontCache.delete(key));
+    pdfFontCache.set(key, promise);
+  }
+  return pdfFontCache.get(key);
+}
+
+function readTag(view, offset) {
+  return String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3));
+}
+
+// Unicode code point -> glyph id from the (3,10) format 12 or (3,1)/(0,x) format 4 subtable
+function parseCmap(view, start) {
+  const map = new Map();
+  const count = view.getUint16(start + 2);
+  const subtables = [];
+  for (let i = 0; i < count; i++) {
+    const rec = start + 4 + i * 8;
+    subtables.push({ platform: view.getUint16(rec), encoding: view.getUint16(rec + 2), offset: start + view.getUint32(rec + 4) });
+  }
+  const full = subtables.find(t => (t.platform === 3 && t.encoding === 10) || t.platform === 0) || null;
+  if (full && view.getUint16(full.offset) === 12) {
+    const groups = view.getUint32(full.offset + 12);
+    for (let i = 0; i < groups; i++) {
+      const g = full.offset + 16 + i * 12;
+      const first = view.getUint32(g);
+      const last = view.getUint32(g + 4);
+      const glyph = view.getUint32(g + 8);
+      for (let c = first; c <= last; c++) map.set(c, glyph + c - first);
+    }
+    return map;
+  }
+  const bmp = subtables.find(t => (t.platform === 3 && t.encoding === 1) || t.platform === 0);
+  if (!bmp || view.getUint16(bmp.offset) !== 4) throw new Error('Font has no Unicode cmap');
+  const segCountX2 = view.getUint16(bmp.offset + 6);
+  const ends = bmp.offset + 14;
+  const starts = ends + segCountX2 + 2;
+  const deltas = starts + segCountX2;
+  const rangeOffsets = deltas + segCountX2;
+  for (let s = 0; s < segCountX2; s += 2) {
+    const first = view.getUint16(starts + s);
+    const last = view.getUint16(ends + s);
+    const delta = view.getUint16(deltas + s);
+    const rangeOffset = view.getUint16(rangeOffsets + s);
+    for (let c = first; c <= last && c !== 0xFFFF; c++) {
+      let glyph;
+      if (!rangeOffset) glyph = (c + delta) & 0xFFFF;
+      else {
+        glyph = view.getUint16(rangeOffsets + s + rangeOffset + (c - first) * 2);
+        if (glyph) glyph = (glyph + delta) & 0xFFFF;
+      }
+      if (glyph) map.set(c, glyph);
+    }
+  }
+  return map;
+}
+
+// PostScript name (name id 6), for the PDF's BaseFont
+function parsePostScriptName(view, table) {
+  if (!table) return 'Font';
+  const count = view.getUint16(table.offset + 2);
+  const strings = table.offset + view.getUint16(table.offset + 4);
+  for (let i = 0; i < count; i++) {
+    const rec = table.offset + 6 + i * 12;
+    if (view.getUint16(rec + 6) !== 6) continue;
+    const platform = view.getUint16(rec);
+    const length = view.getUint16(rec + 8);
+    const at = strings + view.getUint16(rec + 10);
+    let name = '';
+    if (platform === 1) for (let j = 0; j < length; j++) name += String.fromCharCode(view.getUint8(at + j));
+    else for (let j = 0; j < length; j += 2) name += String.fromCharCode(view.getUint16(at + j));
+    const clean = name.replace(/[^\x21-\x7E]|[()<>[\]{}/%#]/g, '');
+    if (clean) return clean;
+  }
+  return 'Font';
+}
+
+function parseTrueTypeFont(buffer) {
+  const view = new DataView(buffer);
+  const tables = {};
+  const numTables = view.getUint16(4);
+  for (let i = 0; i < numTables; i++) {
+    const rec = 12 + i * 16;
+    tables[readTag(view, rec)] = { offset: view.getUint32(rec + 8), length: view.getUint32(rec + 12) };
+  }
+  ['head', 'hhea', 'hmtx', 'maxp', 'cmap', 'loca', 'glyf'].forEach(tag => {
+    if (!tables[tag]) throw new Error(`Font has no ${tag} table`);
+  });
+
+  const head = tables.head.offset;
+  const numGlyphs = view.getUint16(tables.maxp.offset + 4);
+  const numberOfHMetrics = view.getUint16(tables.hhea.offset + 34);
+  const advances = new Uint16Array(numGlyphs);
+  for (let g = 0; g < numGlyphs; g++) advances[g] = view.getUint16(tables.hmtx.offset + Math.min(g, numberOfHMetrics - 1) * 4);
+  const longLoca = view.getInt16(head + 50) === 1;
+  const glyphOffsets = new Uint32Array(numGlyphs + 1);
+  for (let g = 0; g <= numGlyphs; g++) {
+    glyphOffsets[g] = longLoca ? view.getUint32(tables.loca.offset + g * 4) : view.getUint16(tables.loca.offset + g * 2) * 2;
+  }
+
+  return {
+    buffer,
+    tables,
+    postScriptName: parsePostScriptName(view, tables.name),
+    unitsPerEm: view.getUint16(head + 18),
+    bbox: [view.getInt16(head + 36), view.getInt16(head + 38), view.getInt16(head + 40), view.getInt16(head + 42)],
+    ascent: view.getInt16(tables.hhea.offset + 4),
+    descent: view.getInt16(tables.hhea.offset + 6),
+    monospace: tables.post ? view.getUint32(tables.post.offset + 12) !== 0 : false,
+    numGlyphs,
+    advances,
+    glyphOffsets,
+    cmap: parseCmap(view, tables.cmap.offset)
+  };
+}
+
+// True when the font can write `text` as it should look: every character has a glyph and nothing
+// needs shaping or right-to-left ordering
+function pdfFontCovers(font, text) {
+  if (PDF_SHAPED_TEXT_RE.test(text)) return false;
+  for (const ch of text) {
+    if (!font.cmap.has(ch.codePointAt(0))) return false;
+  }
+  return true;
+}
+
+// [{ glyph, text }] for every character of `text` (glyph 0 where the font has none)
+function pdfFontGlyphs(font, text) {
+  return Array.from(String(text), ch => ({ glyph: font.cmap.get(ch.codePointAt(0)) || 0, text: ch }));
+}
+
+// Width of `text` at `size` points
+function pdfFontWidth(font, text, size) {
+  let units = 0;
+  for (const ch of String(text)) units += font.advances[font.cmap.get(ch.codePointAt(0)) || 0];
+  return units * size / font.unitsPerEm;
+}
+
+function trueTypeChecksum(bytes) {
+  const padded = new Uint8Array(Math.ceil(bytes.length / 4) * 4);
+  padded.set(bytes);
+  const view = new DataView(padded.buffer);
+  let sum = 0;
+  for (let i = 0; i < padded.length; i += 4) sum = (sum + view.getUint32(i)) >>> 0;
+  return sum;
+}
+
+// The font with only the outlines of `glyphIds` (and the glyphs composite glyphs are built from).
+// Glyph ids stay the same, so the PDF can address them directly; unused glyphs keep their advance
+// width but have no outline.
+function subsetTrueTypeFont(font, glyphIds) {
+  const bytes = new Uint8Array(font.buffer);
+  const view = new DataView(font.buffer);
+  const glyf = font.tables.glyf.offset;
+  const keep = new Set([0, ...glyphIds]);
+  const queue = [...keep];
+  while (queue.length) {
+    const gid = queue.pop();
+    const start = glyf + font.glyphOffsets[gid];
+    if (font.glyphOffsets[gid + 1] === font.glyphOffsets[gid] || view.getInt16(start) >= 0) continue;
+    // composite glyph: flags, component glyph id, offsets and an optional transform per component
+    let p = start + 10;
+    let flags;
+    do {
+      flags = view.getUint16(p);
+      const component = view.getUint16(p + 2);
+      p += 4 + (flags & 0x0001 ? 4 : 2);
+      if (flags & 0x0008) p += 2;
+      else if (flags & 0x0040) p += 4;
+      else if (flags & 0x0080) p += 8;
+      if (!keep.has(component)) {
+        keep.add(component);
+        queue.push(component);
+      }
+    } while (flags & 0x0020);
+  }
+
+  const glyphs = [];
+  const loca = new DataView(new ArrayBuffer((font.numGlyphs + 1) * 4));
+  let size = 0;
+  for (let g = 0; g < font.numGlyphs; g++) {
+    loca.setUint32(g * 4, size);
+    if (!keep.has(g)) continue;
+    const data = bytes.subarray(glyf + font.glyphOffsets[g], glyf + font.glyphOffsets[g + 1]);
+    const padded = new Uint8Array(Math.ceil(data.length / 4) * 4);
+    padded.set(data);
+    glyphs.push(padded);
+    size += padded.length;
+  }
+  loca.setUint32(font.numGlyphs * 4, size);
+  const glyfData = new Uint8Array(size);
+  glyphs.reduce((at, g) => { glyfData.set(g, at); return at + g.length; }, 0);
+
+  const copy = (tag) => bytes.slice(font.tables[tag].offset, font.tables[tag].offset + font.tables[tag].length);
+  const head = copy('head');
+  const headView = new DataView(head.buffer);
+  headView.setUint32(8, 0); // checkSumAdjustment, set below
+  headView.setInt16(50, 1); // long loca offsets
+  const out = { head, hhea: copy('hhea'), maxp: copy('maxp'), hmtx: copy('hmtx'), loca: new Uint8Array(loca.buffer), glyf: glyfData };
+  // hinting programs are referenced by the outlines we keep
+  ['cvt ', 'fpgm', 'prep'].forEach(tag => { if (font.tables[tag]) out[tag] = copy(tag); });
+
+  const tags = Object.keys(out).sort();
+  const entrySelector = Math.floor(Math.log2(tags.length));
+  const searchRange = 2 ** entrySelector * 16;
+  const headerSize = 12 + tags.length * 16;
+  const total = tags.reduce((sum, tag) => sum + Math.ceil(out[tag].length / 4) * 4, headerSize);
+  const file = new Uint8Array(total);
+  const fileView = new DataView(file.buffer);
+  fileView.setUint32(0, 0x00010000);
+  fileView.setUint16(4, tags.length);
+  fileView.setUint16(6, searchRange);
+  fileView.setUint16(8, entrySelector);
+  fileView.setUint16(10, tags.length * 16 - searchRange);
+  let offset = headerSize;
+  let headOffset = 0;
+  tags.forEach((tag, i) => {
+    const rec = 12 + i * 16;
+    for (let j = 0; j < 4; j++) fileView.setUint8(rec + j, tag.charCodeAt(j));
+    fileView.setUint32(rec + 4, trueTypeChecksum(out[tag]));
+    fileView.setUint32(rec + 8, offset);
+    fileView.setUint32(rec + 12, out[tag].length);
+    file.set(out[tag], offset);
+    if (tag === 'head') headOffset = offset;
+    offset += Math.ceil(out[tag].length / 4) * 4;
+  });
+  fileView.setUint32(headOffset + 8, (0xB1B0AFBA - trueTypeChecksum(file)) >>> 0);
+  return file;
+}
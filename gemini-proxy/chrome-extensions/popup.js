@@ -0,0 +1,60 @@
+// popup.js
+// Toolbar popup: turn Browzie on, off or widget-less for the current tab's site. The choice is saved
+// as a rule for the tab's host name (see siteRulesWithHostAccess in site-rules.js); open pages pick
+// it up right away. Wildcard patterns and the allowlist mode are edited on the options page.
+
+const $ = (id) => document.getElementById(id);
+const RULE_LABELS = { allow: 'allowed', 'hide-widget': 'button hidden', block: 'turned off' };
+
+let tabUrl = null;
+
+async function render() {
+  const settings = await loadSiteSettings();
+  const access = siteAccessFor(tabUrl, settings);
+  const match = matchSiteRule(tabUrl, settings.siteRules);
+  document.querySelectorAll('[data-access]').forEach(btn => {
+    btn.setAttribute('aria-pressed', String(btn.dataset.access === access));
+  });
+
+  let status;
+  if (match) status = `Rule "${match.pattern}": ${RULE_LABELS[match.rule]}.`;
+  else if (settings.siteAccessMode === 'allowlist') status = 'Not on your allowlist, so Browzie is off here.';
+  else status = 'No rule for this site.';
+  $('site-status').textContent = status;
+}
+
+async function choose(access) {
+  const settings = await loadSiteSettings();
+  const siteRules = siteRulesWithHostAccess(settings, tabUrl, access);
+  await chrome.storage.sync.set({ siteRules });
+  await render();
+  // a more specific rule for a path on this site can still win
+  if (siteAccessFor(tabUrl, { ...settings, siteRules }) !== access) {
+    $('site-status').textContent += ' A rule for part of this site still applies; change it under All site rules.';
+  }
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  $('open-site-rules').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('options.html#sites') });
+    window.close();
+  });
+
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const url = tab && tab.url;
+  if (!url || !/^https?:/.test(url)) {
+    $('site-host').textContent = 'This page';
+    $('site-status').textContent = 'Browzie doesn\'t run on this kind of page.';
+    document.querySelectorAll('[data-access]').forEach(btn => { btn.disabled = true; });
+    return;
+  }
+
+  tabUrl = url;
+  $('site-host').textContent = new URL(url).hostname;
+  document.querySelectorAll('[data-access]').forEach(btn => {
+    btn.addEventListener('click', () => choose(btn.dataset.access).catch(err => {
+      $('site-status').textContent = `Not saved: ${err.message || err}`;
+    }));
+  });
+  await render();
+});
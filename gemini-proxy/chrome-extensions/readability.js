@@ -0,0 +1,197 @@
+// === readability.js ===
+// Main-content extraction, loaded before content.js (see manifest.json).
+// Scores candidate containers by text density, link density and semantic tags (article, main, role=main),
+// the way Readability-style extractors do, and serializes the winner without nav bars, cookie banners,
+// footers, comment widgets or ads. content.js falls back to its plain text walker when nothing qualifies.
+
+// always boilerplate, even when the class also looks like content ("post-comments", "article-share")
+const STRONG_BOILERPLATE_RE = /comment|disqus|cookie|consent|gdpr|advert|\bads?\b|ad-slot|sponsor|newsletter|subscribe|share|social|related|recommend|breadcrumb|popup|modal|outbrain|taboola/i;
+// boilerplate unless the class/id also says content
+const WEAK_BOILERPLATE_RE = /nav|menu|sidebar|footer|banner|masthead|widget|promo|toolbar|pager|pagination/i;
+const CONTENT_HINT_RE = /article|body|content|entry|main|page|post|text|blog|story|prose|markdown/i;
+
+const SKIP_TAGS = new Set(['NAV', 'FOOTER', 'ASIDE', 'FORM', 'BUTTON', 'SCRIPT', 'STYLE', 'NOSCRIPT', 'SVG', 'IFRAME', 'SELECT', 'TEXTAREA', 'INPUT', 'TEMPLATE', 'CANVAS', 'DIALOG']);
+const SKIP_ROLES = new Set(['navigation', 'banner', 'contentinfo', 'complementary', 'dialog', 'alertdialog', 'menu', 'menubar', 'search']);
+const SEMANTIC_MAIN_SELECTOR = 'article, main, [role="main"], [itemprop="articleBody"]';
+const BLOCK_SELECTOR = 'p, div, li, h1, h2, h3, h4, h5, h6, pre, blockquote, td, th, dd, dt, figcaption, section, article, main, header, tr, table, ul, ol';
+
+const MIN_PARAGRAPH_CHARS = 25;
+const MIN_MAIN_CONTENT_CHARS = 250;
+
+function classAndId(el) {
+  return `${typeof el.className === 'string' ? el.className : ''} ${el.id || ''}`;
+}
+
+// True for elements that are never part of the article (own UI, hidden, nav, ads, ...)
+function isBoilerplateElement(el) {
+  if (!el || el.nodeType !== 1) return false;
+  if (el.id && el.id.startsWith('gai-')) return true; // Browzie's own UI
+  if (SKIP_TAGS.has(el.tagName)) return true;
+  if (el.getAttribute('aria-hidden') === 'true' || el.hidden) return true;
+  if (SKIP_ROLES.has(el.getAttribute('role'))) return true;
+  const names = classAndId(el);
+  if (!names.trim()) return false;
+  if (STRONG_BOILERPLATE_RE.test(names)) return true;
+  return WEAK_BOILERPLATE_RE.test(names) && !CONTENT_HINT_RE.test(names);
+}
+
+function isElementVisible(el) {
+  try {
+    const style = window.getComputedStyle(el);
+    return style.display !== 'none' && style.visibility !== 'hidden' && (el.offsetParent !== null || style.position === 'fixed');
+  } catch {
+    return false;
+  }
+}
+
+// Walks up from el (inclusive) to stopAt (exclusive); memoized per extraction run
+function makeBoilerplateChecker(stopAt) {
+  const cache = new Map();
+  return function insideBoilerplate(el) {
+    const path = [];
+    let node = el;
+    let result = false;
+    while (node && node !== stopAt && node !== document.documentElement) {
+      if (cache.has(node)) { result = cache.get(node); break; }
+      path.push(node);
+      if (isBoilerplateElement(node)) { result = true; break; }
+      node = node.parentElement;
+    }
+    path.forEach(n => cache.set(n, result));
+    return result;
+  };
+}
+
+function linkDensity(el) {
+  const total = (el.textContent || '').length;
+  if (!total) return 0;
+  let linked = 0;
+  el.querySelectorAll('a').forEach(a => { linked += (a.textContent || '').length; });
+  return Math.min(1, linked / total);
+}
+
+function initialScore(el) {
+  let score = 0;
+  switch (el.tagName) {
+    case 'ARTICLE': case 'MAIN': score += 25; break;
+    case 'DIV': case 'SECTION': score += 5; break;
+    case 'PRE': case 'TD': case 'BLOCKQUOTE': score += 3; break;
+    case 'OL': case 'UL': case 'DL': case 'TH': case 'HEADER': score -= 3; break;
+    default: break;
+  }
+  if (el.getAttribute('role') === 'main' || el.getAttribute('itemprop') === 'articleBody') score += 25;
+  const names = classAndId(el);
+  if (CONTENT_HINT_RE.test(names)) score += 25;
+  if (STRONG_BOILERPLATE_RE.test(names) || WEAK_BOILERPLATE_RE.test(names)) score -= 25;
+  return score;
+}
+
+// Text directly owned by el (not by its element children) — used to treat text-only divs as paragraphs
+function ownTextLength(el) {
+  let n = 0;
+  el.childNodes.forEach(c => { if (c.nodeType === 3) n += c.nodeValue.trim().length; });
+  return n;
+}
+
+// Returns the element most likely to hold the page's main content, or null if nothing scores well.
+function findMainContentElement() {
+  if (!document.body) return null;
+  const insideBoilerplate = makeBoilerplateChecker(document.body);
+  const scores = new Map();
+  const addScore = (el, n) => {
+    if (!el || el === document.body || el === document.documentElement) return;
+    if (!scores.has(el)) scores.set(el, initialScore(el));
+    scores.set(el, scores.get(el) + n);
+  };
+
+  document.body.querySelectorAll('p, pre, td, blockquote, div, section').forEach(el => {
+    if ((el.tagName === 'DIV' || el.tagName === 'SECTION') && ownTextLength(el) < MIN_PARAGRAPH_CHARS) return;
+    const text = (el.textContent || '').trim();
+    if (text.length < MIN_PARAGRAPH_CHARS) return;
+    if (insideBoilerplate(el) || !isElementVisible(el)) return;
+
+    const commas = text.split(',').length - 1;
+    const contentScore = 1 + commas + Math.min(3, Math.floor(text.length / 100));
+    addScore(el.parentElement, contentScore);
+    addScore(el.parentElement && el.parentElement.parentElement, contentScore / 2);
+    const great = el.parentElement && el.parentElement.parentElement && el.parentElement.parentElement.parentElement;
+    addScore(great, contentScore / 3);
+  });
+
+  let best = null;
+  let bestScore = -Infinity;
+  scores.forEach((score, el) => {
+    const final = score * (1 - linkDensity(el));
+    if (final > bestScore) { best = el; bestScore = final; }
+  });
+  if (!best) return null;
+
+  // articles split across sibling containers: prefer the enclosing semantic element when it holds much more text
+  const semantic = best.parentElement && best.parentElement.closest(SEMANTIC_MAIN_SELECTOR);
+  if (semantic && !insideBoilerplate(semantic) && linkDensity(semantic) < 0.35 &&
+      (best.textContent || '').length < (semantic.textContent || '').length * 0.5) {
+    best = semantic;
+  }
+
+  return (best.textContent || '').trim().length >= MIN_MAIN_CONTENT_CHARS ? best : null;
+}
+
+// Serialize the visible text under root as blocks separated by blank lines, skipping boilerplate.
+// Headings become `#`..`######` lines and list items `- ` lines so section boundaries survive.
+function collectBlockText(root, maxChars = 60000) {
+  if (!root) return '';
+  const insideBoilerplate = makeBoilerplateChecker(root.parentElement);
+  const visibility = new Map();
+  const visible = (el) => {
+    if (!visibility.has(el)) visibility.set(el, isElementVisible(el));
+    return visibility.get(el);
+  };
+
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: node => {
+      if (!(node.nodeValue || '').trim()) return NodeFilter.FILTER_SKIP;
+      const parent = node.parentElement;
+      if (!parent || insideBoilerplate(parent) || !visible(parent)) return NodeFilter.FILTER_SKIP;
+      return NodeFilter.FILTER_ACCEPT;
+    }
+  });
+
+  const blocks = [];
+  let size = 0;
+  let currentBlock = null;
+  let current = '';
+  const flush = () => {
+    const text = currentBlock && currentBlock.tagName === 'PRE' ? current.replace(/^\n+|\s+$/g, '') : current.replace(/[ \t]+/g, ' ').trim();
+    if (text && currentBlock) {
+      const heading = /^H([1-6])$/.exec(currentBlock.tagName);
+      const out = heading ? `${'#'.repeat(Number(heading[1]))} ${text}` : currentBlock.tagName === 'LI' ? `- ${text}` : text;
+      blocks.push(out);
+      size += out.length + 2;
+    }
+    current = '';
+  };
+
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    const block = node.parentElement.closest(BLOCK_SELECTOR) || root;
+    if (block !== currentBlock) {
+      flush();
+      currentBlock = block;
+    }
+    current += (block.tagName === 'PRE' || node.parentElement.closest('pre')) ? node.nodeValue : node.nodeValue.replace(/\s+/g, ' ');
+    if (size + current.length > maxChars) break;
+  }
+  flush();
+
+  const text = blocks.join('\n\n');
+  return text.length > maxChars ? text.slice(0, maxChars) + '\n\n...[truncated]' : text;
+}
+
+// Main content as text, or null when no container scores well enough (caller should fall back).
+function extractReadableText(maxChars = 60000) {
+  const element = findMainContentElement();
+  if (!element) return null;
+  const text = collectBlockText(element, maxChars);
+  if (text.length < MIN_MAIN_CONTENT_CHARS) return null;
+  return { text, element };
+}
@@ -0,0 +1,200 @@
+// redaction.js
+// Client-side redaction of everything taken from a page before it leaves the browser. Shared by the
+// content scripts (chat, summary, prompt box, page translation), background.js (the other tabs of a
+// multi-tab question, via importScripts) and the options page. Settings in chrome.storage.sync:
+//   redactionDetectors: { email, phone, card, apiKey, secrets, urlParams } -> true/false
+//   redactionPatterns: ['regex', '/regex/i', ...] custom patterns, replaced as [REDACTED n]
+//
+// Matches become numbered placeholders ([EMAIL 1], [CARD 2], ...): the same value gets the same
+// placeholder within one request, so the model can still tell values apart. In URLs only the values
+// of query and fragment parameters are replaced ([PARAM 1]). A redactor remembers what it replaced, so
+// answers (chat, prompt box, summary) and translations get the original values back (restore()) before
+// they are shown or saved. The other tabs of a multi-tab question are redacted in background.js with
+// their own placeholders ([EMAIL T1]); those values never reach this page, so they stay redacted.
+
+const REDACTION_DETECTORS = [
+  { id: 'urlParams', label: 'Query parameters in URLs' },
+  { id: 'secrets', label: 'Passwords and tokens next to a label ("password: …", "token=…")' },
+  { id: 'apiKey', label: 'API keys and access tokens (sk-…, AIza…, ghp_…, JWTs, long random strings)' },
+  { id: 'email', label: 'Email addresses' },
+  { id: 'card', label: 'Payment card numbers' },
+  { id: 'phone', label: 'Phone numbers' }
+];
+const DEFAULT_REDACTION_SETTINGS = {
+  redactionDetectors: { urlParams: true, secrets: true, apiKey: true, email: true, card: true, phone: true },
+  redactionPatterns: []
+};
+const MAX_REDACTION_PATTERNS = 20;
+
+const SECRET_LABEL_RE = /\b(password|passwd|pwd|passcode|pin|secret|client[_ -]?secret|api[_ -]?key|access[_ -]?token|auth[_ -]?token|refresh[_ -]?token|token|session[_ -]?id)(\s*[:=]\s*)(["']?)([^\s"',;]{4,})/gi;
+const API_KEY_RES = [
+  /\bsk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}/g,
+  /\bAIza[0-9A-Za-z_-]{35}\b/g,
+  /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g,
+  /\bxox[abprs]-[A-Za-z0-9-]{10,}/g,
+  /\bAKIA[0-9A-Z]{16}\b/g,
+  /\beyJ[\w-]{8,}\.[\w-]{8,}\.[\w-]{8,}/g, // JWT
+  /\b[Bb]earer\s+[\w.~+/-]{20,}=*/g
+];
+// 32+ characters mixing upper case, lower case and digits (hex hashes and plain words don't qualify)
+const RANDOM_TOKEN_RE = /(?<![\w-])(?=[\w-]*[a-z])(?=[\w-]*[A-Z])(?=[\w-]*\d)[A-Za-z0-9_-]{32,}(?![\w-])/g;
+const URL_RE = /\bhttps?:\/\/[^\s"'<>()[\]]+/g;
+const EMAIL_RE = /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi;
+const CARD_RE = /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g;
+const PHONE_RE = /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]\d{2,4}){1,4}(?!\w)/g;
+
+// Placeholders put in by a redactor ([EMAIL 1], [PARAM T2]), as a split() separator
+const PLACEHOLDER_SPLIT_RE = /(\[(?:SECRET|KEY|EMAIL|CARD|PHONE|PARAM|REDACTED) [A-Z]?\d+\])/;
+
+// s.replace(re, fn) on the text between placeholders only, so a later detector or a custom
+// pattern (say \d+) can't rewrite the inside of one and leave restore() unable to map it back
+function replaceOutsidePlaceholders(s, re, fn) {
+  return s.split(PLACEHOLDER_SPLIT_RE).map((part, i) => (i % 2 ? part : part.replace(re, fn))).join('');
+}
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+// Phone-number candidates need 9-15 digits, or a +country code / (area code) prefix;
+// dates such as 2024-01-15 or 15.01.2024 are left alone
+function looksLikePhone(match) {
+  const digits = match.replace(/\D/g, '').length;
+  if (digits > 15 || digits < 7) return false;
+  if (/^\d{4}-\d{2}-\d{2}$|^\d{1,2}[./-]\d{1,2}[./-]\d{2,4}$/.test(match)) return false;
+  return digits >= 9 || /^[+(]/.test(match);
+}
+
+// "abc" -> /abc/g, "/abc/i" -> /abc/gi; null for an invalid pattern
+function parseRedactionPattern(pattern) {
+  const source = String(pattern || '').trim();
+  if (!source) return null;
+  const literal = source.match(/^\/(.+)\/([a-z]*)$/);
+  try {
+    const flags = literal ? literal[2].replace(/[gy]/g, '') : '';
+    return new RegExp(literal ? literal[1] : source, `${flags}g`);
+  } catch (e) {
+    return null;
+  }
+}
+
+async function loadRedactionSettings() {
+  const stored = await chrome.storage.sync.get(DEFAULT_REDACTION_SETTINGS);
+  return {
+    redactionDetectors: { ...DEFAULT_REDACTION_SETTINGS.redactionDetectors, ...(stored.redactionDetectors || {}) },
+    redactionPatterns: (Array.isArray(stored.redactionPatterns) ? stored.redactionPatterns : [])
+      .map(p => String(p || '').trim()).filter(Boolean).slice(0, MAX_REDACTION_PATTERNS)
+  };
+}
+
+// One redactor per request: text(s) and url(u) redact, counts() says what was found per kind,
+// restore(s) swaps the placeholders back. numberPrefix keeps the placeholders of a second redactor in
+// the same request apart ([EMAIL T1] next to [EMAIL 1]); restore() only knows unprefixed ones.
+function createRedactor(settings = DEFAULT_REDACTION_SETTINGS, { numberPrefix = '' } = {}) {
+  const on = settings.redactionDetectors || {};
+  const custom = (settings.redactionPatterns || []).map(parseRedactionPattern).filter(Boolean);
+  const placeholders = new Map(); // original value -> placeholder
+  const originals = new Map(); // placeholder -> original value
+  const counts = {};
+
+  const placeholder = (kind, value) => {
+    if (placeholders.has(value)) return placeholders.get(value);
+    counts[kind] = (counts[kind] || 0) + 1;
+    const label = `[${kind} ${numberPrefix}${counts[kind]}]`;
+    placeholders.set(value, label);
+    originals.set(label, value);
+    return label;
+  };
+
+  function url(value) {
+    if (!on.urlParams || !/[?#]/.test(value)) return value;
+    return value.replace(/([?#&;])([^=&#;?]+)=([^&#;]*)/g, (all, sep, key, val) => {
+      if (!val || /^\[PARAM [A-Z]?\d+\]$/.test(val)) return all;
+      return `${sep}${key}=${placeholder('PARAM', val)}`;
+    });
+  }
+
+  function text(value) {
+    if (typeof value !== 'string' || !value) return value;
+    let s = value;
+    // url() skips parameter values that are placeholders already
+    if (on.urlParams) s = s.replace(URL_RE, url);
+    const swap = (re, fn) => { s = replaceOutsidePlaceholders(s, re, fn); };
+    if (on.secrets) {
+      swap(SECRET_LABEL_RE, (all, label, sep, quote, secret) => (secret.startsWith('[') ? all : `${label}${sep}${quote}${placeholder('SECRET', secret)}`));
+    }
+    if (on.apiKey) {
+      API_KEY_RES.forEach(re => swap(re, m => placeholder('KEY', m)));
+      swap(RANDOM_TOKEN_RE, m => placeholder('KEY', m));
+    }
+    if (on.email) swap(EMAIL_RE, m => placeholder('EMAIL', m));
+    if (on.card) swap(CARD_RE, m => (luhnValid(m.replace(/\D/g, '')) ? placeholder('CARD', m) : m));
+    if (on.phone) swap(PHONE_RE, m => (looksLikePhone(m) ? placeholder('PHONE', m) : m));
+    custom.forEach(re => swap(re, m => (m ? placeholder('REDACTED', m) : m)));
+    return s;
+  }
+
+  function restore(value) {
+    if (typeof value !== 'string' || !originals.size) return value;
+    return value.replace(/\[(?:SECRET|KEY|EMAIL|CARD|PHONE|PARAM|REDACTED) \d+\]/g, m => (originals.has(m) ? originals.get(m) : m));
+  }
+
+  return { text, url, restore, counts: () => ({ ...counts }) };
+}
+
+// Restores placeholders in a streamed answer. The returned push(delta) gives back the restored text
+// that can be shown so far: a placeholder cut in two by the stream ("[EMAIL" + " 1]") is held back
+// until the chunk that completes it arrives.
+function createRestoringStream(redactor) {
+  let pending = '';
+  return (delta) => {
+    pending += delta || '';
+    const cut = pending.search(/\[[A-Z]*(?: [A-Z]?\d*)?$/);
+    const ready = cut < 0 ? pending : pending.slice(0, cut);
+    pending = cut < 0 ? '' : pending.slice(cut);
+    return redactor.restore(ready);
+  };
+}
+
+// Copy of a getPageContext() result with every text field redacted
+function redactPageContext(pageContext, redactor) {
+  if (!pageContext || typeof pageContext !== 'object') return pageContext;
+  const out = { ...pageContext };
+  ['title', 'metaDescription', 'mainTextSnippet', 'mainContentMarkdown', 'selectedText', 'fullText'].forEach(key => {
+    if (typeof out[key] === 'string') out[key] = redactor.text(out[key]);
+  });
+  if (typeof out.url === 'string') out.url = redactor.url(out.url);
+  if (Array.isArray(out.headings)) out.headings = out.headings.map(h => redactor.text(h));
+  if (Array.isArray(out.topLinks)) out.topLinks = out.topLinks.map(l => ({ ...l, text: redactor.text(l.text), href: redactor.url(String(l.href || '')) }));
+  if (Array.isArray(out.passages)) out.passages = out.passages.map(p => ({ ...p, text: redactor.text(p.text) }));
+  return out;
+}
+
+// Copy of a query_gemini / summarize_page message with the page context, the selection, the request
+// (which quotes the selection) and the earlier chat turns redacted
+function redactRequest(message, redactor) {
+  const out = { ...message };
+  if (typeof out.prompt === 'string') out.prompt = redactor.text(out.prompt);
+  if (typeof out.selectedText === 'string') out.selectedText = redactor.text(out.selectedText);
+  if (out.pageContext) out.pageContext = redactPageContext(out.pageContext, redactor);
+  if (Array.isArray(out.history)) out.history = out.history.map(turn => ({ ...turn, text: redactor.text(turn.text) }));
+  return out;
+}
+
+// "2 emails, 1 API key" from redactor.counts()
+function describeRedactions(counts) {
+  const names = { SECRET: ['secret', 'secrets'], KEY: ['API key', 'API keys'], EMAIL: ['email', 'emails'], CARD: ['card number', 'card numbers'], PHONE: ['phone number', 'phone numbers'], PARAM: ['URL parameter', 'URL parameters'], REDACTED: ['custom match', 'custom matches'] };
+  return Object.keys(names)
+    .filter(kind => counts[kind])
+    .map(kind => `${counts[kind]} ${names[kind][counts[kind] === 1 ? 0 : 1]}`)
+    .join(', ');
+}
@@ -0,0 +1,208 @@
+// === send-preview.js ===
+// Last step before a chat, prompt-box or summary request leaves the browser (loaded before
+// content.js; streamGeminiQuery calls prepareOutgoingRequest). The page context, the selection and
+// the request are redacted (redaction.js); with "Preview before sending" on (options page,
+// chrome.storage.sync.previewBeforeSend) a drawer then shows the exact redacted request and lets
+// the user edit or remove any part of it, or cancel. The request's redactor comes back with it, so
+// the answer's placeholders can be restored.
+
+// What the drawer lists, in order; anything missing or empty in the request is skipped
+const PREVIEW_FIELDS = [
+  { path: ['prompt'], label: 'Your request' },
+  { path: ['selectedText'], label: 'Selected text' },
+  { path: ['history'], label: 'Earlier messages in this chat' },
+  { path: ['pageContext', 'url'], label: 'Page URL', singleLine: true },
+  { path: ['pageContext', 'title'], label: 'Page title', singleLine: true },
+  { path: ['pageContext', 'metaDescription'], label: 'Page description' },
+  { path: ['pageContext', 'selectedText'], label: 'Selected text (page context)' },
+  { path: ['pageContext', 'headings'], label: 'Headings' },
+  { path: ['pageContext', 'topLinks'], label: 'Links' },
+  { path: ['pageContext', 'mainContentMarkdown'], label: 'Page text (Markdown)' },
+  { path: ['pageContext', 'mainTextSnippet'], label: 'Page text' },
+  { path: ['pageContext', 'fullText'], label: 'Full page text (long pages)' },
+  { path: ['pageContext', 'passages'], label: 'Numbered passages (citation mode)' }
+];
+
+function readPath(obj, path) {
+  return path.reduce((o, key) => (o && typeof o === 'object' ? o[key] : undefined), obj);
+}
+
+function writePath(obj, path, value) {
+  const parent = readPath(obj, path.slice(0, -1));
+  if (!parent || typeof parent !== 'object') return;
+  if (value === undefined) delete parent[path[path.length - 1]];
+  else parent[path[path.length - 1]] = value;
+}
+
+function isEmptyPreviewValue(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length);
+}
+
+// { request, redactor }: a redacted copy of `message` and the redactor that made it, or null when
+// the user cancelled in the preview
+async function prepareOutgoingRequest(message) {
+  const [settings, { previewBeforeSend }] = await Promise.all([
+    loadRedactionSettings(),
+    chrome.storage.sync.get({ previewBeforeSend: false })
+  ]);
+  const redactor = createRedactor(settings);
+  const redacted = redactRequest(message, redactor);
+  const request = previewBeforeSend ? await openSendPreview(redacted, describeRedactions(redactor.counts())) : redacted;
+  return request ? { request, redactor } : null;
+}
+
+function closeSendPreview() {
+  const existing = getUiElement('gai-send-preview');
+  if (existing) existing.remove();
+  removeOverlay('gai-send-preview-overlay');
+}
+
+// Drawer with one editable block per part of the request. Resolves to the (edited) request, or
+// null on cancel.
+function openSendPreview(message, redactionSummary) {
+  closeSendPreview();
+  const request = JSON.parse(JSON.stringify(message));
+
+  return new Promise((resolve) => {
+    const previousFocus = uiActiveElement();
+    const finish = (result) => {
+      closeSendPreview();
+      if (previousFocus && previousFocus.isConnected && typeof previousFocus.focus === 'function') previousFocus.focus();
+      resolve(result);
+    };
+    createOverlay('gai-send-preview-overlay', () => finish(null));
+
+    const drawer = document.createElement('div');
+    drawer.id = 'gai-send-preview';
+    drawer.setAttribute('role', 'dialog');
+    drawer.setAttribute('aria-label', 'What will be sent');
+
+    const header = document.createElement('div');
+    header.className = 'gai-send-preview-header';
+    const title = document.createElement('strong');
+    title.textContent = 'What will be sent';
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'gai-send-preview-close';
+    closeBtn.textContent = '✕';
+    closeBtn.title = 'Cancel';
+    header.appendChild(title);
+    header.appendChild(closeBtn);
+
+    const summary = document.createElement('div');
+    summary.className = 'gai-send-preview-summary';
+    const tabs = Array.isArray(request.sourceTabIds) ? request.sourceTabIds.length : 0;
+    summary.textContent = [
+      redactionSummary ? `Redacted: ${redactionSummary}.` : 'Nothing was redacted.',
+      'Edit or remove anything before sending.',
+      tabs ? `${tabs} other tab${tabs === 1 ? ' is' : 's are'} read and redacted the same way when you send.` : ''
+    ].filter(Boolean).join(' ');
+
+    const body = document.createElement('div');
+    body.className = 'gai-send-preview-body';
+
+    const raw = document.createElement('details');
+    raw.className = 'gai-send-preview-raw';
+    const rawSummary = document.createElement('summary');
+    rawSummary.textContent = 'Exact request (JSON)';
+    const rawPre = document.createElement('pre');
+    raw.appendChild(rawSummary);
+    raw.appendChild(rawPre);
+    // `action` only routes the message inside the extension; background.js sends the rest.
+    // Only rendered while open, full page texts can be long.
+    const updateRaw = () => {
+      if (raw.open) rawPre.textContent = JSON.stringify({ ...request, action: undefined }, null, 2);
+    };
+    raw.addEventListener('toggle', updateRaw);
+
+    const sizeLabel = (value) => {
+      const chars = typeof value === 'string' ? value.length : JSON.stringify(value).length;
+      return `${chars.toLocaleString()} chars`;
+    };
+
+    PREVIEW_FIELDS.forEach(field => {
+      const value = readPath(request, field.path);
+      if (isEmptyPreviewValue(value)) return;
+
+      const block = document.createElement('div');
+      block.className = 'gai-send-preview-field';
+      const head = document.createElement('div');
+      head.className = 'gai-send-preview-field-head';
+      const label = document.createElement('span');
+      label.textContent = field.label;
+      const size = document.createElement('span');
+      size.className = 'gai-send-preview-size';
+      size.textContent = sizeLabel(value);
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.textContent = 'Remove';
+      removeBtn.title = `Don't send ${field.label.toLowerCase()}`;
+      head.appendChild(label);
+      head.appendChild(size);
+      head.appendChild(removeBtn);
+      block.appendChild(head);
+
+      let editor;
+      if (typeof value === 'string') {
+        editor = document.createElement(field.singleLine ? 'input' : 'textarea');
+        editor.value = value;
+        editor.spellcheck = false;
+        if (!field.singleLine) editor.rows = Math.min(8, Math.max(2, Math.ceil(value.length / 60)));
+        editor.setAttribute('aria-label', field.label);
+        editor.addEventListener('input', () => {
+          writePath(request, field.path, editor.value);
+          size.textContent = sizeLabel(editor.value);
+          updateRaw();
+        });
+      } else {
+        // lists (headings, links, passages, earlier messages) can only be sent or removed as a whole
+        editor = document.createElement('pre');
+        editor.textContent = JSON.stringify(value, null, 2);
+      }
+      block.appendChild(editor);
+
+      removeBtn.addEventListener('click', () => {
+        writePath(request, field.path, undefined);
+        block.remove();
+        updateRaw();
+      });
+      body.appendChild(block);
+    });
+    body.appendChild(raw);
+
+    const footer = document.createElement('div');
+    footer.className = 'gai-send-preview-footer';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'gai-send-preview-cancel';
+    cancelBtn.textContent = 'Cancel';
+    const sendBtn = document.createElement('button');
+    sendBtn.type = 'button';
+    sendBtn.className = 'gai-send-preview-send';
+    sendBtn.textContent = 'Send';
+    footer.appendChild(cancelBtn);
+    footer.appendChild(sendBtn);
+
+    drawer.appendChild(header);
+    drawer.appendChild(summary);
+    drawer.appendChild(body);
+    drawer.appendChild(footer);
+    mountUi(drawer);
+    sendBtn.focus();
+
+    closeBtn.addEventListener('click', () => finish(null));
+    cancelBtn.addEventListener('click', () => finish(null));
+    sendBtn.addEventListener('click', () => finish(request));
+    drawer.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        finish(null);
+      } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        finish(request);
+      }
+      // keep the page's own shortcuts out of the drawer while editing
+      e.stopPropagation();
+    });
+  });
+}
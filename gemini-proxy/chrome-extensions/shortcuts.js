@@ -0,0 +1,59 @@
+// shortcuts.js
+// In-page keyboard shortcuts, shared by the content script (command palette hotkey) and the options
+// page (where it is rebound). A shortcut is stored as text such as "Mod+K" or "Alt+Shift+P";
+// "Mod" is Cmd on macOS and Ctrl everywhere else. The browser-level commands in manifest.json are
+// bound separately, on chrome://extensions/shortcuts.
+
+const DEFAULT_PALETTE_SHORTCUT = 'Mod+K';
+const SHORTCUT_MODIFIERS = ['Mod', 'Ctrl', 'Alt', 'Shift'];
+const IS_MAC = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent || '');
+
+// "Mod+K" from a keydown event, or null while only modifiers are held.
+// Uses e.code for letters and digits so Alt/Option combinations still read as the printed key.
+function shortcutFromEvent(e) {
+  if (['Control', 'Meta', 'Alt', 'Shift', 'AltGraph', 'CapsLock'].includes(e.key)) return null;
+  let key = e.key;
+  if (/^Key[A-Z]$/.test(e.code)) key = e.code.slice(3);
+  else if (/^Digit\d$/.test(e.code)) key = e.code.slice(5);
+  else if (key === ' ') key = 'Space';
+  else if (key.length === 1) key = key.toUpperCase();
+
+  const parts = [];
+  if (IS_MAC ? e.metaKey : e.ctrlKey) parts.push('Mod');
+  if (IS_MAC && e.ctrlKey) parts.push('Ctrl');
+  if (e.altKey) parts.push('Alt');
+  if (e.shiftKey) parts.push('Shift');
+  parts.push(key);
+  return parts.join('+');
+}
+
+// Same modifier order as shortcutFromEvent; null for anything without a key or a modifier
+// (a bare letter would fire while typing)
+function normalizeShortcut(value) {
+  const parts = String(value || '').split('+').map(p => p.trim()).filter(Boolean);
+  const key = parts.pop();
+  if (!key || SHORTCUT_MODIFIERS.includes(key)) return null;
+  const mods = SHORTCUT_MODIFIERS.filter(m => parts.some(p => p.toLowerCase() === m.toLowerCase()));
+  if (!mods.length && !/^F\d{1,2}$/.test(key)) return null;
+  return [...mods, key.length === 1 ? key.toUpperCase() : key].join('+');
+}
+
+function matchesShortcut(e, shortcut) {
+  return !!shortcut && shortcutFromEvent(e) === shortcut;
+}
+
+// "Mod+K" -> "⌘K" on macOS, "Ctrl+K" elsewhere
+function formatShortcut(shortcut) {
+  if (!shortcut) return '';
+  const parts = shortcut.split('+');
+  if (IS_MAC) {
+    const symbols = { Mod: '⌘', Ctrl: '⌃', Alt: '⌥', Shift: '⇧', MacCtrl: '⌃', Command: '⌘' };
+    return parts.map(p => symbols[p] || p).join('');
+  }
+  return parts.map(p => (p === 'Mod' ? 'Ctrl' : p)).join('+');
+}
+
+async function loadPaletteShortcut() {
+  const { paletteShortcut } = await chrome.storage.sync.get({ paletteShortcut: DEFAULT_PALETTE_SHORTCUT });
+  return normalizeShortcut(paletteShortcut);
+}
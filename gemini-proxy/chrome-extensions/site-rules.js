@@ -0,0 +1,110 @@
+// site-rules.js
+// Per-site rules, shared by the content scripts (loaded first: nothing reads the page or shows UI
+// before the rules are checked), background.js (context menu, shortcuts, multi-tab reads, via
+// importScripts), the toolbar popup and the options page. Stored in chrome.storage.sync as
+//   siteAccessMode: 'everywhere' | 'allowlist' (only on sites with an allow or hide-widget rule)
+//   siteRules: [{ pattern, rule }], rule = 'allow' | 'block' | 'hide-widget'
+//
+// A pattern is a host name, optionally followed by a path: "*" matches any run of characters,
+// "*.bank.com" also matches bank.com itself, "intranet.*" any intranet host, "example.com/admin"
+// everything under /admin. Scheme, port, query and hash are ignored, case doesn't matter.
+//
+// The most specific matching rule decides (the longest pattern, not counting "*"); on a tie block
+// beats hide-widget beats allow. The result for a page is
+//   'enabled'   everything works
+//   'no-widget' no floating button, but the context menu, shortcuts and palette still work
+//   'disabled'  Browzie does nothing on the page and never reads it
+
+const SITE_RULE_TYPES = ['allow', 'hide-widget', 'block']; // ascending tie-break priority
+const SITE_ACCESS_MODES = ['everywhere', 'allowlist'];
+const MAX_SITE_RULES = 200;
+const DEFAULT_SITE_SETTINGS = { siteAccessMode: 'everywhere', siteRules: [] };
+
+// "https://*.Bank.com:8443/login/?x" -> "*.bank.com/login"
+function normalizeSitePattern(pattern) {
+  const p = String(pattern || '').trim().toLowerCase()
+    .replace(/^[a-z*][a-z0-9+.*-]*:\/\//, '')
+    .replace(/[?#].*$/, '');
+  const slash = p.indexOf('/');
+  const host = (slash === -1 ? p : p.slice(0, slash)).replace(/:[\d*]+$/, '');
+  const path = slash === -1 ? '' : p.slice(slash).replace(/\/+$/, '');
+  return host ? host + path : '';
+}
+
+function sitePatternRegExp(pattern) {
+  const escape = s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  const slash = pattern.indexOf('/');
+  const host = slash === -1 ? pattern : pattern.slice(0, slash);
+  const path = slash === -1 ? '' : pattern.slice(slash);
+  const hostRe = host.startsWith('*.') ? `(?:.*\\.)?${escape(host.slice(2))}` : escape(host);
+  return new RegExp(`^${hostRe}${escape(path)}(?:/.*)?$`);
+}
+
+// Drop malformed entries and duplicate patterns (storage can hold anything an old version wrote)
+function sanitizeSiteRules(list) {
+  if (!Array.isArray(list)) return [];
+  const seen = new Set();
+  return list
+    .map(r => r && { pattern: normalizeSitePattern(r.pattern), rule: r.rule })
+    .filter(r => r && r.pattern && SITE_RULE_TYPES.includes(r.rule) && !seen.has(r.pattern) && seen.add(r.pattern))
+    .slice(0, MAX_SITE_RULES);
+}
+
+// "host/path" as patterns see it; null for pages the rules don't cover (chrome://, about:, ...)
+function siteRuleTarget(url) {
+  try {
+    const u = new URL(url);
+    if (!/^(https?|file):$/.test(u.protocol)) return null;
+    return `${u.hostname}${u.pathname}`.toLowerCase().replace(/\/+$/, '');
+  } catch (e) {
+    return null;
+  }
+}
+
+// The rule that applies to `url`, or null
+function matchSiteRule(url, rules) {
+  const target = siteRuleTarget(url);
+  if (target === null) return null;
+  let best = null;
+  let bestRank = -1;
+  sanitizeSiteRules(rules).forEach(r => {
+    if (!sitePatternRegExp(r.pattern).test(target)) return;
+    const rank = r.pattern.replace(/\*/g, '').length * SITE_RULE_TYPES.length + SITE_RULE_TYPES.indexOf(r.rule);
+    if (rank > bestRank) {
+      best = r;
+      bestRank = rank;
+    }
+  });
+  return best;
+}
+
+// 'enabled' | 'no-widget' | 'disabled' for `url` under { siteAccessMode, siteRules }
+function siteAccessFor(url, settings = DEFAULT_SITE_SETTINGS) {
+  const match = matchSiteRule(url, settings.siteRules);
+  if (match && match.rule === 'block') return 'disabled';
+  if (match && match.rule === 'hide-widget') return 'no-widget';
+  if (!match && settings.siteAccessMode === 'allowlist') return 'disabled';
+  return 'enabled';
+}
+
+async function loadSiteSettings() {
+  const settings = await chrome.storage.sync.get(DEFAULT_SITE_SETTINGS);
+  return {
+    siteAccessMode: SITE_ACCESS_MODES.includes(settings.siteAccessMode) ? settings.siteAccessMode : 'everywhere',
+    siteRules: sanitizeSiteRules(settings.siteRules)
+  };
+}
+
+async function loadSiteAccess(url) {
+  return siteAccessFor(url, await loadSiteSettings());
+}
+
+// Rules after setting the host of `url` to `access` (the toolbar popup's "this site" choice): the
+// host's own rule is replaced, or dropped when the other rules already give that result
+function siteRulesWithHostAccess(settings, url, access) {
+  const pattern = normalizeSitePattern(new URL(url).hostname);
+  const others = sanitizeSiteRules(settings.siteRules).filter(r => r.pattern !== pattern);
+  if (siteAccessFor(url, { ...settings, siteRules: others }) === access) return others;
+  const rule = { enabled: 'allow', 'no-widget': 'hide-widget', disabled: 'block' }[access];
+  return [...others, { pattern, rule }].slice(-MAX_SITE_RULES);
+}
@@ -0,0 +1,524 @@
+// === summary-export.js ===
+// Summary downloads, built entirely inside the extension (loaded after markdown-render.js and
+// pdf-font.js, before content.js): PDF, Markdown, standalone HTML, JSON and plain text. Nothing comes
+// from the network, so exports work offline and on pages whose CSP blocks third-party scripts.
+//
+// Every format carries the same metadata: page title, source URL, generation date and summary length.
+// PDFs hold real text (selectable, searchable, readable by screen readers) in the DejaVu fonts
+// shipped with the extension, embedded as subsets (pdf-font.js). Lines those fonts can't write
+// (CJK, emoji, scripts that need shaping) are drawn by the browser and embedded as images that carry
+// their text for copying.
+
+const SUMMARY_EXPORT_FORMATS = [
+  { id: 'pdf', label: 'PDF', mime: 'application/pdf' },
+  { id: 'md', label: 'Markdown', mime: 'text/markdown;charset=utf-8' },
+  { id: 'html', label: 'HTML', mime: 'text/html;charset=utf-8' },
+  { id: 'json', label: 'JSON', mime: 'application/json;charset=utf-8' },
+  { id: 'txt', label: 'Text', mime: 'text/plain;charset=utf-8' }
+];
+
+// A4 in PDF points; lines drawn as images use PDF_RASTER_SCALE pixels per point
+const PDF_PAGE = { width: 595.28, height: 841.89, margin: 50 };
+const PDF_RASTER_SCALE = 3;
+// subset tags (six capitals) of the embedded fonts, by pdf-font.js font key
+const PDF_FONT_TAGS = { sans: 'BRZSAN', bold: 'BRZBLD', mono: 'BRZMON' };
+const PDF_SANS = '"Helvetica Neue", Arial, "Noto Sans", "Segoe UI", sans-serif';
+const PDF_MONO = 'ui-monospace, Menlo, Consolas, "Noto Sans Mono", monospace';
+const PDF_STYLES = {
+  title: { size: 18, font: 'bold', color: '#0b0d0f', after: 6 },
+  meta: { size: 9, font: 'sans', color: '#5b6470' },
+  heading: { size: 13, font: 'bold', color: '#0b0d0f', before: 8, after: 2 },
+  body: { size: 11, font: 'sans', color: '#1b1f24', after: 4 },
+  list: { size: 11, font: 'sans', color: '#1b1f24', after: 2 },
+  quote: { size: 11, font: 'sans', color: '#4b5563', indent: 14, after: 4 },
+  table: { size: 10, font: 'sans', color: '#1b1f24', after: 1 },
+  code: { size: 9.5, font: 'mono', color: '#1f2937' }
+};
+
+// ---------- metadata ----------
+
+// { title, url, generatedAt (Date), length, lengthLabel, words, characters }
+function buildSummaryExportMeta({ markdown, title, url, length, lengthLabel, generatedAt }) {
+  const plain = markdownToPlainText(markdown);
+  return {
+    title: title || 'Page summary',
+    url: url || '',
+    generatedAt: generatedAt || new Date(),
+    length: length || '',
+    lengthLabel: lengthLabel || length || '',
+    words: plain.split(/\s+/).filter(Boolean).length,
+    characters: plain.length
+  };
+}
+
+function describeSummaryLength(meta) {
+  return `${meta.lengthLabel ? `${meta.lengthLabel}, ` : ''}${meta.words} words`;
+}
+
+// ---------- text formats ----------
+
+function summaryToMarkdown(markdown, meta) {
+  // YAML front matter (JSON strings are valid YAML scalars)
+  return [
+    '---',
+    `title: ${JSON.stringify(meta.title)}`,
+    `source: ${JSON.stringify(meta.url)}`,
+    `date: ${meta.generatedAt.toISOString()}`,
+    `length: ${JSON.stringify(meta.length)}`,
+    `words: ${meta.words}`,
+    '---',
+    '',
+    `# ${meta.title}`,
+    '',
+    String(markdown || '').trim(),
+    ''
+  ].join('\n');
+}
+
+function summaryToText(markdown, meta) {
+  return [
+    meta.title,
+    `Source: ${meta.url}`,
+    `Date: ${meta.generatedAt.toLocaleString()}`,
+    `Length: ${describeSummaryLength(meta)}`,
+    '',
+    markdownToPlainText(markdown),
+    ''
+  ].join('\n');
+}
+
+function summaryToJson(markdown, meta) {
+  return JSON.stringify({
+    title: meta.title,
+    url: meta.url,
+    generatedAt: meta.generatedAt.toISOString(),
+    length: meta.length,
+    words: meta.words,
+    characters: meta.characters,
+    summary: { markdown: String(markdown || ''), text: markdownToPlainText(markdown) }
+  }, null, 2);
+}
+
+function escapeExportHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+// Self-contained page: inline styles, no scripts, the summary rendered by markdown-render.js
+function summaryToHtml(markdown, meta) {
+  const body = document.createElement('div');
+  body.appendChild(renderMarkdown(markdown));
+  // copy buttons need the extension; a plain file gets plain code blocks
+  body.querySelectorAll('.gai-md-codebar, button').forEach(el => el.remove());
+  const safeUrl = safeLinkUrl(meta.url);
+  const source = safeUrl
+    ? `<a href="${escapeExportHtml(safeUrl)}" rel="noopener noreferrer">${escapeExportHtml(meta.url)}</a>`
+    : escapeExportHtml(meta.url);
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeExportHtml(meta.title)}</title>
+<style>
+  body { max-width: 760px; margin: 40px auto; padding: 0 20px; font: 15px/1.55 -apple-system, "Segoe UI", Arial, "Noto Sans", sans-serif; color: #1b1f24; }
+  h1.gai-export-title { font-size: 1.6em; margin: 0 0 8px; }
+  .gai-export-meta { margin: 0 0 24px; padding: 0 0 12px; border-bottom: 1px solid #d8dde3; color: #5b6470; font-size: 13px; }
+  .gai-export-meta dt { float: left; clear: left; width: 80px; font-weight: 600; }
+  .gai-export-meta dd { margin: 0 0 2px 80px; overflow-wrap: anywhere; }
+  a { color: #0f766e; }
+  pre { background: #f3f4f6; padding: 10px 12px; border-radius: 6px; overflow: auto; }
+  code { font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 0.92em; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #d8dde3; padding: 4px 8px; text-align: left; vertical-align: top; }
+  blockquote { margin: 0 0 12px; padding: 2px 12px; border-left: 3px solid #2dd4bf; color: #4b5563; }
+  .gai-md-align-center { text-align: center; }
+  .gai-md-align-right { text-align: right; }
+</style>
+</head>
+<body>
+<header>
+<h1 class="gai-export-title">${escapeExportHtml(meta.title)}</h1>
+<dl class="gai-export-meta">
+<dt>Source</dt><dd>${source}</dd>
+<dt>Date</dt><dd><time datetime="${meta.generatedAt.toISOString()}">${escapeExportHtml(meta.generatedAt.toLocaleString())}</time></dd>
+<dt>Length</dt><dd>${escapeExportHtml(describeSummaryLength(meta))}</dd>
+</dl>
+</header>
+<main>
+${body.innerHTML}
+</main>
+</body>
+</html>
+`;
+}
+
+// ---------- PDF ----------
+
+// Markdown -> flat list of styled blocks for the PDF layout (inline markup is dropped)
+function summaryToPdfBlocks(markdown) {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let inFence = false;
+  let inTable = false;
+  lines.forEach((line, i) => {
+    if (MD_FENCE_RE.test(line)) { inFence = !inFence; blocks.push({ style: 'gap' }); return; }
+    if (inFence) { blocks.push({ style: 'code', text: line }); return; }
+    if (!line.trim()) { inTable = false; blocks.push({ style: 'gap' }); return; }
+    if (isTableStart(line, lines[i + 1])) inTable = true;
+    if (inTable && line.includes('|')) {
+      if (!MD_TABLE_SEP_RE.test(line)) blocks.push({ style: 'table', text: splitTableRow(line).map(markdownToPlainText).join('   |   ') });
+      return;
+    }
+    inTable = false;
+    if (MD_HR_RE.test(line)) { blocks.push({ style: 'rule' }); return; }
+    const heading = line.match(MD_HEADING_RE);
+    if (heading) { blocks.push({ style: 'heading', text: markdownToPlainText(heading[2]) }); return; }
+    const item = line.match(MD_LIST_RE);
+    if (item) {
+      const depth = Math.floor(item[1].replace(/\t/g, '    ').length / 2);
+      blocks.push({ style: 'list', depth, bullet: /\d/.test(item[2]) ? item[2] : '•', text: markdownToPlainText(item[3]) });
+      return;
+    }
+    const quote = line.match(MD_QUOTE_RE);
+    if (quote) { blocks.push({ style: 'quote', text: markdownToPlainText(quote[1]) }); return; }
+    // soft-wrapped paragraph lines join into one paragraph
+    const prev = blocks[blocks.length - 1];
+    const text = markdownToPlainText(line);
+    if (prev && prev.style === 'body') prev.text += ` ${text}`;
+    else blocks.push({ style: 'body', text });
+  });
+  return blocks;
+}
+
+// Canvas font for lines drawn as images
+function pdfCanvasFont(style) {
+  return `${style.font === 'bold' ? 700 : 400} ${style.size}px ${style.font === 'mono' ? PDF_MONO : PDF_SANS}`;
+}
+
+// Width of a line in points: the PDF font's own advance widths, or the canvas for lines it can't write
+function pdfTextWidth(fonts, ctx, text, style) {
+  const font = fonts[style.font];
+  if (pdfFontCovers(font, text)) return pdfFontWidth(font, text, style.size);
+  ctx.font = pdfCanvasFont(style);
+  return ctx.measureText(text).width;
+}
+
+// Greedy word wrap; words wider than the line (long URLs, scripts written without spaces) break anywhere
+function wrapPdfText(measure, text, maxWidth) {
+  const lines = [];
+  let line = '';
+  String(text).split(/(\s+)/).filter(Boolean).forEach(token => {
+    if (/^\s+$/.test(token)) {
+      if (line) line += ' ';
+      return;
+    }
+    if (measure(line + token) <= maxWidth) {
+      line += token;
+      return;
+    }
+    if (line.trim()) lines.push(line.trimEnd());
+    line = '';
+    Array.from(token).forEach(ch => {
+      if (line && measure(line + ch) > maxWidth) {
+        lines.push(line);
+        line = '';
+      }
+      line += ch;
+    });
+  });
+  if (line.trim()) lines.push(line.trimEnd());
+  return lines;
+}
+
+// Lay out title, metadata, blocks and page footers into pages of draw operations (PDF points,
+// y = baseline from the top). Text ops the fonts can't write are marked `raster`.
+function layoutPdfPages(fonts, ctx, blocks, meta) {
+  const { width, height, margin } = PDF_PAGE;
+  const contentWidth = width - margin * 2;
+  const bottom = height - margin - 14; // room for the page footer
+  const pages = [[]];
+  let y = margin;
+
+  const textOp = (text, x, baseline, style) => ({ text, x, y: baseline, style, raster: !pdfFontCovers(fonts[style.font], text) });
+  const ensureRoom = (h) => {
+    if (y + h > bottom && pages[pages.length - 1].length) {
+      pages.push([]);
+      y = margin;
+    }
+  };
+  const addText = (text, style, { indent = 0, prefix = '' } = {}) => {
+    const measure = (s) => pdfTextWidth(fonts, ctx, s, style);
+    const lineHeight = style.size * 1.4;
+    const prefixWidth = prefix ? measure(`${prefix} `) : 0;
+    const x = margin + indent;
+    const lines = wrapPdfText(measure, text, contentWidth - indent - prefixWidth);
+    y += style.before || 0;
+    (lines.length ? lines : ['']).forEach((line, i) => {
+      ensureRoom(lineHeight);
+      y += lineHeight;
+      if (i === 0 && prefix) pages[pages.length - 1].push(textOp(prefix, x, y - lineHeight * 0.3, style));
+      if (line) pages[pages.length - 1].push(textOp(line, x + prefixWidth, y - lineHeight * 0.3, style));
+    });
+    y += style.after || 0;
+  };
+  const addRule = () => {
+    ensureRoom(12);
+    pages[pages.length - 1].push({ rule: true, y: y + 6 });
+    y += 12;
+  };
+
+  addText(meta.title, PDF_STYLES.title);
+  addText(`Source: ${meta.url}`, PDF_STYLES.meta);
+  addText(`Date: ${meta.generatedAt.toLocaleString()}`, PDF_STYLES.meta);
+  addText(`Length: ${describeSummaryLength(meta)}`, PDF_STYLES.meta);
+  addRule();
+
+  let lastWasGap = true;
+  blocks.forEach(block => {
+    if (block.style === 'gap') {
+      if (!lastWasGap) y += 6;
+      lastWasGap = true;
+      return;
+    }
+    lastWasGap = false;
+    if (block.style === 'rule') addRule();
+    else if (block.style === 'list') addText(block.text, PDF_STYLES.list, { indent: 6 + block.depth * 16, prefix: block.bullet });
+    else if (block.style === 'quote') addText(block.text, PDF_STYLES.quote, { indent: PDF_STYLES.quote.indent });
+    else addText(block.text, PDF_STYLES[block.style] || PDF_STYLES.body);
+  });
+
+  const title = meta.title.length > 70 ? `${meta.title.slice(0, 70)}…` : meta.title;
+  pages.forEach((ops, i) => ops.push(textOp(`${title}  ·  ${i + 1} / ${pages.length}`, margin, height - margin + 10, PDF_STYLES.meta)));
+  return pages;
+}
+
+// A text op the fonts can't write, drawn with the browser's font fallback: { width, height, top }
+// in points plus the JPEG
+function rasterizePdfLine(ctx, op) {
+  ctx.font = pdfCanvasFont(op.style);
+  const width = Math.max(1, ctx.measureText(op.text).width);
+  const height = op.style.size * 1.4;
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil(width * PDF_RASTER_SCALE);
+  canvas.height = Math.ceil(height * PDF_RASTER_SCALE);
+  const c = canvas.getContext('2d');
+  c.fillStyle = '#ffffff';
+  c.fillRect(0, 0, canvas.width, canvas.height);
+  c.scale(PDF_RASTER_SCALE, PDF_RASTER_SCALE);
+  c.font = pdfCanvasFont(op.style);
+  c.fillStyle = op.style.color;
+  c.textBaseline = 'alphabetic';
+  c.fillText(op.text, 0, op.style.size * 1.1);
+  return {
+    width,
+    height,
+    top: op.y - op.style.size * 1.1,
+    pixelWidth: canvas.width,
+    pixelHeight: canvas.height,
+    bytes: dataUrlBytes(canvas.toDataURL('image/jpeg', 0.92))
+  };
+}
+
+function dataUrlBytes(dataUrl) {
+  const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+// PDF text string as UTF-16BE hex, so titles in any script survive in the document properties
+function pdfTextString(text) {
+  let hex = 'FEFF';
+  for (let i = 0; i < text.length; i++) hex += text.charCodeAt(i).toString(16).padStart(4, '0');
+  return `<${hex.toUpperCase()}>`;
+}
+
+function pdfDate(date) {
+  const p = (n) => String(n).padStart(2, '0');
+  return `(D:${date.getUTCFullYear()}${p(date.getUTCMonth() + 1)}${p(date.getUTCDate())}${p(date.getUTCHours())}${p(date.getUTCMinutes())}${p(date.getUTCSeconds())}Z)`;
+}
+
+function pdfHex4(n) {
+  return n.toString(16).toUpperCase().padStart(4, '0');
+}
+
+function pdfColor(hex) {
+  return [1, 3, 5].map(i => Number((parseInt(hex.slice(i, i + 2), 16) / 255).toFixed(3))).join(' ');
+}
+
+// Glyph id -> Unicode map, so text copied or searched in the PDF reads as the original characters
+function pdfToUnicodeCMap(glyphs) {
+  const utf16 = (text) => Array.from(text, ch => {
+    const cp = ch.codePointAt(0);
+    if (cp < 0x10000) return pdfHex4(cp);
+    const v = cp - 0x10000;
+    return pdfHex4(0xD800 + (v >> 10)) + pdfHex4(0xDC00 + (v & 0x3FF));
+  }).join('');
+  const entries = [...glyphs].map(([glyph, text]) => `<${pdfHex4(glyph)}> <${utf16(text)}>`);
+  const ranges = [];
+  for (let i = 0; i < entries.length; i += 100) {
+    const part = entries.slice(i, i + 100);
+    ranges.push(`${part.length} beginbfchar\n${part.join('\n')}\nendbfchar`);
+  }
+  return `/CIDInit /ProcSet findresource begin
+12 dict begin
+begincmap
+/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def
+/CMapName /Adobe-Identity-UCS def
+/CMapType 2 def
+1 begincodespacerange
+<0000> <FFFF>
+endcodespacerange
+${ranges.join('\n')}
+endcmap
+CMapName currentdict /CMap defineresource pop
+end
+end`;
+}
+
+// zlib-compressed bytes for /FlateDecode, or null where the browser can't compress
+async function deflatePdfStream(bytes) {
+  if (typeof CompressionStream !== 'function') return null;
+  const compressed = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(compressed).arrayBuffer());
+}
+
+// PDF 1.4 with real text: every font used is embedded as a TrueType subset (Type0 / Identity-H,
+// glyph ids as character codes) with a ToUnicode map; lines the fonts can't write are JPEG images
+// carrying their text as /ActualText for copy and screen readers
+async function buildTextPdf(pages, fonts, meta) {
+  const encoder = new TextEncoder();
+  const objects = []; // object n is objects[n - 1]: a list of string / byte parts
+  const reserve = () => objects.push(null);
+  const define = (n, ...parts) => { objects[n - 1] = parts; };
+  const add = (...parts) => { objects.push(parts); return objects.length; };
+  const stream = async (dict, data) => {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    const packed = await deflatePdfStream(bytes);
+    return [`<< ${dict}${packed ? ' /Filter /FlateDecode' : ''} /Length ${(packed || bytes).length} >>\nstream\n`, packed || bytes, '\nendstream'];
+  };
+  const pt = (n) => String(Math.round(n * 100) / 100);
+  const { width, height, margin } = PDF_PAGE;
+
+  const catalog = reserve();
+  const pageTree = reserve();
+  const fontKeys = Object.keys(PDF_FONT_TAGS).filter(key => pages.some(ops => ops.some(op => !op.rule && !op.raster && op.style.font === key)));
+  const fontRefs = Object.fromEntries(fontKeys.map(key => [key, reserve()]));
+  const fontNames = Object.fromEntries(fontKeys.map((key, i) => [key, `F${i + 1}`]));
+  const usedGlyphs = Object.fromEntries(fontKeys.map(key => [key, new Map()])); // glyph id -> text
+  const measure = document.createElement('canvas').getContext('2d');
+
+  const showText = (key, text) => pdfFontGlyphs(fonts[key], text).map(({ glyph, text: ch }) => {
+    if (!usedGlyphs[key].has(glyph)) usedGlyphs[key].set(glyph, ch);
+    return pdfHex4(glyph);
+  }).join('');
+
+  const pageRefs = [];
+  for (const ops of pages) {
+    const images = [];
+    const content = [];
+    for (const op of ops) {
+      if (op.rule) {
+        content.push(`${pdfColor('#d8dde3')} rg ${margin} ${pt(height - op.y - 0.75)} ${pt(width - margin * 2)} 0.75 re f`);
+      } else if (op.raster) {
+        const image = rasterizePdfLine(measure, op);
+        const ref = add(`<< /Type /XObject /Subtype /Image /Width ${image.pixelWidth} /Height ${image.pixelHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>\nstream\n`, image.bytes, '\nendstream');
+        images.push(ref);
+        content.push(`/Span << /ActualText ${pdfTextString(op.text)} >> BDC q ${pt(image.width)} 0 0 ${pt(image.height)} ${pt(op.x)} ${pt(height - image.top - image.height)} cm /Im${images.length - 1} Do Q EMC`);
+      } else {
+        content.push(`BT /${fontNames[op.style.font]} ${op.style.size} Tf ${pdfColor(op.style.color)} rg ${pt(op.x)} ${pt(height - op.y)} Td <${showText(op.style.font, op.text)}> Tj ET`);
+      }
+    }
+    const contents = add(...await stream('', content.join('\n')));
+    const fontDict = fontKeys.map(key => `/${fontNames[key]} ${fontRefs[key]} 0 R`).join(' ');
+    const imageDict = images.map((ref, i) => `/Im${i} ${ref} 0 R`).join(' ');
+    pageRefs.push(add(`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${width} ${height}] ` +
+      `/Resources << /Font << ${fontDict} >> /XObject << ${imageDict} >> >> /Contents ${contents} 0 R >>`));
+  }
+
+  for (const key of fontKeys) {
+    const font = fonts[key];
+    const glyphs = usedGlyphs[key];
+    const scale = 1000 / font.unitsPerEm;
+    const name = `${PDF_FONT_TAGS[key]}+${font.postScriptName}`;
+    const subset = subsetTrueTypeFont(font, glyphs.keys());
+    const file = add(...await stream(`/Length1 ${subset.length}`, subset));
+    const descriptor = add(`<< /Type /FontDescriptor /FontName /${name} /Flags ${font.monospace ? 33 : 32} ` +
+      `/FontBBox [${font.bbox.map(v => Math.round(v * scale)).join(' ')}] /ItalicAngle 0 /Ascent ${Math.round(font.ascent * scale)} ` +
+      `/Descent ${Math.round(font.descent * scale)} /CapHeight ${Math.round(font.ascent * scale)} /StemV 80 /FontFile2 ${file} 0 R >>`);
+    const widths = [...glyphs.keys()].sort((a, b) => a - b).map(g => `${g} [${Math.round(font.advances[g] * scale)}]`).join(' ');
+    const descendant = add(`<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${name} ` +
+      `/CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> /FontDescriptor ${descriptor} 0 R /W [${widths}] /CIDToGIDMap /Identity >>`);
+    const toUnicode = add(...await stream('', pdfToUnicodeCMap(glyphs)));
+    define(fontRefs[key], `<< /Type /Font /Subtype /Type0 /BaseFont /${name} /Encoding /Identity-H /DescendantFonts [${descendant} 0 R] /ToUnicode ${toUnicode} 0 R >>`);
+  }
+
+  define(catalog, `<< /Type /Catalog /Pages ${pageTree} 0 R >>`);
+  define(pageTree, `<< /Type /Pages /Count ${pageRefs.length} /Kids [${pageRefs.map(n => `${n} 0 R`).join(' ')}] >>`);
+  const info = add(`<< /Title ${pdfTextString(meta.title)} /Subject ${pdfTextString(`Summary of ${meta.url}`)} ` +
+    `/Keywords ${pdfTextString(describeSummaryLength(meta))} /Creator (Browzie) /CreationDate ${pdfDate(meta.generatedAt)} >>`);
+
+  const chunks = [];
+  const offsets = [];
+  let size = 0;
+  const write = (part) => {
+    const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    size += bytes.length;
+  };
+  write('%PDF-1.4\n');
+  write(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a])); // binary marker comment
+  objects.forEach((parts, i) => {
+    offsets[i + 1] = size;
+    write(`${i + 1} 0 obj\n`);
+    parts.forEach(write);
+    write('\nendobj\n');
+  });
+  const xrefOffset = size;
+  write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+  for (let n = 1; n <= objects.length; n++) write(`${String(offsets[n]).padStart(10, '0')} 00000 n \n`);
+  write(`trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+  return new Blob(chunks, { type: 'application/pdf' });
+}
+
+async function summaryToPdf(markdown, meta) {
+  const [sans, bold, mono] = await Promise.all(['sans', 'bold', 'mono'].map(loadPdfFont));
+  const fonts = { sans, bold, mono };
+  // lines the fonts can't write are drawn with the page's fonts
+  if (document.fonts && document.fonts.ready) await document.fonts.ready;
+  const measure = document.createElement('canvas').getContext('2d');
+  return buildTextPdf(layoutPdfPages(fonts, measure, summaryToPdfBlocks(markdown), meta), fonts, meta);
+}
+
+// ---------- download ----------
+
+// Resolves to a Blob of the summary in `format` (see SUMMARY_EXPORT_FORMATS)
+async function exportSummary(format, markdown, meta) {
+  const spec = SUMMARY_EXPORT_FORMATS.find(f => f.id === format);
+  if (!spec) throw new Error(`Unknown export format: ${format}`);
+  if (format === 'pdf') return summaryToPdf(markdown, meta);
+  const text = {
+    md: summaryToMarkdown,
+    html: summaryToHtml,
+    json: summaryToJson,
+    txt: summaryToText
+  }[format](markdown, meta);
+  return new Blob([text], { type: spec.mime });
+}
+
+function summaryExportFilename(title, format) {
+  const base = String(title || 'page-summary').replace(/[^\p{L}\p{N}\- ]+/gu, '').replace(/\s+/g, ' ').trim().slice(0, 60) || 'page-summary';
+  return `${base}.${format}`;
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,160 @@
+// === tab-sources.js ===
+// Multi-tab chat (loaded before content.js). The tab picker lists the open tabs (background.js
+// `list_tabs`); the ones the user ticks go out with the question as `sourceTabIds`, background.js
+// reads their page context with chrome.scripting and the proxy answers from all of them, naming
+// the tab each point came from (see lib/sources.js). "Compare these pages" asks for a comparison
+// table instead (the proxy's `compare` task).
+
+const MAX_PICKED_TABS = 7; // plus the current tab = the proxy's limit of 8 sources
+
+function requestSourceTabs() {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ action: 'list_tabs' }, (resp) => {
+      const err = chrome.runtime.lastError;
+      resolve(!err && resp && resp.ok ? resp.tabs : []);
+    });
+  });
+}
+
+function tabHost(url) {
+  try { return new URL(url).hostname; } catch (e) { return ''; }
+}
+
+// Picker panel for the chat box. onChange(count) runs whenever the selection changes,
+// onCompare() when "Compare these pages" is clicked.
+function createTabPicker({ onChange, onCompare }) {
+  const picked = new Set(); // ids of the ticked tabs
+
+  const panel = document.createElement('div');
+  panel.className = 'gai-tab-picker';
+  panel.hidden = true;
+
+  const hint = document.createElement('div');
+  hint.className = 'gai-tab-picker-hint';
+  hint.textContent = `Ask across tabs: this tab is always included, pick up to ${MAX_PICKED_TABS} more.`;
+  const list = document.createElement('div');
+  list.className = 'gai-tab-list';
+  list.setAttribute('role', 'group');
+  list.setAttribute('aria-label', 'Tabs to include');
+
+  const actions = document.createElement('div');
+  actions.className = 'gai-tab-picker-actions';
+  const compareBtn = document.createElement('button');
+  compareBtn.type = 'button';
+  compareBtn.className = 'gai-tab-compare';
+  compareBtn.textContent = 'Compare these pages';
+  compareBtn.title = 'Comparison table of this tab and the picked tabs';
+  const clearBtn = document.createElement('button');
+  clearBtn.type = 'button';
+  clearBtn.className = 'gai-tab-clear';
+  clearBtn.textContent = 'Clear';
+  actions.appendChild(compareBtn);
+  actions.appendChild(clearBtn);
+
+  panel.appendChild(hint);
+  panel.appendChild(list);
+  panel.appendChild(actions);
+
+  const syncControls = () => {
+    compareBtn.disabled = !picked.size;
+    clearBtn.disabled = !picked.size;
+    list.querySelectorAll('input[data-tab-id]').forEach(box => {
+      box.disabled = box.dataset.blocked === 'true' || (!box.checked && picked.size >= MAX_PICKED_TABS);
+    });
+  };
+  const changed = () => {
+    syncControls();
+    onChange(picked.size);
+  };
+
+  function renderTab(tab) {
+    const row = document.createElement('label');
+    row.className = 'gai-tab-row';
+    row.title = tab.url;
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    if (tab.current) {
+      box.checked = true;
+      box.disabled = true;
+    } else if (tab.blocked) {
+      // the site rules turn Browzie off there, so background.js won't read it
+      box.dataset.tabId = String(tab.id);
+      box.dataset.blocked = 'true';
+      row.classList.add('gai-tab-blocked');
+      row.title = `${tab.url}\nBrowzie is turned off on this site`;
+    } else {
+      box.dataset.tabId = String(tab.id);
+      box.checked = picked.has(tab.id);
+      box.addEventListener('change', () => {
+        if (box.checked) picked.add(tab.id);
+        else picked.delete(tab.id);
+        changed();
+      });
+    }
+    row.appendChild(box);
+    if (tab.favIconUrl && /^https?:|^data:image\//.test(tab.favIconUrl)) {
+      const icon = document.createElement('img');
+      icon.src = tab.favIconUrl;
+      icon.alt = '';
+      icon.width = 14;
+      icon.height = 14;
+      row.appendChild(icon);
+    }
+    const name = document.createElement('span');
+    name.className = 'gai-tab-title';
+    name.textContent = tab.current ? `${tab.title} (this tab)` : tab.title;
+    const host = document.createElement('span');
+    host.className = 'gai-tab-host';
+    host.textContent = tabHost(tab.url);
+    row.appendChild(name);
+    row.appendChild(host);
+    return row;
+  }
+
+  // The tab list is read again every time the picker opens; closed tabs drop out of the selection
+  async function refresh() {
+    list.textContent = 'Loading tabs…';
+    const tabs = await requestSourceTabs();
+    const open = new Set(tabs.filter(t => !t.blocked).map(t => t.id));
+    [...picked].forEach(id => { if (!open.has(id)) picked.delete(id); });
+    list.replaceChildren();
+    if (tabs.filter(t => !t.current).length === 0) {
+      list.textContent = 'No other web pages are open.';
+    } else {
+      tabs.forEach(tab => list.appendChild(renderTab(tab)));
+    }
+    changed();
+  }
+
+  compareBtn.addEventListener('click', () => onCompare());
+  clearBtn.addEventListener('click', () => {
+    picked.clear();
+    list.querySelectorAll('input[data-tab-id]').forEach(box => { box.checked = false; });
+    changed();
+  });
+  syncControls();
+
+  return {
+    element: panel,
+    isOpen: () => !panel.hidden,
+    toggle() {
+      panel.hidden = !panel.hidden;
+      if (!panel.hidden) refresh();
+      return !panel.hidden;
+    },
+    close() { panel.hidden = true; },
+    pickedTabIds: () => [...picked]
+  };
+}
+
+// "From 3 tabs" under a multi-tab answer, plus the picked tabs that could not be read
+function appendTabSourcesNote(bubble, data) {
+  if (!data || (!data.sources && !(data.skippedTabs && data.skippedTabs.length))) return;
+  const note = document.createElement('div');
+  note.className = 'gai-tab-sources-note';
+  const skipped = data.skippedTabs && data.skippedTabs.length ? `could not read: ${data.skippedTabs.join(', ')}` : '';
+  note.textContent = data.sources
+    ? `Answered from ${data.sources} tabs${skipped ? ` · ${skipped}` : ''}`
+    : `Only this tab was used, ${skipped}`;
+  bubble.appendChild(note);
+}
@@ -0,0 +1,82 @@
+// === ui-root.js ===
+// Every Browzie surface (floating widget, prompt box, chat, summary panel, translation bar, command
+// palette and their overlays) lives in one shadow root (loaded before the other UI scripts), so
+// host-page CSS can't break our layout and styles.css can't restyle the page. styles.css is adopted
+// by the shadow root as a constructed stylesheet, read through background.js: it is not a
+// web-accessible resource, so pages can't tell the extension is installed by requesting it.
+// page-styles.css is the only stylesheet injected into the page itself and covers what we mark on
+// page elements (highlighted citation passages).
+//
+// The host element hangs off <html> rather than <body>, so page text extraction never sees it, and
+// carries the highest z-index; inside it the surfaces keep their own fixed positions and z-index order.
+// Look our elements up with getUiElement(id), not document.getElementById().
+//
+// The root is closed: page scripts can't reach the chat, summaries or the send preview through
+// host.shadowRoot, and uiShadowRoot below is the only reference to it. Events from inside reach the
+// page's listeners retargeted to the host, with the composed path cut off there.
+
+const UI_HOST_ID = 'browzie-ui-host';
+let uiShadowRoot = null;
+let uiStylesheet = null; // Promise<CSSStyleSheet | null>, read once per page
+
+// styles.css as a constructed stylesheet (page CSPs don't apply to those); null when it can't be read
+function loadUiStylesheet() {
+  if (!uiStylesheet) {
+    uiStylesheet = new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'ui_stylesheet' }, (resp) => {
+        if (chrome.runtime.lastError || !resp || !resp.ok) {
+          console.warn('Could not load the Browzie stylesheet', chrome.runtime.lastError?.message || resp?.error);
+          uiStylesheet = null; // tried again with the next root
+          resolve(null);
+          return;
+        }
+        const sheet = new CSSStyleSheet();
+        sheet.replaceSync(resp.css);
+        resolve(sheet);
+      });
+    });
+  }
+  return uiStylesheet;
+}
+
+function getUiRoot() {
+  if (uiShadowRoot && uiShadowRoot.host.isConnected) return uiShadowRoot;
+
+  const host = document.createElement('div');
+  host.id = UI_HOST_ID;
+  // `all: initial` stops inherited page styles (font, color, line-height, direction, ...) at the host,
+  // which then sets our own font; it stays hidden until styles.css has loaded so nothing flashes unstyled
+  host.style.cssText = 'all: initial; position: fixed; top: 0; left: 0; width: 0; height: 0; z-index: 2147483647; '
+    + 'font-family: Inter, Arial, sans-serif; font-size: 13px; visibility: hidden;';
+  const root = host.attachShadow({ mode: 'closed' });
+  uiShadowRoot = root;
+
+  loadUiStylesheet().then((sheet) => {
+    if (sheet) root.adoptedStyleSheets = [sheet];
+    host.style.setProperty('visibility', 'visible');
+  });
+
+  document.documentElement.appendChild(host);
+  return uiShadowRoot;
+}
+
+// null until something has been mounted (looking an element up never creates the host)
+function getUiElement(id) {
+  return uiShadowRoot && uiShadowRoot.host.isConnected ? uiShadowRoot.getElementById(id) : null;
+}
+
+function mountUi(el) {
+  return getUiRoot().appendChild(el);
+}
+
+// Takes every surface down at once (site rules turned Browzie off on this page)
+function removeUiRoot() {
+  if (uiShadowRoot) uiShadowRoot.host.remove();
+  uiShadowRoot = null;
+}
+
+// The focused element, looking inside our shadow root (document.activeElement only reports the host)
+function uiActiveElement() {
+  const active = document.activeElement;
+  return active && active.id === UI_HOST_ID ? (getUiRoot().activeElement || active) : active;
+}
@@ -0,0 +1,188 @@
+// lib/access.js
+// Who may spend our model quota: origin allowlist (CORS), shared-secret / per-user tokens,
+// token-bucket rate limits and daily quotas per token.
+//
+// Env:
+//   ALLOWED_ORIGINS       comma-separated origins, `*` wildcards allowed (default: chrome-extension://*,
+//                         i.e. any installed extension; pin it to chrome-extension://<our extension id>)
+//   PROXY_TOKENS          comma-separated `name:token` (or bare `token`) entries
+//   PROXY_TOKENS_FILE     JSON file: [{ name, token, ratePerMinute?, burst?, dailyQuota?, admin? }]
+//   ADMIN_TOKENS          comma-separated token names that may read everyone's usage (or `admin: true`
+//                         in PROXY_TOKENS_FILE); other tokens only see their own in /api/usage
+//   RATE_LIMIT_PER_MINUTE default refill rate per token (default 20)
+//   RATE_LIMIT_BURST      default bucket size per token (default = RATE_LIMIT_PER_MINUTE)
+//   DAILY_QUOTA           default requests per token per UTC day (default 500, 0 = unlimited)
+//   HOST                  interface to listen on (default: all interfaces with tokens, 127.0.0.1 without;
+//                         the Dockerfile sets 0.0.0.0)
+//
+// With no tokens configured auth is disabled (local development) and limits apply per IP. The proxy
+// then only listens on the loopback interface, and refuses to start when HOST asks for anything else:
+// requests without an Origin header (curl, scripts) pass the origin check, so without tokens anyone
+// who can reach the port could spend our key. In Docker that means tokens are required: the
+// published port only reaches the proxy through 0.0.0.0.
+// Buckets and quota counters live in memory, so a restart resets them.
+
+const fs = require('fs');
+
+function wildcardToRegExp(pattern) {
+  const escaped = pattern.trim().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function parseTokens(env) {
+  const tokens = [];
+  if (env.PROXY_TOKENS) {
+    env.PROXY_TOKENS.split(',').map(s => s.trim()).filter(Boolean).forEach((entry, i) => {
+      const sep = entry.indexOf(':');
+      tokens.push(sep > 0 ? { name: entry.slice(0, sep), token: entry.slice(sep + 1) } : { name: `token-${i + 1}`, token: entry });
+    });
+  }
+  if (env.PROXY_TOKENS_FILE) {
+    try {
+      const list = JSON.parse(fs.readFileSync(env.PROXY_TOKENS_FILE, 'utf8'));
+      // unnamed entries are numbered: the name ends up in logs, /api/health and /api/usage, so it
+      // must not contain any part of the secret
+      (Array.isArray(list) ? list : []).forEach((t, i) => { if (t && t.token) tokens.push({ ...t, name: t.name || `file-token-${i + 1}` }); });
+    } catch (err) {
+      console.error(`[access] failed to read PROXY_TOKENS_FILE ${env.PROXY_TOKENS_FILE}:`, err.message);
+    }
+  }
+  return tokens;
+}
+
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+
+// Interface to listen on; throws when HOST would expose a proxy without tokens
+function resolveListenHost(env, authEnabled) {
+  const host = (env.HOST || '').trim();
+  if (authEnabled) return host || undefined; // undefined: all interfaces
+  if (!host) return '127.0.0.1';
+  if (!LOOPBACK_HOSTS.includes(host.toLowerCase())) {
+    throw new Error(`HOST=${host} would let anyone who can reach the proxy use it: set PROXY_TOKENS (or PROXY_TOKENS_FILE) first. `
+      + 'In Docker, add e.g. PROXY_TOKENS=me:<long random secret> to .env and the same token in the extension options.');
+  }
+  return host;
+}
+
+function nextUtcMidnight(now = Date.now()) {
+  const d = new Date(now);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+}
+
+function sendAccessError(res, status, code, error, extra = {}) {
+  return res.status(status).json({ ok: false, code, error, ...extra });
+}
+
+function createAccessControl(env = process.env) {
+  const originPatterns = (env.ALLOWED_ORIGINS || 'chrome-extension://*')
+    .split(',').map(s => s.trim()).filter(Boolean).map(wildcardToRegExp);
+  const tokens = parseTokens(env);
+  const tokensBySecret = new Map(tokens.map(t => [t.token, t]));
+  const adminNames = new Set((env.ADMIN_TOKENS || '').split(',').map(s => s.trim()).filter(Boolean));
+  const authEnabled = tokens.length > 0;
+  const listenHost = resolveListenHost(env, authEnabled);
+
+  const defaults = {
+    ratePerMinute: Number(env.RATE_LIMIT_PER_MINUTE) || 20,
+    burst: Number(env.RATE_LIMIT_BURST) || Number(env.RATE_LIMIT_PER_MINUTE) || 20,
+    dailyQuota: env.DAILY_QUOTA !== undefined ? Number(env.DAILY_QUOTA) : 500
+  };
+
+  const buckets = new Map(); // clientId -> { tokens, updatedAt }
+  const quotas = new Map(); // clientId -> { used, resetsAt }
+
+  if (!authEnabled) {
+    console.warn(`Warning: no PROXY_TOKENS configured — the proxy accepts unauthenticated requests, so it only listens on ${listenHost} (rate limits apply per IP).`);
+  }
+  if (originPatterns.some(re => re.test('chrome-extension://any-other-extension'))) {
+    console.warn('Warning: ALLOWED_ORIGINS lets every installed Chrome extension call the proxy. Pin it to chrome-extension://<extension id> (see chrome://extensions).');
+  }
+
+  const isOriginAllowed = (origin) => originPatterns.some(re => re.test(origin));
+
+  // for the cors() middleware: reflect allowed origins only
+  const corsOptions = {
+    origin: (origin, cb) => cb(null, !origin || isOriginAllowed(origin)),
+    allowedHeaders: ['Content-Type', 'Authorization'],
+    exposedHeaders: ['X-Cache', 'Retry-After', 'X-RateLimit-Remaining', 'X-Quota-Remaining', 'X-Quota-Reset']
+  };
+
+  // Browsers always send Origin on cross-origin requests; anything not on the allowlist is refused
+  // outright (CORS alone would still let a "simple" POST reach the handler).
+  function originGuard(req, res, next) {
+    const origin = req.get('Origin');
+    if (origin && !isOriginAllowed(origin)) {
+      console.warn(`[access] rejected request from origin ${origin}`);
+      return sendAccessError(res, 403, 'origin_not_allowed', `Origin ${origin} is not allowed to use this proxy.`);
+    }
+    next();
+  }
+
+  // Authorization: Bearer <token>; sets req.client = { id, name, admin, limits }. Without tokens
+  // the proxy is only reachable from this machine, so every caller is an admin.
+  function requireToken(req, res, next) {
+    if (!authEnabled) {
+      req.client = { id: `ip:${req.ip}`, name: req.ip, admin: true, limits: defaults };
+      return next();
+    }
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+    if (!match) {
+      return sendAccessError(res, 401, 'auth_required', 'Missing access token. Set it in the Browzie extension options.');
+    }
+    const entry = tokensBySecret.get(match[1].trim());
+    if (!entry) {
+      return sendAccessError(res, 403, 'invalid_token', 'Access token is not valid for this proxy.');
+    }
+    req.client = {
+      id: `token:${entry.name}`,
+      name: entry.name,
+      admin: entry.admin === true || adminNames.has(entry.name),
+      limits: {
+        ratePerMinute: entry.ratePerMinute || defaults.ratePerMinute,
+        burst: entry.burst || entry.ratePerMinute || defaults.burst,
+        dailyQuota: entry.dailyQuota !== undefined ? entry.dailyQuota : defaults.dailyQuota
+      }
+    };
+    next();
+  }
+
+  // Token bucket (burst + per-minute refill) and a per-UTC-day request quota for req.client
+  function rateLimit(req, res, next) {
+    const { id, limits } = req.client;
+    const now = Date.now();
+
+    const quota = quotas.get(id);
+    if (!quota || quota.resetsAt <= now) quotas.set(id, { used: 0, resetsAt: nextUtcMidnight(now) });
+    const q = quotas.get(id);
+    if (limits.dailyQuota > 0 && q.used >= limits.dailyQuota) {
+      const resetsAt = new Date(q.resetsAt).toISOString();
+      res.set('X-Quota-Reset', resetsAt);
+      res.set('Retry-After', String(Math.ceil((q.resetsAt - now) / 1000)));
+      return sendAccessError(res, 429, 'quota_exceeded', `Daily quota of ${limits.dailyQuota} requests exceeded.`, { resetsAt });
+    }
+
+    const refillPerMs = limits.ratePerMinute / 60000;
+    const bucket = buckets.get(id) || { tokens: limits.burst, updatedAt: now };
+    bucket.tokens = Math.min(limits.burst, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+    buckets.set(id, bucket);
+    if (bucket.tokens < 1) {
+      const retryAfter = Math.ceil((1 - bucket.tokens) / refillPerMs / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return sendAccessError(res, 429, 'rate_limited', `Too many requests. Try again in ${retryAfter}s.`, { retryAfter });
+    }
+
+    bucket.tokens -= 1;
+    q.used += 1;
+    res.set('X-RateLimit-Remaining', String(Math.floor(bucket.tokens)));
+    if (limits.dailyQuota > 0) {
+      res.set('X-Quota-Remaining', String(limits.dailyQuota - q.used));
+      res.set('X-Quota-Reset', new Date(q.resetsAt).toISOString());
+    }
+    next();
+  }
+
+  return { corsOptions, originGuard, requireToken, rateLimit, authEnabled, listenHost, isOriginAllowed };
+}
+
+module.exports = { createAccessControl, parseTokens, nextUtcMidnight };
@@ -0,0 +1,115 @@
+// lib/cache.js
+// Response cache for /api/generate and /api/summarize: in-memory LRU with TTLs and optional
+// JSON persistence on disk, so repeated questions / summaries of unchanged pages are free.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PERSIST_DEBOUNCE_MS = 1000;
+
+// Collapse whitespace so cosmetic differences in extracted text don't defeat the cache
+function normalizeText(value) {
+  return String(value || '').replace(/\s+/g, ' ').trim();
+}
+
+// The parts of a pageContext that influence the answer (URL and link lists deliberately excluded)
+function pageContextText(pageContext) {
+  if (!pageContext) return '';
+  return normalizeText([
+    pageContext.title,
+    pageContext.mainContentMarkdown || pageContext.mainTextSnippet,
+    pageContext.fullText,
+    pageContext.selectedText
+  ].filter(Boolean).join('\n'));
+}
+
+function cacheKey(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+function createResponseCache({ maxEntries = 500, ttlMs = 24 * 60 * 60 * 1000, persistPath = null, enabled = true } = {}) {
+  const entries = new Map(); // key -> { value, expiresAt }; Map order doubles as LRU order
+  let persistTimer = null;
+
+  function load() {
+    if (!persistPath) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(persistPath, 'utf8'));
+      const now = Date.now();
+      (data.entries || []).forEach(([key, entry]) => {
+        if (entry && entry.expiresAt > now) entries.set(key, entry);
+      });
+      evict();
+      console.log(`[cache] loaded ${entries.size} entr${entries.size === 1 ? 'y' : 'ies'} from ${persistPath}`);
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn('[cache] failed to load persisted cache', err.message);
+    }
+  }
+
+  function schedulePersist() {
+    if (!persistPath || persistTimer) return;
+    persistTimer = setTimeout(() => {
+      persistTimer = null;
+      const tmp = `${persistPath}.tmp`;
+      const body = JSON.stringify({ version: 1, entries: Array.from(entries.entries()) });
+      fs.promises.mkdir(path.dirname(persistPath), { recursive: true })
+        .then(() => fs.promises.writeFile(tmp, body))
+        .then(() => fs.promises.rename(tmp, persistPath))
+        .catch(err => console.warn('[cache] failed to persist cache', err.message));
+    }, PERSIST_DEBOUNCE_MS);
+    persistTimer.unref();
+  }
+
+  function evict() {
+    while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+  }
+
+  function get(key) {
+    if (!enabled) return null;
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      schedulePersist();
+      return null;
+    }
+    // refresh recency
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  function set(key, value) {
+    if (!enabled) return;
+    entries.delete(key);
+    entries.set(key, { value: { ...value, cachedAt: Date.now() }, expiresAt: Date.now() + ttlMs });
+    evict();
+    schedulePersist();
+  }
+
+  load();
+
+  return { get, set, get size() { return entries.size; }, enabled };
+}
+
+// Build a cache from env: CACHE_ENABLED, CACHE_MAX_ENTRIES, CACHE_TTL_SECONDS, CACHE_FILE
+// (numbers that are not positive fall back to the defaults: NaN would turn off eviction and expiry)
+function createResponseCacheFromEnv(env = process.env) {
+  const positive = (name) => {
+    const value = env[name];
+    if (value === undefined || value === '') return undefined;
+    if (Number.isFinite(Number(value)) && Number(value) > 0) return Number(value);
+    console.warn(`[cache] ignoring ${name}=${value}: not a positive number, using the default`);
+    return undefined;
+  };
+  const ttlSeconds = positive('CACHE_TTL_SECONDS');
+  return createResponseCache({
+    enabled: env.CACHE_ENABLED !== 'false',
+    maxEntries: positive('CACHE_MAX_ENTRIES'),
+    ttlMs: ttlSeconds === undefined ? undefined : ttlSeconds * 1000,
+    persistPath: env.CACHE_FILE || null
+  });
+}
+
+module.exports = { createResponseCache, createResponseCacheFromEnv, cacheKey, pageContextText };
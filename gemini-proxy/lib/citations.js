@@ -0,0 +1,47 @@
+// lib/citations.js
+// Citation mode for /api/generate and /api/summarize. The extension sends the page as numbered
+// passages (pageContext.passages = [{ id: 'P1', text }, ...]) and the model is told to cite the
+// passage IDs it used in square brackets, e.g. [P3] or [P2, P5]. The extension turns those markers
+// into chips that scroll to the passage on the live page, and flags answers that cite nothing.
+
+const MAX_PASSAGES = 2000;
+const MAX_PASSAGE_CHARS = 2000;
+const PASSAGE_ID_RE = /^P\d{1,5}$/;
+
+const CITATION_INSTRUCTIONS = [
+  'The page content is given as numbered passages such as [P1], [P2].',
+  'After every sentence or bullet point that uses information from the page, cite the passages that support it in square brackets, e.g. [P3] or [P2, P5].',
+  'Only cite passages that really support the statement, and never invent passage IDs.',
+  'If the passages do not contain the answer, say so plainly instead of guessing, and add no citation.'
+];
+
+// Well-formed passages only, trimmed to size: [{ id, text }]
+function normalizePassages(passages) {
+  if (!Array.isArray(passages)) return [];
+  return passages
+    .filter(p => p && typeof p.id === 'string' && PASSAGE_ID_RE.test(p.id) && typeof p.text === 'string' && p.text.trim())
+    .slice(0, MAX_PASSAGES)
+    .map(p => ({ id: p.id, text: p.text.replace(/\s+/g, ' ').trim().slice(0, MAX_PASSAGE_CHARS) }));
+}
+
+// "[P1] text" paragraphs; stops at a whole passage once maxChars is reached
+function formatPassages(passages, maxChars = Infinity) {
+  const out = [];
+  let size = 0;
+  for (const p of passages) {
+    const line = `[${p.id}] ${p.text}`;
+    if (out.length && size + line.length + 2 > maxChars) {
+      out.push('...[remaining passages truncated]');
+      break;
+    }
+    out.push(line);
+    size += line.length + 2;
+  }
+  return out.join('\n\n');
+}
+
+function withCitationInstructions(system) {
+  return [system, `Citations:\n${CITATION_INSTRUCTIONS.map(line => `- ${line}`).join('\n')}`].filter(Boolean).join('\n\n');
+}
+
+module.exports = { normalizePassages, formatPassages, withCitationInstructions };
@@ -0,0 +1,37 @@
+// lib/errors.js
+// Error types the routes know how to turn into HTTP responses.
+
+// Raised by a provider when the upstream model API answers with a non-2xx status. `retryAfterMs`
+// is the wait the upstream asked for (Retry-After header or Gemini's retryDelay), if any.
+class UpstreamError extends Error {
+  constructor(provider, status, body, retryAfterMs = null) {
+    super(`Upstream ${provider} API error ${status}`);
+    this.name = 'UpstreamError';
+    this.provider = provider;
+    this.status = status;
+    this.body = body;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Raised without calling the upstream while the circuit breaker of every usable model is open
+// (see lib/resilience.js); routes answer with 503 and Retry-After.
+class CircuitOpenError extends Error {
+  constructor(retryAfterMs) {
+    super('The model service is failing, requests are paused for a moment.');
+    this.name = 'CircuitOpenError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Raised for requests that name an unknown prompt template or leave out a required variable.
+// `code` is sent to the client ('unknown_task' | 'missing_variable'); routes answer with 400.
+class TemplateError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'TemplateError';
+    this.code = code;
+  }
+}
+
+module.exports = { UpstreamError, CircuitOpenError, TemplateError };
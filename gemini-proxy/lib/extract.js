@@ -0,0 +1,296 @@
+// lib/extract.js
+// Structured data extraction for /api/extract. A schema is a list of fields ({ name, type,
+// description }), either one of the presets below or the user's own; the model is asked for
+// { rows: [...] } with Gemini's responseSchema (JSON Schema for the other providers, see
+// lib/json-schema.js), and its answer is checked against the fields again before it goes back, so
+// the extension always gets one value of the right type (or null) per field and row.
+
+const FIELD_TYPES = ['string', 'number', 'integer', 'boolean', 'date', 'url'];
+const MAX_FIELDS = 20;
+const MAX_FIELD_NAME_CHARS = 40;
+const MAX_DESCRIPTION_CHARS = 200;
+const MAX_INSTRUCTIONS_CHARS = 500;
+const MAX_ROWS = 200;
+const MAX_PAGE_CHARS = 30000; // page text sent for one extraction
+
+const EXTRACT_PRESETS = [
+  {
+    id: 'products',
+    label: 'Product listing',
+    description: 'Products with price, availability and rating',
+    fields: [
+      { name: 'name', type: 'string', description: 'Exact product name as shown' },
+      { name: 'price', type: 'number', description: 'Current price without currency symbol' },
+      { name: 'currency', type: 'string', description: 'ISO currency code, e.g. USD' },
+      { name: 'availability', type: 'string', description: 'In stock, out of stock, pre-order, ...' },
+      { name: 'rating', type: 'number', description: 'Average rating' },
+      { name: 'url', type: 'url', description: 'Link to the product page' }
+    ]
+  },
+  {
+    id: 'contacts',
+    label: 'Contacts',
+    description: 'People or organizations and how to reach them',
+    fields: [
+      { name: 'name', type: 'string', description: 'Person or organization' },
+      { name: 'role', type: 'string', description: 'Job title or role' },
+      { name: 'organization', type: 'string', description: 'Company or team' },
+      { name: 'email', type: 'string', description: 'Email address' },
+      { name: 'phone', type: 'string', description: 'Phone number as shown' },
+      { name: 'address', type: 'string', description: 'Postal address' }
+    ]
+  },
+  {
+    id: 'events',
+    label: 'Events',
+    description: 'Events with date, time and place',
+    fields: [
+      { name: 'title', type: 'string', description: 'Event name' },
+      { name: 'date', type: 'date', description: 'Start date' },
+      { name: 'time', type: 'string', description: 'Start time as shown, with time zone if given' },
+      { name: 'location', type: 'string', description: 'Venue or online' },
+      { name: 'price', type: 'string', description: 'Ticket price or "free"' },
+      { name: 'url', type: 'url', description: 'Link to the event' }
+    ]
+  },
+  {
+    id: 'table',
+    label: 'Table rows',
+    description: 'The rows of the main table, one column per field',
+    instructions: 'Take the rows of the main table on the page; name each field after its column header.',
+    fields: [
+      { name: 'column_1', type: 'string', description: 'First column' },
+      { name: 'column_2', type: 'string', description: 'Second column' },
+      { name: 'column_3', type: 'string', description: 'Third column' }
+    ]
+  }
+];
+
+const GEMINI_TYPES = { string: 'STRING', number: 'NUMBER', integer: 'INTEGER', boolean: 'BOOLEAN', date: 'STRING', url: 'STRING' };
+const TYPE_HINTS = { date: 'date as YYYY-MM-DD', url: 'absolute URL' };
+
+// Check a request's { preset?, fields?, instructions? }. Resolves to { error } or
+// { preset, fields, instructions } with clean fields; `fields` wins over the preset's own.
+function resolveExtractSchema(schema) {
+  if (!schema || typeof schema !== 'object') return { error: '`schema` must be an object with `preset` or `fields`.' };
+  const preset = schema.preset ? EXTRACT_PRESETS.find(p => p.id === schema.preset) : null;
+  if (schema.preset && !preset) {
+    return { error: `Unknown preset "${schema.preset}". Available: ${EXTRACT_PRESETS.map(p => p.id).join(', ')}.` };
+  }
+  const fields = Array.isArray(schema.fields) && schema.fields.length ? schema.fields : preset && preset.fields;
+  if (!fields) return { error: '`schema.fields` must be a non-empty array.' };
+  if (fields.length > MAX_FIELDS) return { error: `At most ${MAX_FIELDS} fields.` };
+
+  const clean = [];
+  for (const field of fields) {
+    const name = field && typeof field.name === 'string' ? field.name.trim() : '';
+    if (!name || name.length > MAX_FIELD_NAME_CHARS) return { error: `Field names must be 1 to ${MAX_FIELD_NAME_CHARS} characters.` };
+    if (clean.some(f => f.name === name)) return { error: `Field "${name}" is listed twice.` };
+    const type = field.type || 'string';
+    if (!FIELD_TYPES.includes(type)) return { error: `Field "${name}": type must be one of ${FIELD_TYPES.join(', ')}.` };
+    const description = typeof field.description === 'string' ? field.description.trim().slice(0, MAX_DESCRIPTION_CHARS) : '';
+    clean.push({ name, type, description });
+  }
+  const instructions = typeof schema.instructions === 'string' && schema.instructions.trim()
+    ? schema.instructions.trim().slice(0, MAX_INSTRUCTIONS_CHARS)
+    : (preset && preset.instructions) || '';
+  return { preset: preset ? preset.id : null, fields: clean, instructions };
+}
+
+// Gemini responseSchema for { rows: [{ <field>: value | null }] }
+function buildResponseSchema(fields) {
+  const properties = Object.fromEntries(fields.map(f => [f.name, {
+    type: GEMINI_TYPES[f.type],
+    nullable: true,
+    ...(f.description || TYPE_HINTS[f.type] ? { description: [f.description, TYPE_HINTS[f.type]].filter(Boolean).join('; ') } : {})
+  }]));
+  return {
+    type: 'OBJECT',
+    properties: {
+      rows: {
+        type: 'ARRAY',
+        items: { type: 'OBJECT', properties, required: fields.map(f => f.name), propertyOrdering: fields.map(f => f.name) }
+      }
+    },
+    required: ['rows']
+  };
+}
+
+// Page text for the prompt: the main content as Markdown (tables survive), or the full text of
+// long pages, capped at MAX_PAGE_CHARS
+function extractionPageText(pageContext) {
+  if (!pageContext) return '';
+  const text = pageContext.fullText || pageContext.mainContentMarkdown || pageContext.mainTextSnippet || '';
+  return String(text).slice(0, MAX_PAGE_CHARS);
+}
+
+function buildExtractPrompt({ fields, instructions }, pageContext) {
+  const fieldLines = fields.map(f => {
+    const hint = [f.description, TYPE_HINTS[f.type]].filter(Boolean).join('; ');
+    return `- ${f.name} (${f.type === 'date' || f.type === 'url' ? 'string' : f.type})${hint ? `: ${hint}` : ''}`;
+  });
+  return `Extract structured data from the web page below.
+Answer with JSON only, in the form {"rows": [{...}, ...]}: one object per item found on the page, each with exactly these fields:
+${fieldLines.join('\n')}
+
+Rules:
+- Use only information that is on the page; never guess or invent values.
+- Use null for a field the page does not give for an item.
+- Numbers are plain JSON numbers without currency symbols or thousands separators.
+- Keep the order in which the items appear on the page, and at most ${MAX_ROWS} items.
+- Answer {"rows": []} when the page has no such items.
+${instructions ? `\nAlso: ${instructions}\n` : ''}
+Page title: ${pageContext?.title || '(unknown)'}
+Page URL: ${pageContext?.url || '(unknown)'}
+
+Page content:
+${extractionPageText(pageContext)}`;
+}
+
+// "$1,299.00", "1.234,56 €", "12,5" -> numbers. With both ',' and '.' the last one is the decimal
+// separator; a lone '.' is one, a lone ',' too unless exactly three digits follow ("1,299"), and a
+// separator that repeats groups thousands. null when the groups don't fit that ("1.2.3").
+function parseNumberText(value) {
+  const match = /^(-?)(\d[\d.,]*)$/.exec(value.replace(/[^\d.,-]/g, '').replace(/[.,]+$/, ''));
+  if (!match) return null;
+  const [, sign, body] = match;
+  const lastComma = body.lastIndexOf(',');
+  const lastDot = body.lastIndexOf('.');
+  let decimal = null;
+  if (lastComma >= 0 && lastDot >= 0) decimal = lastComma > lastDot ? ',' : '.';
+  else if (lastDot >= 0) decimal = body.indexOf('.') === lastDot ? '.' : null;
+  else if (lastComma >= 0) decimal = body.indexOf(',') === lastComma && !/,\d{3}$/.test(body) ? ',' : null;
+
+  const cut = decimal ? body.lastIndexOf(decimal) : body.length;
+  const whole = body.slice(0, cut);
+  const fraction = body.slice(cut + 1);
+  const groups = whole.split(/[.,]/);
+  if (groups.length > 1) {
+    if (new Set(whole.match(/[.,]/g)).size > 1) return null;
+    if (!/^\d{1,3}$/.test(groups[0]) || groups.slice(1).some(g => g.length !== 3)) return null;
+  }
+  return Number(`${sign}${groups.join('')}${fraction ? `.${fraction}` : ''}`);
+}
+
+function toNumber(value, integer) {
+  const n = typeof value === 'string' ? parseNumberText(value) : value;
+  if (typeof n !== 'number' || !Number.isFinite(n)) return null;
+  return integer ? Math.round(n) : n;
+}
+
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  if (typeof value === 'string') {
+    if (/^(true|yes|y|1)$/i.test(value.trim())) return true;
+    if (/^(false|no|n|0)$/i.test(value.trim())) return false;
+  }
+  return null;
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// YYYY-MM-DD from "2024-03-05", "2024/3/5", "2024-03-05T10:00:00Z", "March 5, 2024" or
+// "5 March 2024"; null for anything else, including day/month orders that can't be told apart
+// ("03/05/2024") and dates that don't exist
+function toDate(value) {
+  if (typeof value !== 'string') return null;
+  const s = value.trim();
+  const monthOf = (name) => MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+  let parts = null; // [year, month, day]
+  let m = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:$|[T\s])/.exec(s);
+  if (m) parts = [m[1], m[2], m[3]].map(Number);
+  else if ((m = /^([A-Za-z]{3,})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/.exec(s))) parts = [Number(m[3]), monthOf(m[1]), Number(m[2])];
+  else if ((m = /^(\d{1,2})(?:st|nd|rd|th)?\.?\s+([A-Za-z]{3,})\.?,?\s+(\d{4})$/.exec(s))) parts = [Number(m[3]), monthOf(m[2]), Number(m[1])];
+  if (!parts) return null;
+  const [year, month, day] = parts;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (!month || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+// Absolute http(s) URL; relative ones are resolved against the page's URL when there is one
+function toUrl(value, baseUrl) {
+  if (typeof value !== 'string') return null;
+  try {
+    const url = baseUrl ? new URL(value.trim(), baseUrl) : new URL(value.trim());
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function coerceValue(value, type, { baseUrl } = {}) {
+  if (value === null || value === undefined || value === '') return null;
+  if (type === 'number' || type === 'integer') return toNumber(value, type === 'integer');
+  if (type === 'boolean') return toBoolean(value);
+  if (type === 'date') return toDate(value);
+  if (type === 'url') return toUrl(value, baseUrl);
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value).trim() || null;
+}
+
+// The rows of a model answer ({ rows } or a bare array, possibly in a code fence), reduced to the
+// schema's fields and types; null when the answer holds no JSON at all. Values that don't fit
+// their type become null (`baseUrl`, the page's URL, resolves relative links), and rows without
+// any value are dropped.
+function parseExtractedRows(text, fields, { baseUrl } = {}) {
+  const raw = String(text || '');
+  const start = raw.search(/[[{]/);
+  const end = Math.max(raw.lastIndexOf('}'), raw.lastIndexOf(']'));
+  if (start === -1 || end <= start) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(raw.slice(start, end + 1));
+  } catch (e) {
+    return null;
+  }
+  const rows = Array.isArray(parsed) ? parsed : parsed && Array.isArray(parsed.rows) ? parsed.rows : null;
+  if (!rows) return null;
+  return rows
+    .filter(row => row && typeof row === 'object' && !Array.isArray(row))
+    .map(row => Object.fromEntries(fields.map(f => [f.name, coerceValue(row[f.name], f.type, { baseUrl })])))
+    .filter(row => Object.values(row).some(v => v !== null))
+    .slice(0, MAX_ROWS);
+}
+
+// Run one extraction. Resolves to { rows } or { rows: null } when the model did not answer with
+// usable JSON (after one more try).
+async function extractRows({ provider, schema, pageContext, generationConfig = {}, signal }) {
+  const request = {
+    contents: [{ role: 'user', parts: [{ text: buildExtractPrompt(schema, pageContext) }] }],
+    generationConfig: {
+      temperature: 0,
+      ...generationConfig,
+      responseMimeType: 'application/json',
+      responseSchema: buildResponseSchema(schema.fields)
+    },
+    signal
+  };
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    const { text } = await provider.generate(request);
+    const rows = parseExtractedRows(text, schema.fields, { baseUrl: pageContext && pageContext.url });
+    if (rows) return { rows };
+    console.warn(`[extract] answer ${attempt} was not valid JSON (${String(text || '').length} chars)`);
+  }
+  return { rows: null };
+}
+
+// Presets for GET /api/extract/schemas
+function listExtractPresets() {
+  return EXTRACT_PRESETS.map(({ id, label, description, instructions, fields }) => ({
+    id, label, description, instructions: instructions || '', fields: fields.map(f => ({ ...f }))
+  }));
+}
+
+module.exports = {
+  FIELD_TYPES,
+  MAX_FIELDS,
+  MAX_ROWS,
+  resolveExtractSchema,
+  buildResponseSchema,
+  buildExtractPrompt,
+  parseExtractedRows,
+  extractRows,
+  listExtractPresets
+};
@@ -0,0 +1,35 @@
+// lib/http.js
+// fetch wrapper used by the providers: POST JSON and raise UpstreamError on non-2xx.
+
+const { UpstreamError } = require('./errors');
+
+// Wait the upstream asked for in ms: Retry-After (seconds or an HTTP date), else the retryDelay
+// ("30s") of a Gemini RetryInfo error detail; null when neither is there
+function retryAfterMs(headers, bodyText) {
+  const header = headers.get('Retry-After');
+  if (header) {
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+  const delay = /"retryDelay"\s*:\s*"(\d+(?:\.\d+)?)s"/.exec(bodyText || '');
+  return delay ? Number(delay[1]) * 1000 : null;
+}
+
+async function postJson(providerName, url, { headers = {}, body, signal } = {}) {
+  const r = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!r.ok) {
+    const bodyText = await r.text().catch(() => '<unable to read body>');
+    throw new UpstreamError(providerName, r.status, bodyText, retryAfterMs(r.headers, bodyText));
+  }
+  return r;
+}
+
+module.exports = { postJson };
@@ -0,0 +1,24 @@
+// lib/json-schema.js
+// Gemini's responseSchema (an OpenAPI 3.0 subset: upper-case types, `nullable`) as plain JSON
+// Schema, for the providers whose structured output takes JSON Schema (OpenAI-compatible
+// response_format, Ollama's `format`).
+
+function toJsonSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+  const out = {};
+  if (schema.type) {
+    const type = String(schema.type).toLowerCase();
+    out.type = schema.nullable ? [type, 'null'] : type;
+  }
+  if (schema.description) out.description = schema.description;
+  if (Array.isArray(schema.enum)) out.enum = schema.enum;
+  if (schema.properties) {
+    out.properties = Object.fromEntries(Object.entries(schema.properties).map(([name, value]) => [name, toJsonSchema(value)]));
+    out.additionalProperties = false;
+  }
+  if (Array.isArray(schema.required)) out.required = schema.required;
+  if (schema.items) out.items = toJsonSchema(schema.items);
+  return out;
+}
+
+module.exports = { toJsonSchema };
@@ -0,0 +1,95 @@
+// lib/models.js
+// Models the extension may pick per request, and the generation settings it may change: model,
+// temperature, maxOutputTokens and (Gemini 2.5) thinkingBudget. Served by GET /api/models; every
+// /api/generate and /api/summarize request is checked against it before anything is sent upstream.
+//
+// Env:
+//   LLM_MODELS  comma-separated models of the configured provider that requests may choose
+//               (default: just the provider's model, LLM_MODEL)
+
+// What we know about common models, matched by prefix (most specific first). `thinking` is the
+// thinkingBudget range; `canDisable` = 0 turns thinking off; -1 (dynamic) is always allowed.
+const KNOWN_MODELS = [
+  { prefix: 'gemini-2.5-pro', maxOutputTokens: 65536, thinking: { min: 128, max: 32768, canDisable: false } },
+  { prefix: 'gemini-2.5-flash-lite', maxOutputTokens: 65536, thinking: { min: 512, max: 24576, canDisable: true } },
+  { prefix: 'gemini-2.5-flash', maxOutputTokens: 65536, thinking: { min: 1, max: 24576, canDisable: true } },
+  { prefix: 'gemini-2.0-flash', maxOutputTokens: 8192, thinking: null },
+  { prefix: 'gemini-1.5', maxOutputTokens: 8192, thinking: null }
+];
+const DEFAULT_MAX_OUTPUT_TOKENS = 8192;
+const TEMPERATURE = { min: 0, max: 2 };
+
+function modelSpec(id) {
+  const known = KNOWN_MODELS.find(m => id.startsWith(m.prefix));
+  return {
+    id,
+    maxOutputTokens: known ? known.maxOutputTokens : DEFAULT_MAX_OUTPUT_TOKENS,
+    thinking: known ? known.thinking : null
+  };
+}
+
+function createModelCatalog({ provider, models = [] }) {
+  const ids = [...new Set([provider.model, ...models.map(m => String(m).trim()).filter(Boolean)])];
+  const specs = new Map(ids.map(id => [id, modelSpec(id)]));
+
+  // For GET /api/models
+  function list() {
+    return {
+      provider: provider.name,
+      defaultModel: provider.model,
+      models: ids.map(id => ({ ...specs.get(id), default: id === provider.model })),
+      temperature: TEMPERATURE
+    };
+  }
+
+  // Check a request's { model, generation: { temperature, maxOutputTokens, thinkingBudget } }.
+  // Resolves to { error } or { model, generationConfig } where generationConfig holds only the
+  // overrides, in Gemini's field names, to lay over the task template's own generationConfig.
+  function resolve({ model, generation } = {}) {
+    const id = model === undefined || model === null || model === '' ? provider.model : model;
+    if (typeof id !== 'string' || !specs.has(id)) {
+      return { error: `Model "${id}" is not available on this proxy. Available: ${ids.join(', ')}.` };
+    }
+    const spec = specs.get(id);
+    if (generation !== undefined && generation !== null && typeof generation !== 'object') {
+      return { error: '`generation` must be an object.' };
+    }
+    const { temperature, maxOutputTokens, thinkingBudget } = generation || {};
+    const generationConfig = {};
+
+    if (temperature !== undefined && temperature !== null) {
+      if (typeof temperature !== 'number' || temperature < TEMPERATURE.min || temperature > TEMPERATURE.max) {
+        return { error: `temperature must be a number from ${TEMPERATURE.min} to ${TEMPERATURE.max}.` };
+      }
+      generationConfig.temperature = temperature;
+    }
+    if (maxOutputTokens !== undefined && maxOutputTokens !== null) {
+      if (!Number.isInteger(maxOutputTokens) || maxOutputTokens < 1 || maxOutputTokens > spec.maxOutputTokens) {
+        return { error: `maxOutputTokens must be a whole number from 1 to ${spec.maxOutputTokens} for ${id}.` };
+      }
+      generationConfig.maxOutputTokens = maxOutputTokens;
+    }
+    if (thinkingBudget !== undefined && thinkingBudget !== null) {
+      const range = spec.thinking;
+      if (!range) return { error: `${id} has no thinking budget.` };
+      const valid = Number.isInteger(thinkingBudget) && (
+        thinkingBudget === -1 ||
+        (thinkingBudget === 0 && range.canDisable) ||
+        (thinkingBudget >= range.min && thinkingBudget <= range.max)
+      );
+      if (!valid) {
+        return { error: `thinkingBudget for ${id} must be -1 (dynamic)${range.canDisable ? ', 0 (off)' : ''} or from ${range.min} to ${range.max}.` };
+      }
+      generationConfig.thinkingConfig = { thinkingBudget };
+    }
+    return { model: id, generationConfig };
+  }
+
+  return { list, resolve, has: (id) => specs.has(id) };
+}
+
+function createModelCatalogFromEnv({ provider }, env = process.env) {
+  return createModelCatalog({ provider, models: (env.LLM_MODELS || '').split(',') });
+}
+
+module.exports = { createModelCatalog, createModelCatalogFromEnv };
@@ -0,0 +1,215 @@
+// lib/resilience.js
+// Retries, model fallback and a circuit breaker around the providers. Transient upstream failures
+// (429, 500, 502, 503, 504 and network errors) are retried with jittered exponential backoff,
+// waiting at least as long as the upstream's Retry-After. When the primary model keeps failing the
+// call goes to LLM_FALLBACK_MODEL. A model that failed too often in a row is skipped for a cooldown
+// (the breaker is "open") so requests fail fast instead of piling up on a dead upstream.
+//
+// Env:
+//   LLM_FALLBACK_MODEL         model of the same provider to use when the primary one fails
+//   RETRY_MAX_ATTEMPTS         attempts per model and call, first one included (default 3)
+//   RETRY_BASE_DELAY_MS        first backoff delay, doubled per retry (default 500)
+//   RETRY_MAX_DELAY_MS         longest wait between attempts (default 10000); a longer Retry-After
+//                              skips straight to the fallback model
+//   CIRCUIT_FAILURE_THRESHOLD  failures in a row that open a model's breaker (default 5)
+//   CIRCUIT_COOLDOWN_SECONDS   how long it stays open before one trial call (default 30)
+
+const { UpstreamError, CircuitOpenError } = require('./errors');
+
+const TRANSIENT_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+function isTransient(err) {
+  if (err instanceof UpstreamError) return TRANSIENT_STATUSES.has(err.status);
+  // fetch() rejects with "fetch failed" when the connection itself fails
+  return !!err && err.name === 'TypeError' && err.message === 'fetch failed';
+}
+
+const abortError = () => Object.assign(new Error('aborted'), { name: 'AbortError' });
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const onAbort = () => {
+      clearTimeout(t);
+      reject(abortError());
+    };
+    const t = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Per-model breaker: closed -> open after `threshold` failures in a row -> one trial call once the
+// cooldown is over (half-open) -> closed again on success, open again on failure
+function createBreaker({ threshold, cooldownMs }) {
+  let failures = 0;
+  let openUntil = 0;
+  let trialRunning = false;
+
+  return {
+    // ms until a call may be made, 0 when it may go now
+    waitMs(now = Date.now()) {
+      if (failures < threshold) return 0;
+      if (now < openUntil) return openUntil - now;
+      return trialRunning ? cooldownMs : 0;
+    },
+    begin() {
+      if (failures >= threshold) trialRunning = true;
+    },
+    success() {
+      failures = 0;
+      trialRunning = false;
+    },
+    failure(now = Date.now()) {
+      failures += 1;
+      trialRunning = false;
+      if (failures >= threshold) openUntil = now + cooldownMs;
+    },
+    get open() { return failures >= threshold; }
+  };
+}
+
+function createResilience({
+  primary,
+  fallback = null,
+  maxAttempts = 3,
+  baseDelayMs = 500,
+  maxDelayMs = 10000,
+  failureThreshold = 5,
+  cooldownMs = 30000
+}) {
+  const breakers = new Map(); // model name -> breaker
+  const breakerFor = (model) => {
+    if (!breakers.has(model)) breakers.set(model, createBreaker({ threshold: failureThreshold, cooldownMs }));
+    return breakers.get(model);
+  };
+  [primary, fallback].filter(Boolean).forEach(p => breakerFor(p.model));
+
+  // The requested model (or the primary provider's), then the fallback model unless it is the same
+  const candidatesFor = (model) => {
+    const first = { provider: primary, model: model || primary.model };
+    return fallback && fallback.model !== first.model ? [first, { provider: fallback, model: fallback.model }] : [first];
+  };
+
+  // Backoff before retry number `retry` (1-based): base * 2^(retry-1), with 50-100% jitter, and
+  // never shorter than what the upstream asked for
+  function backoffMs(retry, err) {
+    const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** (retry - 1));
+    const jittered = exponential * (0.5 + Math.random() * 0.5);
+    return Math.max(jittered, err && err.retryAfterMs ? err.retryAfterMs : 0);
+  }
+
+  // Run one provider call (`call(provider, model)`) through the candidate models in order. `track`
+  // collects the outcome of the request and `onRetry` hears about every retry / fallback before the
+  // wait.
+  async function run(call, { model, signal, onRetry, track, canRetry = () => true }) {
+    let lastError = null;
+    let shortestWait = Infinity;
+
+    for (const [index, { provider, model: name }] of candidatesFor(model).entries()) {
+      const breaker = breakerFor(name);
+      const closedIn = breaker.waitMs();
+      if (closedIn > 0) {
+        shortestWait = Math.min(shortestWait, closedIn);
+        continue;
+      }
+      if (index > 0 && onRetry) {
+        onRetry({ stage: 'fallback', model: name, attempt: track.attempts + 1, reason: describeFailure(lastError) });
+      }
+
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        track.attempts += 1;
+        breaker.begin();
+        try {
+          const result = await call(provider, name);
+          breaker.success();
+          track.model = name;
+          if (index > 0) track.fallback = true;
+          return result;
+        } catch (err) {
+          if (err && err.name === 'AbortError') throw err;
+          if (!isTransient(err)) {
+            // a bad request is not the model's fault
+            breaker.success();
+            throw err;
+          }
+          breaker.failure();
+          lastError = err;
+          console.warn(`[retry] ${provider.name}/${name} attempt ${attempt} failed: ${describeFailure(err)}`);
+          if (breaker.open || attempt === maxAttempts || !canRetry()) break;
+          const wait = backoffMs(attempt, err);
+          if (wait > maxDelayMs) break;
+          if (onRetry) onRetry({ stage: 'retry', model: name, attempt: track.attempts + 1, delayMs: Math.round(wait), reason: describeFailure(err) });
+          await sleep(wait, signal);
+        }
+      }
+      if (!canRetry()) break;
+    }
+
+    if (lastError) throw lastError;
+    throw new CircuitOpenError(Number.isFinite(shortestWait) ? shortestWait : cooldownMs);
+  }
+
+  // Provider for one request, answering with `model` (default: the primary provider's): every
+  // generate / stream call goes through run(); a stream that has already sent text to the client is
+  // not retried (the answer would be repeated). report() says which model answered (the last
+  // call's) and how many upstream attempts all calls took.
+  function forRequest({ onRetry, model } = {}) {
+    const requested = model || primary.model;
+    const track = { attempts: 0, model: requested, fallback: false };
+    // a thinking budget chosen for the requested model may not suit the fallback model
+    const forModel = (req, name) => {
+      if (name === requested || !req.generationConfig || !req.generationConfig.thinkingConfig) return { ...req, model: name };
+      const { thinkingConfig, ...generationConfig } = req.generationConfig;
+      return { ...req, model: name, generationConfig };
+    };
+    const provider = {
+      ...primary,
+      model: requested,
+      generate: (req) => run((p, name) => p.generate(forModel(req, name)), { model, signal: req.signal, onRetry, track }),
+      stream: (req, onDelta) => {
+        let streamed = false;
+        const relay = (delta) => {
+          streamed = true;
+          onDelta(delta);
+        };
+        return run((p, name) => p.stream(forModel(req, name), relay), { model, signal: req.signal, onRetry, track, canRetry: () => !streamed });
+      }
+    };
+    return {
+      provider,
+      report: () => ({ model: track.model, attempts: track.attempts, ...(track.fallback ? { fallback: true } : {}) })
+    };
+  }
+
+  // For /api/health: the models used so far (primary and fallback first) and whether their breaker
+  // is open
+  function status() {
+    return Array.from(breakers, ([model, breaker]) => ({ model, circuitOpen: breaker.waitMs() > 0 }));
+  }
+
+  return { forRequest, status };
+}
+
+function describeFailure(err) {
+  if (!err) return null;
+  if (err instanceof UpstreamError) return `${err.status}`;
+  return err.message || String(err);
+}
+
+function createResilienceFromEnv({ primary, fallback }, env = process.env) {
+  const number = (value, fallbackValue) => (value !== undefined && value !== '' && Number.isFinite(Number(value)) ? Number(value) : fallbackValue);
+  return createResilience({
+    primary,
+    fallback,
+    maxAttempts: Math.max(1, number(env.RETRY_MAX_ATTEMPTS, 3)),
+    baseDelayMs: number(env.RETRY_BASE_DELAY_MS, 500),
+    maxDelayMs: number(env.RETRY_MAX_DELAY_MS, 10000),
+    failureThreshold: Math.max(1, number(env.CIRCUIT_FAILURE_THRESHOLD, 5)),
+    cooldownMs: number(env.CIRCUIT_COOLDOWN_SECONDS, 30) * 1000
+  });
+}
+
+module.exports = { createResilience, createResilienceFromEnv, isTransient };
@@ -0,0 +1,79 @@
+// lib/sources.js
+// Multi-tab questions for /api/generate. The extension sends the page context of every tab the
+// user picked as `sources` ([pageContext, ...], the current tab first). They are combined into one
+// context block where each page is labelled [Tab 1], [Tab 2], ... and gets an equal share of the
+// character budget (whatever a short page leaves unused goes to the longer ones). The model is
+// told to say which tab each point comes from.
+
+const MAX_SOURCES = 8;
+const MAX_SELECTED_CHARS = 1000;
+
+const SOURCE_INSTRUCTIONS = [
+  'The page content comes from several browser tabs, labelled [Tab 1], [Tab 2], and so on.',
+  'Say which tab every point comes from, e.g. "(Tab 2)", and name the page when it helps.',
+  'Never attribute a fact to the wrong tab. When the tabs disagree, say so and show what each one says.',
+  'If some tabs do not cover the question, say which ones.'
+];
+
+function sourceText(pageContext) {
+  return String(pageContext.mainContentMarkdown || pageContext.mainTextSnippet || '');
+}
+
+// Page contexts that carry something to read, at most MAX_SOURCES
+function normalizeSources(sources) {
+  if (!Array.isArray(sources)) return [];
+  return sources
+    .filter(s => s && typeof s === 'object' && (sourceText(s).trim() || s.title))
+    .slice(0, MAX_SOURCES);
+}
+
+// Split `total` characters between texts of the given lengths: equal shares, and whatever a
+// short text doesn't need is shared out again among the rest
+function allocateBudget(lengths, total) {
+  const budgets = lengths.map(() => 0);
+  let remaining = total;
+  let open = lengths.map((_, i) => i);
+  while (open.length && remaining > 0) {
+    const share = Math.floor(remaining / open.length);
+    const fits = open.filter(i => lengths[i] <= share);
+    if (!fits.length) {
+      open.forEach(i => { budgets[i] = share; });
+      break;
+    }
+    fits.forEach(i => {
+      budgets[i] = lengths[i];
+      remaining -= lengths[i];
+    });
+    open = open.filter(i => lengths[i] > share);
+  }
+  return budgets;
+}
+
+function sourceLabel(index) {
+  return `Tab ${index + 1}`;
+}
+
+// One labelled section per tab, page text cut to its share of maxChars
+function buildSourcesBlock(sources, maxChars) {
+  const texts = sources.map(sourceText);
+  const budgets = allocateBudget(texts.map(t => t.length), maxChars);
+
+  return sources.map((source, i) => {
+    const lines = [`[${sourceLabel(i)}] ${source.title || '(untitled)'}`];
+    if (source.url) lines.push(`URL: ${source.url}`);
+    if (source.metaDescription) lines.push(`Description: ${source.metaDescription}`);
+    if (source.publishedDate) lines.push(`Published: ${source.publishedDate}`);
+
+    let text = texts[i];
+    if (text.length > budgets[i]) text = `${text.slice(0, budgets[i])}\n\n...[truncated]`;
+    if (text.trim()) lines.push(`Content:\n${text}`);
+    if (source.selectedText) lines.push(`Selected text in this tab:\n${String(source.selectedText).slice(0, MAX_SELECTED_CHARS)}`);
+    return lines.join('\n');
+  }).join('\n\n---\n\n') + '\n\n';
+}
+
+function withSourceInstructions(system) {
+  return [system, `Sources:\n${SOURCE_INSTRUCTIONS.map(line => `- ${line}`).join('\n')}`].filter(Boolean).join('\n\n');
+}
+
+module.exports = { normalizeSources, buildSourcesBlock, withSourceInstructions };
@@ -0,0 +1,36 @@
+// lib/sse.js
+// Minimal Server-Sent Events helpers shared by the streaming providers and routes.
+
+// Read an SSE response body and call onEvent({ event, data }) for every complete event.
+// Tolerates CRLF line endings and multi-line `data:` fields.
+async function readSseEvents(body, onEvent) {
+  const decoder = new TextDecoder();
+  let buffered = '';
+
+  const flush = (raw) => {
+    let event = 'message';
+    const dataLines = [];
+    raw.split('\n').forEach(line => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) dataLines.push(line.slice(5).replace(/^ /, ''));
+    });
+    if (dataLines.length) onEvent({ event, data: dataLines.join('\n') });
+  };
+
+  for await (const chunk of body) {
+    buffered += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+    let sep;
+    while ((sep = buffered.indexOf('\n\n')) !== -1) {
+      flush(buffered.slice(0, sep));
+      buffered = buffered.slice(sep + 2);
+    }
+  }
+  if (buffered.trim()) flush(buffered);
+}
+
+// Write one SSE event to an express response.
+function writeSseEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+module.exports = { readSseEvents, writeSseEvent };
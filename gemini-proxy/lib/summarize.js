@@ -0,0 +1,151 @@
+// lib/summarize.js
+// Map-reduce summarization for pages whose text is longer than what fits in a single prompt.
+// The final summary prompt is the registry's `summarize` template (see prompt-templates.json);
+// the map / condense prompts are internal steps and stay here.
+
+const SUMMARY_LENGTHS = {
+  short: 'about 50-80 words',
+  medium: 'about 120-180 words',
+  long: 'about 300-500 words'
+};
+
+const CHUNK_CHARS = 12000; // target size of one map-step chunk
+const MAX_LONG_TEXT_CHARS = 480000; // anything beyond this is dropped before chunking (~40 chunks)
+const REDUCE_INPUT_CHARS = 30000; // max combined partial summaries fed into one reduce call
+const MAX_REDUCE_ROUNDS = 3; // condense rounds before the notes are truncated to fit instead
+
+function summaryTarget(length) {
+  return SUMMARY_LENGTHS[length] || SUMMARY_LENGTHS.medium;
+}
+
+const isHeading = (block) => /^#{1,6}\s/.test(block);
+
+// Split one oversized block at sentence boundaries, hard-slicing only as a last resort
+function splitBlock(block, maxChars) {
+  const pieces = [];
+  let current = '';
+  for (const sentence of block.match(/[^.!?\n]+[.!?]*\s*/g) || [block]) {
+    if (current && current.length + sentence.length > maxChars) {
+      pieces.push(current);
+      current = '';
+    }
+    if (sentence.length > maxChars) {
+      for (let i = 0; i < sentence.length; i += maxChars) pieces.push(sentence.slice(i, i + maxChars));
+      continue;
+    }
+    current += sentence;
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+// Split page text into chunks of at most maxChars, cutting on paragraph boundaries and
+// preferring to start a new chunk at a heading once the current one is half full.
+function splitIntoChunks(text, maxChars = CHUNK_CHARS) {
+  const blocks = String(text || '')
+    .split(/\n\s*\n|\n(?=#{1,6}\s)/)
+    .map(b => b.trim())
+    .filter(Boolean)
+    .flatMap(b => (b.length > maxChars ? splitBlock(b, maxChars) : [b]));
+
+  const chunks = [];
+  let current = '';
+  for (const block of blocks) {
+    const wouldOverflow = current.length + block.length + 2 > maxChars;
+    const headingBreak = isHeading(block) && current.length > maxChars / 2;
+    if (current && (wouldOverflow || headingBreak)) {
+      chunks.push(current);
+      current = '';
+    }
+    current += (current ? '\n\n' : '') + block;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// citation mode: the text is numbered passages and every note has to keep its passage IDs
+const KEEP_PASSAGE_IDS = ' End every note with the IDs of the passages it comes from, e.g. [P4] or [P4, P7].';
+
+function mapPrompt(metadataBlock, chunk, index, total, citations = false) {
+  return `You are summarizing a long webpage in parts. Below is part ${index} of ${total}. Write concise bullet-point notes covering every key point in this part. Keep exact product names, prices, dates and numerical details. Do not add information that is not in the text.${citations ? KEEP_PASSAGE_IDS : ''}\n\n${metadataBlock}Part ${index} of ${total}:\n${chunk}\n\nNotes:`;
+}
+
+function condensePrompt(notes, citations = false) {
+  return `Condense the following notes from consecutive parts of one webpage into a single set of bullet-point notes. Merge duplicates, keep exact names, prices, dates and numbers.${citations ? KEEP_PASSAGE_IDS : ''}\n\n${notes}\n\nCondensed notes:`;
+}
+
+const asContents = (text) => [{ role: 'user', parts: [{ text }] }];
+
+// Group partial summaries into batches that each fit in one reduce call. A batch always takes at
+// least two notes, so every round at least halves the count even when single notes are too long
+// to share a call.
+function batchNotes(notes) {
+  const batches = [];
+  let current = [];
+  let size = 0;
+  for (const n of notes) {
+    if (current.length > 1 && size + n.length > REDUCE_INPUT_CHARS) {
+      batches.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(n);
+    size += n.length;
+  }
+  if (current.length) batches.push(current);
+  return batches;
+}
+
+// Map-reduce summary of a long text.
+// renderSummary(contextBlock) builds the final request ({ system, prompt, generationConfig });
+// onProgress({ stage: 'map', chunk, total } | { stage: 'reduce', round }) reports progress;
+// onDelta(text), when given, streams the final summary as it is generated.
+// citations: the text is numbered passages (lib/citations.js) whose IDs must survive into the notes.
+async function summarizeLongText({ provider, text, metadataBlock = '', renderSummary, citations = false, signal, onProgress = () => {}, onDelta }) {
+  let source = String(text || '');
+  if (source.length > MAX_LONG_TEXT_CHARS) source = source.slice(0, MAX_LONG_TEXT_CHARS) + '\n\n...[truncated]';
+
+  const chunks = splitIntoChunks(source);
+  console.log(`[summarize] long-document mode: ${source.length} chars in ${chunks.length} chunk(s)`);
+
+  // map: one set of notes per chunk, sequentially so progress is meaningful and rate limits are respected
+  let notes = [];
+  for (let i = 0; i < chunks.length; i++) {
+    onProgress({ stage: 'map', chunk: i + 1, total: chunks.length });
+    const { text: partial } = await provider.generate({ contents: asContents(mapPrompt(metadataBlock, chunks[i], i + 1, chunks.length, citations)), signal });
+    notes.push(`[Part ${i + 1}]\n${(partial || '').trim()}`);
+  }
+
+  // reduce: condense until all notes fit in one final prompt, for at most MAX_REDUCE_ROUNDS rounds
+  // (every round is one paid call per batch, and the model may not shorten the notes much)
+  let round = 0;
+  while (notes.join('\n\n').length > REDUCE_INPUT_CHARS && notes.length > 1 && round < MAX_REDUCE_ROUNDS) {
+    round++;
+    onProgress({ stage: 'reduce', round });
+    const condensed = [];
+    for (const batch of batchNotes(notes)) {
+      const { text: c } = await provider.generate({ contents: asContents(condensePrompt(batch.join('\n\n'), citations)), signal });
+      condensed.push((c || '').trim());
+    }
+    notes = condensed;
+  }
+  if (notes.join('\n\n').length > REDUCE_INPUT_CHARS) {
+    console.warn(`[summarize] notes still too long after ${round} reduce round(s), truncating ${notes.length} note(s)`);
+    const share = Math.floor(REDUCE_INPUT_CHARS / notes.length) - 20;
+    notes = notes.map(n => (n.length > share ? n.slice(0, share) + '\n...[truncated]' : n));
+  }
+
+  onProgress({ stage: 'reduce', round: round + 1, final: true });
+  const { system, prompt, generationConfig } = renderSummary(`${metadataBlock}Notes taken from every part of the page, in order:\n${notes.join('\n\n')}\n`);
+  const request = { contents: asContents(prompt), system, generationConfig, signal };
+  const result = onDelta ? await provider.stream(request, onDelta) : await provider.generate(request);
+  return { ...result, chunks: chunks.length };
+}
+
+module.exports = {
+  SUMMARY_LENGTHS,
+  MAX_REDUCE_ROUNDS,
+  summaryTarget,
+  splitIntoChunks,
+  summarizeLongText
+};
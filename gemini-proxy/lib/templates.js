@@ -0,0 +1,128 @@
+// lib/templates.js
+// Prompt template registry. Every task (explain, translate, define, simplify, critique,
+// extract-facts, summarize, ...) has its own system instruction, a prompt with {{variables}},
+// output constraints and a generationConfig.
+//
+// The shipped tasks live in prompt-templates.json next to server.js. PROMPT_TEMPLATES_FILE can
+// point to another JSON file in the same format; its tasks are added to (or replace) the shipped
+// ones, so tasks can be added or tuned without touching server.js. Restart the proxy after editing.
+//
+// Template syntax (system, prompt and output lines):
+//   {{name}}                 value of a variable ('' when not set)
+//   {{#name}}...{{/name}}    only kept when the variable is non-empty
+//   {{^name}}...{{/name}}    only kept when the variable is empty
+
+const fs = require('fs');
+const path = require('path');
+const { TemplateError } = require('./errors');
+
+const DEFAULT_TEMPLATES_FILE = path.join(__dirname, '..', 'prompt-templates.json');
+
+const SECTION_RE = /\{\{([#^])([\w-]+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+const VARIABLE_RE = /\{\{([\w-]+)\}\}/g;
+
+function fillTemplate(source, values) {
+  const isSet = (name) => values[name] !== undefined && values[name] !== null && String(values[name]).trim() !== '';
+  return String(source || '')
+    .replace(SECTION_RE, (_, kind, name, body) => ((kind === '#') === isSet(name) ? body : ''))
+    .replace(VARIABLE_RE, (_, name) => (isSet(name) ? String(values[name]) : ''));
+}
+
+function readTemplatesFile(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('expected an object of { taskId: template }');
+  return data;
+}
+
+function normalizeTemplate(id, t) {
+  if (!t || typeof t.prompt !== 'string') throw new Error(`template "${id}" has no prompt`);
+  return {
+    id,
+    label: t.label || id,
+    description: t.description || '',
+    hidden: !!t.hidden,
+    system: t.system || '',
+    prompt: t.prompt,
+    variables: t.variables || {},
+    output: Array.isArray(t.output) ? t.output : (t.output ? [t.output] : []),
+    generationConfig: t.generationConfig || {}
+  };
+}
+
+function createTemplateRegistry({ files = [DEFAULT_TEMPLATES_FILE] } = {}) {
+  const templates = new Map();
+
+  files.filter(Boolean).forEach(file => {
+    let data;
+    try {
+      data = readTemplatesFile(file);
+    } catch (err) {
+      // the shipped file must load; a broken extra file only costs its own tasks
+      if (file === DEFAULT_TEMPLATES_FILE) throw new Error(`Failed to load prompt templates from ${file}: ${err.message}`);
+      console.error(`[templates] failed to load ${file}:`, err.message);
+      return;
+    }
+    Object.entries(data).forEach(([id, t]) => {
+      try {
+        templates.set(id, normalizeTemplate(id, t));
+      } catch (err) {
+        console.error(`[templates] skipping ${file}#${id}:`, err.message);
+      }
+    });
+  });
+  console.log(`[templates] loaded ${templates.size} prompt template(s): ${[...templates.keys()].join(', ')}`);
+
+  function get(id) {
+    const template = templates.get(id);
+    if (!template) throw new TemplateError('unknown_task', `Unknown task "${id}". Available: ${[...templates.keys()].join(', ')}`);
+    return template;
+  }
+
+  // Fill a template. Resolves to { task, system, prompt, generationConfig }; the output constraints
+  // are appended to the system instruction. Throws TemplateError for missing required variables.
+  function render(id, values = {}) {
+    const template = get(id);
+    const filled = { ...values };
+    Object.entries(template.variables).forEach(([name, spec]) => {
+      const empty = filled[name] === undefined || filled[name] === null || String(filled[name]).trim() === '';
+      if (empty && spec && spec.default !== undefined) filled[name] = spec.default;
+      else if (empty && spec && spec.required) {
+        throw new TemplateError('missing_variable', `Task "${id}" needs "${name}"${spec.description ? ` (${spec.description})` : ''}.`);
+      }
+    });
+
+    const output = template.output.map(line => fillTemplate(line, filled).trim()).filter(Boolean);
+    const system = [
+      fillTemplate(template.system, filled).trim(),
+      output.length ? `Output requirements:\n${output.map(line => `- ${line}`).join('\n')}` : ''
+    ].filter(Boolean).join('\n\n');
+
+    return {
+      task: id,
+      system,
+      prompt: fillTemplate(template.prompt, filled),
+      generationConfig: { ...template.generationConfig }
+    };
+  }
+
+  // Public description for GET /api/templates (no prompt text)
+  function list() {
+    return [...templates.values()].map(t => ({
+      id: t.id,
+      label: t.label,
+      description: t.description,
+      hidden: t.hidden,
+      variables: t.variables,
+      output: t.output,
+      generationConfig: t.generationConfig
+    }));
+  }
+
+  return { get, has: (id) => templates.has(id), render, list };
+}
+
+function createTemplateRegistryFromEnv(env = process.env) {
+  return createTemplateRegistry({ files: [DEFAULT_TEMPLATES_FILE, env.PROMPT_TEMPLATES_FILE] });
+}
+
+module.exports = { createTemplateRegistry, createTemplateRegistryFromEnv, fillTemplate };
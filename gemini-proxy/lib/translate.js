@@ -0,0 +1,116 @@
+// lib/translate.js
+// Batch translation for /api/translate. The extension sends a page's text segments in document
+// order; the model answers with a JSON array holding exactly one translation per segment, so the
+// client can swap every text node in place. Misaligned answers are retried on smaller batches.
+
+const MAX_SEGMENTS = 200; // per request
+const MAX_SEGMENT_CHARS = 4000; // longer segments are rejected (the client never builds them)
+const MAX_REQUEST_CHARS = 40000; // all segments of one request combined
+const BATCH_CHARS = 6000; // segments translated by one model call
+
+function buildTranslatePrompt(segments, targetLanguage, { sourceLanguage, title } = {}) {
+  const from = sourceLanguage ? ` from ${sourceLanguage}` : '';
+  return `You are a professional translator. Translate every string in the JSON array below${from} into ${targetLanguage}.
+Rules:
+- Answer with a JSON array of strings only: exactly ${segments.length} items, in the same order as the input.
+- Each item is one fragment of a web page (a link, a label, part of a sentence); translate it on its own and never merge, split, reorder or drop items.
+- Keep numbers, URLs, e-mail addresses, code, emoji and placeholders such as {0} or %s unchanged.
+- Return an item unchanged if it is already in ${targetLanguage} or cannot be translated.
+${title ? `\nThe fragments come from the page "${title}".\n` : ''}
+Input JSON array:
+${JSON.stringify(segments)}
+
+Translated JSON array:`;
+}
+
+// Pull the JSON array out of a model answer (which may wrap it in a code fence or add chatter).
+// Returns null unless it is an array of exactly `expected` items.
+function parseTranslatedSegments(text, expected) {
+  const raw = String(text || '');
+  const start = raw.indexOf('[');
+  const end = raw.lastIndexOf(']');
+  if (start === -1 || end <= start) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(raw.slice(start, end + 1));
+  } catch (e) {
+    return null;
+  }
+  if (!Array.isArray(parsed) || parsed.length !== expected) return null;
+  return parsed.map(item => (item === null || item === undefined ? '' : String(item)));
+}
+
+// Group segment indexes so each model call stays under maxChars
+function batchSegments(segments, maxChars = BATCH_CHARS) {
+  const batches = [];
+  let current = [];
+  let size = 0;
+  segments.forEach((segment, i) => {
+    if (current.length && size + segment.length > maxChars) {
+      batches.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(i);
+    size += segment.length;
+  });
+  if (current.length) batches.push(current);
+  return batches;
+}
+
+// Returns an error message for an invalid request body, or null
+function validateTranslateRequest({ segments, targetLanguage }) {
+  if (!Array.isArray(segments) || !segments.length) return '`segments` must be a non-empty array of strings.';
+  if (segments.length > MAX_SEGMENTS) return `At most ${MAX_SEGMENTS} segments per request.`;
+  if (segments.some(s => typeof s !== 'string')) return '`segments` must only contain strings.';
+  if (segments.some(s => s.length > MAX_SEGMENT_CHARS)) return `Segments must be shorter than ${MAX_SEGMENT_CHARS} characters.`;
+  if (segments.reduce((n, s) => n + s.length, 0) > MAX_REQUEST_CHARS) return `Segments may not exceed ${MAX_REQUEST_CHARS} characters in total.`;
+  if (!targetLanguage || typeof targetLanguage !== 'string' || !targetLanguage.trim()) return '`targetLanguage` is required.';
+  return null;
+}
+
+// Translate `segments` into targetLanguage. Resolves to { segments, failed } where segments[i]
+// is the translation of the i-th input; items the model could not align are returned unchanged
+// and counted in `failed`.
+async function translateSegments({ provider, segments, targetLanguage, sourceLanguage, title, signal }) {
+  const out = segments.slice();
+  let failed = 0;
+
+  const translateBatch = async (indexes) => {
+    // blank segments need no model call
+    const todo = indexes.filter(i => segments[i].trim());
+    if (!todo.length) return;
+
+    const prompt = buildTranslatePrompt(todo.map(i => segments[i]), targetLanguage, { sourceLanguage, title });
+    const { text } = await provider.generate({ contents: [{ role: 'user', parts: [{ text: prompt }] }], signal });
+    const translated = parseTranslatedSegments(text, todo.length);
+    if (translated) {
+      todo.forEach((index, k) => { out[index] = translated[k]; });
+      return;
+    }
+
+    // the model merged or dropped items: halve the batch until the answers line up
+    if (todo.length === 1) {
+      console.warn(`[translate] could not align translation for a ${segments[todo[0]].length}-char segment, keeping the original`);
+      failed += 1;
+      return;
+    }
+    const mid = Math.ceil(todo.length / 2);
+    await translateBatch(todo.slice(0, mid));
+    await translateBatch(todo.slice(mid));
+  };
+
+  for (const batch of batchSegments(segments)) {
+    await translateBatch(batch);
+  }
+  return { segments: out, failed };
+}
+
+module.exports = {
+  MAX_SEGMENTS,
+  buildTranslatePrompt,
+  parseTranslatedSegments,
+  batchSegments,
+  validateTranslateRequest,
+  translateSegments
+};
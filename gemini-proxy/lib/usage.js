@@ -0,0 +1,291 @@
+// lib/usage.js
+// Token usage and cost accounting: every model call is metered (meterProvider) and recorded per
+// UTC day, endpoint, model and client in a small local store, optionally persisted as JSON. Costs
+// are priced from the token counts whenever they are reported, so changing the rates re-prices
+// the history too. Budgets are soft: going over one is logged and reported, never blocked.
+//
+// Env:
+//   USAGE_FILE            JSON file the aggregates are kept in across restarts (optional)
+//   USAGE_RATES           cost per 1M tokens by model, "*" for any other model, e.g.
+//                         {"gemini-2.5-flash":{"input":0.3,"output":2.5},"*":{"input":1,"output":4}}
+//   USAGE_CURRENCY        label for the costs (default USD)
+//   USAGE_DAILY_BUDGET    soft budget per UTC day, in USAGE_CURRENCY (0 / empty = none)
+//   USAGE_WEEKLY_BUDGET   soft budget per week (Monday to Sunday, UTC)
+//   USAGE_BUDGET_WARN_AT  share of a budget at which warnings start (default 0.8)
+//   USAGE_RETENTION_DAYS  days of records kept (default 90)
+
+const fs = require('fs');
+const path = require('path');
+
+const PERSIST_DEBOUNCE_MS = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const COUNTERS = ['requests', 'cachedRequests', 'estimatedRequests', 'promptTokens', 'outputTokens', 'totalTokens'];
+
+const emptyCounters = () => Object.fromEntries(COUNTERS.map(k => [k, 0]));
+
+// Costs are tiny fractions; keep responses free of floating-point noise
+const roundCost = (value) => (value === null ? null : Math.round(value * 1e6) / 1e6);
+
+const utcDay = (time) => new Date(time).toISOString().slice(0, 10);
+
+// Monday of the UTC week `time` falls in, as YYYY-MM-DD
+function utcWeekStart(time) {
+  const d = new Date(time);
+  const monday = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()) - ((d.getUTCDay() + 6) % 7) * DAY_MS;
+  return utcDay(monday);
+}
+
+// Rough token count for providers that report none (about 4 characters per token)
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+function requestText({ contents, system }) {
+  const parts = (contents || []).flatMap(c => c.parts || []).map(p => p.text || '');
+  return [system || '', ...parts].join('\n');
+}
+
+// Wrap a provider so every generate / stream call adds its token usage to a running total; one
+// meter per request covers map-reduce summaries and translation batches as well. Calls whose
+// backend reported nothing are estimated from the text and flagged `estimated`.
+function meterProvider(provider) {
+  const totals = { calls: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0, estimated: false };
+
+  const add = (req, result) => {
+    let usage = result && result.usage;
+    if (!usage) {
+      const promptTokens = estimateTokens(requestText(req));
+      const outputTokens = estimateTokens(result && result.text);
+      usage = { promptTokens, outputTokens, totalTokens: promptTokens + outputTokens };
+      totals.estimated = true;
+    }
+    totals.calls += 1;
+    totals.promptTokens += usage.promptTokens || 0;
+    totals.outputTokens += usage.outputTokens || 0;
+    totals.totalTokens += usage.totalTokens || 0;
+    return result;
+  };
+
+  return {
+    provider: {
+      ...provider,
+      generate: async (req) => add(req, await provider.generate(req)),
+      stream: async (req, onDelta) => add(req, await provider.stream(req, onDelta))
+    },
+    usage: () => ({ ...totals })
+  };
+}
+
+// { model: { input, output } } per 1M tokens; null when unset or invalid
+function parseRates(value) {
+  if (!value) return null;
+  try {
+    const parsed = JSON.parse(value);
+    const rates = {};
+    Object.entries(parsed && typeof parsed === 'object' ? parsed : {}).forEach(([model, rate]) => {
+      const input = Number(rate && rate.input);
+      const output = Number(rate && rate.output);
+      if (Number.isFinite(input) && Number.isFinite(output)) rates[model] = { input, output };
+    });
+    return Object.keys(rates).length ? rates : null;
+  } catch (err) {
+    console.error('[usage] USAGE_RATES is not valid JSON:', err.message);
+    return null;
+  }
+}
+
+function createUsageStore({
+  persistPath = null,
+  rates = null,
+  currency = 'USD',
+  dailyBudget = 0,
+  weeklyBudget = 0,
+  warnAt = 0.8,
+  retentionDays = 90
+} = {}) {
+  const days = new Map(); // 'YYYY-MM-DD' -> Map('endpoint|model|client' -> counters)
+  const warned = new Set(); // budget warnings already logged, one per period and level
+  let persistTimer = null;
+
+  const rateFor = (model) => (rates && (rates[model] || rates['*'])) || null;
+
+  // Cost of the given counters for one model; null when no rate applies
+  function costOf(model, { promptTokens, outputTokens }) {
+    const rate = rateFor(model);
+    if (!rate) return null;
+    return (promptTokens * rate.input + outputTokens * rate.output) / 1e6;
+  }
+
+  function load() {
+    if (!persistPath) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(persistPath, 'utf8'));
+      Object.entries(data.days || {}).forEach(([day, rows]) => {
+        days.set(day, new Map(Object.entries(rows).map(([key, counters]) => [key, { ...emptyCounters(), ...counters }])));
+      });
+      prune();
+      console.log(`[usage] loaded ${days.size} day(s) of usage from ${persistPath}`);
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn('[usage] failed to load usage file', err.message);
+    }
+  }
+
+  function schedulePersist() {
+    if (!persistPath || persistTimer) return;
+    persistTimer = setTimeout(() => {
+      persistTimer = null;
+      const tmp = `${persistPath}.tmp`;
+      const body = JSON.stringify({
+        version: 1,
+        days: Object.fromEntries(Array.from(days, ([day, rows]) => [day, Object.fromEntries(rows)]))
+      });
+      fs.promises.mkdir(path.dirname(persistPath), { recursive: true })
+        .then(() => fs.promises.writeFile(tmp, body))
+        .then(() => fs.promises.rename(tmp, persistPath))
+        .catch(err => console.warn('[usage] failed to persist usage', err.message));
+    }, PERSIST_DEBOUNCE_MS);
+    persistTimer.unref();
+  }
+
+  function prune(now = Date.now()) {
+    const oldest = utcDay(now - (retentionDays - 1) * DAY_MS);
+    for (const day of days.keys()) if (day < oldest) days.delete(day);
+  }
+
+  // Sum the rows of the given days into totals (with cost) plus breakdowns by endpoint, model
+  // and client; with `client`, only that client's rows
+  function aggregate(dayList, { breakdown = false, client = null } = {}) {
+    const totals = { ...emptyCounters(), cost: 0, unpriced: 0 };
+    const groups = { endpoint: {}, model: {}, client: {} };
+    const onlyClient = client === null ? null : String(client).replace(/\|/g, '/'); // as stored by record()
+    dayList.forEach(day => {
+      (days.get(day) || new Map()).forEach((counters, key) => {
+        const [endpoint, model, rowClient] = key.split('|');
+        if (onlyClient !== null && rowClient !== onlyClient) return;
+        const cost = costOf(model, counters);
+        const targets = [totals];
+        if (breakdown) {
+          [['endpoint', endpoint], ['model', model], ['client', rowClient]].forEach(([dim, value]) => {
+            groups[dim][value] = groups[dim][value] || { ...emptyCounters(), cost: 0, unpriced: 0 };
+            targets.push(groups[dim][value]);
+          });
+        }
+        targets.forEach(t => {
+          COUNTERS.forEach(k => { t[k] += counters[k]; });
+          if (cost === null) t.unpriced += counters.totalTokens;
+          else t.cost += cost;
+        });
+      });
+    });
+    const rounded = (t) => ({ ...t, cost: roundCost(t.cost) });
+    const roundedGroup = (group) => Object.fromEntries(Object.entries(group).map(([k, t]) => [k, rounded(t)]));
+    if (!breakdown) return rounded(totals);
+    return {
+      ...rounded(totals),
+      byEndpoint: roundedGroup(groups.endpoint),
+      byModel: roundedGroup(groups.model),
+      byClient: roundedGroup(groups.client)
+    };
+  }
+
+  const daysOfWeek = (weekStart) => Array.from({ length: 7 }, (_, i) => utcDay(Date.parse(weekStart) + i * DAY_MS));
+
+  // Budgets at or past the warning threshold, most used first
+  function budgetStatus(now = Date.now()) {
+    const checks = [
+      { period: 'day', limit: dailyBudget, days: [utcDay(now)] },
+      { period: 'week', limit: weeklyBudget, days: daysOfWeek(utcWeekStart(now)) }
+    ];
+    return checks
+      .filter(c => c.limit > 0)
+      .map(c => {
+        const spent = aggregate(c.days).cost;
+        return { period: c.period, spent, limit: c.limit, currency, share: Math.round((spent / c.limit) * 1000) / 1000 };
+      })
+      .filter(b => b.share >= warnAt)
+      .map(b => ({ ...b, level: b.share >= 1 ? 'exceeded' : 'warning' }))
+      .sort((a, b) => b.share - a.share);
+  }
+
+  // Record one answered request. `usage` is a meter's total (null for cache hits). Returns the
+  // request's own usage with its cost, and the most pressing budget warning if there is one.
+  function record({ endpoint, model, client, usage, cached = false, now = Date.now() }) {
+    const day = utcDay(now);
+    if (!days.has(day)) {
+      days.set(day, new Map());
+      prune(now);
+    }
+    const key = [endpoint, model, client || 'unknown'].map(s => String(s).replace(/\|/g, '/')).join('|');
+    const rows = days.get(day);
+    const counters = rows.get(key) || emptyCounters();
+    const tokens = cached || !usage ? { promptTokens: 0, outputTokens: 0, totalTokens: 0 } : usage;
+    counters.requests += 1;
+    if (cached) counters.cachedRequests += 1;
+    if (usage && usage.estimated) counters.estimatedRequests += 1;
+    counters.promptTokens += tokens.promptTokens;
+    counters.outputTokens += tokens.outputTokens;
+    counters.totalTokens += tokens.totalTokens;
+    rows.set(key, counters);
+    schedulePersist();
+
+    const budget = budgetStatus(now)[0] || null;
+    if (budget) {
+      const id = `${budget.period}:${budget.period === 'day' ? day : utcWeekStart(now)}:${budget.level}`;
+      if (!warned.has(id)) {
+        warned.add(id);
+        console.warn(`[usage] ${budget.period} budget ${budget.level}: ${budget.spent.toFixed(4)} of ${budget.limit} ${currency}`);
+      }
+    }
+
+    return {
+      usage: {
+        promptTokens: tokens.promptTokens,
+        outputTokens: tokens.outputTokens,
+        totalTokens: tokens.totalTokens,
+        cost: roundCost(costOf(model, tokens)),
+        currency,
+        ...(usage && usage.estimated ? { estimated: true } : {})
+      },
+      budget
+    };
+  }
+
+  // Report for GET /api/usage: today and this week with breakdowns, plus the last `dayCount` days
+  // and `weekCount` weeks as totals. With `client` (a client name) only that client's usage is
+  // counted; the budget status is the shared one either way.
+  function summary({ dayCount = 14, weekCount = 8, now = Date.now(), client = null } = {}) {
+    const today = utcDay(now);
+    const weekStart = utcWeekStart(now);
+    const daily = Array.from({ length: dayCount }, (_, i) => utcDay(now - i * DAY_MS))
+      .map(date => ({ date, ...aggregate([date], { client }) }));
+    const weekly = Array.from({ length: weekCount }, (_, i) => utcDay(Date.parse(weekStart) - i * 7 * DAY_MS))
+      .map(start => ({ weekStart: start, ...aggregate(daysOfWeek(start), { client }) }));
+    return {
+      client,
+      currency,
+      rates: rates || {},
+      budgets: { daily: dailyBudget || null, weekly: weeklyBudget || null, warnAt, status: budgetStatus(now) },
+      today: { date: today, ...aggregate([today], { breakdown: true, client }) },
+      thisWeek: { weekStart, ...aggregate(daysOfWeek(weekStart), { breakdown: true, client }) },
+      daily,
+      weekly
+    };
+  }
+
+  load();
+
+  return { record, summary, budgetStatus, retentionDays };
+}
+
+function createUsageStoreFromEnv(env = process.env) {
+  const number = (value, fallback) => (value !== undefined && value !== '' && Number.isFinite(Number(value)) ? Number(value) : fallback);
+  return createUsageStore({
+    persistPath: env.USAGE_FILE || null,
+    rates: parseRates(env.USAGE_RATES),
+    currency: env.USAGE_CURRENCY || 'USD',
+    dailyBudget: number(env.USAGE_DAILY_BUDGET, 0),
+    weeklyBudget: number(env.USAGE_WEEKLY_BUDGET, 0),
+    warnAt: number(env.USAGE_BUDGET_WARN_AT, 0.8),
+    retentionDays: Math.max(1, number(env.USAGE_RETENTION_DAYS, 90))
+  });
+}
+
+module.exports = { createUsageStore, createUsageStoreFromEnv, meterProvider };
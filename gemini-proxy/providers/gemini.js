@@ -0,0 +1,71 @@
+// providers/gemini.js
+// Google Gemini REST API (generateContent / streamGenerateContent).
+
+const { postJson } = require('../lib/http');
+const { readSseEvents } = require('../lib/sse');
+
+const DEFAULT_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+function extractText(data) {
+  const parts = data?.candidates?.[0]?.content?.parts;
+  if (Array.isArray(parts)) return parts.map(p => p.text || '').join('');
+  return data?.output?.[0]?.content?.parts?.[0]?.text || data?.text || '';
+}
+
+// usageMetadata -> { promptTokens, outputTokens, totalTokens }; thinking tokens are billed as output
+function toUsage(data) {
+  const meta = data?.usageMetadata;
+  if (!meta) return null;
+  const promptTokens = meta.promptTokenCount || 0;
+  const outputTokens = (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0);
+  return { promptTokens, outputTokens, totalTokens: meta.totalTokenCount || promptTokens + outputTokens };
+}
+
+// Request body: contents plus the optional system instruction and generationConfig
+// (Gemini's own generationConfig field names: temperature, topP, topK, maxOutputTokens, ...)
+function buildBody({ contents, system, generationConfig }) {
+  const body = { contents };
+  if (system) body.systemInstruction = { parts: [{ text: system }] };
+  if (generationConfig && Object.keys(generationConfig).length) body.generationConfig = generationConfig;
+  return body;
+}
+
+function createGeminiProvider({ apiKey, model = 'gemini-2.5-flash', baseUrl = DEFAULT_BASE_URL } = {}) {
+  const headers = { 'x-goog-api-key': apiKey };
+  // `model` in a request picks another model than the configured one for that call
+  const modelUrl = (requested) => `${baseUrl.replace(/\/$/, '')}/models/${encodeURIComponent(requested || model)}`;
+
+  return {
+    name: 'gemini',
+    model,
+    configError: apiKey ? null : 'GEMINI_API_KEY not configured on server.',
+
+    async generate({ model: requested, contents, system, generationConfig, signal }) {
+      const r = await postJson('gemini', `${modelUrl(requested)}:generateContent`, { headers, body: buildBody({ contents, system, generationConfig }), signal });
+      const data = await r.json().catch(err => {
+        console.error('[gemini] failed to parse response as JSON', err);
+        return null;
+      });
+      return { text: extractText(data) || (data ? JSON.stringify(data) : ''), raw: data, usage: toUsage(data) };
+    },
+
+    async stream({ model: requested, contents, system, generationConfig, signal }, onDelta) {
+      const r = await postJson('gemini', `${modelUrl(requested)}:streamGenerateContent?alt=sse`, { headers, body: buildBody({ contents, system, generationConfig }), signal });
+      let text = '';
+      let last = null;
+      let usage = null;
+      await readSseEvents(r.body, ({ data }) => {
+        try { last = JSON.parse(data); } catch (e) { return; }
+        // every chunk carries the running usage; the last one has the totals
+        usage = toUsage(last) || usage;
+        const delta = extractText(last);
+        if (!delta) return;
+        text += delta;
+        onDelta(delta);
+      });
+      return { text, raw: last, usage };
+    }
+  };
+}
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,57 @@
+// providers/index.js
+// Picks the LLM backend from env (see .env):
+//   LLM_PROVIDER = gemini (default) | openai | ollama | mock
+//   LLM_MODEL    = model name for the selected provider (each provider has its own default)
+//   GEMINI_API_KEY, GEMINI_BASE_URL
+//   OPENAI_API_KEY, OPENAI_BASE_URL
+//   OLLAMA_BASE_URL
+//   MOCK_CHUNK_DELAY_MS, MOCK_FAILURES
+//
+// Every provider exposes the same shape:
+//   { name, model, configError, generate(request), stream(request, onDelta) }
+// with request = { contents, system?, generationConfig?, model?, signal }. `contents` uses Gemini's
+// [{ role, parts: [{ text }] }] format, `system` is a system instruction and `generationConfig`
+// uses Gemini's field names (temperature, topP, topK, maxOutputTokens, stopSequences,
+// responseMimeType, responseSchema, thinkingConfig), which the other providers translate. `model`
+// replaces the provider's model for that call (the routes check it against LLM_MODELS, see
+// lib/models.js). Both calls resolve to { text, raw, usage } where usage = { promptTokens,
+// outputTokens, totalTokens } as reported by the backend (thinking tokens count as output), or
+// null when it reported nothing.
+
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAIProvider } = require('./openai');
+const { createOllamaProvider } = require('./ollama');
+const { createMockProvider } = require('./mock');
+
+const factories = {
+  gemini: (env) => createGeminiProvider({
+    apiKey: env.GEMINI_API_KEY,
+    model: env.LLM_MODEL || undefined,
+    baseUrl: env.GEMINI_BASE_URL || undefined
+  }),
+  openai: (env) => createOpenAIProvider({
+    apiKey: env.OPENAI_API_KEY,
+    model: env.LLM_MODEL || undefined,
+    baseUrl: env.OPENAI_BASE_URL || undefined
+  }),
+  ollama: (env) => createOllamaProvider({
+    model: env.LLM_MODEL || undefined,
+    baseUrl: env.OLLAMA_BASE_URL || undefined
+  }),
+  mock: (env) => createMockProvider({
+    model: env.LLM_MODEL || undefined,
+    chunkDelayMs: env.MOCK_CHUNK_DELAY_MS ? Number(env.MOCK_CHUNK_DELAY_MS) : undefined,
+    failures: env.MOCK_FAILURES ? Number(env.MOCK_FAILURES) : undefined
+  })
+};
+
+function createProvider(env = process.env) {
+  const name = (env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(factories).join(', ')}`);
+  }
+  return factory(env);
+}
+
+module.exports = { createProvider, providerNames: Object.keys(factories) };
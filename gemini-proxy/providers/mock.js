@@ -0,0 +1,139 @@
+// providers/mock.js
+// Deterministic offline provider: no network, no API key. The same prompt always produces the
+// same answer, so the extension can be developed and demoed without spending anything.
+
+const crypto = require('crypto');
+const { UpstreamError } = require('../lib/errors');
+
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  const abortError = () => Object.assign(new Error('aborted'), { name: 'AbortError' });
+  if (signal?.aborted) return reject(abortError());
+  const onAbort = () => {
+    clearTimeout(t);
+    reject(abortError());
+  };
+  const t = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+function buildMockAnswer(contents, model, system, generationConfig) {
+  const last = contents[contents.length - 1];
+  const prompt = (last?.parts || []).map(p => p.text || '').join('');
+  const digest = crypto.createHash('sha1').update(prompt).digest('hex').slice(0, 8);
+  const title = (prompt.match(/^Page title: (.*)$/m) || [])[1];
+  const request = ((prompt.match(/User request: ([\s\S]*)$/) || [])[1] || '').trim();
+  const priorTurns = contents.length - 1;
+
+  // translation prompts (lib/translate.js) get a well-formed, aligned JSON array back
+  const translation = /Translated JSON array:\s*$/.test(prompt) && mockTranslation(prompt);
+  if (translation) return { text: translation, prompt };
+
+  // structured output (lib/extract.js): two rows that follow the response schema
+  const structured = generationConfig && generationConfig.responseSchema && mockStructured(generationConfig.responseSchema);
+  if (structured) return { text: structured, prompt };
+
+  const lines = [`[mock:${model}] response ${digest}`];
+  // citation mode (lib/citations.js): cite the first numbered passage so the chips can be exercised
+  const passageId = (prompt.match(/^\[(P\d+)\] /m) || [])[1];
+  // multi-tab mode (lib/sources.js): one "[Tab n] title" header per tab
+  const tabs = [...prompt.matchAll(/^\[(Tab \d+)\] (.*)$/gm)].map(m => ({ label: m[1], title: m[2] }));
+  if (/Summary:\s*$/.test(prompt)) {
+    lines.push(`This is a placeholder summary of ${title ? `"${title}"` : 'the current page'}.`);
+    const headings = (prompt.match(/^Headings: (.*)$/m) || [])[1];
+    if (headings) headings.split(' | ').slice(0, 4).forEach(h => lines.push(`- ${h}`));
+    if (passageId) lines.push(`- The page opens with passage ${passageId}. [${passageId}]`);
+  } else {
+    if (request) lines.push(`You asked: "${request.slice(0, 200)}"`);
+    if (title) lines.push(`Page: ${title}`);
+    if (priorTurns) lines.push(`(${priorTurns} earlier turn(s) in this conversation)`);
+    if (passageId) lines.push(`This answer is based on the page. [${passageId}]`);
+    if (tabs.length && /^Compare the pages above/m.test(prompt)) {
+      lines.push('', `| Aspect | ${tabs.map(t => `${t.label}: ${t.title}`).join(' | ')} |`, `|---|${tabs.map(() => '---').join('|')}|`);
+      lines.push(`| Title | ${tabs.map(t => t.title).join(' | ')} |`, '');
+    } else if (tabs.length) {
+      tabs.forEach(t => lines.push(`- Something from "${t.title}" (${t.label})`));
+    }
+    if (system) lines.push(`Instructions: ${system.split('\n')[0].slice(0, 120)}`);
+    lines.push('Set LLM_PROVIDER to gemini, openai or ollama for real answers.');
+  }
+  return { text: lines.join('\n'), prompt };
+}
+
+function mockTranslation(prompt) {
+  const language = (prompt.match(/ into (.+)\.\n/) || [])[1] || 'target';
+  const input = (prompt.match(/Input JSON array:\n([\s\S]*)\n\nTranslated JSON array:/) || [])[1];
+  try {
+    return JSON.stringify(JSON.parse(input).map(s => `[${language}] ${s}`));
+  } catch (e) {
+    return null;
+  }
+}
+
+function mockStructured(schema) {
+  const properties = schema.properties?.rows?.items?.properties;
+  if (!properties) return null;
+  const value = (name, { type, description = '' }, n) => {
+    if (type === 'NUMBER') return n * 10 + 0.99;
+    if (type === 'INTEGER') return n * 10;
+    if (type === 'BOOLEAN') return n % 2 === 1;
+    if (/YYYY-MM-DD/.test(description)) return `2025-01-0${n}`;
+    if (/absolute URL/.test(description)) return `https://example.com/${name}/${n}`;
+    return `${name} ${n}`;
+  };
+  const rows = [1, 2].map(n => Object.fromEntries(Object.entries(properties).map(([name, p]) => [name, value(name, p, n)])));
+  return JSON.stringify({ rows });
+}
+
+// Gemini-style usageMetadata for `raw`, plus the normalized `usage` every provider returns
+function usageFor(prompt, text) {
+  const promptTokenCount = Math.ceil(prompt.length / 4);
+  const candidatesTokenCount = Math.ceil(text.length / 4);
+  return { promptTokenCount, candidatesTokenCount, totalTokenCount: promptTokenCount + candidatesTokenCount };
+}
+
+function normalizedUsage({ promptTokenCount, candidatesTokenCount, totalTokenCount }) {
+  return { promptTokens: promptTokenCount, outputTokens: candidatesTokenCount, totalTokens: totalTokenCount };
+}
+
+// `failures`: the first n calls answer 503 like an overloaded upstream, to try out retries and the
+// "busy" state in the extension
+function createMockProvider({ model = 'mock-1', chunkDelayMs = 20, failures = 0 } = {}) {
+  let failuresLeft = failures;
+  const maybeFail = () => {
+    if (failuresLeft <= 0) return;
+    failuresLeft -= 1;
+    throw new UpstreamError('mock', 503, JSON.stringify({ error: { code: 503, message: 'The model is overloaded.', status: 'UNAVAILABLE' } }));
+  };
+
+  return {
+    name: 'mock',
+    model,
+    configError: null,
+
+    async generate({ model: requested, contents, system, generationConfig, signal }) {
+      const { text, prompt } = buildMockAnswer(contents, requested || model, system, generationConfig);
+      await delay(chunkDelayMs, signal);
+      maybeFail();
+      const usageMetadata = usageFor(prompt, text);
+      return { text, raw: { provider: 'mock', model: requested || model, text, usageMetadata }, usage: normalizedUsage(usageMetadata) };
+    },
+
+    async stream({ model: requested, contents, system, generationConfig, signal }, onDelta) {
+      const { text, prompt } = buildMockAnswer(contents, requested || model, system, generationConfig);
+      await delay(chunkDelayMs, signal);
+      maybeFail();
+      // emit word by word so the streaming UI can be exercised
+      for (const piece of text.match(/\S+\s*/g) || []) {
+        await delay(chunkDelayMs, signal);
+        onDelta(piece);
+      }
+      const usageMetadata = usageFor(prompt, text);
+      return { text, raw: { provider: 'mock', model: requested || model, text, usageMetadata }, usage: normalizedUsage(usageMetadata) };
+    }
+  };
+}
+
+module.exports = { createMockProvider };
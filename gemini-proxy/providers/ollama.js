@@ -0,0 +1,89 @@
+// providers/ollama.js
+// Local Ollama-style server (POST /api/chat, newline-delimited JSON when streaming).
+
+const { postJson } = require('../lib/http');
+const { toJsonSchema } = require('../lib/json-schema');
+
+function toMessages(contents, system) {
+  const messages = contents.map(c => ({
+    role: c.role === 'model' ? 'assistant' : 'user',
+    content: (c.parts || []).map(p => p.text || '').join('')
+  }));
+  return system ? [{ role: 'system', content: system }, ...messages] : messages;
+}
+
+// Gemini-style generationConfig -> Ollama request fields (`options` + `format`)
+function toRequestFields(generationConfig = {}) {
+  const options = {};
+  if (generationConfig.temperature !== undefined) options.temperature = generationConfig.temperature;
+  if (generationConfig.topP !== undefined) options.top_p = generationConfig.topP;
+  if (generationConfig.topK !== undefined) options.top_k = generationConfig.topK;
+  if (generationConfig.maxOutputTokens !== undefined) options.num_predict = generationConfig.maxOutputTokens;
+  if (generationConfig.stopSequences) options.stop = generationConfig.stopSequences;
+  const fields = Object.keys(options).length ? { options } : {};
+  // `format` takes a JSON Schema for structured output, or 'json' for any JSON
+  if (generationConfig.responseSchema) fields.format = toJsonSchema(generationConfig.responseSchema);
+  else if (generationConfig.responseMimeType === 'application/json') fields.format = 'json';
+  return fields;
+}
+
+// The final response object carries prompt_eval_count / eval_count
+function toUsage(data) {
+  if (!data || (data.prompt_eval_count === undefined && data.eval_count === undefined)) return null;
+  const promptTokens = data.prompt_eval_count || 0;
+  const outputTokens = data.eval_count || 0;
+  return { promptTokens, outputTokens, totalTokens: promptTokens + outputTokens };
+}
+
+// Call onLine(obj) for every JSON line of an NDJSON response body
+async function readNdjson(body, onLine) {
+  const decoder = new TextDecoder();
+  let buffered = '';
+  const flush = (line) => {
+    if (!line.trim()) return;
+    try { onLine(JSON.parse(line)); } catch (e) { /* ignore partial/garbage lines */ }
+  };
+  for await (const chunk of body) {
+    buffered += decoder.decode(chunk, { stream: true });
+    let nl;
+    while ((nl = buffered.indexOf('\n')) !== -1) {
+      flush(buffered.slice(0, nl));
+      buffered = buffered.slice(nl + 1);
+    }
+  }
+  flush(buffered);
+}
+
+function createOllamaProvider({ model = 'llama3.1', baseUrl = 'http://localhost:11434' } = {}) {
+  const url = `${baseUrl.replace(/\/$/, '')}/api/chat`;
+
+  return {
+    name: 'ollama',
+    model,
+    configError: null,
+
+    async generate({ model: requested, contents, system, generationConfig, signal }) {
+      const body = { model: requested || model, messages: toMessages(contents, system), ...toRequestFields(generationConfig), stream: false };
+      const r = await postJson('ollama', url, { body, signal });
+      const data = await r.json().catch(() => null);
+      return { text: data?.message?.content || (data ? JSON.stringify(data) : ''), raw: data, usage: toUsage(data) };
+    },
+
+    async stream({ model: requested, contents, system, generationConfig, signal }, onDelta) {
+      const body = { model: requested || model, messages: toMessages(contents, system), ...toRequestFields(generationConfig), stream: true };
+      const r = await postJson('ollama', url, { body, signal });
+      let text = '';
+      let last = null;
+      await readNdjson(r.body, (obj) => {
+        last = obj;
+        const delta = obj?.message?.content;
+        if (!delta) return;
+        text += delta;
+        onDelta(delta);
+      });
+      return { text, raw: last, usage: toUsage(last) };
+    }
+  };
+}
+
+module.exports = { createOllamaProvider };
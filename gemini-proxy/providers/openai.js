@@ -0,0 +1,78 @@
+// providers/openai.js
+// Any OpenAI-compatible /chat/completions endpoint (OpenAI, Azure-style gateways, LM Studio, vLLM, ...).
+
+const { postJson } = require('../lib/http');
+const { readSseEvents } = require('../lib/sse');
+const { toJsonSchema } = require('../lib/json-schema');
+
+// Gemini-style contents (+ system instruction) -> OpenAI chat messages
+function toMessages(contents, system) {
+  const messages = contents.map(c => ({
+    role: c.role === 'model' ? 'assistant' : 'user',
+    content: (c.parts || []).map(p => p.text || '').join('')
+  }));
+  return system ? [{ role: 'system', content: system }, ...messages] : messages;
+}
+
+// Gemini-style generationConfig -> chat/completions sampling options
+function toOptions(generationConfig = {}) {
+  const options = {};
+  if (generationConfig.temperature !== undefined) options.temperature = generationConfig.temperature;
+  if (generationConfig.topP !== undefined) options.top_p = generationConfig.topP;
+  if (generationConfig.maxOutputTokens !== undefined) options.max_tokens = generationConfig.maxOutputTokens;
+  if (generationConfig.stopSequences) options.stop = generationConfig.stopSequences;
+  if (generationConfig.responseSchema) {
+    options.response_format = { type: 'json_schema', json_schema: { name: 'response', schema: toJsonSchema(generationConfig.responseSchema) } };
+  } else if (generationConfig.responseMimeType === 'application/json') {
+    options.response_format = { type: 'json_object' };
+  }
+  return options;
+}
+
+function toUsage(usage) {
+  if (!usage) return null;
+  const promptTokens = usage.prompt_tokens || 0;
+  const outputTokens = usage.completion_tokens || 0;
+  return { promptTokens, outputTokens, totalTokens: usage.total_tokens || promptTokens + outputTokens };
+}
+
+function createOpenAIProvider({ apiKey, model = 'gpt-4o-mini', baseUrl = 'https://api.openai.com/v1' } = {}) {
+  const url = `${baseUrl.replace(/\/$/, '')}/chat/completions`;
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  return {
+    name: 'openai',
+    model,
+    // local OpenAI-compatible servers usually don't need a key, so only a missing URL is fatal
+    configError: baseUrl ? null : 'OPENAI_BASE_URL not configured on server.',
+
+    async generate({ model: requested, contents, system, generationConfig, signal }) {
+      const body = { model: requested || model, messages: toMessages(contents, system), ...toOptions(generationConfig) };
+      const r = await postJson('openai', url, { headers, body, signal });
+      const data = await r.json().catch(() => null);
+      const text = data?.choices?.[0]?.message?.content || (data ? JSON.stringify(data) : '');
+      return { text, raw: data, usage: toUsage(data?.usage) };
+    },
+
+    async stream({ model: requested, contents, system, generationConfig, signal }, onDelta) {
+      // include_usage: the last chunk (with no choices) reports the token counts
+      const body = { model: requested || model, messages: toMessages(contents, system), ...toOptions(generationConfig), stream: true, stream_options: { include_usage: true } };
+      const r = await postJson('openai', url, { headers, body, signal });
+      let text = '';
+      let usage = null;
+      await readSseEvents(r.body, ({ data }) => {
+        if (data === '[DONE]') return;
+        let parsed;
+        try { parsed = JSON.parse(data); } catch (e) { return; }
+        if (parsed?.usage) usage = toUsage(parsed.usage);
+        const delta = parsed?.choices?.[0]?.delta?.content;
+        if (!delta) return;
+        text += delta;
+        onDelta(delta);
+      });
+      return { text, raw: null, usage };
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider };
@@ -2,23 +2,87 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const { createProvider } = require('./providers');
+const { writeSseEvent } = require('./lib/sse');
+const { UpstreamError, CircuitOpenError, TemplateError } = require('./lib/errors');
+const { summaryTarget, summarizeLongText } = require('./lib/summarize');
+const { createTemplateRegistryFromEnv } = require('./lib/templates');
+const { createResponseCacheFromEnv, cacheKey, pageContextText } = require('./lib/cache');
+const { validateTranslateRequest, translateSegments } = require('./lib/translate');
+const { normalizePassages, formatPassages, withCitationInstructions } = require('./lib/citations');
+const { normalizeSources, buildSourcesBlock, withSourceInstructions } = require('./lib/sources');
+const { createAccessControl } = require('./lib/access');
+const { createUsageStoreFromEnv, meterProvider } = require('./lib/usage');
+const { createResilienceFromEnv, isTransient } = require('./lib/resilience');
+const { createModelCatalogFromEnv } = require('./lib/models');
+const { FIELD_TYPES, MAX_FIELDS, resolveExtractSchema, extractRows, listExtractPresets } = require('./lib/extract');
+const { version: SERVER_VERSION } = require('./package.json');
+
+// Origin allowlist, access tokens and rate limits (see lib/access.js for the env vars). A setup
+// that would expose the proxy without tokens stops here, with the reason instead of a stack trace.
+let access;
+try {
+  access = createAccessControl();
+} catch (err) {
+  console.error(`[access] ${err.message}`);
+  process.exit(1);
+}
+
 const app = express();
-app.use(cors());
-app.use(express.json());
+app.use(cors(access.corsOptions));
+app.use(express.json({ limit: '2mb' })); // long-document summaries send the full page text
+app.use('/api', access.originGuard, access.requireToken);
 
 const PORT = process.env.PORT || 3000;
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 
-if (!GEMINI_API_KEY) {
-  console.warn('Warning: GEMINI_API_KEY is not set. Requests to Gemini will fail until you set GEMINI_API_KEY in .env.');
+// LLM backend (gemini | openai | ollama | mock), chosen via LLM_PROVIDER — see providers/index.js
+const provider = createProvider();
+console.log(`[server] using LLM provider "${provider.name}" (model: ${provider.model})`);
+if (provider.configError) {
+  console.warn(`Warning: ${provider.configError} Requests will fail until it is set in .env (or use LLM_PROVIDER=mock).`);
 }
 
+// Retries with backoff, LLM_FALLBACK_MODEL and a circuit breaker (RETRY_* / CIRCUIT_* env vars,
+// see lib/resilience.js)
+const fallbackProvider = process.env.LLM_FALLBACK_MODEL && process.env.LLM_FALLBACK_MODEL !== provider.model
+  ? createProvider({ ...process.env, LLM_MODEL: process.env.LLM_FALLBACK_MODEL })
+  : null;
+if (fallbackProvider) console.log(`[server] fallback model: ${fallbackProvider.model}`);
+const resilience = createResilienceFromEnv({ primary: provider, fallback: fallbackProvider });
+
+// Models and generation settings requests may choose (LLM_MODELS, see lib/models.js)
+const modelCatalog = createModelCatalogFromEnv({ provider });
+
+// Cached answers keyed by page content + prompt + model (CACHE_* env vars, see lib/cache.js)
+const responseCache = createResponseCacheFromEnv();
+
+// Token usage / cost per endpoint, model and client (see lib/usage.js)
+const usageStore = createUsageStoreFromEnv();
+
+// Prompt templates per task (prompt-templates.json + optional PROMPT_TEMPLATES_FILE, see lib/templates.js)
+const templates = createTemplateRegistryFromEnv();
+
 // Controls how much page text is forwarded in the context (tune for cost)
 const MAX_SNIPPET_CHARS = 25000; // allow large page captures
-const MAX_PROMPT_CHARS = 40000; // safety cap for the final prompt sent to Gemini
+const MAX_PROMPT_CHARS = 40000; // safety cap for the final prompt sent to the model
+const MAX_SOURCES_CHARS = 32000; // page text shared by all tabs of a multi-tab question
+
+const MAX_HISTORY_TURNS = 40; // hard cap on prior chat turns accepted from the client
 
-// Helper: safely build a small context block from pageContext
-function buildContextBlock(pageContext) {
+// Page URL for the console: scheme, host and path only (query strings and fragments can carry tokens)
+function logUrl(url) {
+  if (!url) return '(no-url)';
+  try {
+    const u = new URL(url);
+    return `${u.origin}${u.pathname}`;
+  } catch (e) {
+    return String(url).replace(/[?#].*$/, '');
+  }
+}
+
+// Helper: safely build a small context block from pageContext.
+// With `passages` (citation mode) the page content is sent as numbered passages instead.
+function buildContextBlock(pageContext, { passages } = {}) {
   if (!pageContext) return '';
 
   const parts = [];
@@ -35,8 +99,14 @@ function buildContextBlock(pageContext) {
 
   let block = parts.join('\n') + (parts.length ? '\n\n' : '');
 
-  // include a truncated snippet if present
-  if (pageContext.mainTextSnippet) {
+  // prefer the structured Markdown serialization (keeps tables, lists, code); fall back to flat text
+  if (passages && passages.length) {
+    block += `Page content (numbered passages):\n${formatPassages(passages, MAX_SNIPPET_CHARS)}\n\n`;
+  } else if (pageContext.mainContentMarkdown) {
+    let markdown = ('' + pageContext.mainContentMarkdown);
+    if (markdown.length > MAX_SNIPPET_CHARS) markdown = markdown.slice(0, MAX_SNIPPET_CHARS) + '\n\n...[truncated]';
+    block += `Page content (Markdown):\n${markdown}\n\n`;
+  } else if (pageContext.mainTextSnippet) {
     let snippet = ('' + pageContext.mainTextSnippet);
     if (snippet.length > MAX_SNIPPET_CHARS) snippet = snippet.slice(0, MAX_SNIPPET_CHARS) + '\n\n...[truncated]';
     block += `Page snippet:\n${snippet}\n\n`;
@@ -51,163 +121,564 @@ function buildContextBlock(pageContext) {
   return block;
 }
 
+// Helper: normalize chat history from the client into Gemini turns.
+// Accepts [{ role: 'user'|'model'|'assistant', text }]; anything malformed is dropped.
+function normalizeHistory(history) {
+  if (!Array.isArray(history)) return [];
+  return history
+    .filter(t => t && typeof t.text === 'string' && t.text.trim())
+    .map(t => ({ role: (t.role === 'model' || t.role === 'assistant') ? 'model' : 'user', text: t.text }))
+    .slice(-MAX_HISTORY_TURNS);
+}
+
+// Helper: build a multi-turn `contents` array ending with finalPrompt as the newest user turn.
+// Oldest turns are dropped until everything fits in MAX_PROMPT_CHARS; the history always
+// restarts on a user turn because Gemini expects conversations to open with the user.
+function buildContents(history, finalPrompt) {
+  const turns = normalizeHistory(history);
+  let budget = MAX_PROMPT_CHARS - finalPrompt.length;
+  let total = turns.reduce((n, t) => n + t.text.length, 0);
+
+  while (turns.length && (total > budget || turns[0].role !== 'user')) {
+    total -= turns.shift().text.length;
+  }
+  if (turns.length) console.log(`[server] including ${turns.length} prior chat turn(s)`);
+
+  return [
+    ...turns.map(t => ({ role: t.role, parts: [{ text: t.text }] })),
+    { role: 'user', parts: [{ text: finalPrompt }] }
+  ];
+}
+
+// Which template answers a /api/generate request: an explicit task wins (unknown ones are
+// rejected by the registry), then a mode with a template of the same name, then translate when
+// only a target language is given, otherwise the generic page-question prompt.
+function resolveTask({ task, mode, targetLanguage }) {
+  if (task) return String(task);
+  if (mode && templates.has(mode)) return mode;
+  if (targetLanguage) return 'translate';
+  return 'general';
+}
+
+// Helper: what to tell the client about an upstream failure that retries and the fallback model
+// could not fix: { status, code, error, retryAfterMs? }. Only non-transient failures (bad key,
+// bad request, ...) pass the upstream body on, as `details`.
+function describeUpstreamFailure(err) {
+  if (err instanceof CircuitOpenError) {
+    return { status: 503, code: 'circuit_open', error: 'The AI service is failing right now, so requests are paused for a moment. Please try again shortly.', retryAfterMs: err.retryAfterMs };
+  }
+  if (isTransient(err)) {
+    const busy = err.status === 429;
+    return {
+      status: 503,
+      code: busy ? 'upstream_busy' : 'upstream_unavailable',
+      error: busy ? 'The AI service is busy. Please try again in a moment.' : 'The AI service is temporarily unavailable. Please try again in a moment.',
+      retryAfterMs: err.retryAfterMs || null
+    };
+  }
+  return { status: 502, code: 'upstream_error', error: err.message, details: err.body };
+}
+
+// Helper: turn a provider (or template) failure into the JSON error response the extension expects
+function sendProviderError(res, err, label) {
+  if (err instanceof TemplateError) {
+    console.warn(`[server] ${label}: ${err.message}`);
+    return res.status(400).json({ ok: false, code: err.code, error: err.message });
+  }
+  if (err instanceof UpstreamError || err instanceof CircuitOpenError || isTransient(err)) {
+    console.error(`[server] ${label}: ${err.message}:`, err.body || '');
+    const { status, retryAfterMs, ...body } = describeUpstreamFailure(err);
+    if (retryAfterMs) res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    return res.status(status).json({ ok: false, ...body });
+  }
+  console.error(`[server] unexpected error in ${label}`, err);
+  return res.status(500).json({ ok: false, error: err.message || String(err) });
+}
+
+// Helper: run `work({ signal, onDelta, onProgress })` and relay its output to the client as SSE.
+// Events sent: `progress` {...} (including { stage: 'retry' | 'fallback' } while the upstream is
+// retried) and `chunk` { text } while working, then `done` { ok, text, model, attempts, usage, ...meta }
+// or `error` { ok: false, error, code? }. SSE headers are only sent once the first event is written,
+// so failures before that still get a normal JSON error response.
+async function streamToClient(res, label, work, meta = {}) {
+  const controller = new AbortController();
+  // client went away (tab closed / request aborted) -> stop reading from the provider
+  res.on('close', () => controller.abort());
+
+  const send = (event, data) => {
+    if (!res.headersSent) {
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      });
+      res.flushHeaders();
+    }
+    writeSseEvent(res, event, data);
+  };
+
+  try {
+    const result = await work({
+      signal: controller.signal,
+      onDelta: (delta) => send('chunk', { text: delta }),
+      onProgress: (progress) => send('progress', progress)
+    });
+    send('done', { ok: true, text: result.text, chunks: result.chunks, cached: !!result.cached, ...answerFields(result), ...meta });
+  } catch (err) {
+    if (err && err.name === 'AbortError') return res.end();
+    if (!res.headersSent) return sendProviderError(res, err, label);
+    console.error(`[server] error while streaming ${label}`, err);
+    if (err instanceof UpstreamError || err instanceof CircuitOpenError || isTransient(err)) {
+      const { code, error } = describeUpstreamFailure(err);
+      writeSseEvent(res, 'error', { ok: false, code, error });
+    } else {
+      writeSseEvent(res, 'error', { ok: false, error: err.message || String(err) });
+    }
+  }
+  res.end();
+}
+
+// Helper: record one answered request in the usage store. `usage` is the request's meter total
+// (null for cache hits, which count as requests without tokens).
+function recordUsage(endpoint, client, usage, model = provider.model) {
+  return usageStore.record({ endpoint, model, client: client && client.name, usage, cached: !usage });
+}
+
+// Helper: the provider one request makes its model calls through, with the `model` it chose,
+// retried / falling back (lib/resilience.js, `onRetry` hears about each retry) and metered
+// (lib/usage.js). finish() records the usage and returns the answer fields (see answerFields).
+// settle() belongs in a `finally`: when the request failed or was aborted before finish(), it
+// still records the tokens of the model calls that completed (map chunks, translation batches).
+function upstreamForRequest(endpoint, client, onRetry, model = provider.model) {
+  const upstream = resilience.forRequest({ onRetry, model });
+  const meter = meterProvider(upstream.provider);
+  let recorded = null;
+  const finish = () => {
+    if (!recorded) {
+      const outcome = upstream.report();
+      recorded = { ...outcome, ...recordUsage(endpoint, client, meter.usage(), outcome.model) };
+    }
+    return recorded;
+  };
+  return {
+    provider: meter.provider,
+    finish,
+    settle: () => {
+      if (!recorded && meter.usage().calls) finish();
+    }
+  };
+}
+
+// Helper: answer fields for a cache hit (no model call)
+function cachedAnswer(endpoint, client, model = provider.model) {
+  return { model, attempts: 0, ...recordUsage(endpoint, client, null, model) };
+}
+
+// Every answer says which `model` answered, after how many upstream `attempts` (0 for cache hits,
+// more than one call for long pages), `fallback: true` when the fallback model did, and its token
+// `usage` { promptTokens, outputTokens, totalTokens, cost, currency }; `budget` only while a soft
+// budget is nearly used up or exceeded
+function answerFields({ model, attempts, fallback, usage, budget }) {
+  return { model, attempts, ...(fallback ? { fallback } : {}), usage, ...(budget ? { budget } : {}) };
+}
+
+// Helper: answer from the response cache when possible, otherwise run `work` and cache its result.
+// `bypass` (request flag `cache: 'bypass'`) skips the lookup but still stores the fresh answer.
+// The outcome is reported in the X-Cache header (HIT / MISS / BYPASS) and the `cached` field;
+// `meta` fields (e.g. { citations: true }) are added to the response as they are.
+// `work` gets a `provider` in its options and must make its model calls through it, so they are
+// retried and the tokens are recorded for `endpoint` and `client` (see upstreamForRequest).
+// Answers from the fallback model are not cached. `model` is the model the request chose.
+async function respondWithCache(res, { label, key, bypass, stream, work, meta = {}, endpoint, client, model }) {
+  const hit = bypass ? null : responseCache.get(key);
+  res.set('X-Cache', hit ? 'HIT' : (bypass ? 'BYPASS' : 'MISS'));
+  if (hit) console.log(`[cache] hit for ${label}`);
+
+  const run = hit
+    ? async ({ onDelta } = {}) => {
+      if (onDelta) onDelta(hit.text);
+      return { ...hit, cached: true, ...cachedAnswer(endpoint, client, model) };
+    }
+    : async (opts = {}) => {
+      const upstream = upstreamForRequest(endpoint, client, opts.onProgress, model);
+      try {
+        const result = await work({ ...opts, provider: upstream.provider });
+        const fields = upstream.finish();
+        if (result.text && !fields.fallback) responseCache.set(key, { text: result.text, raw: result.raw, chunks: result.chunks });
+        return { ...result, cached: false, ...fields };
+      } finally {
+        upstream.settle();
+      }
+    };
+
+  if (stream) return streamToClient(res, label, run, meta);
+
+  const result = await run();
+  const { text, raw, chunks, cached } = result;
+  // Return a consistent shape
+  return res.json({ ok: true, text, raw, chunks, cached, ...answerFields(result), ...meta });
+}
+
+// GET /api/health
+// Used by the extension's "Test connection" button. Goes through the origin/token checks (so it
+// also verifies the configured token) but is not rate limited.
+app.get('/api/health', (req, res) => {
+  res.json({
+    ok: true,
+    version: SERVER_VERSION,
+    provider: provider.name,
+    model: provider.model,
+    fallbackModel: fallbackProvider ? fallbackProvider.model : null,
+    // circuitOpen: the model failed repeatedly and is skipped for a moment
+    models: resilience.status(),
+    providerReady: !provider.configError,
+    authRequired: access.authEnabled,
+    client: req.client ? req.client.name : null,
+    time: new Date().toISOString()
+  });
+});
+
+// GET /api/usage?days=14&weeks=8
+// Token and cost report: today and this week broken down by endpoint, model and client, daily and
+// weekly totals, the configured rates and the soft budget status (see lib/usage.js). Admin tokens
+// (ADMIN_TOKENS) see every client, other tokens only their own usage. Like /api/health it is not
+// rate limited.
+app.get('/api/usage', (req, res) => {
+  const clamp = (value, fallback, max) => Math.min(max, Math.max(1, Math.floor(Number(value)) || fallback));
+  res.json({
+    ok: true,
+    ...usageStore.summary({
+      dayCount: clamp(req.query.days, 14, usageStore.retentionDays),
+      weekCount: clamp(req.query.weeks, 8, Math.ceil(usageStore.retentionDays / 7)),
+      client: req.client.admin ? null : req.client.name
+    })
+  });
+});
+
+// GET /api/models
+// Models requests may choose with `model`, the default one, and the ranges of the `generation`
+// settings (temperature, maxOutputTokens, thinkingBudget) the extension offers in its pickers.
+app.get('/api/models', (req, res) => {
+  res.json({ ok: true, ...modelCatalog.list(), fallbackModel: fallbackProvider ? fallbackProvider.model : null });
+});
+
+// Helper: 400 for a request whose model / generation settings are not allowed
+function sendModelSettingsError(res, error) {
+  console.warn(`[server] rejected model settings: ${error}`);
+  return res.status(400).json({ ok: false, code: 'invalid_model_settings', error });
+}
+
+// GET /api/templates
+// Tasks the proxy knows (id, label, description, variables, output constraints, generationConfig),
+// so the extension can offer them. `hidden` ones (general, summarize) are used internally.
+app.get('/api/templates', (req, res) => {
+  res.json({ ok: true, templates: templates.list() });
+});
+
 // POST /api/generate
-// body: { prompt, selectedText, mode, task, targetLanguage, pageContext }
-app.post('/api/generate', async (req, res) => {
+// body: { prompt, selectedText, mode, task, targetLanguage, pageContext, sources, history, citations, stream, cache,
+//         model, generation }
+// `model` and `generation` ({ temperature, maxOutputTokens, thinkingBudget }) override the default
+// model and the task template's settings; both are checked against GET /api/models.
+// `task` (or `mode`) picks a prompt template from the registry, see resolveTask().
+// `sources` (multi-tab mode) holds the page contexts of several tabs, current tab first; the answer
+// then draws on all of them, says which tab each point came from (see lib/sources.js) and the
+// response carries `sources: <number of tabs>`. The `compare` task turns them into a table.
+// `citations: true` with pageContext.passages asks for passage citations (see lib/citations.js);
+// the response then carries `citations: true`.
+// `history` holds earlier chat turns ([{ role: 'user'|'model', text }]) for multi-turn conversations.
+// With `stream: true` the answer is sent as text/event-stream (see streamToClient),
+// otherwise the whole answer is returned at once as { ok, text, raw }. Either way the answer carries
+// the model that answered, the upstream attempts and its token `usage`, see answerFields().
+app.post('/api/generate', access.rateLimit, async (req, res) => {
   try {
-    const { prompt, selectedText, mode, task, targetLanguage, pageContext } = req.body;
+    const { prompt, selectedText, mode, task, targetLanguage, pageContext, sources, history, citations, stream, cache, model, generation } = req.body;
+
+    const choice = modelCatalog.resolve({ model, generation });
+    if (choice.error) return sendModelSettingsError(res, choice.error);
 
     // Debug: log incoming pageContext summary (server console)
     if (pageContext) {
+      // sizes only, never page or selection text
       console.log('[server] incoming pageContext ->', {
-        url: pageContext.url,
-        title: pageContext.title,
+        url: logUrl(pageContext.url),
         wordCount: pageContext.wordCount,
-        selectedTextSnippet: pageContext.selectedText ? (pageContext.selectedText.slice(0, 80) + (pageContext.selectedText.length > 80 ? '...' : '')) : undefined
+        extractionStrategy: pageContext.extractionStrategy,
+        selectedChars: pageContext.selectedText ? String(pageContext.selectedText).length : 0
       });
     } else {
       console.log('[server] incoming request without pageContext');
     }
 
-    const contextBlock = buildContextBlock(pageContext);
-
     // Build the user request
     const userRequest = (prompt && String(prompt).trim()) || (selectedText ? `Explain: "${selectedText}"` : 'Please help with the page content.');
-
-    // Compose final prompt and enforce a maximum length
-    let finalPrompt = `You are a helpful assistant. Use the page context below to answer the user's request. Prefer information present in the context and avoid inventing facts beyond it unless the user asks you to infer.\n\n${contextBlock}\nUser request: ${userRequest}`;
-
+    const taskId = resolveTask({ task, mode, targetLanguage });
+
+    // several tabs replace the single page; citations (passages of one page) only apply to one tab,
+    // and both only make sense for tasks that put the page content in the prompt
+    const usesContext = templates.has(taskId) && !!templates.get(taskId).variables.context;
+    const tabSources = normalizeSources(sources);
+    const multiTab = tabSources.length > 1 && usesContext;
+    const passages = citations && !multiTab ? normalizePassages(pageContext?.passages) : [];
+    const citing = passages.length > 0 && usesContext;
+    const contextBlock = multiTab
+      ? buildSourcesBlock(tabSources, MAX_SOURCES_CHARS)
+      : buildContextBlock(pageContext, { passages: citing ? passages : null });
+
+    // Fill the task's template and enforce a maximum length
+    const rendered = templates.render(taskId, {
+      request: userRequest,
+      selectedText,
+      text: selectedText || (prompt && String(prompt).trim()),
+      targetLanguage,
+      title: pageContext?.title,
+      url: pageContext?.url,
+      context: contextBlock
+    });
+    const { prompt: templatePrompt } = rendered;
+    const generationConfig = { ...rendered.generationConfig, ...choice.generationConfig };
+    let system = rendered.system;
+    if (citing) system = withCitationInstructions(system);
+    if (multiTab) system = withSourceInstructions(system);
+    console.log(`[server] /api/generate task: ${taskId} (model: ${choice.model})${citing ? ` (citing ${passages.length} passages)` : ''}${multiTab ? ` (across ${tabSources.length} tabs)` : ''}`);
+
+    let finalPrompt = templatePrompt;
     if (finalPrompt.length > MAX_PROMPT_CHARS) {
       finalPrompt = finalPrompt.slice(0, MAX_PROMPT_CHARS) + '\n\n...[final prompt truncated due to size]';
     }
 
-    // Build the Gemini REST request payload
-    const payload = {
-      contents: [
-        {
-          parts: [
-            { text: finalPrompt }
-          ]
-        }
-      ]
-    };
-
-    // Ensure API key present
-    if (!GEMINI_API_KEY) {
-      return res.status(500).json({ ok: false, error: 'GEMINI_API_KEY not configured on server.' });
-    }
-
-    // Call Gemini REST API
-    const r = await fetch(
-      'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent',
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-goog-api-key': GEMINI_API_KEY
-        },
-        body: JSON.stringify(payload)
-      }
-    );
+    // Earlier turns first, trimmed to the prompt budget
+    const contents = buildContents(history, finalPrompt);
 
-    if (!r.ok) {
-      const bodyText = await r.text().catch(() => '<unable to read body>');
-      console.error(`[server] Gemini API error ${r.status}:`, bodyText);
-      return res.status(502).json({ ok: false, error: `Upstream Gemini API error ${r.status}`, details: bodyText });
+    if (provider.configError) {
+      return res.status(500).json({ ok: false, error: provider.configError });
     }
 
-    const data = await r.json().catch(err => {
-      console.error('[server] failed to parse Gemini response as JSON', err);
-      return null;
+    const key = cacheKey({
+      endpoint: 'generate', provider: provider.name, model: choice.model,
+      page: multiTab ? tabSources.map(pageContextText) : pageContextText(pageContext),
+      prompt: userRequest, history: normalizeHistory(history),
+      task: taskId, targetLanguage, system, generationConfig, citations: citing
     });
 
-    const text =
-      data?.candidates?.[0]?.content?.parts?.[0]?.text ||
-      data?.output?.[0]?.content?.parts?.[0]?.text ||
-      data?.text ||
-      (data ? JSON.stringify(data) : '');
-
-    // Return a consistent shape
-    res.json({ ok: true, text, raw: data });
+    return await respondWithCache(res, {
+      label: '/api/generate',
+      key,
+      bypass: cache === 'bypass',
+      stream,
+      endpoint: 'generate',
+      client: req.client,
+      model: choice.model,
+      meta: { ...(citing ? { citations: true } : {}), ...(multiTab ? { sources: tabSources.length } : {}) },
+      work: ({ signal, onDelta, provider } = {}) => {
+        const request = { contents, system, generationConfig, signal };
+        return onDelta ? provider.stream(request, onDelta) : provider.generate(request);
+      }
+    });
   } catch (err) {
-    console.error('[server] unexpected error in /api/generate', err);
-    res.status(500).json({ ok: false, error: err.message || String(err) });
+    if (res.headersSent) return res.end();
+    sendProviderError(res, err, '/api/generate');
   }
 });
 
 // POST /api/summarize
-// body: { pageContext: {...}, length: 'short'|'medium'|'long' }
-app.post('/api/summarize', async (req, res) => {
+// body: { pageContext: {...}, length: 'short'|'medium'|'long', citations, stream, cache, model, generation }
+// (`model` / `generation` as for /api/generate; the settings apply to the final summary call)
+// When pageContext.fullText is longer than MAX_SNIPPET_CHARS the page is summarized in
+// long-document (map-reduce) mode; with `stream: true` progress is reported as SSE
+// `progress` events ({ stage: 'map', chunk, total } / { stage: 'reduce', round }).
+// In citation mode (`citations: true` + pageContext.passages) the numbered passages replace the
+// page text, long pages included, and the summary cites them.
+app.post('/api/summarize', access.rateLimit, async (req, res) => {
   try {
-    const { pageContext, length = 'medium' } = req.body;
+    const { pageContext, length = 'medium', citations, stream, cache, model, generation } = req.body;
+
+    const choice = modelCatalog.resolve({ model, generation });
+    if (choice.error) return sendModelSettingsError(res, choice.error);
 
     // Debug: log incoming pageContext summary
     if (pageContext) {
-      console.log('[server] summarize request for', pageContext.url || pageContext.title || '(no-url)');
+      console.log('[server] summarize request for', logUrl(pageContext.url), `(extraction: ${pageContext.extractionStrategy || 'unknown'})`);
     } else {
       console.log('[server] summarize request with no pageContext');
     }
 
-    const lengthMap = {
-      short: 'about 50-80 words',
-      medium: 'about 120-180 words',
-      long: 'about 300-500 words'
+    const target = summaryTarget(length);
+    const passages = citations ? normalizePassages(pageContext?.passages) : [];
+    const citing = passages.length > 0;
+    const renderSummary = (context) => {
+      const rendered = templates.render('summarize', { target, context });
+      const generationConfig = { ...rendered.generationConfig, ...choice.generationConfig };
+      return { ...rendered, generationConfig, system: citing ? withCitationInstructions(rendered.system) : rendered.system };
     };
-    const target = lengthMap[length] || lengthMap['medium'];
+    const fullText = citing
+      ? formatPassages(passages)
+      : (typeof pageContext?.fullText === 'string' ? pageContext.fullText : '');
+    const longDocument = fullText.length > MAX_SNIPPET_CHARS;
+
+    const summarize = ({ signal, onDelta, onProgress, provider } = {}) => {
+      if (longDocument) {
+        // page metadata only; the text itself goes through the chunks
+        const metadataBlock = buildContextBlock({ ...pageContext, mainTextSnippet: '', mainContentMarkdown: '', selectedText: '' });
+        return summarizeLongText({ provider, text: fullText, metadataBlock, renderSummary, citations: citing, signal, onProgress, onDelta });
+      }
 
-    const contextBlock = buildContextBlock(pageContext);
+      const { system, prompt, generationConfig } = renderSummary(buildContextBlock(pageContext, { passages: citing ? passages : null }));
+      let promptToSend = prompt;
+      if (promptToSend.length > MAX_PROMPT_CHARS) {
+        promptToSend = promptToSend.slice(0, MAX_PROMPT_CHARS) + '\n\n...[truncated]';
+      }
+      const request = { contents: [{ role: 'user', parts: [{ text: promptToSend }] }], system, generationConfig, signal };
+      return onDelta ? provider.stream(request, onDelta) : provider.generate(request);
+    };
 
-    const finalPrompt = `You are a helpful assistant. Produce a clear human-readable summary of the webpage described below. Keep the summary to ${target}. Focus on key points, exact product names, prices, and any numerical details found on the page. Format the summary in plain text (no HTML). If the page contains multiple sections, include short bullet points for each major section.\n\n${contextBlock}\nSummary:`;
+    if (provider.configError) {
+      return res.status(500).json({ ok: false, error: provider.configError });
+    }
 
-    let promptToSend = finalPrompt;
-    if (promptToSend.length > MAX_PROMPT_CHARS) {
-      promptToSend = promptToSend.slice(0, MAX_PROMPT_CHARS) + '\n\n...[truncated]';
+    const key = cacheKey({
+      endpoint: 'summarize', provider: provider.name, model: choice.model,
+      page: pageContextText(pageContext), length: summaryTarget(length), citations: citing,
+      generationConfig: choice.generationConfig
+    });
+
+    return await respondWithCache(res, {
+      label: '/api/summarize', key, bypass: cache === 'bypass', stream, work: summarize,
+      endpoint: 'summarize', client: req.client, model: choice.model,
+      meta: citing ? { citations: true } : {}
+    });
+  } catch (err) {
+    if (res.headersSent) return res.end();
+    sendProviderError(res, err, '/api/summarize');
+  }
+});
+
+// POST /api/translate
+// body: { segments: [string], targetLanguage, sourceLanguage?, pageContext?: { title, url }, cache }
+// Used by "Translate page": segments are a page's text nodes in document order. Returns
+// { ok, segments, targetLanguage, failed, cached } where segments[i] translates the i-th input
+// (segments the model could not align come back unchanged and are counted in `failed`), plus the
+// `usage` of all batches together.
+app.post('/api/translate', access.rateLimit, async (req, res) => {
+  try {
+    const { segments, targetLanguage, sourceLanguage, pageContext, cache } = req.body;
+
+    const invalid = validateTranslateRequest({ segments, targetLanguage });
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+
+    console.log(`[server] translate ${segments.length} segment(s) to ${targetLanguage} for`, logUrl(pageContext?.url));
+
+    if (provider.configError) {
+      return res.status(500).json({ ok: false, error: provider.configError });
     }
 
-    const payload = {
-      contents: [
-        {
-          parts: [
-            { text: promptToSend }
-          ]
-        }
-      ]
-    };
+    const key = cacheKey({
+      endpoint: 'translate', provider: provider.name, model: provider.model,
+      segments, targetLanguage: targetLanguage.trim(), sourceLanguage: sourceLanguage || null
+    });
+    const hit = cache === 'bypass' ? null : responseCache.get(key);
+    res.set('X-Cache', hit ? 'HIT' : (cache === 'bypass' ? 'BYPASS' : 'MISS'));
+    if (hit) {
+      console.log('[cache] hit for /api/translate');
+      return res.json({ ok: true, segments: hit.segments, targetLanguage, failed: 0, cached: true, ...answerFields(cachedAnswer('translate', req.client)) });
+    }
 
-    if (!GEMINI_API_KEY) {
-      return res.status(500).json({ ok: false, error: 'GEMINI_API_KEY not configured' });
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    const upstream = upstreamForRequest('translate', req.client);
+    try {
+      const result = await translateSegments({
+        provider: upstream.provider,
+        segments,
+        targetLanguage: targetLanguage.trim(),
+        sourceLanguage,
+        title: pageContext?.title,
+        signal: controller.signal
+      });
+      const fields = upstream.finish();
+      // partially failed batches are not cached so a retry can fill the gaps
+      if (!result.failed && !fields.fallback) responseCache.set(key, { segments: result.segments });
+
+      return res.json({ ok: true, segments: result.segments, targetLanguage, failed: result.failed, cached: false, ...answerFields(fields) });
+    } finally {
+      upstream.settle();
     }
+  } catch (err) {
+    if (err && err.name === 'AbortError') return res.end();
+    sendProviderError(res, err, '/api/translate');
+  }
+});
 
-    const r = await fetch(
-      'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent',
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-goog-api-key': GEMINI_API_KEY
-        },
-        body: JSON.stringify(payload)
-      }
-    );
+// GET /api/extract/schemas
+// Preset schemas of the Extract tool (product listing, contacts, events, table rows) and the field
+// types custom schemas may use.
+app.get('/api/extract/schemas', (req, res) => {
+  res.json({ ok: true, presets: listExtractPresets(), fieldTypes: FIELD_TYPES, maxFields: MAX_FIELDS });
+});
+
+// POST /api/extract
+// body: { pageContext, schema: { preset?, fields?: [{ name, type, description }], instructions? }, cache,
+//         model, generation }
+// Used by the Extract tool: the items on the page as rows of the schema's fields, asked for with a
+// response schema and checked again here (see lib/extract.js). Returns
+// { ok, rows, fields, preset, cached } plus the answer fields (model, usage, ...); 400 with code
+// `invalid_schema` for a bad schema and 502 with code `extract_failed` when the model's answer was
+// not usable JSON.
+app.post('/api/extract', access.rateLimit, async (req, res) => {
+  try {
+    const { pageContext, schema, cache, model, generation } = req.body;
+
+    const resolved = resolveExtractSchema(schema);
+    if (resolved.error) return res.status(400).json({ ok: false, code: 'invalid_schema', error: resolved.error });
+    if (!pageContext || typeof pageContext !== 'object') return res.status(400).json({ ok: false, error: '`pageContext` is required.' });
+    const choice = modelCatalog.resolve({ model, generation });
+    if (choice.error) return sendModelSettingsError(res, choice.error);
 
-    if (!r.ok) {
-      const bodyText = await r.text().catch(() => '<unable to read>');
-      console.error('[server] Gemini summarize error', r.status, bodyText);
-      return res.status(502).json({ ok: false, error: 'Upstream Gemini error', details: bodyText });
+    console.log(`[server] extract ${resolved.fields.length} field(s) (${resolved.preset || 'custom'}, model: ${choice.model}) for`, logUrl(pageContext.url));
+
+    if (provider.configError) {
+      return res.status(500).json({ ok: false, error: provider.configError });
     }
 
-    const data = await r.json();
-    const text =
-      data?.candidates?.[0]?.content?.parts?.[0]?.text ||
-      data?.output?.[0]?.content?.parts?.[0]?.text ||
-      data?.text ||
-      JSON.stringify(data);
+    const { fields, instructions, preset } = resolved;
+    const key = cacheKey({
+      endpoint: 'extract', provider: provider.name, model: choice.model, generationConfig: choice.generationConfig,
+      fields, instructions, page: pageContextText(pageContext)
+    });
+    const hit = cache === 'bypass' ? null : responseCache.get(key);
+    res.set('X-Cache', hit ? 'HIT' : (cache === 'bypass' ? 'BYPASS' : 'MISS'));
+    if (hit) {
+      console.log('[cache] hit for /api/extract');
+      return res.json({ ok: true, rows: hit.rows, fields, preset, cached: true, ...answerFields(cachedAnswer('extract', req.client, choice.model)) });
+    }
 
-    return res.json({ ok: true, text, raw: data });
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    const upstream = upstreamForRequest('extract', req.client, null, choice.model);
+    try {
+      const result = await extractRows({
+        provider: upstream.provider,
+        schema: resolved,
+        pageContext,
+        generationConfig: choice.generationConfig,
+        signal: controller.signal
+      });
+      const answer = answerFields(upstream.finish());
+      if (!result.rows) {
+        return res.status(502).json({ ok: false, code: 'extract_failed', error: 'The model did not return usable data for these fields. Try again, or use fewer or simpler fields.', ...answer });
+      }
+      if (!answer.fallback) responseCache.set(key, { rows: result.rows });
+
+      return res.json({ ok: true, rows: result.rows, fields, preset, cached: false, ...answer });
+    } finally {
+      upstream.settle();
+    }
   } catch (err) {
-    console.error('Error in /api/summarize', err);
-    res.status(500).json({ ok: false, error: err.message || String(err) });
+    if (err && err.name === 'AbortError') return res.end();
+    sendProviderError(res, err, '/api/extract');
   }
 });
 
-app.listen(PORT, () => console.log(`Proxy running on http://localhost:${PORT}`));
+app.listen(PORT, access.listenHost, () => console.log(`Proxy running on http://localhost:${PORT} (listening on ${access.listenHost || 'all interfaces'})`));
@@ -0,0 +1,149 @@
+// Origin allowlist, token parsing, token bucket and daily quota of lib/access.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAccessControl, parseTokens, nextUtcMidnight } = require('../lib/access');
+
+// Quiet the startup warnings the tests provoke on purpose
+test.beforeEach((t) => { t.mock.method(console, 'warn', () => {}); });
+
+function fakeRes() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+// Run a middleware; returns { passed, res }
+function run(middleware, req) {
+  const res = fakeRes();
+  let passed = false;
+  middleware({ ip: '10.0.0.5', get: (name) => (req.headers || {})[name], ...req }, res, () => { passed = true; });
+  return { passed, res };
+}
+
+test('origin matcher takes exact origins and * wildcards', () => {
+  const { isOriginAllowed } = createAccessControl({ ALLOWED_ORIGINS: 'chrome-extension://abcdef, https://*.example.com', PROXY_TOKENS: 't' });
+  assert.equal(isOriginAllowed('chrome-extension://abcdef'), true);
+  assert.equal(isOriginAllowed('CHROME-EXTENSION://ABCDEF'), true);
+  assert.equal(isOriginAllowed('chrome-extension://other'), false);
+  assert.equal(isOriginAllowed('https://app.example.com'), true);
+  // dots are literal, the pattern is anchored
+  assert.equal(isOriginAllowed('https://appXexample.com'), false);
+  assert.equal(isOriginAllowed('https://app.example.com.evil.test'), false);
+});
+
+test('originGuard refuses origins off the allowlist and lets requests without Origin through', () => {
+  const { originGuard } = createAccessControl({ ALLOWED_ORIGINS: 'chrome-extension://abcdef', PROXY_TOKENS: 't' });
+  assert.equal(run(originGuard, { headers: { Origin: 'chrome-extension://abcdef' } }).passed, true);
+  const refused = run(originGuard, { headers: { Origin: 'https://evil.test' } });
+  assert.equal(refused.passed, false);
+  assert.equal(refused.res.statusCode, 403);
+  assert.equal(refused.res.body.code, 'origin_not_allowed');
+  assert.equal(run(originGuard, { headers: {} }).passed, true);
+});
+
+test('without tokens the proxy only listens on loopback', () => {
+  assert.equal(createAccessControl({}).listenHost, '127.0.0.1');
+  assert.equal(createAccessControl({ HOST: '::1' }).listenHost, '::1');
+  assert.throws(() => createAccessControl({ HOST: '0.0.0.0' }), /PROXY_TOKENS/);
+  assert.equal(createAccessControl({ HOST: '0.0.0.0', PROXY_TOKENS: 't' }).listenHost, '0.0.0.0');
+  assert.equal(createAccessControl({ PROXY_TOKENS: 't' }).listenHost, undefined);
+});
+
+test('parseTokens never derives a name from the secret', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'access-')), 'tokens.json');
+  fs.writeFileSync(file, JSON.stringify([{ token: 'supersecret-1' }, { name: 'carol', token: 'supersecret-2', dailyQuota: 5 }]));
+  const tokens = parseTokens({ PROXY_TOKENS: 'alice:s3cret, bare-secret', PROXY_TOKENS_FILE: file });
+  assert.deepEqual(tokens.map(t => t.name), ['alice', 'token-2', 'file-token-1', 'carol']);
+  assert.equal(tokens[3].dailyQuota, 5);
+});
+
+test('requireToken checks the bearer token and names the client', () => {
+  const { requireToken } = createAccessControl({ PROXY_TOKENS: 'alice:s3cret' });
+  assert.equal(run(requireToken, { headers: {} }).res.body.code, 'auth_required');
+  assert.equal(run(requireToken, { headers: { Authorization: 'Bearer nope' } }).res.body.code, 'invalid_token');
+  const req = { get: (name) => ({ Authorization: 'Bearer s3cret' })[name] };
+  let passed = false;
+  requireToken(req, fakeRes(), () => { passed = true; });
+  assert.equal(passed, true);
+  assert.equal(req.client.name, 'alice');
+  assert.equal(req.client.id, 'token:alice');
+});
+
+test('admin tokens come from ADMIN_TOKENS or admin: true in the tokens file', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'access-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'tokens.json');
+  fs.writeFileSync(file, JSON.stringify([{ name: 'ops', token: 'o', admin: true }]));
+  const { requireToken } = createAccessControl({ PROXY_TOKENS: 'alice:a,bob:b', PROXY_TOKENS_FILE: file, ADMIN_TOKENS: 'alice' });
+  const clientFor = (token) => {
+    const req = { get: (name) => ({ Authorization: `Bearer ${token}` })[name] };
+    requireToken(req, fakeRes(), () => {});
+    return req.client;
+  };
+  assert.deepEqual(['a', 'b', 'o'].map(token => clientFor(token).admin), [true, false, true]);
+  // without tokens the proxy is local only and the caller sees everything
+  const local = createAccessControl({});
+  const req = { ip: '127.0.0.1', get: () => undefined };
+  local.requireToken(req, fakeRes(), () => {});
+  assert.equal(req.client.admin, true);
+});
+
+test('a non-loopback HOST without tokens fails with a hint for Docker', () => {
+  assert.throws(() => createAccessControl({ HOST: '0.0.0.0' }), /set PROXY_TOKENS .*In Docker, add e\.g\. PROXY_TOKENS=/);
+  assert.equal(createAccessControl({ HOST: '0.0.0.0', PROXY_TOKENS: 't' }).listenHost, '0.0.0.0');
+});
+
+test('token bucket allows the burst, then refills at the per-minute rate', (t) => {
+  let now = Date.UTC(2026, 0, 1, 12);
+  t.mock.method(Date, 'now', () => now);
+  const { rateLimit } = createAccessControl({ PROXY_TOKENS: 't', RATE_LIMIT_PER_MINUTE: '6', RATE_LIMIT_BURST: '2', DAILY_QUOTA: '0' });
+  const client = { id: 'token:t', limits: { ratePerMinute: 6, burst: 2, dailyQuota: 0 } };
+
+  assert.equal(run(rateLimit, { client }).passed, true);
+  assert.equal(run(rateLimit, { client }).passed, true);
+  const limited = run(rateLimit, { client });
+  assert.equal(limited.passed, false);
+  assert.equal(limited.res.statusCode, 429);
+  assert.equal(limited.res.body.code, 'rate_limited');
+  assert.equal(limited.res.body.retryAfter, 10); // 6 per minute: one every 10s
+
+  now += 10000;
+  assert.equal(run(rateLimit, { client }).passed, true);
+  assert.equal(run(rateLimit, { client }).passed, false);
+  // a long pause refills no more than the burst
+  now += 10 * 60000;
+  assert.equal(run(rateLimit, { client }).passed, true);
+  assert.equal(run(rateLimit, { client }).passed, true);
+  assert.equal(run(rateLimit, { client }).passed, false);
+});
+
+test('daily quota blocks until the next UTC midnight and then resets', (t) => {
+  let now = Date.UTC(2026, 0, 1, 23, 59);
+  t.mock.method(Date, 'now', () => now);
+  const { rateLimit } = createAccessControl({ PROXY_TOKENS: 't' });
+  const client = { id: 'token:t', limits: { ratePerMinute: 1000, burst: 1000, dailyQuota: 2 } };
+
+  assert.equal(run(rateLimit, { client }).res.headers['X-Quota-Remaining'], '1');
+  assert.equal(run(rateLimit, { client }).passed, true);
+  const blocked = run(rateLimit, { client });
+  assert.equal(blocked.res.statusCode, 429);
+  assert.equal(blocked.res.body.code, 'quota_exceeded');
+  assert.equal(blocked.res.body.resetsAt, '2026-01-02T00:00:00.000Z');
+  assert.equal(blocked.res.headers['Retry-After'], '60');
+
+  now = Date.UTC(2026, 0, 2, 0, 0, 1);
+  assert.equal(run(rateLimit, { client }).passed, true);
+});
+
+test('nextUtcMidnight', () => {
+  assert.equal(nextUtcMidnight(Date.UTC(2026, 1, 28, 13)), Date.UTC(2026, 2, 1));
+  assert.equal(nextUtcMidnight(Date.UTC(2026, 11, 31, 0, 0)), Date.UTC(2027, 0, 1));
+});
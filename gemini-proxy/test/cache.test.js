@@ -0,0 +1,89 @@
+// LRU order, expiry, persistence loading and env settings of lib/cache.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createResponseCache, createResponseCacheFromEnv, cacheKey, pageContextText } = require('../lib/cache');
+
+const NOW = Date.parse('2026-10-14T12:00:00Z');
+
+test('the least recently used entry is evicted first', () => {
+  const cache = createResponseCache({ maxEntries: 2 });
+  cache.set('a', { text: 'A' });
+  cache.set('b', { text: 'B' });
+  assert.equal(cache.get('a').text, 'A'); // a is now the most recent
+  cache.set('c', { text: 'C' });
+  assert.equal(cache.size, 2);
+  assert.equal(cache.get('b'), null);
+  assert.equal(cache.get('a').text, 'A');
+  assert.equal(cache.get('c').text, 'C');
+});
+
+test('entries expire after the TTL and keep the time they were cached', (t) => {
+  let now = NOW;
+  t.mock.method(Date, 'now', () => now);
+  const cache = createResponseCache({ ttlMs: 1000 });
+  cache.set('k', { text: 'v' });
+  now += 999;
+  assert.deepEqual(cache.get('k'), { text: 'v', cachedAt: NOW });
+  now += 1;
+  assert.equal(cache.get('k'), null);
+  assert.equal(cache.size, 0);
+});
+
+test('a disabled cache stores nothing', () => {
+  const cache = createResponseCache({ enabled: false });
+  cache.set('k', { text: 'v' });
+  assert.equal(cache.get('k'), null);
+  assert.equal(cache.size, 0);
+});
+
+test('a persisted cache loads only unexpired entries, newest kept when over the limit', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'cache.json');
+  const entry = (text, expiresAt) => ({ value: { text }, expiresAt });
+  fs.writeFileSync(file, JSON.stringify({
+    version: 1,
+    entries: [['old', entry('x', Date.now() - 1)], ['a', entry('A', Date.now() + 60000)], ['b', entry('B', Date.now() + 60000)], ['c', entry('C', Date.now() + 60000)]]
+  }));
+  const cache = createResponseCache({ maxEntries: 2, persistPath: file });
+  assert.equal(cache.size, 2);
+  assert.equal(cache.get('old'), null);
+  assert.equal(cache.get('a'), null);
+  assert.equal(cache.get('c').text, 'C');
+});
+
+test('cache keys ignore whitespace-only differences in the page text', () => {
+  const a = pageContextText({ title: 'T', mainTextSnippet: 'one  two\n three', url: 'https://a.test' });
+  const b = pageContextText({ title: 'T', mainTextSnippet: ' one two three ', url: 'https://b.test' });
+  assert.equal(a, 'T one two three');
+  assert.equal(cacheKey(['summarize', a]), cacheKey(['summarize', b]));
+  assert.notEqual(cacheKey(['summarize', a]), cacheKey(['query', a]));
+  assert.equal(pageContextText(null), '');
+});
+
+test('env settings: numbers that are not positive fall back to the defaults', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  let now = NOW;
+  t.mock.method(Date, 'now', () => now);
+  const cache = createResponseCacheFromEnv({ CACHE_MAX_ENTRIES: 'lots', CACHE_TTL_SECONDS: '-5' });
+  assert.equal(console.warn.mock.callCount(), 2);
+  for (let i = 0; i < 501; i++) cache.set(`k${i}`, { text: String(i) });
+  assert.equal(cache.size, 500); // default maxEntries
+  now += 23 * 60 * 60 * 1000;
+  assert.equal(cache.get('k500').text, '500'); // default TTL is a day
+  now += 60 * 60 * 1000;
+  assert.equal(cache.get('k500'), null);
+
+  const small = createResponseCacheFromEnv({ CACHE_MAX_ENTRIES: '1', CACHE_TTL_SECONDS: '10' });
+  small.set('a', { text: 'A' });
+  small.set('b', { text: 'B' });
+  assert.equal(small.size, 1);
+  now += 10 * 1000;
+  assert.equal(small.get('b'), null);
+  assert.equal(createResponseCacheFromEnv({ CACHE_ENABLED: 'false' }).enabled, false);
+  assert.equal(console.warn.mock.callCount(), 2);
+});
@@ -0,0 +1,127 @@
+// Schema checks, row validation and type coercion of lib/extract.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_FIELDS, MAX_ROWS, resolveExtractSchema, buildResponseSchema, parseExtractedRows, extractRows, listExtractPresets } = require('../lib/extract');
+
+const FIELDS = [
+  { name: 'name', type: 'string' },
+  { name: 'price', type: 'number' },
+  { name: 'stock', type: 'integer' },
+  { name: 'inStock', type: 'boolean' },
+  { name: 'link', type: 'url' }
+];
+
+test('resolveExtractSchema cleans custom fields', () => {
+  const resolved = resolveExtractSchema({ fields: [{ name: ' title ', description: ` ${'d'.repeat(300)}` }, { name: 'year', type: 'integer' }], instructions: '  only books ' });
+  assert.equal(resolved.error, undefined);
+  assert.equal(resolved.preset, null);
+  assert.deepEqual(resolved.fields.map(f => [f.name, f.type, f.description.length]), [['title', 'string', 200], ['year', 'integer', 0]]);
+  assert.equal(resolved.instructions, 'only books');
+});
+
+test('resolveExtractSchema uses a preset unless fields are given', () => {
+  const [preset] = listExtractPresets();
+  const fromPreset = resolveExtractSchema({ preset: preset.id });
+  assert.equal(fromPreset.preset, preset.id);
+  assert.deepEqual(fromPreset.fields.map(f => f.name), preset.fields.map(f => f.name));
+  const overridden = resolveExtractSchema({ preset: preset.id, fields: [{ name: 'only' }] });
+  assert.deepEqual(overridden.fields.map(f => f.name), ['only']);
+});
+
+test('resolveExtractSchema rejects bad schemas', () => {
+  const error = (schema) => resolveExtractSchema(schema).error;
+  assert.match(error(null), /must be an object/);
+  assert.match(error({ preset: 'nope' }), /Unknown preset "nope"/);
+  assert.match(error({ fields: [] }), /non-empty array/);
+  assert.match(error({ fields: Array.from({ length: MAX_FIELDS + 1 }, (_, i) => ({ name: `f${i}` })) }), /At most/);
+  assert.match(error({ fields: [{ name: '  ' }] }), /Field names/);
+  assert.match(error({ fields: [{ name: 'a' }, { name: 'a' }] }), /listed twice/);
+  assert.match(error({ fields: [{ name: 'a', type: 'money' }] }), /type must be one of/);
+});
+
+test('buildResponseSchema lists every field as nullable and required, in order', () => {
+  const schema = buildResponseSchema([{ name: 'when', type: 'date', description: 'Start' }, { name: 'count', type: 'integer', description: '' }]);
+  const items = schema.properties.rows.items;
+  assert.deepEqual(items.properties.when, { type: 'STRING', nullable: true, description: 'Start; date as YYYY-MM-DD' });
+  assert.deepEqual(items.properties.count, { type: 'INTEGER', nullable: true });
+  assert.deepEqual(items.required, ['when', 'count']);
+  assert.deepEqual(items.propertyOrdering, ['when', 'count']);
+});
+
+test('parseExtractedRows coerces values to the field types', () => {
+  const rows = parseExtractedRows(JSON.stringify({
+    rows: [
+      { name: ' Lamp ', price: '$1,299.00', stock: '12.6', inStock: 'yes', link: 'https://x.test/lamp', extra: 'dropped' },
+      { name: 42, price: '12,5', stock: 3, inStock: 0, link: '' },
+      { name: { en: 'Chair' }, price: 'call us', stock: null, inStock: 'maybe' }
+    ]
+  }), FIELDS);
+  assert.deepEqual(rows, [
+    { name: 'Lamp', price: 1299, stock: 13, inStock: true, link: 'https://x.test/lamp' },
+    { name: '42', price: 12.5, stock: 3, inStock: false, link: null },
+    { name: '{"en":"Chair"}', price: null, stock: null, inStock: null, link: null }
+  ]);
+});
+
+test('numbers follow the thousands and decimal separators, ambiguous groups are dropped', () => {
+  const fields = [{ name: 'n', type: 'number' }];
+  const parse = (n) => parseExtractedRows(JSON.stringify([{ n, keep: 1 }]), [...fields, { name: 'keep', type: 'integer' }])[0].n;
+  assert.equal(parse('1.234,56'), 1234.56);
+  assert.equal(parse('1,234,567.89'), 1234567.89);
+  assert.equal(parse('1.234.567'), 1234567);
+  assert.equal(parse('1,234'), 1234);
+  assert.equal(parse('12,5'), 12.5);
+  assert.equal(parse('1 234,5 €'), 1234.5);
+  assert.equal(parse('-3'), -3);
+  assert.equal(parse('1.2.3'), null);
+  assert.equal(parse('1,23,456'), null);
+  assert.equal(parse('10-20'), null);
+});
+
+test('dates are normalized to YYYY-MM-DD and URLs must be http(s)', () => {
+  const fields = [{ name: 'd', type: 'date' }, { name: 'u', type: 'url' }];
+  const parse = (row, options) => parseExtractedRows(JSON.stringify([{ ...row, keep: 1 }]), [...fields, { name: 'keep', type: 'integer' }], options)[0];
+  ['2024-03-05', '2024/3/5', '2024-03-05T10:00:00Z', 'March 5, 2024', '5th Mar 2024'].forEach(d => assert.equal(parse({ d }).d, '2024-03-05'));
+  // day and month can't be told apart, or the date does not exist
+  ['03/05/2024', '2024-02-30', 'soon', 20240305].forEach(d => assert.equal(parse({ d }).d, null));
+  assert.equal(parse({ u: 'https://x.test/a b' }).u, 'https://x.test/a%20b');
+  assert.equal(parse({ u: 'javascript:alert(1)' }).u, null);
+  assert.equal(parse({ u: '/item?id=3' }).u, null);
+  assert.equal(parse({ u: '/item?id=3' }, { baseUrl: 'https://shop.test/list' }).u, 'https://shop.test/item?id=3');
+});
+
+test('parseExtractedRows finds the JSON in fenced or bare-array answers', () => {
+  const fields = [{ name: 'name', type: 'string' }];
+  assert.deepEqual(parseExtractedRows('Here you go:\n```json\n{"rows":[{"name":"a"}]}\n```', fields), [{ name: 'a' }]);
+  assert.deepEqual(parseExtractedRows('[{"name":"b"}]', fields), [{ name: 'b' }]);
+  assert.deepEqual(parseExtractedRows('{"rows": []}', fields), []);
+});
+
+test('parseExtractedRows drops empty and malformed rows and caps the count', () => {
+  const fields = [{ name: 'n', type: 'integer' }];
+  assert.deepEqual(parseExtractedRows('{"rows":[{"n":1},{"n":null},{},[2],"x",null,{"n":"4"}]}', fields), [{ n: 1 }, { n: 4 }]);
+  const many = JSON.stringify({ rows: Array.from({ length: MAX_ROWS + 5 }, (_, n) => ({ n })) });
+  assert.equal(parseExtractedRows(many, fields).length, MAX_ROWS);
+});
+
+test('parseExtractedRows returns null without usable JSON', () => {
+  assert.equal(parseExtractedRows('', FIELDS), null);
+  assert.equal(parseExtractedRows('No items here.', FIELDS), null);
+  assert.equal(parseExtractedRows('{"rows": [oops]}', FIELDS), null);
+  assert.equal(parseExtractedRows('{"items": []}', FIELDS), null);
+});
+
+test('extractRows asks once more after an answer without JSON', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const answers = ['Sorry, I cannot.', '{"rows":[{"name":"ok"}]}'];
+  const requests = [];
+  const provider = { generate: async (req) => { requests.push(req); return { text: answers.shift() }; } };
+  const schema = resolveExtractSchema({ fields: [{ name: 'name' }] });
+  assert.deepEqual(await extractRows({ provider, schema, pageContext: { title: 'T', mainTextSnippet: 'ok' } }), { rows: [{ name: 'ok' }] });
+  assert.equal(requests.length, 2);
+  assert.equal(requests[0].generationConfig.responseMimeType, 'application/json');
+  assert.equal(requests[0].generationConfig.temperature, 0);
+
+  const never = { generate: async () => ({ text: 'no' }) };
+  assert.deepEqual(await extractRows({ provider: never, schema, pageContext: null }), { rows: null });
+});
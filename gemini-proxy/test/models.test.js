@@ -0,0 +1,60 @@
+// Model list and per-request model / generation checks of lib/models.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createModelCatalog, createModelCatalogFromEnv } = require('../lib/models');
+
+const provider = { name: 'gemini', model: 'gemini-2.5-flash' };
+const catalog = createModelCatalog({ provider, models: ['gemini-2.5-pro', ' gemini-2.0-flash ', 'gemini-2.5-flash', 'custom-model', ''] });
+const error = (request) => catalog.resolve(request).error;
+
+test('list has the provider model first, once, with the known limits', () => {
+  const { defaultModel, models, temperature } = catalog.list();
+  assert.equal(defaultModel, 'gemini-2.5-flash');
+  assert.deepEqual(models.map(m => [m.id, m.default, m.maxOutputTokens]), [
+    ['gemini-2.5-flash', true, 65536], ['gemini-2.5-pro', false, 65536], ['gemini-2.0-flash', false, 8192], ['custom-model', false, 8192]
+  ]);
+  assert.equal(models[3].thinking, null);
+  assert.deepEqual(temperature, { min: 0, max: 2 });
+});
+
+test('resolve defaults to the provider model and returns only the overrides', () => {
+  assert.deepEqual(catalog.resolve(), { model: 'gemini-2.5-flash', generationConfig: {} });
+  assert.deepEqual(catalog.resolve({ model: '', generation: null }), { model: 'gemini-2.5-flash', generationConfig: {} });
+  assert.deepEqual(catalog.resolve({ model: 'gemini-2.5-pro', generation: { temperature: 0, maxOutputTokens: 65536, thinkingBudget: 128 } }), {
+    model: 'gemini-2.5-pro',
+    generationConfig: { temperature: 0, maxOutputTokens: 65536, thinkingConfig: { thinkingBudget: 128 } }
+  });
+});
+
+test('resolve rejects models that are not offered', () => {
+  assert.match(error({ model: 'gemini-2.5-flash-lite' }), /"gemini-2.5-flash-lite" is not available on this proxy\. Available: gemini-2.5-flash, gemini-2.5-pro/);
+  assert.match(error({ model: 42 }), /not available/);
+  assert.match(error({ generation: 'hot' }), /must be an object/);
+});
+
+test('resolve checks temperature and maxOutputTokens against the model', () => {
+  assert.match(error({ generation: { temperature: 2.5 } }), /temperature must be a number from 0 to 2/);
+  assert.match(error({ generation: { temperature: '1' } }), /temperature/);
+  assert.match(error({ model: 'gemini-2.0-flash', generation: { maxOutputTokens: 8193 } }), /from 1 to 8192 for gemini-2.0-flash/);
+  assert.match(error({ generation: { maxOutputTokens: 1.5 } }), /whole number/);
+  assert.match(error({ generation: { maxOutputTokens: 0 } }), /whole number/);
+});
+
+test('resolve checks the thinking budget against the model range', () => {
+  const budget = (model, thinkingBudget) => catalog.resolve({ model, generation: { thinkingBudget } });
+  assert.deepEqual(budget('gemini-2.5-flash', 0).generationConfig, { thinkingConfig: { thinkingBudget: 0 } });
+  assert.deepEqual(budget('gemini-2.5-pro', -1).generationConfig, { thinkingConfig: { thinkingBudget: -1 } });
+  // Pro cannot turn thinking off
+  assert.match(budget('gemini-2.5-pro', 0).error, /must be -1 \(dynamic\) or from 128 to 32768/);
+  assert.match(budget('gemini-2.5-flash', 24577).error, /-1 \(dynamic\), 0 \(off\) or from 1 to 24576/);
+  assert.match(budget('gemini-2.0-flash', 512).error, /gemini-2.0-flash has no thinking budget/);
+  assert.match(budget('custom-model', -1).error, /no thinking budget/);
+});
+
+test('env settings: LLM_MODELS adds to the provider model', () => {
+  assert.deepEqual(createModelCatalogFromEnv({ provider }, {}).list().models.map(m => m.id), ['gemini-2.5-flash']);
+  const fromEnv = createModelCatalogFromEnv({ provider }, { LLM_MODELS: 'gemini-2.5-pro, ,gemini-2.5-flash-lite' });
+  assert.deepEqual(fromEnv.list().models.map(m => m.id), ['gemini-2.5-flash', 'gemini-2.5-pro', 'gemini-2.5-flash-lite']);
+  assert.equal(fromEnv.has('gemini-2.5-flash-lite'), true);
+  assert.equal(fromEnv.list().models[2].thinking.min, 512); // matched before gemini-2.5-flash
+});
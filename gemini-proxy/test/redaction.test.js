@@ -0,0 +1,113 @@
+// Detectors, placeholders and restore() of chrome-extensions/redaction.js. The file is a classic
+// extension script (no module.exports), so it is run in a vm context and its functions read back.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const source = fs.readFileSync(path.join(__dirname, '../chrome-extensions/redaction.js'), 'utf8');
+const {
+  createRedactor, createRestoringStream, redactRequest, describeRedactions, luhnValid, looksLikePhone, parseRedactionPattern
+} = vm.runInContext(`${source}
+;({ createRedactor, createRestoringStream, redactRequest, describeRedactions, luhnValid, looksLikePhone, parseRedactionPattern })`, vm.createContext({}));
+
+const only = (...ids) => ({ redactionDetectors: Object.fromEntries(ids.map(id => [id, true])), redactionPatterns: [] });
+
+test('emails get numbered placeholders, the same value the same one', () => {
+  const r = createRedactor(only('email'));
+  assert.equal(r.text('a@b.com, Jane.Doe@Example.org and a@b.com'), '[EMAIL 1], [EMAIL 2] and [EMAIL 1]');
+  assert.equal(r.counts().EMAIL, 2);
+});
+
+test('card numbers must pass the Luhn check', () => {
+  assert.equal(luhnValid('4111111111111111'), true);
+  assert.equal(luhnValid('4111111111111112'), false);
+  const r = createRedactor(only('card'));
+  assert.equal(r.text('card 4111 1111 1111 1111'), 'card [CARD 1]');
+  assert.equal(r.text('order 4111 1111 1111 1112'), 'order 4111 1111 1111 1112');
+});
+
+test('phone numbers, but not dates or short numbers', () => {
+  assert.equal(looksLikePhone('+1 415 555 2671'), true);
+  assert.equal(looksLikePhone('(030) 1234 567'), true);
+  assert.equal(looksLikePhone('030 1234 5678'), true);
+  assert.equal(looksLikePhone('2024-01-15'), false);
+  assert.equal(looksLikePhone('15.01.2024'), false);
+  assert.equal(looksLikePhone('12 345'), false);
+  const r = createRedactor(only('phone'));
+  assert.equal(r.text('Call +1 415 555 2671 before 2024-01-15 or 15.01.2024.'), 'Call [PHONE 1] before 2024-01-15 or 15.01.2024.');
+});
+
+test('API keys, labelled secrets and random tokens', () => {
+  const r = createRedactor(only('apiKey', 'secrets'));
+  assert.equal(r.text('key sk-abcdefghijklmnopqrstuvwxyz123456'), 'key [KEY 1]');
+  assert.equal(r.text('password: hunter22'), 'password: [SECRET 1]');
+  assert.equal(r.text('id aB3dE5gH7jK9mN1pQ3sT5vW7yZ9bC1dE3f'), 'id [KEY 2]');
+  // hex hashes and plain words are not random tokens
+  assert.equal(r.text('sha d41d8cd98f00b204e9800998ecf8427ed41d8cd9'), 'sha d41d8cd98f00b204e9800998ecf8427ed41d8cd9');
+});
+
+test('URL parameters keep their names', () => {
+  const r = createRedactor(only('urlParams'));
+  assert.equal(r.url('https://x.test/a?token=abc&page=2#k=v'), 'https://x.test/a?token=[PARAM 1]&page=[PARAM 2]#k=[PARAM 3]');
+  assert.equal(r.text('see https://x.test/?q=hello here'), 'see https://x.test/?q=[PARAM 4] here');
+  // already redacted values are left alone
+  assert.equal(r.url('https://x.test/?a=[PARAM 1]'), 'https://x.test/?a=[PARAM 1]');
+});
+
+test('custom patterns, and invalid ones are dropped', () => {
+  assert.equal(parseRedactionPattern('/acme-\\d+/i').flags, 'gi');
+  assert.equal(parseRedactionPattern('('), null);
+  assert.equal(parseRedactionPattern('  '), null);
+  const r = createRedactor({ redactionDetectors: {}, redactionPatterns: ['/ACME-\\d+/i', '('] });
+  assert.equal(r.text('ticket acme-42'), 'ticket [REDACTED 1]');
+});
+
+test('custom patterns never rewrite placeholders', () => {
+  const r = createRedactor({ redactionDetectors: { email: true, urlParams: true }, redactionPatterns: ['\\d+', 'EMAIL'] });
+  const sent = r.text('Order 42 from a@b.com, see https://x.test/?id=7');
+  assert.equal(sent, 'Order [REDACTED 1] from [EMAIL 1], see https://x.test/?id=[PARAM 1]');
+  assert.equal(r.restore(sent), 'Order 42 from a@b.com, see https://x.test/?id=7');
+  // text that was redacted before (earlier chat turns) keeps its placeholders too
+  assert.equal(r.text(sent), sent);
+});
+
+test('turned-off detectors leave the text alone', () => {
+  const r = createRedactor({ redactionDetectors: {}, redactionPatterns: [] });
+  assert.equal(r.text('a@b.com +1 415 555 2671'), 'a@b.com +1 415 555 2671');
+});
+
+test('restore puts back only the values this redactor replaced', () => {
+  const r = createRedactor();
+  const other = createRedactor(undefined, { numberPrefix: 'T' });
+  const sent = r.text('Mail a@b.com');
+  assert.equal(other.text('Mail c@d.com'), 'Mail [EMAIL T1]');
+  assert.equal(r.restore(`${sent}, not [EMAIL 2] or [EMAIL T1]`), 'Mail a@b.com, not [EMAIL 2] or [EMAIL T1]');
+  assert.equal(r.restore(undefined), undefined);
+});
+
+test('a streamed answer is restored even when a chunk splits a placeholder', () => {
+  const r = createRedactor();
+  r.text('a@b.com and c@d.com');
+  const push = createRestoringStream(r);
+  const shown = ['Write to [EM', 'AIL 1] or [', 'EMAIL 2', '], see [docs](u)'].map(push);
+  assert.deepEqual(shown, ['Write to ', 'a@b.com or ', '', 'c@d.com, see [docs](u)']);
+});
+
+test('redactRequest covers the request, selection, page context and history', () => {
+  const r = createRedactor(only('email', 'urlParams'));
+  const out = redactRequest({
+    action: 'query_gemini',
+    prompt: 'Reply to a@b.com',
+    selectedText: 'a@b.com',
+    history: [{ role: 'user', text: 'c@d.com?' }],
+    pageContext: { url: 'https://x.test/?u=42', title: 'Inbox', topLinks: [{ text: 'c@d.com', href: 'https://x.test/?id=7' }] }
+  }, r);
+  assert.equal(out.prompt, 'Reply to [EMAIL 1]');
+  assert.equal(out.selectedText, '[EMAIL 1]');
+  assert.equal(out.history[0].text, '[EMAIL 2]?');
+  assert.equal(out.pageContext.url, 'https://x.test/?u=[PARAM 1]');
+  assert.deepEqual({ ...out.pageContext.topLinks[0] }, { text: '[EMAIL 2]', href: 'https://x.test/?id=[PARAM 2]' });
+  assert.equal(describeRedactions(r.counts()), '2 emails, 2 URL parameters');
+});
@@ -0,0 +1,163 @@
+// Retries, model fallback and the circuit breaker of lib/resilience.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createResilience, createResilienceFromEnv, isTransient } = require('../lib/resilience');
+const { UpstreamError, CircuitOpenError } = require('../lib/errors');
+
+// Every failed attempt is logged
+test.beforeEach((t) => { t.mock.method(console, 'warn', () => {}); });
+
+const NOW = Date.parse('2026-10-14T12:00:00Z');
+const FAST = { baseDelayMs: 1, maxDelayMs: 50 };
+
+const upstream = (status, retryAfterMs = null) => new UpstreamError('fake', status, '', retryAfterMs);
+
+// A provider for `model` that answers with the queued outcomes (an Error is thrown), then 'ok'
+function fakeProvider(model, outcomes = []) {
+  const requests = [];
+  const next = (req) => {
+    requests.push(req);
+    const outcome = outcomes.shift();
+    if (outcome instanceof Error) throw outcome;
+    return { text: outcome || `ok from ${req.model}` };
+  };
+  return {
+    name: 'fake',
+    model,
+    requests,
+    generate: async (req) => next(req),
+    stream: async (req, onDelta) => {
+      const result = next(req);
+      onDelta(result.text);
+      return result;
+    }
+  };
+}
+
+test('isTransient covers rate limits, server errors and failed connections only', () => {
+  [429, 500, 502, 503, 504].forEach(status => assert.equal(isTransient(upstream(status)), true));
+  [400, 401, 404].forEach(status => assert.equal(isTransient(upstream(status)), false));
+  assert.equal(isTransient(new TypeError('fetch failed')), true);
+  assert.equal(isTransient(new Error('boom')), false);
+  assert.equal(isTransient(null), false);
+});
+
+test('transient failures are retried with backoff and reported', async () => {
+  const primary = fakeProvider('main', [upstream(503), upstream(429)]);
+  const retries = [];
+  const { provider, report } = createResilience({ primary, ...FAST }).forRequest({ onRetry: r => retries.push(r) });
+  assert.deepEqual(await provider.generate({ contents: [] }), { text: 'ok from main' });
+  assert.deepEqual(report(), { model: 'main', attempts: 3 });
+  assert.deepEqual(retries.map(({ stage, model, attempt, reason }) => [stage, model, attempt, reason]), [['retry', 'main', 2, '503'], ['retry', 'main', 3, '429']]);
+  assert.ok(retries.every(r => r.delayMs <= FAST.maxDelayMs));
+});
+
+test('other errors are thrown at once and do not count against the model', async () => {
+  const primary = fakeProvider('main', [upstream(400), upstream(400)]);
+  const resilience = createResilience({ primary, failureThreshold: 1, ...FAST });
+  const { provider, report } = resilience.forRequest();
+  await assert.rejects(provider.generate({}), (err) => err.status === 400);
+  assert.equal(report().attempts, 1);
+  assert.deepEqual(resilience.status(), [{ model: 'main', circuitOpen: false }]);
+});
+
+test('the fallback model answers once the primary one used up its attempts, without its thinking budget', async () => {
+  const primary = fakeProvider('main', [upstream(500), upstream(500)]);
+  const fallback = fakeProvider('backup');
+  const retries = [];
+  const { provider, report } = createResilience({ primary, fallback, maxAttempts: 2, ...FAST }).forRequest({ onRetry: r => retries.push(r) });
+  const req = { contents: [], generationConfig: { temperature: 0.2, thinkingConfig: { thinkingBudget: 512 } } };
+  assert.deepEqual(await provider.generate(req), { text: 'ok from backup' });
+  assert.deepEqual(report(), { model: 'backup', attempts: 3, fallback: true });
+  assert.deepEqual(retries.map(r => r.stage), ['retry', 'fallback']);
+  assert.deepEqual(primary.requests[0].generationConfig, req.generationConfig);
+  assert.deepEqual(fallback.requests[0].generationConfig, { temperature: 0.2 });
+});
+
+test('a Retry-After longer than the longest wait goes straight to the fallback', async () => {
+  const primary = fakeProvider('main', [upstream(429, 60000)]);
+  const fallback = fakeProvider('backup');
+  const { provider, report } = createResilience({ primary, fallback, ...FAST }).forRequest();
+  await provider.generate({});
+  assert.deepEqual(report(), { model: 'backup', attempts: 2, fallback: true });
+});
+
+test('without a fallback the last upstream error is thrown', async () => {
+  const primary = fakeProvider('main', [upstream(502), upstream(502)]);
+  const { provider } = createResilience({ primary, maxAttempts: 2, ...FAST }).forRequest();
+  await assert.rejects(provider.generate({}), (err) => err instanceof UpstreamError && err.status === 502);
+});
+
+test('the breaker opens after repeated failures, fails fast, then lets one trial call through', async (t) => {
+  let now = NOW;
+  t.mock.method(Date, 'now', () => now);
+  const primary = fakeProvider('main', [upstream(503), upstream(503), upstream(503)]);
+  const resilience = createResilience({ primary, maxAttempts: 5, failureThreshold: 2, cooldownMs: 30000, ...FAST });
+
+  await assert.rejects(resilience.forRequest().provider.generate({}), UpstreamError);
+  assert.equal(primary.requests.length, 2); // stops retrying once the breaker opens
+  assert.deepEqual(resilience.status(), [{ model: 'main', circuitOpen: true }]);
+
+  now += 10000;
+  await assert.rejects(resilience.forRequest().provider.generate({}), (err) => err instanceof CircuitOpenError && err.retryAfterMs === 20000);
+  assert.equal(primary.requests.length, 2);
+
+  // the trial call fails: open for another cooldown
+  now += 20000;
+  await assert.rejects(resilience.forRequest().provider.generate({}), UpstreamError);
+  assert.equal(primary.requests.length, 3);
+  assert.equal(resilience.status()[0].circuitOpen, true);
+
+  // the next trial succeeds and closes it
+  now += 30000;
+  assert.deepEqual(await resilience.forRequest().provider.generate({}), { text: 'ok from main' });
+  assert.equal(resilience.status()[0].circuitOpen, false);
+});
+
+test('an open primary breaker sends requests to the fallback', async () => {
+  const primary = fakeProvider('main', [upstream(503)]);
+  const fallback = fakeProvider('backup');
+  const resilience = createResilience({ primary, fallback, failureThreshold: 1, ...FAST });
+  await resilience.forRequest().provider.generate({});
+  const { provider, report } = resilience.forRequest();
+  await provider.generate({});
+  assert.deepEqual(report(), { model: 'backup', attempts: 1, fallback: true });
+  assert.equal(primary.requests.length, 1);
+});
+
+test('a stream is retried before its first text, but not after', async () => {
+  const primary = fakeProvider('main', [upstream(503)]);
+  const deltas = [];
+  const { provider } = createResilience({ primary, ...FAST }).forRequest();
+  await provider.stream({}, d => deltas.push(d));
+  assert.deepEqual(deltas, ['ok from main']);
+
+  const failing = fakeProvider('main');
+  failing.stream = async (req, onDelta) => {
+    failing.requests.push(req);
+    onDelta('partial');
+    throw upstream(503);
+  };
+  const { provider: once } = createResilience({ primary: failing, ...FAST }).forRequest();
+  await assert.rejects(once.stream({}, () => {}), UpstreamError);
+  assert.equal(failing.requests.length, 1);
+});
+
+test('aborting the request stops the backoff wait', async () => {
+  const primary = fakeProvider('main', [upstream(503)]);
+  const controller = new AbortController();
+  const { provider } = createResilience({ primary, baseDelayMs: 5000, maxDelayMs: 10000 }).forRequest({ onRetry: () => controller.abort() });
+  await assert.rejects(provider.generate({ signal: controller.signal }), { name: 'AbortError' });
+  assert.equal(primary.requests.length, 1);
+});
+
+test('env settings: invalid numbers fall back to the defaults', async (t) => {
+  t.mock.method(Math, 'random', () => 0);
+  const primary = fakeProvider('main', [upstream(503), upstream(503)]);
+  const retries = [];
+  const { provider } = createResilienceFromEnv({ primary, fallback: null }, { RETRY_MAX_ATTEMPTS: 'x', RETRY_BASE_DELAY_MS: '2', RETRY_MAX_DELAY_MS: '' })
+    .forRequest({ onRetry: r => retries.push(r) });
+  await provider.generate({});
+  // three attempts, 2ms doubled per retry with the lowest jitter
+  assert.deepEqual(retries.map(r => r.delayMs), [1, 2]);
+});
@@ -0,0 +1,99 @@
+// Chunking and the map-reduce rounds of lib/summarize.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_REDUCE_ROUNDS, splitIntoChunks, summarizeLongText } = require('../lib/summarize');
+
+// summarizeLongText logs the chunk count and warns when it truncates; keep that out of the test output
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+});
+
+const paragraph = (word, chars) => `${word} `.repeat(Math.ceil(chars / (word.length + 1))).trim();
+
+// answers map prompts with mapNote and condense prompts with condenseNote, and records every prompt
+function fakeProvider({ mapNote, condenseNote }) {
+  const prompts = { map: [], condense: [], final: [] };
+  const generate = async ({ contents }) => {
+    const text = contents[0].parts[0].text;
+    if (text.startsWith('You are summarizing')) {
+      prompts.map.push(text);
+      return { text: mapNote };
+    }
+    if (text.startsWith('Condense')) {
+      prompts.condense.push(text);
+      return { text: condenseNote };
+    }
+    prompts.final.push(text);
+    return { text: 'summary' };
+  };
+  return { prompts, provider: { generate, stream: async (req, onDelta) => { onDelta('sum'); return generate(req); } } };
+}
+
+const renderSummary = (contextBlock) => ({ system: 'sys', prompt: `FINAL\n${contextBlock}`, generationConfig: {} });
+
+test('splitIntoChunks packs paragraphs up to the limit', () => {
+  const text = ['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40)].join('\n\n');
+  assert.deepEqual(splitIntoChunks(text, 100), [`${'a'.repeat(40)}\n\n${'b'.repeat(40)}`, 'c'.repeat(40)]);
+  assert.deepEqual(splitIntoChunks('  \n\n ', 100), []);
+});
+
+test('splitIntoChunks starts a new chunk at a heading once the current one is half full', () => {
+  const intro = 'x'.repeat(60);
+  assert.deepEqual(splitIntoChunks(`${intro}\n## Next\nmore`, 100), [intro, '## Next\nmore']);
+  // under half full the heading stays in the same chunk
+  assert.deepEqual(splitIntoChunks('short\n## Next\nmore', 100), ['short\n\n## Next\nmore']);
+});
+
+test('splitIntoChunks cuts oversized paragraphs at sentences, slicing only what is still too long', () => {
+  const chunks = splitIntoChunks(`${'One two three. '.repeat(5)}${'z'.repeat(50)}`, 40);
+  assert.ok(chunks.every(c => c.length <= 40));
+  assert.equal(chunks[0], 'One two three. One two three. ');
+  assert.equal(chunks.join('').replace(/\s/g, ''), `${'Onetwothree.'.repeat(5)}${'z'.repeat(50)}`);
+});
+
+test('short notes go straight to the final summary', async () => {
+  const { prompts, provider } = fakeProvider({ mapNote: ' - point ', condenseNote: 'unused' });
+  const progress = [];
+  const text = [paragraph('alpha', 11000), paragraph('beta', 11000), paragraph('gamma', 5000)].join('\n\n');
+  const result = await summarizeLongText({ provider, text, renderSummary, onProgress: p => progress.push(p) });
+  assert.equal(result.chunks, 3);
+  assert.equal(result.text, 'summary');
+  assert.equal(prompts.condense.length, 0);
+  assert.match(prompts.map[1], /part 2 of 3/);
+  assert.ok(prompts.final[0].includes('[Part 1]\n- point\n\n[Part 2]\n- point\n\n[Part 3]\n- point'));
+  assert.deepEqual(progress.map(p => p.stage), ['map', 'map', 'map', 'reduce']);
+  assert.deepEqual(progress[3], { stage: 'reduce', round: 1, final: true });
+});
+
+test('citation mode asks every step to keep the passage IDs', async () => {
+  const { prompts, provider } = fakeProvider({ mapNote: 'x'.repeat(20000), condenseNote: 'short' });
+  const text = [paragraph('alpha', 11000), paragraph('beta', 11000)].join('\n\n');
+  const deltas = [];
+  await summarizeLongText({ provider, text, renderSummary, citations: true, onDelta: d => deltas.push(d) });
+  assert.equal(prompts.condense.length, 1);
+  assert.ok([...prompts.map, ...prompts.condense].every(p => p.includes('IDs of the passages')));
+  assert.deepEqual(deltas, ['sum']);
+});
+
+test('notes that do not shrink are condensed pairwise for at most MAX_REDUCE_ROUNDS, then truncated', async () => {
+  const { prompts, provider } = fakeProvider({ mapNote: 'n'.repeat(40000), condenseNote: 'c'.repeat(40000) });
+  const progress = [];
+  const text = Array.from({ length: 9 }, () => paragraph('word', 11000)).join('\n\n');
+  const result = await summarizeLongText({ provider, text, renderSummary, onProgress: p => progress.push(p) });
+  assert.equal(result.chunks, 9);
+
+  // 9 notes -> 5 -> 3 -> 2: every call takes two notes, except a last odd one
+  assert.equal(MAX_REDUCE_ROUNDS, 3);
+  assert.equal(prompts.condense.length, 5 + 3 + 2);
+  assert.deepEqual(prompts.condense.slice(0, 5).map(p => (p.match(/\[Part \d+\]/g) || []).length), [2, 2, 2, 2, 1]);
+  assert.deepEqual(progress.filter(p => p.stage === 'reduce'), [
+    { stage: 'reduce', round: 1 }, { stage: 'reduce', round: 2 }, { stage: 'reduce', round: 3 }, { stage: 'reduce', round: 4, final: true }
+  ]);
+
+  // the two remaining notes are cut so the final prompt still fits
+  assert.equal(console.warn.mock.callCount(), 1);
+  const final = prompts.final[0];
+  assert.equal((final.match(/\.\.\.\[truncated\]/g) || []).length, 2);
+  assert.ok(final.length < 30000 + 200);
+});
@@ -0,0 +1,80 @@
+// Template syntax, rendering and extra template files of lib/templates.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTemplateRegistry, createTemplateRegistryFromEnv, fillTemplate } = require('../lib/templates');
+const { TemplateError } = require('../lib/errors');
+
+// The registry logs the tasks it loaded and the files or tasks it skipped
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+// Writes an extra templates file and returns a registry built from the shipped file plus that one
+function withExtraFile(t, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'extra.json');
+  fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+  return createTemplateRegistryFromEnv({ PROMPT_TEMPLATES_FILE: file });
+}
+
+test('fillTemplate fills variables and keeps sections by whether the variable is set', () => {
+  const source = '{{#lang}}In {{lang}}: {{/lang}}{{^lang}}As is: {{/lang}}{{text}}{{missing}}';
+  assert.equal(fillTemplate(source, { lang: 'German', text: 'hi' }), 'In German: hi');
+  assert.equal(fillTemplate(source, { lang: '  ', text: 'hi' }), 'As is: hi');
+  assert.equal(fillTemplate(source, { text: 0 }), 'As is: 0');
+  assert.equal(fillTemplate(undefined, {}), '');
+});
+
+test('render applies defaults and appends the output requirements to the system instruction', () => {
+  const registry = createTemplateRegistry();
+  const rendered = registry.render('explain', { context: 'CTX\n', selectedText: 'entropy' });
+  assert.equal(rendered.task, 'explain');
+  assert.equal(rendered.prompt, 'CTX\n\nText to explain:\n"entropy"\n\nUser request: Explain this.');
+  assert.match(rendered.system, /\n\nOutput requirements:\n- Start with a one-sentence plain-language explanation\.\n- /);
+  // each render gets its own generationConfig
+  rendered.generationConfig.temperature = 2;
+  assert.notEqual(registry.render('explain', {}).generationConfig.temperature, 2);
+});
+
+test('unknown tasks and missing required variables throw TemplateError', () => {
+  const registry = createTemplateRegistry();
+  assert.throws(() => registry.render('nope'), (err) => err instanceof TemplateError && err.code === 'unknown_task' && /Available: general, /.test(err.message));
+  assert.throws(() => registry.render('general', { request: ' ' }), (err) => err instanceof TemplateError && err.code === 'missing_variable' && /"request" \(What the user typed\)/.test(err.message));
+  assert.equal(registry.has('general'), true);
+  assert.equal(registry.has('nope'), false);
+});
+
+test('list describes every task without its prompt text', () => {
+  const list = createTemplateRegistry().list();
+  const general = list.find(t => t.id === 'general');
+  assert.equal(general.hidden, true);
+  assert.equal(general.variables.request.required, true);
+  assert.ok(list.every(t => !('prompt' in t) && !('system' in t)));
+});
+
+test('an extra file adds and replaces tasks, and its broken tasks are skipped', (t) => {
+  const registry = withExtraFile(t, {
+    haiku: { label: 'Haiku', prompt: 'Write a haiku about {{topic}}', output: 'Three lines.', variables: { topic: { required: true } } },
+    define: { prompt: 'Define {{term}}' },
+    broken: { system: 'no prompt' }
+  });
+  assert.deepEqual(registry.render('haiku', { topic: 'rain' }), { task: 'haiku', system: 'Output requirements:\n- Three lines.', prompt: 'Write a haiku about rain', generationConfig: {} });
+  assert.equal(registry.render('define', { term: 'x' }).prompt, 'Define x');
+  assert.equal(registry.list().find(t => t.id === 'define').label, 'define');
+  assert.equal(registry.has('broken'), false);
+  assert.equal(registry.has('summarize'), true);
+  assert.match(console.error.mock.calls[0].arguments[0], /skipping .*extra\.json#broken/);
+});
+
+test('a broken or missing extra file only costs its own tasks', (t) => {
+  const registry = withExtraFile(t, '{ not json');
+  assert.equal(registry.has('explain'), true);
+  assert.match(console.error.mock.calls[0].arguments[0], /failed to load/);
+  assert.equal(withExtraFile(t, '[]').has('explain'), true);
+  assert.throws(() => createTemplateRegistry({ files: [path.join(os.tmpdir(), 'missing-templates.json')] }).render('explain'), /Unknown task/);
+});
@@ -0,0 +1,78 @@
+// Validation, batching and segment alignment of lib/translate.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_SEGMENTS, buildTranslatePrompt, parseTranslatedSegments, batchSegments, validateTranslateRequest, translateSegments } = require('../lib/translate');
+
+// Reads the segments back out of a translate prompt
+const promptSegments = (prompt) => JSON.parse(prompt.split('Input JSON array:\n')[1].split('\n\nTranslated JSON array:')[0]);
+
+// Upper-cases every segment; answer(segments) can replace the reply
+function fakeProvider(answer = (segments) => JSON.stringify(segments.map(s => s.toUpperCase()))) {
+  const calls = [];
+  return {
+    calls,
+    generate: async ({ contents }) => {
+      const segments = promptSegments(contents[0].parts[0].text);
+      calls.push(segments);
+      return { text: answer(segments) };
+    }
+  };
+}
+
+test('parseTranslatedSegments needs exactly one item per segment', () => {
+  assert.deepEqual(parseTranslatedSegments('```json\n["a", null, 3]\n```', 3), ['a', '', '3']);
+  assert.equal(parseTranslatedSegments('["a", "b"]', 3), null);
+  assert.equal(parseTranslatedSegments('["a", "b",]', 2), null);
+  assert.equal(parseTranslatedSegments('{"a": 1}', 1), null);
+  assert.equal(parseTranslatedSegments('', 0), null);
+});
+
+test('batchSegments keeps document order and the size limit, but never splits a segment', () => {
+  assert.deepEqual(batchSegments(['aaaa', 'bb', 'cccc', 'dddddddd', 'e'], 6), [[0, 1], [2], [3], [4]]);
+  assert.deepEqual(batchSegments([]), []);
+});
+
+test('validateTranslateRequest rejects bad bodies', () => {
+  const error = (body) => validateTranslateRequest({ targetLanguage: 'German', ...body });
+  assert.equal(error({ segments: ['Hello'] }), null);
+  assert.match(error({ segments: [] }), /non-empty array/);
+  assert.match(error({ segments: Array(MAX_SEGMENTS + 1).fill('x') }), /At most/);
+  assert.match(error({ segments: ['a', 1] }), /only contain strings/);
+  assert.match(error({ segments: ['x'.repeat(4001)] }), /shorter than/);
+  assert.match(error({ segments: Array(20).fill('x'.repeat(2500)) }), /in total/);
+  assert.match(error({ segments: ['a'], targetLanguage: '  ' }), /targetLanguage/);
+});
+
+test('the prompt lists the segments as JSON with the expected count', () => {
+  const prompt = buildTranslatePrompt(['Hi', 'Bye "now"'], 'French', { sourceLanguage: 'English', title: 'Shop' });
+  assert.deepEqual(promptSegments(prompt), ['Hi', 'Bye "now"']);
+  assert.match(prompt, /from English into French/);
+  assert.match(prompt, /exactly 2 items/);
+  assert.match(prompt, /the page "Shop"/);
+});
+
+test('translations line up with their segments and blank segments are not sent', async () => {
+  const provider = fakeProvider();
+  const result = await translateSegments({ provider, segments: ['one', '  ', 'two', ''], targetLanguage: 'X' });
+  assert.deepEqual(result, { segments: ['ONE', '  ', 'TWO', ''], failed: 0 });
+  assert.deepEqual(provider.calls, [['one', 'two']]);
+});
+
+test('a misaligned answer is retried on halves until the items line up', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  // merges the first two items whenever it gets more than two
+  const provider = fakeProvider((segments) => JSON.stringify(segments.length > 2
+    ? [`${segments[0]} ${segments[1]}`, ...segments.slice(2)].map(s => s.toUpperCase())
+    : segments.map(s => s.toUpperCase())));
+  const result = await translateSegments({ provider, segments: ['a', 'b', 'c', 'd', 'e'], targetLanguage: 'X' });
+  assert.deepEqual(result, { segments: ['A', 'B', 'C', 'D', 'E'], failed: 0 });
+  assert.deepEqual(provider.calls, [['a', 'b', 'c', 'd', 'e'], ['a', 'b', 'c'], ['a', 'b'], ['c'], ['d', 'e']]);
+});
+
+test('a segment that never aligns keeps its original text and counts as failed', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const provider = fakeProvider((segments) => (segments.includes('bad') ? 'Sorry.' : JSON.stringify(segments.map(s => s.toUpperCase()))));
+  const result = await translateSegments({ provider, segments: ['ok', 'bad', 'fine'], targetLanguage: 'X' });
+  assert.deepEqual(result, { segments: ['OK', 'bad', 'FINE'], failed: 1 });
+  assert.equal(console.warn.mock.callCount(), 1);
+});
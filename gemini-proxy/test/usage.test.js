@@ -0,0 +1,116 @@
+// Metering, cost and budget math of lib/usage.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createUsageStore, createUsageStoreFromEnv, meterProvider } = require('../lib/usage');
+
+// Budget warnings are logged once per period and level; keep them out of the test output
+test.beforeEach((t) => { t.mock.method(console, 'warn', () => {}); });
+
+const RATES = { 'gemini-2.5-flash': { input: 0.3, output: 2.5 }, '*': { input: 1, output: 4 } };
+const WEDNESDAY = Date.parse('2026-10-14T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const tokens = (promptTokens, outputTokens) => ({ promptTokens, outputTokens, totalTokens: promptTokens + outputTokens });
+
+test('meterProvider adds up reported usage and estimates the rest', async () => {
+  const replies = [{ text: 'a', usage: tokens(10, 5) }, { text: 'x'.repeat(10) }];
+  const { provider, usage } = meterProvider({ name: 'fake', generate: async () => replies.shift() });
+  await provider.generate({ contents: [{ parts: [{ text: 'first' }] }] });
+  await provider.generate({ system: 'abcd', contents: [{ parts: [{ text: 'abc' }] }] });
+  // second call: "abcd\nabc" is 8 characters -> 2 tokens, 10 characters of output -> 3 tokens
+  assert.deepEqual(usage(), { calls: 2, promptTokens: 12, outputTokens: 8, totalTokens: 20, estimated: true });
+});
+
+test('costs are priced per model per 1M tokens, with * for other models', () => {
+  const store = createUsageStore({ rates: RATES });
+  const flash = store.record({ endpoint: 'query', model: 'gemini-2.5-flash', client: 'alice', usage: tokens(1000, 2000), now: WEDNESDAY });
+  assert.equal(flash.usage.cost, 0.0053); // 1000 * 0.3 + 2000 * 2.5, per 1M
+  assert.equal(flash.usage.currency, 'USD');
+  const other = store.record({ endpoint: 'query', model: 'gemini-2.5-pro', client: 'alice', usage: tokens(1000, 1000), now: WEDNESDAY });
+  assert.equal(other.usage.cost, 0.005);
+  assert.equal(flash.budget, null);
+});
+
+test('without a rate the cost is null and the tokens count as unpriced', () => {
+  const store = createUsageStore({ rates: { 'gemini-2.5-flash': RATES['gemini-2.5-flash'] } });
+  assert.equal(store.record({ endpoint: 'query', model: 'other', usage: tokens(100, 50), now: WEDNESDAY }).usage.cost, null);
+  store.record({ endpoint: 'summarize', model: 'gemini-2.5-flash', usage: tokens(1e6, 0), now: WEDNESDAY });
+  const { today } = store.summary({ now: WEDNESDAY });
+  assert.equal(today.cost, 0.3);
+  assert.equal(today.unpriced, 150);
+  assert.equal(today.byModel.other.cost, 0);
+  assert.equal(today.byClient.unknown.requests, 2);
+});
+
+test('cache hits count as requests without tokens', () => {
+  const store = createUsageStore({ rates: RATES });
+  const hit = store.record({ endpoint: 'summarize', model: 'gemini-2.5-flash', usage: null, cached: true, now: WEDNESDAY });
+  assert.equal(hit.usage.totalTokens, 0);
+  assert.equal(hit.usage.cost, 0);
+  const { today } = store.summary({ now: WEDNESDAY });
+  assert.equal(today.requests, 1);
+  assert.equal(today.cachedRequests, 1);
+});
+
+test('daily budget warns at warnAt and reports exceeded at 100%', () => {
+  const store = createUsageStore({ rates: { '*': { input: 1, output: 0 } }, dailyBudget: 1, warnAt: 0.8 });
+  const spend = (promptTokens, now = WEDNESDAY) => store.record({ endpoint: 'query', model: 'm', usage: tokens(promptTokens, 0), now }).budget;
+  assert.equal(spend(700000), null);
+  assert.deepEqual(spend(100000), { period: 'day', spent: 0.8, limit: 1, currency: 'USD', share: 0.8, level: 'warning' });
+  assert.equal(spend(300000).level, 'exceeded');
+  assert.equal(console.warn.mock.callCount(), 2);
+  // a new UTC day starts from zero
+  assert.equal(spend(1, WEDNESDAY + DAY_MS), null);
+});
+
+test('weekly budget covers Monday to Sunday UTC', () => {
+  const store = createUsageStore({ rates: { '*': { input: 1, output: 0 } }, weeklyBudget: 2, warnAt: 0.5 });
+  const spend = (now) => store.record({ endpoint: 'query', model: 'm', usage: tokens(600000, 0), now });
+  spend(Date.parse('2026-10-11T23:00:00Z')); // Sunday of the week before
+  assert.equal(spend(Date.parse('2026-10-12T00:30:00Z')).budget, null); // Monday
+  const status = spend(Date.parse('2026-10-18T23:59:00Z')).budget; // Sunday
+  assert.equal(status.period, 'week');
+  assert.equal(status.spent, 1.2);
+  assert.equal(status.share, 0.6);
+  const { thisWeek, weekly } = store.summary({ now: WEDNESDAY });
+  assert.equal(thisWeek.weekStart, '2026-10-12');
+  assert.equal(thisWeek.requests, 2);
+  assert.equal(weekly[1].weekStart, '2026-10-05');
+  assert.equal(weekly[1].cost, 0.6);
+});
+
+test('a client-scoped summary only counts that client', () => {
+  const store = createUsageStore({ rates: RATES });
+  store.record({ endpoint: 'query', model: 'gemini-2.5-flash', client: 'alice', usage: tokens(1e6, 0), now: WEDNESDAY });
+  store.record({ endpoint: 'query', model: 'gemini-2.5-flash', client: 'bob', usage: tokens(2e6, 0), now: WEDNESDAY });
+  const mine = store.summary({ client: 'alice', now: WEDNESDAY });
+  assert.equal(mine.client, 'alice');
+  assert.equal(mine.today.cost, 0.3);
+  assert.deepEqual(Object.keys(mine.today.byClient), ['alice']);
+  assert.equal(mine.thisWeek.requests, 1);
+  assert.equal(mine.daily[0].totalTokens, 1e6);
+  const all = store.summary({ now: WEDNESDAY });
+  assert.equal(all.client, null);
+  assert.equal(all.today.cost, 0.9);
+});
+
+test('records older than the retention period are dropped', () => {
+  const store = createUsageStore({ retentionDays: 2 });
+  store.record({ endpoint: 'query', model: 'm', usage: tokens(1, 1), now: WEDNESDAY - 2 * DAY_MS });
+  store.record({ endpoint: 'query', model: 'm', usage: tokens(1, 1), now: WEDNESDAY });
+  const { daily } = store.summary({ dayCount: 3, now: WEDNESDAY });
+  assert.deepEqual(daily.map(d => d.requests), [1, 0, 0]);
+});
+
+test('env settings: invalid rates and budgets fall back to none', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const store = createUsageStoreFromEnv({ USAGE_RATES: '{not json', USAGE_DAILY_BUDGET: 'lots', USAGE_CURRENCY: 'EUR' });
+  const { usage } = store.record({ endpoint: 'query', model: 'm', usage: tokens(10, 10), now: WEDNESDAY });
+  assert.equal(usage.cost, null);
+  assert.equal(usage.currency, 'EUR');
+  assert.equal(store.summary({ now: WEDNESDAY }).budgets.daily, null);
+
+  const priced = createUsageStoreFromEnv({ USAGE_RATES: '{"m":{"input":2,"output":"x"},"*":{"input":1,"output":1}}' });
+  // the model with an invalid rate is skipped, so * prices it
+  assert.equal(priced.record({ endpoint: 'query', model: 'm', usage: tokens(500000, 500000), now: WEDNESDAY }).usage.cost, 1);
+});